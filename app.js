@@ -11,7 +11,12 @@ const app = express();
 
 connectDB();
 
-app.use(express.json());
+// Keep the raw body so payment webhooks can check the provider's signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 app.use(cors());
 
@@ -19,17 +24,31 @@ if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
 }
 
+app.use("/api/airports", require("./routes/airports"));
 app.use("/api/routes", require("./routes/routes"));
 app.use("/api/crews", require("./routes/crews"));
 app.use("/api/crew-members", require("./routes/crewMembers"));
 app.use("/api/aircraft", require("./routes/aircraft"));
+app.use("/api/cabin-layouts", require("./routes/cabinLayouts"));
 app.use("/api/flights", require("./routes/flights"));
 app.use("/api/tickets", require("./routes/tickets"));
+app.use("/api/bookings", require("./routes/bookings"));
+app.use("/api/payments", require("./routes/payments"));
+app.use("/api/vouchers", require("./routes/vouchers"));
+app.use("/api/waitlist", require("./routes/waitlist"));
+app.use("/api/refund-rules", require("./routes/refundRules"));
+app.use("/api/overbooking-rules", require("./routes/overbookingRules"));
+app.use("/api/fare-families", require("./routes/fareFamilies"));
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/flight-seats", require("./routes/flightSeats"));
 app.use("/api/passengers", require("./routes/passengers"));
 app.use("/api/flight-pricing", require("./routes/flightPricing"));
+app.use("/api/pricing-curves", require("./routes/pricingCurves"));
+app.use("/api/seasons", require("./routes/seasons"));
+app.use("/api/promotions", require("./routes/promotions"));
+app.use("/api/tax-rules", require("./routes/taxRules"));
+app.use("/api/exchange-rates", require("./routes/exchangeRates"));
 //app.use('/api', docsRouter);
 //FIXME:
 
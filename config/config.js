@@ -9,6 +9,24 @@ module.exports = {
   DB_PASSWORD: process.env.DB_PASSWORD || 'airline_password',
   DB_NAME: process.env.DB_NAME || 'airline_transportation',
   JWT_SECRET: process.env.JWT_SECRET || 'simpleSecretKey123',
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '30d'
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '30d',
+  SEAT_HOLD_MINUTES: process.env.SEAT_HOLD_MINUTES || 10,
+  SEAT_HOLD_SWEEP_SECONDS: process.env.SEAT_HOLD_SWEEP_SECONDS || 60,
+  WAITLIST_OFFER_MINUTES: process.env.WAITLIST_OFFER_MINUTES || 30,
+  MIN_CONNECTION_MINUTES: process.env.MIN_CONNECTION_MINUTES || 45,
+  MAX_CONNECTION_MINUTES: process.env.MAX_CONNECTION_MINUTES || 360,
+  FLIGHT_CANCEL_REBOOKING: process.env.FLIGHT_CANCEL_REBOOKING || 'propose',
+  FLIGHT_CANCEL_COMPENSATION: process.env.FLIGHT_CANCEL_COMPENSATION || 'refund',
+  REBOOKING_WINDOW_HOURS: process.env.REBOOKING_WINDOW_HOURS || 72,
+  VOUCHER_BONUS_PERCENT: process.env.VOUCHER_BONUS_PERCENT || 10,
+  VOUCHER_VALID_DAYS: process.env.VOUCHER_VALID_DAYS || 365,
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'mock',
+  BASE_CURRENCY: process.env.BASE_CURRENCY || 'USD',
+  FARE_QUOTE_SECRET: process.env.FARE_QUOTE_SECRET || 'fareQuoteSecretKey',
+  FARE_QUOTE_MINUTES: process.env.FARE_QUOTE_MINUTES || 15,
+  PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || 'mockWebhookSecret',
+  CHECKIN_OPENS_MINUTES: process.env.CHECKIN_OPENS_MINUTES || 1440,
+  CHECKIN_CLOSES_MINUTES: process.env.CHECKIN_CLOSES_MINUTES || 60,
+  BOARDING_STARTS_MINUTES: process.env.BOARDING_STARTS_MINUTES || 40
 };
 
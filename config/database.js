@@ -11,7 +11,14 @@ const pool = mysql.createPool({
   database: config.DB_NAME,
   waitForConnections: true,
   connectionLimit: 10,
-  queueLimit: 0
+  queueLimit: 0,
+  // Flight times are stored in UTC; read and write DATETIMEs as UTC too
+  timezone: 'Z'
+});
+
+// Keep NOW() and TIMESTAMP columns in UTC so they compare with stored flight times
+pool.on('connection', (connection) => {
+  connection.query("SET time_zone = '+00:00'");
 });
 
 // Connect to database
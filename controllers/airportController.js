@@ -0,0 +1,169 @@
+const Airport = require('../models/airportModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const {
+  isValidIataCode,
+  isValidIcaoCode,
+  isValidTimeZone
+} = require('../utils/validators');
+
+/**
+ * Validate airport fields that are present in the request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validateAirportFields = (body) => {
+  if (body.icao_code && !isValidIcaoCode(body.icao_code)) {
+    return 'ICAO code must be 4 letters';
+  }
+
+  if (body.latitude !== undefined && body.latitude !== null &&
+      (isNaN(body.latitude) || body.latitude < -90 || body.latitude > 90)) {
+    return 'Latitude must be between -90 and 90';
+  }
+
+  if (body.longitude !== undefined && body.longitude !== null &&
+      (isNaN(body.longitude) || body.longitude < -180 || body.longitude > 180)) {
+    return 'Longitude must be between -180 and 180';
+  }
+
+  if (body.timezone !== undefined && !isValidTimeZone(body.timezone)) {
+    return 'Time zone must be a valid IANA time zone (e.g. Europe/Kyiv)';
+  }
+
+  return null;
+};
+
+// @desc    Get all airports
+// @route   GET /api/airports
+// @access  Public
+exports.getAirports = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  const airports = await Airport.getAllAirports(page, limit, req.query.country || null);
+
+  res.status(200).json({
+    success: true,
+    count: airports.data.length,
+    pagination: {
+      page: airports.page,
+      limit: airports.limit,
+      totalPages: airports.totalPages,
+      totalItems: airports.totalItems
+    },
+    data: airports.data
+  });
+});
+
+// @desc    Get single airport by IATA code
+// @route   GET /api/airports/:code
+// @access  Public
+exports.getAirport = asyncHandler(async (req, res, next) => {
+  const airport = await Airport.getAirportByCode(req.params.code);
+
+  if (!airport) {
+    return next(new ErrorResponse(`Airport not found with code ${req.params.code}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: airport
+  });
+});
+
+// @desc    Create new airport
+// @route   POST /api/airports
+// @access  Private/Admin
+exports.createAirport = asyncHandler(async (req, res, next) => {
+  const { iata_code, name, city, country, timezone } = req.body;
+
+  if (!iata_code || !name || !city || !country || !timezone) {
+    return next(new ErrorResponse('Please provide iata_code, name, city, country and timezone', 400));
+  }
+
+  if (!isValidIataCode(iata_code)) {
+    return next(new ErrorResponse('IATA code must be 3 letters', 400));
+  }
+
+  const fieldError = validateAirportFields(req.body);
+
+  if (fieldError) {
+    return next(new ErrorResponse(fieldError, 400));
+  }
+
+  const exists = await Airport.airportExists(iata_code, req.body.icao_code);
+
+  if (exists) {
+    return next(new ErrorResponse('Airport with this IATA or ICAO code already exists', 409));
+  }
+
+  await Airport.createAirport(req.body);
+
+  const airport = await Airport.getAirportByCode(iata_code);
+
+  res.status(201).json({
+    success: true,
+    data: airport
+  });
+});
+
+// @desc    Update airport
+// @route   PUT /api/airports/:code
+// @access  Private/Admin
+exports.updateAirport = asyncHandler(async (req, res, next) => {
+  let airport = await Airport.getAirportByCode(req.params.code);
+
+  if (!airport) {
+    return next(new ErrorResponse(`Airport not found with code ${req.params.code}`, 404));
+  }
+
+  if (req.body.iata_code && req.body.iata_code.toUpperCase() !== airport.iata_code) {
+    return next(new ErrorResponse('IATA code cannot be changed; create a new airport instead', 400));
+  }
+
+  const fieldError = validateAirportFields(req.body);
+
+  if (fieldError) {
+    return next(new ErrorResponse(fieldError, 400));
+  }
+
+  if (req.body.icao_code) {
+    const exists = await Airport.airportExists(null, req.body.icao_code, airport.iata_code);
+
+    if (exists) {
+      return next(new ErrorResponse('Airport with this ICAO code already exists', 409));
+    }
+  }
+
+  await Airport.updateAirport(airport.iata_code, req.body);
+
+  airport = await Airport.getAirportByCode(airport.iata_code);
+
+  res.status(200).json({
+    success: true,
+    data: airport
+  });
+});
+
+// @desc    Delete airport
+// @route   DELETE /api/airports/:code
+// @access  Private/Admin
+exports.deleteAirport = asyncHandler(async (req, res, next) => {
+  const airport = await Airport.getAirportByCode(req.params.code);
+
+  if (!airport) {
+    return next(new ErrorResponse(`Airport not found with code ${req.params.code}`, 404));
+  }
+
+  if (airport.route_count > 0) {
+    return next(new ErrorResponse('Cannot delete airport used by routes', 400));
+  }
+
+  await Airport.deleteAirport(airport.iata_code);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
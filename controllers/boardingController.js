@@ -0,0 +1,250 @@
+const Flight = require('../models/flightModel');
+const Boarding = require('../models/boardingModel');
+const Ticket = require('../models/ticketModel');
+const DeniedBoarding = require('../models/deniedBoardingModel');
+const BoardingService = require('../services/boardingService');
+const DeniedBoardingService = require('../services/deniedBoardingService');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+/**
+ * Load the flight named in the route
+ * @param {Object} req - Request with :id
+ * @returns {Promise<Object>} { flight } or { error }
+ */
+const loadFlight = async (req) => {
+  const flight = await Flight.getFlightById(req.params.id);
+
+  if (!flight) {
+    return { error: new ErrorResponse(`Flight not found with id of ${req.params.id}`, 404) };
+  }
+
+  return { flight };
+};
+
+// @desc    Get live boarding counts and passenger states of a flight
+// @route   GET /api/flights/:id/boarding
+// @access  Private/Admin/Staff
+exports.getBoardingStatus = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  const counts = await Boarding.getBoardingCounts(flight.flight_id);
+  const passengers = await Boarding.getFlightPassengers(flight.flight_id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      flight_id: flight.flight_id,
+      flight_number: flight.flight_number,
+      status: flight.status,
+      gate: flight.gate,
+      counts,
+      passengers
+    }
+  });
+});
+
+// @desc    Start boarding a flight
+// @route   POST /api/flights/:id/boarding/open
+// @access  Private/Admin/Staff
+exports.openBoarding = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!['scheduled', 'delayed'].includes(flight.status)) {
+    return next(new ErrorResponse(`Cannot start boarding a flight that is ${flight.status}`, 400));
+  }
+
+  await Flight.updateFlightStatus(flight.flight_id, 'boarding');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: 'boarding',
+      counts: await Boarding.getBoardingCounts(flight.flight_id)
+    }
+  });
+});
+
+// @desc    Scan a boarding pass or ticket at the gate and board the passenger
+// @route   POST /api/flights/:id/boarding/scan
+// @access  Private/Admin/Staff
+exports.scanBoardingPass = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!req.body.barcode && !req.body.ticket_id) {
+    return next(new ErrorResponse('Please provide a boarding pass barcode or ticket_id', 400));
+  }
+
+  if (flight.status !== 'boarding') {
+    return next(new ErrorResponse(`Flight is not boarding (status: ${flight.status})`, 409));
+  }
+
+  const scan = await BoardingService.resolveScan(flight, req.body);
+
+  if (scan.error) {
+    return next(new ErrorResponse(scan.error, scan.status));
+  }
+
+  const record = await Boarding.getBoardingRecord(scan.ticket.ticket_id);
+
+  if (record && record.status === 'boarded') {
+    return next(new ErrorResponse(`${scan.ticket.passenger_name} has already boarded`, 409));
+  }
+
+  try {
+    const boarded = await BoardingService.boardPassenger(flight, scan.ticket, req.user.user_id);
+
+    res.status(200).json({
+      success: true,
+      data: boarded
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error boarding passenger: ${error.message}`, 500));
+  }
+});
+
+// @desc    Record a passenger as a no-show
+// @route   POST /api/flights/:id/boarding/no-show
+// @access  Private/Admin/Staff
+exports.markNoShow = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!req.body.ticket_id) {
+    return next(new ErrorResponse('Please provide ticket_id', 400));
+  }
+
+  if (flight.status !== 'boarding') {
+    return next(new ErrorResponse(`Flight is not boarding (status: ${flight.status})`, 409));
+  }
+
+  const ticket = await Ticket.getTicketById(req.body.ticket_id);
+
+  if (!ticket || ticket.flight_id !== flight.flight_id || ticket.status === 'cancelled') {
+    return next(new ErrorResponse(`No active ticket ${req.body.ticket_id} on this flight`, 404));
+  }
+
+  await Boarding.recordBoarding({
+    ticket_id: ticket.ticket_id,
+    flight_id: flight.flight_id,
+    status: 'no_show',
+    recorded_by: req.user.user_id
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ticket_id: ticket.ticket_id,
+      status: 'no_show',
+      counts: await Boarding.getBoardingCounts(flight.flight_id)
+    }
+  });
+});
+
+// @desc    Close the flight: remaining passengers become no-shows and the final manifest is produced
+// @route   POST /api/flights/:id/boarding/close
+// @access  Private/Admin/Staff
+exports.closeFlight = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (flight.status !== 'boarding') {
+    return next(new ErrorResponse(`Only a boarding flight can be closed (status: ${flight.status})`, 409));
+  }
+
+  try {
+    const manifest = await BoardingService.closeFlight(flight, req.user.user_id);
+
+    res.status(200).json({
+      success: true,
+      data: manifest
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error closing flight: ${error.message}`, 500));
+  }
+});
+
+// @desc    Get the final manifest of a closed flight
+// @route   GET /api/flights/:id/boarding/manifest
+// @access  Private/Admin/Staff
+exports.getFinalManifest = asyncHandler(async (req, res, next) => {
+  const manifest = await Boarding.getManifest(req.params.id);
+
+  if (!manifest) {
+    return next(new ErrorResponse(`No final manifest for flight ${req.params.id}; the flight has not been closed`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: manifest
+  });
+});
+
+// @desc    Get the oversold state of each class and the passengers denied boarding on a flight
+// @route   GET /api/flights/:id/denied-boarding
+// @access  Private/Admin/Staff
+exports.getDeniedBoarding = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      flight_id: flight.flight_id,
+      flight_number: flight.flight_number,
+      classes: await DeniedBoardingService.getOversoldStatus(flight.flight_id),
+      denied_boardings: await DeniedBoarding.getDeniedBoardingsForFlight(flight.flight_id)
+    }
+  });
+});
+
+// @desc    Seat or deny boarding to every passenger still without a seat (volunteers first, then involuntary)
+// @route   POST /api/flights/:id/denied-boarding/resolve
+// @access  Private/Admin/Staff
+exports.resolveDeniedBoarding = asyncHandler(async (req, res, next) => {
+  const { flight, error } = await loadFlight(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!['scheduled', 'delayed', 'boarding'].includes(flight.status)) {
+    return next(new ErrorResponse(`Cannot resolve denied boarding on a flight that is ${flight.status}`, 400));
+  }
+
+  try {
+    const result = await DeniedBoardingService.resolveFlight(flight, req.user.user_id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        seated: result.seated,
+        denied: result.denied,
+        denied_boardings: await DeniedBoarding.getDeniedBoardingsForFlight(flight.flight_id)
+      }
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error resolving denied boarding: ${error.message}`, 500));
+  }
+});
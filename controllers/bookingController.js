@@ -0,0 +1,288 @@
+const Booking = require('../models/bookingModel');
+const Flight = require('../models/flightModel');
+const Fare = require('../models/fareModel');
+const ExchangeRate = require('../models/exchangeRateModel');
+const Itinerary = require('../services/itineraryService');
+const SeatAssignment = require('../services/seatAssignmentService');
+const Cancellation = require('../services/cancellationService');
+const config = require('../config/config');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'worker';
+
+// @desc    Get bookings (all for staff, own for everyone else)
+// @route   GET /api/bookings
+// @access  Private
+exports.getBookings = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  const bookings = await Booking.getAllBookings(
+    page,
+    limit,
+    isStaff(req.user) ? null : req.user.user_id
+  );
+
+  res.status(200).json({
+    success: true,
+    count: bookings.data.length,
+    pagination: {
+      page: bookings.page,
+      limit: bookings.limit,
+      totalPages: bookings.totalPages,
+      totalItems: bookings.totalItems
+    },
+    data: bookings.data
+  });
+});
+
+// @desc    Get booking by record locator
+// @route   GET /api/bookings/:reference
+// @access  Private
+exports.getBooking = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.getBookingByReference(req.params.reference);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with reference ${req.params.reference}`, 404));
+  }
+
+  if (!isStaff(req.user) && req.user.user_id !== booking.user_id) {
+    return next(new ErrorResponse('Not authorized to access this booking', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: booking
+  });
+});
+
+// @desc    Get booking itinerary with legs and total price
+// @route   GET /api/bookings/:reference/itinerary
+// @access  Private
+exports.getBookingItinerary = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.getBookingByReference(req.params.reference);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with reference ${req.params.reference}`, 404));
+  }
+
+  if (!isStaff(req.user) && req.user.user_id !== booking.user_id) {
+    return next(new ErrorResponse('Not authorized to access this booking', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: Itinerary.buildItinerary(booking)
+  });
+});
+
+// @desc    Create booking for several passengers on one or more flights
+//          (one-way, round-trip or multi-city, booked all-or-nothing)
+// @route   POST /api/bookings
+// @access  Private
+exports.createBooking = asyncHandler(async (req, res, next) => {
+  const { passengers, segments } = req.body;
+
+  if (!Array.isArray(passengers) || passengers.length === 0) {
+    return next(new ErrorResponse('Please provide at least one passenger', 400));
+  }
+
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return next(new ErrorResponse('Please provide at least one flight segment', 400));
+  }
+
+  for (const passenger of passengers) {
+    if (!passenger.user_id && (!passenger.first_name || !passenger.last_name)) {
+      return next(new ErrorResponse('Each passenger needs a user_id or first_name and last_name', 400));
+    }
+
+    // Customers can add other travellers by their details, but only themselves by account
+    if (passenger.user_id && !isStaff(req.user) && passenger.user_id !== req.user.user_id) {
+      return next(new ErrorResponse('Not authorized to book for another user account', 403));
+    }
+  }
+
+  const flights = [];
+
+  for (const segment of segments) {
+    if (!segment.flight_id) {
+      return next(new ErrorResponse('Each segment needs a flight_id', 400));
+    }
+
+    // Seats left out (or null) are assigned automatically, keeping the party together
+    if (segment.seat_numbers === undefined) {
+      segment.seat_numbers = passengers.map(() => null);
+    }
+
+    if (!Array.isArray(segment.seat_numbers) || segment.seat_numbers.length !== passengers.length) {
+      return next(new ErrorResponse('Each segment needs one seat number (or null) per passenger', 400));
+    }
+
+    if (segment.seat_preference && !SeatAssignment.SEAT_PREFERENCES.includes(segment.seat_preference)) {
+      return next(new ErrorResponse(`Seat preference must be one of: ${SeatAssignment.SEAT_PREFERENCES.join(', ')}`, 400));
+    }
+
+    if (segment.fare_family && !(await Fare.getFareFamilyByCode(segment.fare_family))) {
+      return next(new ErrorResponse(`Fare family not found with code ${segment.fare_family}`, 400));
+    }
+
+    const flight = await Flight.getFlightById(segment.flight_id);
+
+    if (!flight) {
+      return next(new ErrorResponse(`Flight not found with id of ${segment.flight_id}`, 404));
+    }
+
+    if (flight.status === 'canceled' || flight.status === 'arrived') {
+      return next(new ErrorResponse(`Cannot book flight ${flight.flight_number}: it is ${flight.status}`, 400));
+    }
+
+    flights.push(flight);
+  }
+
+  const tripType = req.body.trip_type || Itinerary.detectTripType(flights);
+  const legError = Itinerary.validateLegs(flights, tripType);
+
+  if (legError) {
+    return next(new ErrorResponse(legError, 400));
+  }
+
+  // Every ticket of a booking is sold in one currency, so the booking is paid in one payment
+  const currency = (req.body.currency || config.BASE_CURRENCY).toUpperCase();
+
+  if ((await ExchangeRate.getRate(currency)) === null) {
+    return next(new ErrorResponse(`No exchange rate for ${currency}`, 400));
+  }
+
+  try {
+    for (const segment of segments) {
+      segment.seat_numbers = await SeatAssignment.fillSeatNumbers(
+        segment.flight_id,
+        segment.class || 'economy',
+        segment.seat_numbers,
+        { preference: segment.seat_preference || null, userId: req.user.user_id }
+      );
+    }
+
+    const reference = await Booking.createBooking({
+      ...req.body,
+      trip_type: tripType,
+      currency,
+      user_id: req.user.user_id,
+      staff_booking: isStaff(req.user)
+    });
+    const booking = await Booking.getBookingByReference(reference);
+
+    res.status(201).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error creating booking: ${error.message}`, 400));
+  }
+});
+
+// @desc    Update booking contact details and seats
+// @route   PUT /api/bookings/:reference
+// @access  Private
+exports.updateBooking = asyncHandler(async (req, res, next) => {
+  let booking = await Booking.getBookingByReference(req.params.reference);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with reference ${req.params.reference}`, 404));
+  }
+
+  if (!isStaff(req.user) && req.user.user_id !== booking.user_id) {
+    return next(new ErrorResponse('Not authorized to update this booking', 403));
+  }
+
+  if (booking.status === 'cancelled') {
+    return next(new ErrorResponse('Cannot modify a cancelled booking', 400));
+  }
+
+  if (req.body.tickets && !Array.isArray(req.body.tickets)) {
+    return next(new ErrorResponse('tickets must be an array of ticket changes', 400));
+  }
+
+  try {
+    await Booking.updateBooking(booking.booking_id, req.body);
+    booking = await Booking.getBookingByReference(req.params.reference);
+
+    res.status(200).json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error updating booking: ${error.message}`, 400));
+  }
+});
+
+// @desc    Cancel booking with all its tickets
+// @route   PATCH /api/bookings/:reference/cancel
+// @access  Private
+exports.cancelBooking = asyncHandler(async (req, res, next) => {
+  const booking = await Booking.getBookingByReference(req.params.reference);
+
+  if (!booking) {
+    return next(new ErrorResponse(`Booking not found with reference ${req.params.reference}`, 404));
+  }
+
+  if (!isStaff(req.user) && req.user.user_id !== booking.user_id) {
+    return next(new ErrorResponse('Not authorized to cancel this booking', 403));
+  }
+
+  if (booking.status === 'cancelled') {
+    // Cancelling again resends refunds the provider rejected; none is paid twice
+    const resent = await Cancellation.resendOwedRefunds(booking.tickets, 'Booking cancelled');
+
+    if (resent.length === 0) {
+      return next(new ErrorResponse('Booking is already cancelled', 400));
+    }
+
+    const failed = resent.filter(result => result.refund_error);
+
+    if (failed.length > 0) {
+      return next(new ErrorResponse(`Booking is cancelled, but ${failed.length} refund(s) failed: ${failed[0].refund_error}`, 502));
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await Booking.getBookingByReference(req.params.reference),
+      refunds: resent
+    });
+  }
+
+  const departed = booking.tickets.some(ticket =>
+    ticket.status !== 'cancelled' &&
+    ticket.flight_status !== 'scheduled' &&
+    ticket.flight_status !== 'boarding'
+  );
+
+  if (departed && req.user.role !== 'admin') {
+    return next(new ErrorResponse('Cannot cancel a booking with a flight that has departed', 400));
+  }
+
+  let cancellations;
+
+  try {
+    // Every ticket goes through the refund rules and back to its payment, as a single cancellation does
+    cancellations = await Cancellation.cancelBooking(booking.booking_id, 'Booking cancelled');
+  } catch (error) {
+    return next(new ErrorResponse(`Error cancelling booking: ${error.message}`, 500));
+  }
+
+  const failed = cancellations.filter(result => result.refund_error);
+
+  if (failed.length > 0) {
+    return next(new ErrorResponse(
+      `Booking is cancelled, but ${failed.length} refund(s) failed: ${failed[0].refund_error}; cancel it again to retry the refunds`,
+      502
+    ));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await Booking.getBookingByReference(req.params.reference),
+    refunds: cancellations.map(result => result.refund)
+  });
+});
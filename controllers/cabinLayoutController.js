@@ -0,0 +1,142 @@
+const CabinLayout = require('../models/cabinLayoutModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+const { generateSeats, validateLayout } = require('../services/cabinLayoutService');
+
+/**
+ * Add seat totals per class to a layout
+ * @param {Object} layout - Cabin layout
+ * @returns {Object} Layout with seat counts
+ */
+const withSeatCounts = (layout) => {
+  const seats = generateSeats(layout);
+  const seatsByClass = {};
+
+  seats.forEach(seat => {
+    seatsByClass[seat.class] = (seatsByClass[seat.class] || 0) + 1;
+  });
+
+  return {
+    ...layout,
+    total_seats: seats.length,
+    seats_by_class: seatsByClass
+  };
+};
+
+// @desc    Get all cabin layouts
+// @route   GET /api/cabin-layouts
+// @access  Private/Admin/Staff
+exports.getCabinLayouts = asyncHandler(async (req, res, next) => {
+  const layouts = await CabinLayout.getAllLayouts();
+
+  res.status(200).json({
+    success: true,
+    count: layouts.length,
+    data: layouts.map(withSeatCounts)
+  });
+});
+
+// @desc    Get single cabin layout
+// @route   GET /api/cabin-layouts/:id
+// @access  Private/Admin/Staff
+exports.getCabinLayout = asyncHandler(async (req, res, next) => {
+  const layout = await CabinLayout.getLayoutById(req.params.id);
+
+  if (!layout) {
+    return next(new ErrorResponse(`Cabin layout not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withSeatCounts(layout)
+  });
+});
+
+// @desc    Create cabin layout for an aircraft model
+// @route   POST /api/cabin-layouts
+// @access  Private/Admin
+exports.createCabinLayout = asyncHandler(async (req, res, next) => {
+  if (!req.body.aircraft_model || !req.body.seat_letters || !req.body.class_zones) {
+    return next(new ErrorResponse('Please provide aircraft_model, seat_letters and class_zones', 400));
+  }
+
+  const layoutError = validateLayout(req.body);
+
+  if (layoutError) {
+    return next(new ErrorResponse(layoutError, 400));
+  }
+
+  const exists = await CabinLayout.layoutExists(req.body.aircraft_model);
+
+  if (exists) {
+    return next(new ErrorResponse(`A cabin layout already exists for ${req.body.aircraft_model}`, 409));
+  }
+
+  const layoutId = await CabinLayout.createLayout(req.body);
+  const layout = await CabinLayout.getLayoutById(layoutId);
+
+  res.status(201).json({
+    success: true,
+    data: withSeatCounts(layout)
+  });
+});
+
+// @desc    Update cabin layout
+// @route   PUT /api/cabin-layouts/:id
+// @access  Private/Admin
+exports.updateCabinLayout = asyncHandler(async (req, res, next) => {
+  let layout = await CabinLayout.getLayoutById(req.params.id);
+
+  if (!layout) {
+    return next(new ErrorResponse(`Cabin layout not found with id of ${req.params.id}`, 404));
+  }
+
+  // Validate the layout as it will look after the update
+  const merged = { ...layout };
+  ['seat_letters', 'class_zones', 'exit_rows', 'bassinet_seats', 'extra_legroom_seats'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      merged[field] = req.body[field];
+    }
+  });
+
+  const layoutError = validateLayout(merged);
+
+  if (layoutError) {
+    return next(new ErrorResponse(layoutError, 400));
+  }
+
+  if (req.body.aircraft_model) {
+    const exists = await CabinLayout.layoutExists(req.body.aircraft_model, req.params.id);
+
+    if (exists) {
+      return next(new ErrorResponse(`A cabin layout already exists for ${req.body.aircraft_model}`, 409));
+    }
+  }
+
+  await CabinLayout.updateLayout(req.params.id, req.body);
+
+  layout = await CabinLayout.getLayoutById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: withSeatCounts(layout)
+  });
+});
+
+// @desc    Delete cabin layout
+// @route   DELETE /api/cabin-layouts/:id
+// @access  Private/Admin
+exports.deleteCabinLayout = asyncHandler(async (req, res, next) => {
+  const layout = await CabinLayout.getLayoutById(req.params.id);
+
+  if (!layout) {
+    return next(new ErrorResponse(`Cabin layout not found with id of ${req.params.id}`, 404));
+  }
+
+  await CabinLayout.deleteLayout(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,144 @@
+const ExchangeRate = require('../models/exchangeRateModel');
+const config = require('../config/config');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/i;
+
+/**
+ * Check the fields of an exchange rate request body
+ * @param {Object} body - Request body
+ * @param {boolean} creating - Whether a new rate is being created
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validateRate = (body, creating) => {
+  if (creating) {
+    if (!body.currency || !CURRENCY_PATTERN.test(body.currency)) {
+      return 'currency must be a three-letter ISO 4217 code, such as EUR';
+    }
+
+    if (body.currency.toUpperCase() === config.BASE_CURRENCY) {
+      return `${config.BASE_CURRENCY} is the base currency and always converts at 1`;
+    }
+  }
+
+  if ((creating || body.rate !== undefined) && !(Number(body.rate) > 0)) {
+    return 'rate must be a positive number of units per unit of the base currency';
+  }
+
+  if (body.effective_from !== undefined && body.effective_from !== null &&
+      isNaN(new Date(body.effective_from).getTime())) {
+    return 'effective_from must be a date';
+  }
+
+  return null;
+};
+
+// @desc    Get exchange rates (filter with ?currency=)
+// @route   GET /api/exchange-rates
+// @access  Private/Admin/Staff
+exports.getExchangeRates = asyncHandler(async (req, res, next) => {
+  const rates = await ExchangeRate.getRates({ currency: req.query.currency });
+
+  res.status(200).json({
+    success: true,
+    base_currency: config.BASE_CURRENCY,
+    count: rates.length,
+    data: rates
+  });
+});
+
+// @desc    Get single exchange rate
+// @route   GET /api/exchange-rates/:id
+// @access  Private/Admin/Staff
+exports.getExchangeRate = asyncHandler(async (req, res, next) => {
+  const rate = await ExchangeRate.getRateById(req.params.id);
+
+  if (!rate) {
+    return next(new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rate
+  });
+});
+
+// @desc    Create exchange rate
+// @route   POST /api/exchange-rates
+// @access  Private/Admin
+exports.createExchangeRate = asyncHandler(async (req, res, next) => {
+  const validationError = validateRate(req.body, true);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  try {
+    const rateId = await ExchangeRate.createRate(req.body);
+    const rate = await ExchangeRate.getRateById(rateId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: rate
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse(`${req.body.currency.toUpperCase()} already has a rate effective from that time`, 409));
+    }
+    throw error;
+  }
+});
+
+// @desc    Update exchange rate
+// @route   PUT /api/exchange-rates/:id
+// @access  Private/Admin
+exports.updateExchangeRate = asyncHandler(async (req, res, next) => {
+  let rate = await ExchangeRate.getRateById(req.params.id);
+
+  if (!rate) {
+    return next(new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404));
+  }
+
+  const validationError = validateRate(req.body, false);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  try {
+    await ExchangeRate.updateRate(req.params.id, req.body);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse(`${rate.currency} already has a rate effective from that time`, 409));
+    }
+    throw error;
+  }
+
+  rate = await ExchangeRate.getRateById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Exchange rate updated successfully',
+    data: rate
+  });
+});
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private/Admin
+exports.deleteExchangeRate = asyncHandler(async (req, res, next) => {
+  const rate = await ExchangeRate.getRateById(req.params.id);
+
+  if (!rate) {
+    return next(new ErrorResponse(`Exchange rate not found with id of ${req.params.id}`, 404));
+  }
+
+  await ExchangeRate.deleteRate(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Exchange rate deleted successfully'
+  });
+});
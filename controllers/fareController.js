@@ -0,0 +1,297 @@
+const Fare = require('../models/fareModel');
+const Flight = require('../models/flightModel');
+const ExchangeRate = require('../models/exchangeRateModel');
+const config = require('../config/config');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+
+/**
+ * Check the fields of a fare family request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateFareFamily = (body) => {
+  if (body.change_fee !== undefined && body.change_fee !== null &&
+      (isNaN(Number(body.change_fee)) || Number(body.change_fee) < 0)) {
+    return 'change_fee must be 0 or more, or null when the fare allows no changes';
+  }
+
+  for (const field of ['checked_bags', 'checked_bag_kg', 'carry_on_kg']) {
+    if (body[field] !== undefined && (!Number.isInteger(Number(body[field])) || Number(body[field]) < 0)) {
+      return `${field} must be a whole number, 0 or more`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check the fields of a fare bucket request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateBucket = (body) => {
+  if (body.price !== undefined && (isNaN(Number(body.price)) || Number(body.price) < 0)) {
+    return 'price must be 0 or more';
+  }
+
+  if (body.seat_limit !== undefined && (!Number.isInteger(Number(body.seat_limit)) || Number(body.seat_limit) < 0)) {
+    return 'seat_limit must be a whole number, 0 or more';
+  }
+
+  return null;
+};
+
+// @desc    Get all fare families
+// @route   GET /api/fare-families
+// @access  Public
+exports.getFareFamilies = asyncHandler(async (req, res, next) => {
+  const families = await Fare.getFareFamilies();
+
+  res.status(200).json({
+    success: true,
+    count: families.length,
+    data: families
+  });
+});
+
+// @desc    Get single fare family
+// @route   GET /api/fare-families/:id
+// @access  Public
+exports.getFareFamily = asyncHandler(async (req, res, next) => {
+  const family = await Fare.getFareFamilyById(req.params.id);
+
+  if (!family) {
+    return next(new ErrorResponse(`Fare family not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: family
+  });
+});
+
+// @desc    Create fare family
+// @route   POST /api/fare-families
+// @access  Private/Admin
+exports.createFareFamily = asyncHandler(async (req, res, next) => {
+  if (!req.body.code || !req.body.name) {
+    return next(new ErrorResponse('Please provide code and name', 400));
+  }
+
+  const validationError = validateFareFamily(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  req.body.code = String(req.body.code).toUpperCase();
+
+  try {
+    const familyId = await Fare.createFareFamily(req.body);
+    const family = await Fare.getFareFamilyById(familyId);
+
+    res.status(201).json({
+      success: true,
+      data: family
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse(`A fare family with code ${req.body.code} already exists`, 409));
+    }
+    throw error;
+  }
+});
+
+// @desc    Update fare family
+// @route   PUT /api/fare-families/:id
+// @access  Private/Admin
+exports.updateFareFamily = asyncHandler(async (req, res, next) => {
+  let family = await Fare.getFareFamilyById(req.params.id);
+
+  if (!family) {
+    return next(new ErrorResponse(`Fare family not found with id of ${req.params.id}`, 404));
+  }
+
+  const validationError = validateFareFamily(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  await Fare.updateFareFamily(req.params.id, req.body);
+  family = await Fare.getFareFamilyById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: family
+  });
+});
+
+// @desc    Delete fare family
+// @route   DELETE /api/fare-families/:id
+// @access  Private/Admin
+exports.deleteFareFamily = asyncHandler(async (req, res, next) => {
+  const family = await Fare.getFareFamilyById(req.params.id);
+
+  if (!family) {
+    return next(new ErrorResponse(`Fare family not found with id of ${req.params.id}`, 404));
+  }
+
+  try {
+    await Fare.deleteFareFamily(req.params.id);
+  } catch (error) {
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return next(new ErrorResponse('Fare family is used by fare buckets and cannot be deleted', 409));
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get the fare buckets of a flight with their sales
+// @route   GET /api/flights/:id/fare-buckets
+// @access  Private/Admin/Staff
+exports.getFareBuckets = asyncHandler(async (req, res, next) => {
+  const flight = await Flight.getFlightById(req.params.id);
+
+  if (!flight) {
+    return next(new ErrorResponse(`Flight not found with id of ${req.params.id}`, 404));
+  }
+
+  const buckets = await Fare.getBucketsForFlight(flight.flight_id, req.query.class || null);
+
+  res.status(200).json({
+    success: true,
+    count: buckets.length,
+    data: buckets
+  });
+});
+
+// @desc    Create a fare bucket on a flight
+// @route   POST /api/flights/:id/fare-buckets
+// @access  Private/Admin
+exports.createFareBucket = asyncHandler(async (req, res, next) => {
+  const flight = await Flight.getFlightById(req.params.id);
+
+  if (!flight) {
+    return next(new ErrorResponse(`Flight not found with id of ${req.params.id}`, 404));
+  }
+
+  const { booking_code, fare_family_id, price, seat_limit } = req.body;
+
+  if (!SEAT_CLASSES.includes(req.body.class)) {
+    return next(new ErrorResponse(`Class must be one of: ${SEAT_CLASSES.join(', ')}`, 400));
+  }
+
+  if (!/^[A-Z]$/i.test(booking_code || '')) {
+    return next(new ErrorResponse('booking_code must be a single letter', 400));
+  }
+
+  if (!fare_family_id || price === undefined || seat_limit === undefined) {
+    return next(new ErrorResponse('Please provide fare_family_id, price and seat_limit', 400));
+  }
+
+  const validationError = validateBucket(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  if (!(await Fare.getFareFamilyById(fare_family_id))) {
+    return next(new ErrorResponse(`Fare family not found with id of ${fare_family_id}`, 404));
+  }
+
+  const currency = (req.body.currency || config.BASE_CURRENCY).toUpperCase();
+
+  if ((await ExchangeRate.getRate(currency)) === null) {
+    return next(new ErrorResponse(`No exchange rate for ${currency}`, 400));
+  }
+
+  // Buckets are sold cheapest first, so a flight's fares are all filed in one currency
+  const [filed] = await Fare.getBucketsForFlight(flight.flight_id);
+
+  if (filed && filed.currency !== currency) {
+    return next(new ErrorResponse(`Fares on this flight are filed in ${filed.currency}`, 409));
+  }
+
+  try {
+    const bucketId = await Fare.createBucket({
+      ...req.body,
+      flight_id: flight.flight_id,
+      booking_code: booking_code.toUpperCase(),
+      currency
+    });
+    const bucket = await Fare.getBucketById(bucketId);
+
+    res.status(201).json({
+      success: true,
+      data: bucket
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse(`Booking code ${booking_code.toUpperCase()} is already used on this flight`, 409));
+    }
+    throw error;
+  }
+});
+
+// @desc    Change the family, price, inventory or open state of a fare bucket
+// @route   PUT /api/flights/:id/fare-buckets/:bucketId
+// @access  Private/Admin
+exports.updateFareBucket = asyncHandler(async (req, res, next) => {
+  let bucket = await Fare.getBucketById(req.params.bucketId);
+
+  if (!bucket || bucket.flight_id !== parseInt(req.params.id, 10)) {
+    return next(new ErrorResponse(`Fare bucket not found with id of ${req.params.bucketId}`, 404));
+  }
+
+  const validationError = validateBucket(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  if (req.body.fare_family_id && !(await Fare.getFareFamilyById(req.body.fare_family_id))) {
+    return next(new ErrorResponse(`Fare family not found with id of ${req.body.fare_family_id}`, 404));
+  }
+
+  await Fare.updateBucket(bucket.bucket_id, req.body);
+  bucket = await Fare.getBucketById(bucket.bucket_id);
+
+  res.status(200).json({
+    success: true,
+    data: bucket
+  });
+});
+
+// @desc    Delete a fare bucket that has not sold any ticket
+// @route   DELETE /api/flights/:id/fare-buckets/:bucketId
+// @access  Private/Admin
+exports.deleteFareBucket = asyncHandler(async (req, res, next) => {
+  const bucket = await Fare.getBucketById(req.params.bucketId);
+
+  if (!bucket || bucket.flight_id !== parseInt(req.params.id, 10)) {
+    return next(new ErrorResponse(`Fare bucket not found with id of ${req.params.bucketId}`, 404));
+  }
+
+  try {
+    await Fare.deleteBucket(bucket.bucket_id);
+  } catch (error) {
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return next(new ErrorResponse('Fare bucket has sold tickets; close it instead', 409));
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -1,8 +1,107 @@
 const Flight = require("../models/flightModel");
+const Fare = require("../models/fareModel");
+const PricingCurve = require("../models/pricingCurveModel");
+const Season = require("../models/seasonModel");
+const TaxRule = require("../models/taxRuleModel");
+const ExchangeRate = require("../models/exchangeRateModel");
+const PricingEngine = require("../services/pricingEngineService");
+const TaxService = require("../services/taxService");
+const Currency = require("../services/currencyService");
+const FareQuote = require("../services/fareQuoteService");
 const Aircraft = require("../models/aircraftModel");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/asyncHandler");
-const { formatDate } = require("../utils/dateFormat");
+const { formatDate, isValidDateString } = require("../utils/dateFormat");
+const ConnectionSearch = require("../services/connectionSearchService");
+const Disruption = require("../services/disruptionService");
+const DisruptionReport = require("../models/disruptionModel");
+const Manifest = require("../services/manifestService");
+const config = require("../config/config");
+
+const SEAT_CLASSES = ["economy", "business", "first", "woman_only"];
+
+/**
+ * Check the check-in window fields of a request body
+ * @param {Object} body - Request body
+ * @param {Object} flight - Flight being updated, if any
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validateCheckInWindow = (body, flight = null) => {
+  for (const field of ["checkin_opens_minutes", "checkin_closes_minutes"]) {
+    if (
+      body[field] !== undefined &&
+      (!Number.isInteger(Number(body[field])) || Number(body[field]) < 0)
+    ) {
+      return `${field} must be a whole number of minutes before departure`;
+    }
+  }
+
+  const current = flight || {};
+  const opens =
+    body.checkin_opens_minutes ??
+    current.checkin_opens_minutes ??
+    config.CHECKIN_OPENS_MINUTES;
+  const closes =
+    body.checkin_closes_minutes ??
+    current.checkin_closes_minutes ??
+    config.CHECKIN_CLOSES_MINUTES;
+
+  if (Number(opens) <= Number(closes)) {
+    return "Check-in must open before it closes";
+  }
+
+  return null;
+};
+
+/**
+ * Replace departure/arrival times in a request body with their UTC instants
+ * @param {Object} body - Request body
+ * @param {number} routeId - Route whose airports bare times are local to
+ * @returns {Promise<string|null>} Validation error message, or null when valid
+ */
+const resolveRequestTimes = async (body, routeId) => {
+  let times;
+
+  try {
+    times = await Flight.resolveFlightTimes(
+      routeId,
+      body.departure_time,
+      body.arrival_time,
+    );
+  } catch (error) {
+    return error.message;
+  }
+
+  for (const field of ["departure_time", "arrival_time"]) {
+    if (times[field] !== undefined) {
+      if (isNaN(times[field].getTime())) {
+        return `Invalid ${field}`;
+      }
+      body[field] = times[field];
+    }
+  }
+
+  const departure = body.departure_time;
+  const arrival = body.arrival_time;
+
+  if (departure instanceof Date && arrival instanceof Date && arrival <= departure) {
+    return "Arrival time must be after departure time";
+  }
+
+  return null;
+};
+
+/**
+ * Get the currency prices are shown in and its rate from the base currency
+ * @param {string} code - Currency asked for with ?currency=, if any
+ * @returns {Promise<Object|null>} { currency, rate }, or null when the currency has no rate
+ */
+const getDisplayCurrency = async (code) => {
+  const currency = (code || config.BASE_CURRENCY).toUpperCase();
+  const rate = await ExchangeRate.getRate(currency);
+
+  return rate === null ? null : { currency, rate };
+};
 
 // @desc    Get all flights
 // @route   GET /api/flights
@@ -48,6 +147,28 @@ exports.getFlight = asyncHandler(async (req, res, next) => {
 // @route   POST /api/flights
 // @access  Private/Admin
 exports.createFlight = asyncHandler(async (req, res, next) => {
+  if (!req.body.route_id || !req.body.departure_time || !req.body.arrival_time) {
+    return next(
+      new ErrorResponse(
+        "Please provide route_id, departure_time and arrival_time",
+        400,
+      ),
+    );
+  }
+
+  const windowError = validateCheckInWindow(req.body);
+
+  if (windowError) {
+    return next(new ErrorResponse(windowError, 400));
+  }
+
+  // Bare times are local to the route's airports; store them in UTC
+  const timesError = await resolveRequestTimes(req.body, req.body.route_id);
+
+  if (timesError) {
+    return next(new ErrorResponse(timesError, 400));
+  }
+
   const isAvailable = await Flight.isAircraftAvailable(
     req.body.aircraft_id,
     req.body.departure_time,
@@ -134,6 +255,23 @@ exports.updateFlight = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const windowError = validateCheckInWindow(req.body, flight);
+
+  if (windowError) {
+    return next(new ErrorResponse(windowError, 400));
+  }
+
+  if (req.body.departure_time || req.body.arrival_time) {
+    const timesError = await resolveRequestTimes(
+      req.body,
+      req.body.route_id || flight.route_id,
+    );
+
+    if (timesError) {
+      return next(new ErrorResponse(timesError, 400));
+    }
+  }
+
   // If updating aircraft or times, check availability
   if (
     (req.body.aircraft_id && req.body.aircraft_id !== flight.aircraft_id) ||
@@ -236,12 +374,44 @@ exports.searchFlightsByRouteAndDate = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (!isValidDateString(date)) {
+    return next(new ErrorResponse("date must be a valid date (YYYY-MM-DD)", 400));
+  }
+
+  const seatClass = req.query.class || "economy";
+
+  if (!SEAT_CLASSES.includes(seatClass)) {
+    return next(new ErrorResponse("Invalid seat class", 400));
+  }
+
+  const display = await getDisplayCurrency(req.query.currency);
+
+  if (!display) {
+    return next(new ErrorResponse(`No exchange rate for ${req.query.currency}`, 400));
+  }
+
   const flights = await Flight.searchFlightsByRouteAndDate(
     origin,
     destination,
     date,
   );
 
+  // Fare the class sells at now, after seasons and dynamic pricing, and what it
+  // costs with taxes; null once sold out
+  const quotes = await Fare.quoteFares(
+    flights.map((flight) => flight.flight_id),
+    seatClass,
+  );
+
+  for (const flight of flights) {
+    const quote = quotes.get(flight.flight_id);
+    const fare = quote && Currency.convertQuote(quote, display.currency, display.rate);
+    flight.class = seatClass;
+    flight.currency = display.currency;
+    flight.price = fare ? fare.price : null;
+    flight.total_price = fare ? fare.total_price : null;
+  }
+
   res.status(200).json({
     success: true,
     count: flights.length,
@@ -270,6 +440,91 @@ exports.searchFlightsByRoute = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Search direct and connecting itineraries (up to 2 stops)
+// @route   GET /api/flights/search/connections
+// @access  Public
+exports.searchConnectingFlights = asyncHandler(async (req, res, next) => {
+  const { origin, destination, date } = req.query;
+
+  if (!origin || !destination || !date) {
+    return next(
+      new ErrorResponse("Please provide origin, destination and date", 400),
+    );
+  }
+
+  if (!isValidDateString(date)) {
+    return next(new ErrorResponse("date must be a valid date (YYYY-MM-DD)", 400));
+  }
+
+  const options = {};
+
+  if (req.query.max_stops !== undefined) {
+    options.maxStops = parseInt(req.query.max_stops, 10);
+
+    if (isNaN(options.maxStops) || options.maxStops < 0 || options.maxStops > 2) {
+      return next(new ErrorResponse("max_stops must be 0, 1 or 2", 400));
+    }
+  }
+
+  if (req.query.min_connection !== undefined) {
+    options.minConnectionMinutes = parseInt(req.query.min_connection, 10);
+  }
+
+  if (req.query.max_connection !== undefined) {
+    options.maxConnectionMinutes = parseInt(req.query.max_connection, 10);
+  }
+
+  if (
+    (options.minConnectionMinutes !== undefined && isNaN(options.minConnectionMinutes)) ||
+    (options.maxConnectionMinutes !== undefined && isNaN(options.maxConnectionMinutes))
+  ) {
+    return next(
+      new ErrorResponse("Connection times must be given in minutes", 400),
+    );
+  }
+
+  if (req.query.class) {
+    if (!["economy", "business", "first", "woman_only"].includes(req.query.class)) {
+      return next(new ErrorResponse("Invalid seat class", 400));
+    }
+    options.seatClass = req.query.class;
+  }
+
+  if (req.query.currency) {
+    const display = await getDisplayCurrency(req.query.currency);
+
+    if (!display) {
+      return next(new ErrorResponse(`No exchange rate for ${req.query.currency}`, 400));
+    }
+    options.currency = display.currency;
+    options.exchangeRate = display.rate;
+  }
+
+  if (req.query.sort) {
+    if (!["duration", "price"].includes(req.query.sort)) {
+      return next(new ErrorResponse("sort must be duration or price", 400));
+    }
+    options.sort = req.query.sort;
+  }
+
+  if (req.query.limit) {
+    options.limit = parseInt(req.query.limit, 10) || 20;
+  }
+
+  const itineraries = await ConnectionSearch.searchConnections(
+    origin,
+    destination,
+    date,
+    options,
+  );
+
+  res.status(200).json({
+    success: true,
+    count: itineraries.length,
+    data: itineraries,
+  });
+});
+
 // @desc    Generate flight schedule
 // @route   GET /api/flights/schedule/generate
 // @access  Public
@@ -291,7 +546,7 @@ exports.generateFlightSchedule = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Cancel flight
+// @desc    Cancel flight, settling its tickets by the rebooking and compensation policy
 // @route   PATCH /api/flights/:id/cancel
 // @access  Private/Admin
 exports.cancelFlight = asyncHandler(async (req, res, next) => {
@@ -311,15 +566,67 @@ exports.cancelFlight = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Cannot cancel an arrived flight", 400));
   }
 
-  await Flight.updateFlightStatus(req.params.id, "canceled");
+  const {
+    reason,
+    rebooking = config.FLIGHT_CANCEL_REBOOKING,
+    compensation = config.FLIGHT_CANCEL_COMPENSATION,
+  } = req.body;
+
+  if (!Disruption.REBOOKING_MODES.includes(rebooking)) {
+    return next(
+      new ErrorResponse(
+        `Rebooking must be one of: ${Disruption.REBOOKING_MODES.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  if (!Disruption.COMPENSATION_TYPES.includes(compensation)) {
+    return next(
+      new ErrorResponse(
+        `Compensation must be one of: ${Disruption.COMPENSATION_TYPES.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  await Disruption.cancelFlight(req.params.id, {
+    reason,
+    rebooking,
+    compensation,
+    userId: req.user.user_id,
+  });
+
+  const report = await DisruptionReport.getDisruptionReport(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { status: "canceled", report },
+  });
+});
+
+// @desc    Get the disruption report of a canceled flight
+// @route   GET /api/flights/:id/disruption-report
+// @access  Private/Admin/Staff
+exports.getDisruptionReport = asyncHandler(async (req, res, next) => {
+  const report = await DisruptionReport.getDisruptionReport(req.params.id);
+
+  if (!report) {
+    return next(
+      new ErrorResponse(
+        `No disruption recorded for flight with id of ${req.params.id}`,
+        404,
+      ),
+    );
+  }
 
   res.status(200).json({
     success: true,
-    data: { status: "canceled" },
+    data: report,
   });
 });
 
-// @desc    Get flight price classes
+// @desc    Get the lowest fare of each class and the open fare buckets of a flight
 // @route   GET /api/flights/:id/prices
 // @access  Public
 exports.getFlightPrices = asyncHandler(async (req, res, next) => {
@@ -331,24 +638,227 @@ exports.getFlightPrices = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Calculate prices for each class
-  const prices = {
-    economy: parseFloat(flight.base_price),
-    business: parseFloat(flight.base_price) * 2.5, //TODO: Make this easily changeble 
-    first: parseFloat(flight.base_price) * 4.0,
-  };
+  const display = await getDisplayCurrency(req.query.currency);
+
+  if (!display) {
+    return next(new ErrorResponse(`No exchange rate for ${req.query.currency}`, 400));
+  }
+
+  // Lowest fare each class sells at now; null once the class has no fares left
+  const prices = {};
+  const breakdown = {};
+  const multipliers = {};
+
+  for (const seatClass of SEAT_CLASSES) {
+    const quote = await Fare.quoteFare(flight.flight_id, seatClass);
+    const fare = quote && Currency.convertQuote(quote, display.currency, display.rate);
+    const pricing = await PricingCurve.getDynamicMultiplier(
+      flight.flight_id,
+      seatClass,
+    );
+
+    prices[seatClass] = fare ? fare.price : null;
+    breakdown[seatClass] = fare
+      ? {
+        fare: fare.price,
+        taxes: fare.taxes,
+        taxes_amount: fare.taxes_amount,
+        total_price: fare.total_price,
+      }
+      : null;
+    multipliers[seatClass] = pricing ? pricing.multiplier : 1;
+  }
+
+  const buckets = await Fare.getBucketsForFlight(flight.flight_id);
+  const seasons = await Season.getSeasonsForFlight(flight.flight_id);
+  const applied = PricingEngine.getAppliedSeasons(seasons);
+  const taxRules = await TaxRule.getRulesForFlight(flight.flight_id);
+  // A flight's buckets are all filed in one currency
+  const filedRate = buckets.length > 0 ? await ExchangeRate.getRate(buckets[0].currency) : 1;
 
   res.status(200).json({
     success: true,
     data: {
       flight_id: flight.flight_id,
       flight_number: flight.flight_number,
-      base_price: flight.base_price,
+      currency: display.currency,
+      base_price: Currency.convert(flight.base_price, display.rate),
       prices,
+      breakdown,
+      seasons: applied.seasons.map((season) => ({
+        season_id: season.season_id,
+        name: season.name,
+        adjustment_type: season.adjustment_type,
+        adjustment_value: season.adjustment_value,
+      })),
+      blackout: applied.blackout,
+      // Inventory stays private; customers see which fares are for sale and their rules
+      // Buckets filed in a currency without a rate aren't sold
+      fares: buckets
+        .filter(
+          (bucket) =>
+            filedRate !== null && bucket.is_open && bucket.sold < bucket.seat_limit,
+        )
+        .map((bucket) => {
+          const basePrice = PricingEngine.applyMultiplier(
+            PricingEngine.applySeasons(
+              Currency.toBase(bucket.price, filedRate),
+              seasons,
+            ).price,
+            multipliers[bucket.class],
+          );
+          const price = Currency.convert(basePrice, display.rate);
+          const taxes = Currency.convert(
+            TaxService.calculateTaxes(basePrice, taxRules).total,
+            display.rate,
+          );
+
+          return {
+            class: bucket.class,
+            booking_code: bucket.booking_code,
+            fare_family: bucket.fare_family,
+            fare_family_name: bucket.fare_family_name,
+            price,
+            total_price: Math.round((price + taxes) * 100) / 100,
+            is_refundable: !!bucket.is_refundable,
+            change_fee: Currency.convert(bucket.change_fee, display.rate),
+            checked_bags: bucket.checked_bags,
+            checked_bag_kg: bucket.checked_bag_kg,
+            carry_on_kg: bucket.carry_on_kg,
+          };
+        }),
+    },
+  });
+});
+
+// @desc    Quote a fare and lock it for booking with a signed, time-limited token
+// @route   POST /api/flights/:id/quote
+// @access  Private
+exports.quoteFlightFare = asyncHandler(async (req, res, next) => {
+  const flight = await Flight.getFlightById(req.params.id);
+
+  if (!flight) {
+    return next(
+      new ErrorResponse(`Flight not found with id of ${req.params.id}`, 404),
+    );
+  }
+
+  if (flight.status === "canceled" || flight.status === "arrived") {
+    return next(
+      new ErrorResponse(`Cannot quote a fare on a ${flight.status} flight`, 400),
+    );
+  }
+
+  const seatClass = req.body.class || "economy";
+  const fareFamily = req.body.fare_family || null;
+
+  if (!SEAT_CLASSES.includes(seatClass)) {
+    return next(new ErrorResponse("Invalid seat class", 400));
+  }
+
+  if (fareFamily && !(await Fare.getFareFamilyByCode(fareFamily))) {
+    return next(
+      new ErrorResponse(`Fare family not found with code ${fareFamily}`, 400),
+    );
+  }
+
+  const display = await getDisplayCurrency(req.body.currency);
+
+  if (!display) {
+    return next(new ErrorResponse(`No exchange rate for ${req.body.currency}`, 400));
+  }
+
+  const quote = await Fare.quoteFare(flight.flight_id, seatClass, { fareFamily });
+
+  if (!quote) {
+    return next(
+      new ErrorResponse(
+        `No ${fareFamily ? `${fareFamily} ` : ""}${seatClass} fares left on this flight`,
+        409,
+      ),
+    );
+  }
+
+  const fare = Currency.convertQuote(quote, display.currency, display.rate);
+  // The fare and exchange rate are locked; taxes and promo codes are applied at booking
+  const { token, quote_id, expires_at } = FareQuote.signQuote({
+    user_id: req.user.user_id,
+    flight_id: flight.flight_id,
+    class: seatClass,
+    fare_family: quote.fare_family,
+    fare_bucket_id: quote.fare_bucket_id,
+    fare: quote.price,
+    is_refundable: quote.is_refundable,
+    currency: display.currency,
+    exchange_rate: display.rate,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      quote_token: token,
+      quote_id,
+      expires_at,
+      flight_id: flight.flight_id,
+      class: seatClass,
+      fare_family: fare.fare_family,
+      booking_code: fare.booking_code,
+      currency: fare.currency,
+      price: fare.price,
+      taxes: fare.taxes,
+      taxes_amount: fare.taxes_amount,
+      total_price: fare.total_price,
+      is_refundable: fare.is_refundable,
+      change_fee: fare.change_fee,
     },
   });
 });
 
+// @desc    Export the passenger manifest of a flight as JSON, CSV or PDF
+// @route   GET /api/flights/:id/manifest?format=json|csv|pdf
+// @access  Private/Admin/Staff
+exports.getPassengerManifest = asyncHandler(async (req, res, next) => {
+  const format = (req.query.format || "json").toLowerCase();
+
+  if (!Manifest.FORMATS.includes(format)) {
+    return next(
+      new ErrorResponse(
+        `Format must be one of: ${Manifest.FORMATS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const flight = await Flight.getFlightById(req.params.id);
+
+  if (!flight) {
+    return next(
+      new ErrorResponse(`Flight not found with id of ${req.params.id}`, 404),
+    );
+  }
+
+  const manifest = await Manifest.buildManifest(flight);
+  const filename = `manifest-${flight.flight_number}-${formatDate(flight.departure_time)}`;
+
+  if (format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.status(200).send(Manifest.toCsv(manifest));
+  }
+
+  if (format === "pdf") {
+    const pdf = await Manifest.toPdf(manifest);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return res.status(200).send(pdf);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: manifest,
+  });
+});
+
 // @desc    Get flight pricing multipliers
 // @route   GET /api/flights/:id/pricing
 // @access  Public
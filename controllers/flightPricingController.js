@@ -1,16 +1,64 @@
 const Flight = require('../models/flightModel');
+const Route = require('../models/routeModel');
+const PricingRule = require('../models/pricingRuleModel');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
 
-// @desc    Get all flight pricing
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check the fields of a pricing rule request body
+ * @param {Object} body - Request body
+ * @param {Object} rule - Rule being updated, if any
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validateRule = (body, rule = null) => {
+  // Validate base price and multipliers are positive numbers
+  for (const field of PricingRule.PRICE_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && !(Number(body[field]) > 0)) {
+      return `${field} must be a positive number`;
+    }
+  }
+
+  for (const field of ['valid_from', 'valid_to']) {
+    if (body[field] !== undefined && body[field] !== null &&
+        (!DATE_PATTERN.test(body[field]) || isNaN(new Date(body[field]).getTime()))) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+
+  const validFrom = body.valid_from !== undefined ? body.valid_from : rule && rule.valid_from;
+  const validTo = body.valid_to !== undefined ? body.valid_to : rule && rule.valid_to;
+
+  if (validFrom && validTo && new Date(validFrom) > new Date(validTo)) {
+    return 'valid_from must be on or before valid_to';
+  }
+
+  if (body.days_of_week !== undefined && body.days_of_week !== null &&
+      (!Array.isArray(body.days_of_week) || body.days_of_week.some(day => !PricingRule.DAYS_OF_WEEK.includes(day)))) {
+    return `days_of_week must be an array of: ${PricingRule.DAYS_OF_WEEK.join(', ')}`;
+  }
+
+  const setsPrice = PricingRule.PRICE_FIELDS.some(field =>
+    body[field] !== undefined ? body[field] !== null : rule && rule[field] !== null
+  );
+
+  if (!setsPrice) {
+    return `A pricing rule must set at least one of: ${PricingRule.PRICE_FIELDS.join(', ')}`;
+  }
+
+  return null;
+};
+
+// @desc    Get all pricing rules
 // @route   GET /api/flight-pricing
 // @access  Private/Admin
 exports.getFlightPricing = asyncHandler(async (req, res, next) => {
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 10;
-  
-  const pricingRules = await Flight.getAllFlightPricing(page, limit);
-  
+
+  const pricingRules = await PricingRule.getAllRules(page, limit);
+
   res.status(200).json({
     success: true,
     data: pricingRules.data,
@@ -23,103 +71,80 @@ exports.getFlightPricing = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get single flight pricing
+// @desc    Get single pricing rule
 // @route   GET /api/flight-pricing/:id
 // @access  Private/Admin
 exports.getSingleFlightPricing = asyncHandler(async (req, res, next) => {
-  const pricingRule = await Flight.getFlightPricingById(req.params.id);
-  
+  const pricingRule = await PricingRule.getRuleById(req.params.id);
+
   if (!pricingRule) {
-    return next(new ErrorResponse(`Flight pricing not found with id of ${req.params.id}`, 404));
+    return next(new ErrorResponse(`Pricing rule not found with id of ${req.params.id}`, 404));
   }
-  
+
   res.status(200).json({
     success: true,
     data: pricingRule
   });
 });
 
-// @desc    Search flight pricing by origin and/or destination
+// @desc    Search pricing rules by origin and/or destination
 // @route   GET /api/flight-pricing/search
 // @access  Private/Admin
 exports.searchFlightPricing = asyncHandler(async (req, res, next) => {
   const { origin, destination } = req.query;
-  
+
   // At least one of origin or destination must be provided
   if (!origin && !destination) {
     return next(new ErrorResponse('Please provide at least one of origin or destination', 400));
   }
-  
-  const pricingRules = await Flight.searchFlightPricing(origin, destination);
-  
+
+  const pricingRules = await PricingRule.searchRules(origin, destination);
+
   res.status(200).json({
     success: true,
     data: pricingRules
   });
 });
 
-// @desc    Create new flight pricing
+// @desc    Create pricing rule for a route
 // @route   POST /api/flight-pricing
 // @access  Private/Admin
 exports.createFlightPricing = asyncHandler(async (req, res, next) => {
-  const { 
-    origin, 
-    destination, 
-    base_price, 
-    economy_multiplier, 
-    business_multiplier, 
-    first_multiplier, 
-    woman_only_multiplier 
-  } = req.body;
-  
+  const { origin, destination } = req.body;
+
   // Validate required fields
-  if (!origin || !destination || !base_price) {
-    return next(new ErrorResponse('Please provide origin, destination and base_price', 400));
-  }
-  
-  // Validate airport codes
-  if (!/^[A-Z]{3}$/i.test(origin) || !/^[A-Z]{3}$/i.test(destination)) {
-    return next(new ErrorResponse('Origin and destination must be valid airport codes (3 letters)', 400));
-  }
-  
-  // Validate base price is positive
-  if (base_price <= 0) {
-    return next(new ErrorResponse('base_price must be a positive number', 400));
-  }
-  
-  // Check if the route exists
-  const [routeRows] = await pool.query('SELECT route_id FROM routes WHERE origin = ? AND destination = ?', [origin, destination]);
-  
-  if (routeRows.length === 0) {
+  if (!req.body.route_id && (!origin || !destination)) {
+    return next(new ErrorResponse('Please provide route_id, or origin and destination', 400));
+  }
+
+  const validationError = validateRule(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  let route;
+
+  if (req.body.route_id) {
+    route = await Route.getRouteById(req.body.route_id);
+  } else {
+    // Validate airport codes against the airport registry
+    const airportError = await Route.validateAirports(origin, destination);
+
+    if (airportError) {
+      return next(new ErrorResponse(airportError, 400));
+    }
+
+    route = await Route.getRouteByAirports(origin.toUpperCase(), destination.toUpperCase());
+  }
+
+  if (!route) {
     return next(new ErrorResponse('Route does not exist. Please create the route first.', 404));
   }
-  
-  const route_id = routeRows[0].route_id;
-  
-  const [result] = await pool.query(`
-    INSERT INTO flights (
-      flight_number, 
-      route_id, 
-      base_price, 
-      economy_class_multiplier,
-      business_class_multiplier, 
-      first_class_multiplier, 
-      woman_only_multiplier
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
-  `, [
-    `PR${Date.now().toString().substring(6)}`, // Generate a unique flight number
-    route_id,
-    base_price,
-    economy_multiplier || 1.0,
-    business_multiplier || 2.5,
-    first_multiplier || 4.0,
-    woman_only_multiplier || 1.2
-  ]);
-  
-  const flightId = result.insertId;
-  
-  const pricingRule = await Flight.getFlightPricingById(flightId);
-  
+
+  const ruleId = await PricingRule.createRule({ ...req.body, route_id: route.route_id });
+  const pricingRule = await PricingRule.getRuleById(ruleId);
+
   res.status(201).json({
     success: true,
     message: 'Pricing rule created successfully',
@@ -127,37 +152,25 @@ exports.createFlightPricing = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Update flight pricing
+// @desc    Update pricing rule
 // @route   PUT /api/flight-pricing/:id
 // @access  Private/Admin
 exports.updateFlightPricing = asyncHandler(async (req, res, next) => {
-  let pricingRule = await Flight.getFlightPricingById(req.params.id);
-  
+  let pricingRule = await PricingRule.getRuleById(req.params.id);
+
   if (!pricingRule) {
-    return next(new ErrorResponse(`Flight pricing not found with id of ${req.params.id}`, 404));
-  }
-  
-  // Validate multipliers are positive numbers
-  const multipliers = ['economy_multiplier', 'business_multiplier', 'first_multiplier', 'woman_only_multiplier'];
-  for (const multiplier of multipliers) {
-    if (req.body[multiplier] && req.body[multiplier] <= 0) {
-      return next(new ErrorResponse(`${multiplier} must be a positive number`, 400));
-    }
+    return next(new ErrorResponse(`Pricing rule not found with id of ${req.params.id}`, 404));
   }
-  
-  // Validate base price is positive
-  if (req.body.base_price && req.body.base_price <= 0) {
-    return next(new ErrorResponse('base_price must be a positive number', 400));
-  }
-  
-  const updated = await Flight.updateFlightPricing(req.params.id, req.body);
-  
-  if (!updated) {
-    return next(new ErrorResponse(`Flight pricing not found with id of ${req.params.id}`, 404));
+
+  const validationError = validateRule(req.body, pricingRule);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
   }
-  
-  pricingRule = await Flight.getFlightPricingById(req.params.id);
-  
+
+  await PricingRule.updateRule(req.params.id, req.body);
+  pricingRule = await PricingRule.getRuleById(req.params.id);
+
   res.status(200).json({
     success: true,
     message: 'Pricing rule updated successfully',
@@ -165,64 +178,55 @@ exports.updateFlightPricing = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Delete flight pricing
+// @desc    Delete pricing rule
 // @route   DELETE /api/flight-pricing/:id
 // @access  Private/Admin
 exports.deleteFlightPricing = asyncHandler(async (req, res, next) => {
-  // Since flight pricing is part of the flight data, we can't delete just the pricing
-  // This would need to delete the entire flight or reset pricing to defaults
-  
-  const pricingRule = await Flight.getFlightPricingById(req.params.id);
-  
+  const pricingRule = await PricingRule.getRuleById(req.params.id);
+
   if (!pricingRule) {
-    return next(new ErrorResponse(`Flight pricing not found with id of ${req.params.id}`, 404));
-  }
-  
-  // Reset pricing to defaults instead of deleting
-  await Flight.updateFlightPricing(req.params.id, {
-    base_price: null,
-    economy_multiplier: 1.0,
-    business_multiplier: 2.5,
-    first_multiplier: 4.0,
-    woman_only_multiplier: 1.2
-  });
-  
+    return next(new ErrorResponse(`Pricing rule not found with id of ${req.params.id}`, 404));
+  }
+
+  await PricingRule.deleteRule(req.params.id);
+
   res.status(200).json({
     success: true,
     message: 'Pricing rule deleted successfully'
   });
 });
 
-// @desc    Get pricing for a specific flight
+// @desc    Get pricing for a specific flight, after its route's pricing rules
 // @route   GET /api/flights/:id/pricing
 // @access  Public
 exports.getFlightPricingByFlightId = asyncHandler(async (req, res, next) => {
   const flight = await Flight.getFlightById(req.params.id);
-  
+
   if (!flight) {
     return next(new ErrorResponse(`Flight not found with id of ${req.params.id}`, 404));
   }
-  
-  const prices = {
-    economy: parseFloat(flight.base_price) * parseFloat(flight.economy_class_multiplier || 1.0),
-    business: parseFloat(flight.base_price) * parseFloat(flight.business_class_multiplier || 2.5),
-    first: parseFloat(flight.base_price) * parseFloat(flight.first_class_multiplier || 4.0),
-    woman_only: parseFloat(flight.base_price) * parseFloat(flight.woman_only_multiplier || 1.2)
-  };
-  
+
+  const pricing = await PricingRule.getEffectivePricing(flight.flight_id);
+  const prices = {};
+
+  for (const seatClass of ['economy', 'business', 'first', 'woman_only']) {
+    prices[seatClass] = Math.round(pricing.base_price * pricing[`${seatClass}_multiplier`] * 100) / 100;
+  }
+
   const pricingData = {
     flight_id: flight.flight_id,
     flight_number: flight.flight_number,
     origin: flight.origin,
     destination: flight.destination,
-    base_price: parseFloat(flight.base_price),
-    economy_multiplier: parseFloat(flight.economy_class_multiplier || 1.0),
-    business_multiplier: parseFloat(flight.business_class_multiplier || 2.5),
-    first_multiplier: parseFloat(flight.first_class_multiplier || 4.0),
-    woman_only_multiplier: parseFloat(flight.woman_only_multiplier || 1.2),
+    base_price: pricing.base_price,
+    economy_multiplier: pricing.economy_multiplier,
+    business_multiplier: pricing.business_multiplier,
+    first_multiplier: pricing.first_multiplier,
+    woman_only_multiplier: pricing.woman_only_multiplier,
+    pricing_rule_ids: pricing.rule_ids,
     prices
   };
-  
+
   res.status(200).json({
     success: true,
     data: pricingData
@@ -1,6 +1,11 @@
 const FlightSeats = require('../models/flightSeatsModel');
 const Flight = require('../models/flightModel');
+const Fare = require('../models/fareModel');
 const Aircraft = require('../models/aircraftModel');
+const CabinLayout = require('../models/cabinLayoutModel');
+const SeatHold = require('../models/seatHoldModel');
+const SeatAssignment = require('../services/seatAssignmentService');
+const config = require('../config/config');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
 
@@ -49,6 +54,8 @@ exports.getFlightSeatMap = asyncHandler(async (req, res, next) => {
   }
   
   const seatMap = await FlightSeats.getFlightSeatMap(req.params.flightId);
+  const cabinRows = await FlightSeats.getCabinRows(req.params.flightId);
+  const layout = await CabinLayout.getLayoutByModel(flight.aircraft_model);
   
   const seatStats = {};
   let totalAvailable = 0;
@@ -71,11 +78,9 @@ exports.getFlightSeatMap = asyncHandler(async (req, res, next) => {
   }
   
   const prices = {};
-  if (flight.base_price) {
-    prices.economy = parseFloat(flight.base_price) * parseFloat(flight.economy_class_multiplier || 1.0);
-    prices.business = parseFloat(flight.base_price) * parseFloat(flight.business_class_multiplier || 2.5);
-    prices.first = parseFloat(flight.base_price) * parseFloat(flight.first_class_multiplier || 4.0);
-    prices.woman_only = parseFloat(flight.base_price) * parseFloat(flight.woman_only_multiplier || 1.2);
+  for (const seatClass of ['economy', 'business', 'first', 'woman_only']) {
+    const fare = await Fare.quoteFare(flight.flight_id, seatClass);
+    prices[seatClass] = fare ? fare.price : null;
   }
   
   res.status(200).json({
@@ -84,6 +89,11 @@ exports.getFlightSeatMap = asyncHandler(async (req, res, next) => {
       flight_id: req.params.flightId,
       flight_number: flight.flight_number,
       seat_map: seatMap,
+      cabin: {
+        aircraft_model: flight.aircraft_model,
+        seat_letters: layout ? layout.seat_letters : null,
+        rows: cabinRows
+      },
       stats: {
         by_class: seatStats,
         total: {
@@ -99,6 +109,25 @@ exports.getFlightSeatMap = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get every seat of a flight with its state and ticket
+// @route   GET /api/flight-seats/:flightId/seats
+// @access  Private/Admin/Staff
+exports.getFlightSeats = asyncHandler(async (req, res, next) => {
+  const flight = await Flight.getFlightById(req.params.flightId);
+  
+  if (!flight) {
+    return next(new ErrorResponse(`Flight not found with id of ${req.params.flightId}`, 404));
+  }
+  
+  const seats = await FlightSeats.getFlightSeats(req.params.flightId);
+  
+  res.status(200).json({
+    success: true,
+    count: seats.length,
+    data: seats
+  });
+});
+
 // @desc    Get available seats by class
 // @route   GET /api/flight-seats/:flightId/available/:class
 // @access  Public
@@ -118,16 +147,8 @@ exports.getAvailableSeatsByClass = asyncHandler(async (req, res, next) => {
   
   const availableSeats = await FlightSeats.getAvailableSeatsByClass(req.params.flightId, seatClass);
   
-  let price = null;
-  if (flight.base_price) {
-    const multiplierField = `${seatClass}_class_multiplier`;
-    const multiplier = flight[multiplierField] || 
-      (seatClass === 'economy' ? 1.0 : 
-       seatClass === 'business' ? 2.5 : 
-       seatClass === 'first' ? 4.0 : 1.2);
-    
-    price = parseFloat(flight.base_price) * parseFloat(multiplier);
-  }
+  const fare = await Fare.quoteFare(flight.flight_id, seatClass);
+  const price = fare ? fare.price : null;
   
   res.status(200).json({
     success: true,
@@ -219,6 +240,88 @@ exports.validateSeat = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Pick seats for a travel party, optionally holding them
+// @route   POST /api/flight-seats/:flightId/auto-assign
+// @access  Private
+exports.autoAssignSeats = asyncHandler(async (req, res, next) => {
+  const flight = await Flight.getFlightById(req.params.flightId);
+  
+  if (!flight) {
+    return next(new ErrorResponse(`Flight not found with id of ${req.params.flightId}`, 404));
+  }
+  
+  if (flight.status === 'canceled' || flight.status === 'arrived') {
+    return next(new ErrorResponse(`Cannot assign seats on a flight that is ${flight.status}`, 400));
+  }
+  
+  const seatClass = req.body.class || 'economy';
+  const count = parseInt(req.body.count, 10) || 1;
+  const preference = req.body.preference || null;
+  const validClasses = ['economy', 'business', 'first', 'woman_only'];
+  
+  if (!validClasses.includes(seatClass)) {
+    return next(new ErrorResponse(`Invalid seat class: ${seatClass}`, 400));
+  }
+  
+  if (count < 1 || count > 9) {
+    return next(new ErrorResponse('Count must be between 1 and 9', 400));
+  }
+  
+  if (preference && !SeatAssignment.SEAT_PREFERENCES.includes(preference)) {
+    return next(new ErrorResponse(`Preference must be one of: ${SeatAssignment.SEAT_PREFERENCES.join(', ')}`, 400));
+  }
+  
+  if (seatClass === 'woman_only' && !FlightSeats.validateWomanOnlySeat(req.user.gender)) {
+    return next(new ErrorResponse('Woman-only seats can only be booked by female passengers', 403));
+  }
+  
+  const seats = await SeatAssignment.assignSeats(req.params.flightId, seatClass, count, {
+    preference,
+    userId: req.user.user_id
+  });
+  
+  if (!seats) {
+    return next(new ErrorResponse(`Not enough ${seatClass} seats available for ${count} passenger(s)`, 409));
+  }
+  
+  const holds = [];
+  
+  if (req.body.hold) {
+    for (const seatNumber of seats) {
+      const hold = await SeatHold.createHold(
+        req.params.flightId,
+        seatClass,
+        seatNumber,
+        req.user.user_id,
+        parseInt(config.SEAT_HOLD_MINUTES, 10)
+      );
+      
+      if (!hold) {
+        // Someone else held a seat meanwhile; give back what was held so the party stays together
+        for (const held of holds) {
+          await SeatHold.releaseHold(req.params.flightId, held.seat_number, req.user.user_id);
+        }
+        return next(new ErrorResponse('Seats changed while assigning; please try again', 409));
+      }
+      
+      holds.push(hold);
+    }
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      flight_id: req.params.flightId,
+      flight_number: flight.flight_number,
+      class: seatClass,
+      preference,
+      seat_numbers: seats,
+      held: holds.length > 0,
+      hold_expiry: holds.length > 0 ? holds[0].expires_at : null
+    }
+  });
+});
+
 // @desc    Reconfigure flight seats
 // @route   PUT /api/flight-seats/:flightId/reconfigure
 // @access  Private/Admin
@@ -0,0 +1,139 @@
+const Overbooking = require('../models/overbookingModel');
+const Flight = require('../models/flightModel');
+const Route = require('../models/routeModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+
+/**
+ * Check an overbooking allowance
+ * @param {*} extraSeats - Value from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateExtraSeats = (extraSeats) => {
+  if (!Number.isInteger(Number(extraSeats)) || Number(extraSeats) < 0) {
+    return 'extra_seats must be a whole number, 0 or more';
+  }
+
+  return null;
+};
+
+// @desc    Get overbooking rules (filter with flight_id or route_id)
+// @route   GET /api/overbooking-rules
+// @access  Private/Admin/Staff
+exports.getOverbookingRules = asyncHandler(async (req, res, next) => {
+  const rules = await Overbooking.getRules({
+    flight_id: parseInt(req.query.flight_id, 10) || null,
+    route_id: parseInt(req.query.route_id, 10) || null
+  });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get single overbooking rule
+// @route   GET /api/overbooking-rules/:id
+// @access  Private/Admin/Staff
+exports.getOverbookingRule = asyncHandler(async (req, res, next) => {
+  const rule = await Overbooking.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Overbooking rule not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create overbooking rule for a flight or a route
+// @route   POST /api/overbooking-rules
+// @access  Private/Admin
+exports.createOverbookingRule = asyncHandler(async (req, res, next) => {
+  const { flight_id, route_id, extra_seats } = req.body;
+
+  if (!flight_id === !route_id) {
+    return next(new ErrorResponse('Please provide either flight_id or route_id', 400));
+  }
+
+  if (!SEAT_CLASSES.includes(req.body.class)) {
+    return next(new ErrorResponse(`Class must be one of: ${SEAT_CLASSES.join(', ')}`, 400));
+  }
+
+  const seatsError = validateExtraSeats(extra_seats);
+
+  if (seatsError) {
+    return next(new ErrorResponse(seatsError, 400));
+  }
+
+  if (flight_id && !(await Flight.getFlightById(flight_id))) {
+    return next(new ErrorResponse(`Flight not found with id of ${flight_id}`, 404));
+  }
+
+  if (route_id && !(await Route.getRouteById(route_id))) {
+    return next(new ErrorResponse(`Route not found with id of ${route_id}`, 404));
+  }
+
+  try {
+    const ruleId = await Overbooking.createRule(req.body);
+    const rule = await Overbooking.getRuleById(ruleId);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse(`An overbooking rule for ${req.body.class} already exists for this ${flight_id ? 'flight' : 'route'}`, 409));
+    }
+    throw error;
+  }
+});
+
+// @desc    Change the allowance of an overbooking rule
+// @route   PUT /api/overbooking-rules/:id
+// @access  Private/Admin
+exports.updateOverbookingRule = asyncHandler(async (req, res, next) => {
+  let rule = await Overbooking.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Overbooking rule not found with id of ${req.params.id}`, 404));
+  }
+
+  const seatsError = validateExtraSeats(req.body.extra_seats);
+
+  if (seatsError) {
+    return next(new ErrorResponse(seatsError, 400));
+  }
+
+  await Overbooking.updateRule(req.params.id, Number(req.body.extra_seats));
+  rule = await Overbooking.getRuleById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete overbooking rule
+// @route   DELETE /api/overbooking-rules/:id
+// @access  Private/Admin
+exports.deleteOverbookingRule = asyncHandler(async (req, res, next) => {
+  const rule = await Overbooking.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Overbooking rule not found with id of ${req.params.id}`, 404));
+  }
+
+  await Overbooking.deleteRule(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,270 @@
+const Payment = require('../models/paymentModel');
+const Ticket = require('../models/ticketModel');
+const Booking = require('../models/bookingModel');
+const PaymentService = require('../services/paymentService');
+const { PROVIDER_NAMES } = require('../services/payments');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'worker';
+
+/**
+ * Load the payment intent named in the route and check the user may act on it
+ * @param {Object} req - Request with :reference
+ * @returns {Promise<Object>} { intent } or { error }
+ */
+const loadIntent = async (req) => {
+  const intent = await Payment.getIntentByReference(req.params.reference);
+
+  if (!intent || (!isStaff(req.user) && intent.user_id !== req.user.user_id)) {
+    return { error: new ErrorResponse(`Payment not found with reference ${req.params.reference}`, 404) };
+  }
+
+  return { intent };
+};
+
+// @desc    Get payments (own payments for customers; staff may filter by user_id)
+// @route   GET /api/payments
+// @access  Private
+exports.getPayments = asyncHandler(async (req, res, next) => {
+  const userId = isStaff(req.user)
+    ? (parseInt(req.query.user_id, 10) || null)
+    : req.user.user_id;
+
+  const intents = await Payment.getIntents(userId);
+
+  res.status(200).json({
+    success: true,
+    count: intents.length,
+    data: intents
+  });
+});
+
+// @desc    Get payment by reference, with its tickets and refunds
+// @route   GET /api/payments/:reference
+// @access  Private
+exports.getPayment = asyncHandler(async (req, res, next) => {
+  const { intent, error } = await loadIntent(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: intent
+  });
+});
+
+// @desc    Start paying for tickets or a whole booking
+// @route   POST /api/payments/intents
+// @access  Private
+exports.createPaymentIntent = asyncHandler(async (req, res, next) => {
+  const { ticket_ids, booking_reference } = req.body;
+  let ticketIds = ticket_ids;
+  let bookingId = null;
+
+  if (booking_reference) {
+    const booking = await Booking.getBookingByReference(booking_reference);
+
+    if (!booking || (!isStaff(req.user) && booking.user_id !== req.user.user_id)) {
+      return next(new ErrorResponse(`Booking not found with reference ${booking_reference}`, 404));
+    }
+
+    bookingId = booking.booking_id;
+    ticketIds = booking.tickets
+      .filter(ticket => ticket.status !== 'cancelled' && ticket.payment_status === 'pending')
+      .map(ticket => ticket.ticket_id);
+
+    if (ticketIds.length === 0) {
+      return next(new ErrorResponse('This booking has no tickets awaiting payment', 400));
+    }
+  } else if (!Array.isArray(ticket_ids) || ticket_ids.length === 0) {
+    return next(new ErrorResponse('Please provide ticket_ids or booking_reference', 400));
+  }
+
+  const tickets = await Ticket.getTicketsForPayment(ticketIds);
+
+  if (tickets.length !== new Set(ticketIds.map(Number)).size) {
+    return next(new ErrorResponse('One or more tickets were not found', 404));
+  }
+
+  for (const ticket of tickets) {
+    if (!bookingId && !isStaff(req.user) && ticket.user_id !== req.user.user_id) {
+      return next(new ErrorResponse(`Not authorized to pay for ticket ${ticket.ticket_id}`, 403));
+    }
+
+    if (ticket.status === 'cancelled' || ticket.payment_status !== 'pending') {
+      return next(new ErrorResponse(`Ticket ${ticket.ticket_id} is not awaiting payment`, 400));
+    }
+
+    if (ticket.payment_intent_id && !['failed', 'canceled'].includes(ticket.payment_intent_status)) {
+      return next(new ErrorResponse(`Ticket ${ticket.ticket_id} already has a payment in progress`, 409));
+    }
+  }
+
+  if (new Set(tickets.map(ticket => ticket.currency)).size > 1) {
+    return next(new ErrorResponse('Tickets sold in different currencies must be paid for separately', 400));
+  }
+
+  try {
+    const intent = await PaymentService.createIntent({
+      userId: req.user.user_id,
+      tickets,
+      bookingId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: intent
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error creating payment: ${error.message}`, 500));
+  }
+});
+
+// @desc    Authorize a payment method for a payment
+// @route   POST /api/payments/:reference/authorize
+// @access  Private
+exports.authorizePayment = asyncHandler(async (req, res, next) => {
+  const { intent, error } = await loadIntent(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!req.body.payment_method) {
+    return next(new ErrorResponse('Please provide payment_method', 400));
+  }
+
+  if (intent.status !== 'requires_authorization') {
+    return next(new ErrorResponse(`Payment cannot be authorized while ${intent.status}`, 400));
+  }
+
+  try {
+    const updated = await PaymentService.authorize(intent, req.body.payment_method);
+
+    if (updated.status === 'failed') {
+      return next(new ErrorResponse(`Payment declined: ${updated.failure_reason}`, 402));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error authorizing payment: ${error.message}`, 502));
+  }
+});
+
+// @desc    Capture an authorized payment, completing payment of its tickets
+// @route   POST /api/payments/:reference/capture
+// @access  Private
+exports.capturePayment = asyncHandler(async (req, res, next) => {
+  const { intent, error } = await loadIntent(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (intent.status !== 'authorized') {
+    return next(new ErrorResponse(`Only authorized payments can be captured (payment is ${intent.status})`, 400));
+  }
+
+  try {
+    const updated = await PaymentService.capture(intent);
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error capturing payment: ${error.message}`, 502));
+  }
+});
+
+// @desc    Cancel a payment that has not been captured
+// @route   POST /api/payments/:reference/cancel
+// @access  Private
+exports.cancelPayment = asyncHandler(async (req, res, next) => {
+  const { intent, error } = await loadIntent(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!PaymentService.OPEN_STATUSES.includes(intent.status)) {
+    return next(new ErrorResponse(`Payment cannot be cancelled while ${intent.status}`, 400));
+  }
+
+  try {
+    const updated = await PaymentService.cancel(intent);
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error cancelling payment: ${error.message}`, 502));
+  }
+});
+
+// @desc    Refund part or all of a captured payment
+// @route   POST /api/payments/:reference/refund
+// @access  Private/Admin/Staff
+exports.refundPayment = asyncHandler(async (req, res, next) => {
+  const { intent, error } = await loadIntent(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (!PaymentService.REFUNDABLE_STATUSES.includes(intent.status)) {
+    return next(new ErrorResponse(`Payment cannot be refunded while ${intent.status}`, 400));
+  }
+
+  const remaining = Math.round((parseFloat(intent.amount_captured) - parseFloat(intent.amount_refunded)) * 100) / 100;
+  const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : remaining;
+
+  if (isNaN(amount) || amount <= 0 || amount > remaining) {
+    return next(new ErrorResponse(`Refund amount must be more than 0 and at most ${remaining}`, 400));
+  }
+
+  try {
+    const updated = await PaymentService.refund(intent, amount, { reason: req.body.reason });
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    // Another refund changed the payment after it was read above
+    if (/^Payment cannot be refunded|^Refund amount must/.test(error.message)) {
+      return next(new ErrorResponse(error.message, 409));
+    }
+    return next(new ErrorResponse(`Error refunding payment: ${error.message}`, 502));
+  }
+});
+
+// @desc    Receive payment events from a provider
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signed by the provider)
+exports.receiveWebhook = asyncHandler(async (req, res, next) => {
+  if (!PROVIDER_NAMES.includes(req.params.provider)) {
+    return next(new ErrorResponse(`Unknown payment provider: ${req.params.provider}`, 404));
+  }
+
+  const result = await PaymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+  if (!result.valid) {
+    return next(new ErrorResponse('Invalid webhook signature', 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      received: true,
+      duplicate: result.duplicate
+    }
+  });
+});
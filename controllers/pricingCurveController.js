@@ -0,0 +1,197 @@
+const PricingCurve = require('../models/pricingCurveModel');
+const Fare = require('../models/fareModel');
+const Flight = require('../models/flightModel');
+const Route = require('../models/routeModel');
+const PricingEngine = require('../services/pricingEngineService');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+
+// @desc    Get all pricing curves
+// @route   GET /api/pricing-curves
+// @access  Private/Admin/Staff
+exports.getPricingCurves = asyncHandler(async (req, res, next) => {
+  const curves = await PricingCurve.getCurves();
+
+  res.status(200).json({
+    success: true,
+    count: curves.length,
+    data: curves
+  });
+});
+
+// @desc    Get single pricing curve
+// @route   GET /api/pricing-curves/:id
+// @access  Private/Admin/Staff
+exports.getPricingCurve = asyncHandler(async (req, res, next) => {
+  const curve = await PricingCurve.getCurveById(req.params.id);
+
+  if (!curve) {
+    return next(new ErrorResponse(`Pricing curve not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: curve
+  });
+});
+
+// @desc    Create the pricing curve of a route
+// @route   POST /api/pricing-curves
+// @access  Private/Admin
+exports.createPricingCurve = asyncHandler(async (req, res, next) => {
+  if (!req.body.route_id) {
+    return next(new ErrorResponse('Please provide route_id', 400));
+  }
+
+  const validationError = PricingEngine.validateCurve(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  if (!(await Route.getRouteById(req.body.route_id))) {
+    return next(new ErrorResponse(`Route not found with id of ${req.body.route_id}`, 404));
+  }
+
+  try {
+    const curveId = await PricingCurve.createCurve(req.body);
+    const curve = await PricingCurve.getCurveById(curveId);
+
+    res.status(201).json({
+      success: true,
+      data: curve
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse('This route already has a pricing curve', 409));
+    }
+    throw error;
+  }
+});
+
+// @desc    Update pricing curve
+// @route   PUT /api/pricing-curves/:id
+// @access  Private/Admin
+exports.updatePricingCurve = asyncHandler(async (req, res, next) => {
+  let curve = await PricingCurve.getCurveById(req.params.id);
+
+  if (!curve) {
+    return next(new ErrorResponse(`Pricing curve not found with id of ${req.params.id}`, 404));
+  }
+
+  const validationError = PricingEngine.validateCurve({
+    load_factor_steps: req.body.load_factor_steps !== undefined ? req.body.load_factor_steps : curve.load_factor_steps,
+    days_steps: req.body.days_steps !== undefined ? req.body.days_steps : curve.days_steps,
+    min_multiplier: req.body.min_multiplier !== undefined ? req.body.min_multiplier : curve.min_multiplier,
+    max_multiplier: req.body.max_multiplier !== undefined ? req.body.max_multiplier : curve.max_multiplier
+  });
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  await PricingCurve.updateCurve(req.params.id, req.body);
+  curve = await PricingCurve.getCurveById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: curve
+  });
+});
+
+// @desc    Delete pricing curve
+// @route   DELETE /api/pricing-curves/:id
+// @access  Private/Admin
+exports.deletePricingCurve = asyncHandler(async (req, res, next) => {
+  const curve = await PricingCurve.getCurveById(req.params.id);
+
+  if (!curve) {
+    return next(new ErrorResponse(`Pricing curve not found with id of ${req.params.id}`, 404));
+  }
+
+  await PricingCurve.deleteCurve(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Simulate the fare of a flight's class under a given load factor and days to departure,
+//          with the route's curve or a curve sent in the request
+// @route   POST /api/pricing-curves/simulate
+// @access  Private/Admin/Staff
+exports.simulatePrice = asyncHandler(async (req, res, next) => {
+  const { flight_id, load_factor, days_to_departure, curve: requestCurve } = req.body;
+  const seatClass = req.body.class || 'economy';
+
+  if (!flight_id) {
+    return next(new ErrorResponse('Please provide flight_id', 400));
+  }
+
+  if (!SEAT_CLASSES.includes(seatClass)) {
+    return next(new ErrorResponse(`Class must be one of: ${SEAT_CLASSES.join(', ')}`, 400));
+  }
+
+  if (load_factor !== undefined && (isNaN(Number(load_factor)) || Number(load_factor) < 0 || Number(load_factor) > 1)) {
+    return next(new ErrorResponse('load_factor must be between 0 and 1', 400));
+  }
+
+  if (days_to_departure !== undefined && (isNaN(Number(days_to_departure)) || Number(days_to_departure) < 0)) {
+    return next(new ErrorResponse('days_to_departure must be 0 or more', 400));
+  }
+
+  if (requestCurve) {
+    const validationError = PricingEngine.validateCurve(requestCurve);
+
+    if (validationError) {
+      return next(new ErrorResponse(validationError, 400));
+    }
+  }
+
+  const flight = await Flight.getFlightById(flight_id);
+
+  if (!flight) {
+    return next(new ErrorResponse(`Flight not found with id of ${flight_id}`, 404));
+  }
+
+  const fare = await Fare.quoteFare(flight.flight_id, seatClass, { dynamic: false });
+
+  if (!fare) {
+    return next(new ErrorResponse(`No ${seatClass} fares left on this flight`, 409));
+  }
+
+  const curve = requestCurve || await PricingCurve.getCurveByRoute(flight.route_id);
+  const current = {
+    load_factor: await PricingCurve.getLoadFactor(flight.flight_id, seatClass),
+    days_to_departure: PricingEngine.getDaysToDeparture(flight.departure_time)
+  };
+  const conditions = {
+    load_factor: load_factor !== undefined ? Number(load_factor) : current.load_factor,
+    days_to_departure: days_to_departure !== undefined ? Number(days_to_departure) : current.days_to_departure
+  };
+  // Without a curve the fare is not adjusted
+  const pricing = PricingEngine.calculateMultiplier(curve || {}, conditions.load_factor, conditions.days_to_departure);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      flight_id: flight.flight_id,
+      flight_number: flight.flight_number,
+      class: seatClass,
+      curve: requestCurve ? 'request' : (curve ? curve.curve_id : null),
+      current_conditions: {
+        load_factor: Math.round(current.load_factor * 1000) / 1000,
+        days_to_departure: Math.round(current.days_to_departure * 10) / 10
+      },
+      booking_code: fare.booking_code,
+      fare_family: fare.fare_family,
+      base_fare: fare.base_fare,
+      seasonal_adjustment: fare.seasonal_adjustment,
+      ...pricing,
+      price: PricingEngine.applyMultiplier(fare.price, pricing.multiplier)
+    }
+  });
+});
@@ -0,0 +1,268 @@
+const Promotion = require('../models/promotionModel');
+const Route = require('../models/routeModel');
+const Fare = require('../models/fareModel');
+const Flight = require('../models/flightModel');
+const ExchangeRate = require('../models/exchangeRateModel');
+const TicketPricing = require('../services/ticketPricingService');
+const Currency = require('../services/currencyService');
+const config = require('../config/config');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/i;
+
+/**
+ * Check the fields of a promotion request body
+ * @param {Object} body - Request body
+ * @param {Object} promotion - Promotion being updated, if any
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validatePromotion = (body, promotion = null) => {
+  const merged = { ...promotion, ...body };
+
+  if (!promotion && (!body.code || !CODE_PATTERN.test(body.code))) {
+    return 'code must be 3 to 32 letters, digits, dashes or underscores';
+  }
+
+  const type = merged.discount_type || 'percent';
+  const value = Number(merged.discount_value);
+
+  if (!Promotion.DISCOUNT_TYPES.includes(type)) {
+    return `discount_type must be one of: ${Promotion.DISCOUNT_TYPES.join(', ')}`;
+  }
+
+  if (!(value > 0) || (type === 'percent' && value > 100)) {
+    return type === 'percent'
+      ? 'discount_value must be a percentage above 0 and up to 100'
+      : 'discount_value must be a positive amount';
+  }
+
+  for (const field of ['valid_from', 'valid_to']) {
+    if (body[field] !== undefined && body[field] !== null && isNaN(new Date(body[field]).getTime())) {
+      return `${field} must be a date`;
+    }
+  }
+
+  if (merged.valid_from && merged.valid_to && new Date(merged.valid_from) > new Date(merged.valid_to)) {
+    return 'valid_from must be before valid_to';
+  }
+
+  for (const field of ['max_uses', 'max_uses_per_user']) {
+    if (body[field] !== undefined && body[field] !== null &&
+        (!Number.isInteger(Number(body[field])) || Number(body[field]) < 1)) {
+      return `${field} must be a whole number of at least 1`;
+    }
+  }
+
+  if (body.class !== undefined && body.class !== null && !SEAT_CLASSES.includes(body.class)) {
+    return `class must be one of: ${SEAT_CLASSES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check that the route and fare family a promotion is limited to exist
+ * @param {Object} body - Request body
+ * @returns {Promise<string|null>} Error message, or null when they exist
+ */
+const checkEligibilityTargets = async (body) => {
+  if (body.route_id && !(await Route.getRouteById(body.route_id))) {
+    return `Route not found with id of ${body.route_id}`;
+  }
+
+  if (body.fare_family_id && !(await Fare.getFareFamilyById(body.fare_family_id))) {
+    return `Fare family not found with id of ${body.fare_family_id}`;
+  }
+
+  return null;
+};
+
+// @desc    Get all promotions
+// @route   GET /api/promotions
+// @access  Private/Admin/Staff
+exports.getPromotions = asyncHandler(async (req, res, next) => {
+  const promotions = await Promotion.getPromotions();
+
+  res.status(200).json({
+    success: true,
+    count: promotions.length,
+    data: promotions
+  });
+});
+
+// @desc    Get single promotion
+// @route   GET /api/promotions/:id
+// @access  Private/Admin/Staff
+exports.getPromotion = asyncHandler(async (req, res, next) => {
+  const promotion = await Promotion.getPromotionById(req.params.id);
+
+  if (!promotion) {
+    return next(new ErrorResponse(`Promotion not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: promotion
+  });
+});
+
+// @desc    Create promotion
+// @route   POST /api/promotions
+// @access  Private/Admin
+exports.createPromotion = asyncHandler(async (req, res, next) => {
+  const validationError = validatePromotion(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  const targetError = await checkEligibilityTargets(req.body);
+
+  if (targetError) {
+    return next(new ErrorResponse(targetError, 404));
+  }
+
+  try {
+    const promotionId = await Promotion.createPromotion(req.body);
+    const promotion = await Promotion.getPromotionById(promotionId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new ErrorResponse(`Promo code ${req.body.code.toUpperCase()} already exists`, 409));
+    }
+    throw error;
+  }
+});
+
+// @desc    Update promotion
+// @route   PUT /api/promotions/:id
+// @access  Private/Admin
+exports.updatePromotion = asyncHandler(async (req, res, next) => {
+  let promotion = await Promotion.getPromotionById(req.params.id);
+
+  if (!promotion) {
+    return next(new ErrorResponse(`Promotion not found with id of ${req.params.id}`, 404));
+  }
+
+  const validationError = validatePromotion(req.body, promotion);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  const targetError = await checkEligibilityTargets(req.body);
+
+  if (targetError) {
+    return next(new ErrorResponse(targetError, 404));
+  }
+
+  await Promotion.updatePromotion(req.params.id, req.body);
+  promotion = await Promotion.getPromotionById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: promotion
+  });
+});
+
+// @desc    Delete a promotion no ticket was sold with
+// @route   DELETE /api/promotions/:id
+// @access  Private/Admin
+exports.deletePromotion = asyncHandler(async (req, res, next) => {
+  const promotion = await Promotion.getPromotionById(req.params.id);
+
+  if (!promotion) {
+    return next(new ErrorResponse(`Promotion not found with id of ${req.params.id}`, 404));
+  }
+
+  try {
+    await Promotion.deletePromotion(req.params.id);
+  } catch (error) {
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return next(new ErrorResponse('Promotion has been used on tickets; deactivate it instead', 409));
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion deleted successfully'
+  });
+});
+
+// @desc    Check what a promo code and/or voucher take off a flight's fare before booking
+// @route   POST /api/promotions/check
+// @access  Private
+exports.checkDiscounts = asyncHandler(async (req, res, next) => {
+  const { flight_id, promo_code, voucher_code, fare_family } = req.body;
+  const seatClass = req.body.class || 'economy';
+  const currency = (req.body.currency || config.BASE_CURRENCY).toUpperCase();
+
+  if (!flight_id || (!promo_code && !voucher_code)) {
+    return next(new ErrorResponse('Please provide flight_id and a promo_code or voucher_code', 400));
+  }
+
+  if (!SEAT_CLASSES.includes(seatClass)) {
+    return next(new ErrorResponse(`Class must be one of: ${SEAT_CLASSES.join(', ')}`, 400));
+  }
+
+  const exchangeRate = await ExchangeRate.getRate(currency);
+
+  if (exchangeRate === null) {
+    return next(new ErrorResponse(`No exchange rate for ${currency}`, 400));
+  }
+
+  const flight = await Flight.getFlightById(flight_id);
+
+  if (!flight) {
+    return next(new ErrorResponse(`Flight not found with id of ${flight_id}`, 404));
+  }
+
+  const fare = await Fare.quoteFare(flight.flight_id, seatClass, { fareFamily: fare_family });
+
+  if (!fare) {
+    return next(new ErrorResponse(`No ${fare_family ? `${fare_family} ` : ''}${seatClass} fares left on this flight`, 409));
+  }
+
+  let pricing;
+
+  try {
+    pricing = Currency.convertPricing(await TicketPricing.priceTicket({
+      user_id: req.user.user_id,
+      flight_id: flight.flight_id,
+      route_id: flight.route_id,
+      class: seatClass,
+      fare_family: fare.fare_family,
+      fare: fare.price,
+      promo_code,
+      voucher_code
+    }), exchangeRate);
+  } catch (error) {
+    return next(new ErrorResponse(error.message, 400));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      flight_id: flight.flight_id,
+      class: seatClass,
+      fare_family: fare.fare_family,
+      currency,
+      fare: Currency.convert(fare.price, exchangeRate),
+      discount_amount: pricing.discount_amount,
+      base_fare: pricing.base_fare,
+      taxes: pricing.taxes,
+      taxes_amount: pricing.taxes_amount,
+      voucher_amount: pricing.voucher_amount,
+      price: pricing.price
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const RefundRule = require('../models/refundRuleModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+
+/**
+ * Check refund rule fields that were sent
+ * @param {Object} rule - Rule data from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRule = (rule) => {
+  if (rule.class !== undefined && rule.class !== null && !SEAT_CLASSES.includes(rule.class)) {
+    return `Class must be one of: ${SEAT_CLASSES.join(', ')} (or null for every class)`;
+  }
+
+  if (rule.min_hours_before_departure !== undefined &&
+      (!Number.isInteger(Number(rule.min_hours_before_departure)) || Number(rule.min_hours_before_departure) < 0)) {
+    return 'min_hours_before_departure must be a whole number of hours, 0 or more';
+  }
+
+  if (rule.refund_percent !== undefined) {
+    const percent = Number(rule.refund_percent);
+    if (isNaN(percent) || percent < 0 || percent > 100) {
+      return 'refund_percent must be between 0 and 100';
+    }
+  }
+
+  if (rule.cancellation_fee !== undefined) {
+    const fee = Number(rule.cancellation_fee);
+    if (isNaN(fee) || fee < 0) {
+      return 'cancellation_fee must be 0 or more';
+    }
+  }
+
+  return null;
+};
+
+// @desc    Get all refund rules
+// @route   GET /api/refund-rules
+// @access  Public
+exports.getRefundRules = asyncHandler(async (req, res, next) => {
+  const rules = await RefundRule.getAllRules();
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get single refund rule
+// @route   GET /api/refund-rules/:id
+// @access  Public
+exports.getRefundRule = asyncHandler(async (req, res, next) => {
+  const rule = await RefundRule.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Refund rule not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create refund rule
+// @route   POST /api/refund-rules
+// @access  Private/Admin
+exports.createRefundRule = asyncHandler(async (req, res, next) => {
+  if (req.body.min_hours_before_departure === undefined || req.body.refund_percent === undefined) {
+    return next(new ErrorResponse('Please provide min_hours_before_departure and refund_percent', 400));
+  }
+
+  const ruleError = validateRule(req.body);
+
+  if (ruleError) {
+    return next(new ErrorResponse(ruleError, 400));
+  }
+
+  const ruleId = await RefundRule.createRule(req.body);
+  const rule = await RefundRule.getRuleById(ruleId);
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Update refund rule
+// @route   PUT /api/refund-rules/:id
+// @access  Private/Admin
+exports.updateRefundRule = asyncHandler(async (req, res, next) => {
+  let rule = await RefundRule.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Refund rule not found with id of ${req.params.id}`, 404));
+  }
+
+  const ruleError = validateRule(req.body);
+
+  if (ruleError) {
+    return next(new ErrorResponse(ruleError, 400));
+  }
+
+  await RefundRule.updateRule(req.params.id, req.body);
+  rule = await RefundRule.getRuleById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete refund rule
+// @route   DELETE /api/refund-rules/:id
+// @access  Private/Admin
+exports.deleteRefundRule = asyncHandler(async (req, res, next) => {
+  const rule = await RefundRule.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Refund rule not found with id of ${req.params.id}`, 404));
+  }
+
+  await RefundRule.deleteRule(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -35,6 +35,13 @@ exports.getRoute = asyncHandler(async (req, res, next) => {
 // @route   POST /api/routes
 // @access  Private/Admin
 exports.createRoute = asyncHandler(async (req, res, next) => {
+  // Both endpoints must be registered airports
+  const airportError = await Route.validateAirports(req.body.origin, req.body.destination);
+  
+  if (airportError) {
+    return next(new ErrorResponse(airportError, 400));
+  }
+  
   // Check if route already exists
   const exists = await Route.routeExists(req.body.origin, req.body.destination);
   
@@ -69,6 +76,12 @@ exports.updateRoute = asyncHandler(async (req, res, next) => {
     const origin = req.body.origin || route.origin;
     const destination = req.body.destination || route.destination;
     
+    const airportError = await Route.validateAirports(origin, destination);
+    
+    if (airportError) {
+      return next(new ErrorResponse(airportError, 400));
+    }
+    
     const exists = await Route.routeExists(origin, destination, req.params.id);
     
     if (exists) {
@@ -0,0 +1,168 @@
+const Season = require('../models/seasonModel');
+const Route = require('../models/routeModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a value is a date in YYYY-MM-DD form
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid date
+ */
+const isDate = (value) => DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * Check the fields of a season request body
+ * @param {Object} body - Request body
+ * @param {Object} season - Season being updated, if any
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validateSeason = (body, season = null) => {
+  const merged = { ...season, ...body };
+
+  if (!merged.name || !merged.start_date || !merged.end_date) {
+    return 'Please provide name, start_date and end_date';
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (!isDate(merged[field])) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+
+  if (new Date(merged.start_date) > new Date(merged.end_date)) {
+    return 'start_date must be on or before end_date';
+  }
+
+  const type = merged.adjustment_type || 'percent';
+  const value = merged.adjustment_value === undefined ? 0 : Number(merged.adjustment_value);
+
+  if (!Season.ADJUSTMENT_TYPES.includes(type)) {
+    return `adjustment_type must be one of: ${Season.ADJUSTMENT_TYPES.join(', ')}`;
+  }
+
+  if (merged.adjustment_value === null || isNaN(value)) {
+    return 'adjustment_value must be a number';
+  }
+
+  if (type === 'percent' && value <= -100) {
+    return 'A percent adjustment must be above -100';
+  }
+
+  // Blackout dates suspend discounts, so they can't carry one
+  if (merged.is_blackout && value < 0) {
+    return 'A blackout season cannot lower fares';
+  }
+
+  return null;
+};
+
+// @desc    Get seasons, optionally for a route or overlapping a date range
+// @route   GET /api/seasons?route_id=&from=&to=
+// @access  Private/Admin/Staff
+exports.getSeasons = asyncHandler(async (req, res, next) => {
+  const { route_id, from, to } = req.query;
+
+  for (const [field, value] of [['from', from], ['to', to]]) {
+    if (value && !isDate(value)) {
+      return next(new ErrorResponse(`${field} must be a date (YYYY-MM-DD)`, 400));
+    }
+  }
+
+  const seasons = await Season.getSeasons({ route_id, from, to });
+
+  res.status(200).json({
+    success: true,
+    count: seasons.length,
+    data: seasons
+  });
+});
+
+// @desc    Get single season
+// @route   GET /api/seasons/:id
+// @access  Private/Admin/Staff
+exports.getSeason = asyncHandler(async (req, res, next) => {
+  const season = await Season.getSeasonById(req.params.id);
+
+  if (!season) {
+    return next(new ErrorResponse(`Season not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: season
+  });
+});
+
+// @desc    Create a season for a route, or network-wide without route_id
+// @route   POST /api/seasons
+// @access  Private/Admin
+exports.createSeason = asyncHandler(async (req, res, next) => {
+  const validationError = validateSeason(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  if (req.body.route_id && !(await Route.getRouteById(req.body.route_id))) {
+    return next(new ErrorResponse(`Route not found with id of ${req.body.route_id}`, 404));
+  }
+
+  const seasonId = await Season.createSeason(req.body);
+  const season = await Season.getSeasonById(seasonId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Season created successfully',
+    data: season
+  });
+});
+
+// @desc    Update season
+// @route   PUT /api/seasons/:id
+// @access  Private/Admin
+exports.updateSeason = asyncHandler(async (req, res, next) => {
+  let season = await Season.getSeasonById(req.params.id);
+
+  if (!season) {
+    return next(new ErrorResponse(`Season not found with id of ${req.params.id}`, 404));
+  }
+
+  const validationError = validateSeason(req.body, season);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  if (req.body.route_id && !(await Route.getRouteById(req.body.route_id))) {
+    return next(new ErrorResponse(`Route not found with id of ${req.body.route_id}`, 404));
+  }
+
+  await Season.updateSeason(req.params.id, req.body);
+  season = await Season.getSeasonById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Season updated successfully',
+    data: season
+  });
+});
+
+// @desc    Delete season
+// @route   DELETE /api/seasons/:id
+// @access  Private/Admin
+exports.deleteSeason = asyncHandler(async (req, res, next) => {
+  const season = await Season.getSeasonById(req.params.id);
+
+  if (!season) {
+    return next(new ErrorResponse(`Season not found with id of ${req.params.id}`, 404));
+  }
+
+  await Season.deleteSeason(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Season deleted successfully'
+  });
+});
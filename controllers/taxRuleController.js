@@ -0,0 +1,167 @@
+const TaxRule = require('../models/taxRuleModel');
+const Airport = require('../models/airportModel');
+const TaxService = require('../services/taxService');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const CODE_PATTERN = /^[A-Z0-9]{2,8}$/i;
+
+/**
+ * Check the fields of a tax rule request body
+ * @param {Object} body - Request body
+ * @param {Object} rule - Rule being updated, if any
+ * @returns {string|null} Validation error message, or null when valid
+ */
+const validateTaxRule = (body, rule = null) => {
+  const merged = { ...rule, ...body };
+
+  if (!merged.code || !merged.name || !merged.category) {
+    return 'Please provide code, name and category';
+  }
+
+  if (!CODE_PATTERN.test(merged.code)) {
+    return 'code must be 2 to 8 letters or digits, such as UA or YQ';
+  }
+
+  if (!TaxService.TAX_CATEGORIES.includes(merged.category)) {
+    return `category must be one of: ${TaxService.TAX_CATEGORIES.join(', ')}`;
+  }
+
+  const calculation = merged.calculation || 'fixed';
+  const amount = Number(merged.amount);
+
+  if (!TaxService.CALCULATIONS.includes(calculation)) {
+    return `calculation must be one of: ${TaxService.CALCULATIONS.join(', ')}`;
+  }
+
+  if (merged.amount === undefined || merged.amount === null || isNaN(amount) || amount < 0 ||
+      (calculation === 'percent' && amount > 100)) {
+    return calculation === 'percent'
+      ? 'amount must be a percentage from 0 to 100'
+      : 'amount must be 0 or more';
+  }
+
+  return null;
+};
+
+/**
+ * Check that the airports a tax rule is scoped to are in the registry
+ * @param {Object} body - Request body
+ * @returns {Promise<string|null>} Error message, or null when they exist
+ */
+const checkAirports = async (body) => {
+  const codes = [body.departure_airport, body.arrival_airport].filter(Boolean);
+  const airports = await Airport.getAirportsByCodes(codes);
+  const known = airports.map(airport => airport.iata_code);
+  const unknown = codes.filter(code => !known.includes(code.toUpperCase()));
+
+  return unknown.length > 0 ? `Unknown airport code(s): ${unknown.join(', ')}` : null;
+};
+
+// @desc    Get tax rules (filter with ?airport= or ?country=)
+// @route   GET /api/tax-rules
+// @access  Private/Admin/Staff
+exports.getTaxRules = asyncHandler(async (req, res, next) => {
+  const rules = await TaxRule.getRules({
+    airport: req.query.airport,
+    country: req.query.country
+  });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get single tax rule
+// @route   GET /api/tax-rules/:id
+// @access  Private/Admin/Staff
+exports.getTaxRule = asyncHandler(async (req, res, next) => {
+  const rule = await TaxRule.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Tax rule not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Create tax rule
+// @route   POST /api/tax-rules
+// @access  Private/Admin
+exports.createTaxRule = asyncHandler(async (req, res, next) => {
+  const validationError = validateTaxRule(req.body);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  const airportError = await checkAirports(req.body);
+
+  if (airportError) {
+    return next(new ErrorResponse(airportError, 400));
+  }
+
+  const ruleId = await TaxRule.createRule(req.body);
+  const rule = await TaxRule.getRuleById(ruleId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax rule created successfully',
+    data: rule
+  });
+});
+
+// @desc    Update tax rule
+// @route   PUT /api/tax-rules/:id
+// @access  Private/Admin
+exports.updateTaxRule = asyncHandler(async (req, res, next) => {
+  let rule = await TaxRule.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Tax rule not found with id of ${req.params.id}`, 404));
+  }
+
+  const validationError = validateTaxRule(req.body, rule);
+
+  if (validationError) {
+    return next(new ErrorResponse(validationError, 400));
+  }
+
+  const airportError = await checkAirports(req.body);
+
+  if (airportError) {
+    return next(new ErrorResponse(airportError, 400));
+  }
+
+  await TaxRule.updateRule(req.params.id, req.body);
+  rule = await TaxRule.getRuleById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule updated successfully',
+    data: rule
+  });
+});
+
+// @desc    Delete tax rule
+// @route   DELETE /api/tax-rules/:id
+// @access  Private/Admin
+exports.deleteTaxRule = asyncHandler(async (req, res, next) => {
+  const rule = await TaxRule.getRuleById(req.params.id);
+
+  if (!rule) {
+    return next(new ErrorResponse(`Tax rule not found with id of ${req.params.id}`, 404));
+  }
+
+  await TaxRule.deleteRule(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax rule deleted successfully'
+  });
+});
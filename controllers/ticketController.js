@@ -1,6 +1,20 @@
 const Ticket = require('../models/ticketModel');
 const Flight = require('../models/flightModel');
 const FlightSeats = require('../models/flightSeatsModel');
+const SeatHold = require('../models/seatHoldModel');
+const SeatAssignment = require('../services/seatAssignmentService');
+const RefundPolicy = require('../services/refundPolicyService');
+const Cancellation = require('../services/cancellationService');
+const CheckInService = require('../services/checkInService');
+const CheckIn = require('../models/checkInModel');
+const Overbooking = require('../models/overbookingModel');
+const Fare = require('../models/fareModel');
+const ExchangeRate = require('../models/exchangeRateModel');
+const TicketPricing = require('../services/ticketPricingService');
+const FareQuote = require('../services/fareQuoteService');
+const DeniedBoardingService = require('../services/deniedBoardingService');
+const SpecialService = require('../models/specialServiceModel');
+const config = require('../config/config');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/asyncHandler');
 
@@ -66,6 +80,9 @@ exports.printTicket = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Failed to generate printable ticket`, 500));
   }
   
+  const checkIn = await CheckIn.getCheckInByTicket(req.params.id);
+  printableTicket.boarding_pass = checkIn ? CheckInService.buildBoardingPass(checkIn) : null;
+  
   res.status(200).json({
     success: true,
     data: printableTicket
@@ -155,6 +172,7 @@ exports.generateTicketSalesReport = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     count: report.length,
+    currency: config.BASE_CURRENCY,
     data: report
   });
 });
@@ -177,15 +195,57 @@ exports.bookTicket = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Cannot book tickets for a completed flight', 400));
   }
   
+  // Set user ID from current user if not specified
+  if (!req.body.user_id) {
+    req.body.user_id = req.user.user_id;
+  }
+  
+  // Tickets are paid through the payments API, never by the booking request
+  delete req.body.payment_status;
+  delete req.body.payment_intent_id;
+  // Only disruption rebooking carries a replaced ticket's charges over, and only a quote token locks a rate
+  delete req.body.rebooked_from;
+  delete req.body.exchange_rate;
+  delete req.body.quote_id;
+  
   const ticketClass = req.body.class || 'economy';
-  const isSeatAvailable = await FlightSeats.isSeatAvailable(
-    req.body.flight_id,
-    ticketClass,
-    req.body.seat_number
-  );
   
-  if (!isSeatAvailable) {
-    return next(new ErrorResponse('Seat already booked or not available in this class', 409));
+  // Without a seat number, pick one by the passenger's seat preference
+  if (!req.body.seat_number) {
+    const preference = req.body.seat_preference || null;
+    
+    if (preference && !SeatAssignment.SEAT_PREFERENCES.includes(preference)) {
+      return next(new ErrorResponse(`Seat preference must be one of: ${SeatAssignment.SEAT_PREFERENCES.join(', ')}`, 400));
+    }
+    
+    const assigned = await SeatAssignment.assignSeats(req.body.flight_id, ticketClass, 1, {
+      preference,
+      userId: req.body.user_id
+    });
+    
+    if (assigned) {
+      req.body.seat_number = assigned[0];
+    } else {
+      const load = await Overbooking.getClassLoad(req.body.flight_id, ticketClass);
+      
+      if (load.sold >= load.seats + load.allowance) {
+        return next(new ErrorResponse(`No ${ticketClass} seats available on this flight; join its waitlist instead`, 409));
+      }
+      
+      // Sold past capacity: the ticket gets a seat when one frees up, at check-in or when staff resolve denied boarding
+      req.body.seat_number = null;
+    }
+  } else {
+    const isSeatAvailable = await FlightSeats.isSeatAvailable(
+      req.body.flight_id,
+      ticketClass,
+      req.body.seat_number,
+      req.body.user_id
+    );
+    
+    if (!isSeatAvailable) {
+      return next(new ErrorResponse('Seat already booked or not available in this class', 409));
+    }
   }
   
   if (ticketClass === 'woman_only') {
@@ -195,24 +255,85 @@ exports.bookTicket = asyncHandler(async (req, res, next) => {
     }
   }
   
-  // Set user ID from current user if not specified
-  if (!req.body.user_id) {
-    req.body.user_id = req.user.user_id;
+  // Tickets are sold from the cheapest open fare bucket; only staff may set a price by hand
+  if (req.user.role !== 'admin' && req.user.role !== 'worker') {
+    delete req.body.price;
+    delete req.body.is_refundable;
   }
+  delete req.body.fare_bucket_id;
   
-  // If price not provided, calculate based on flight base price and class multiplier
-  if (!req.body.price) {
-    // Get the appropriate multiplier for the class
-    const multiplierField = `${ticketClass}_class_multiplier`;
-    const defaultMultipliers = {
-      economy: 1.0,
-      business: 2.5,
-      first: 4.0,
-      woman_only: 1.2
-    };
+  // A quote token sells the ticket at the fare and exchange rate it was quoted at until it expires
+  if (req.body.quote_token) {
+    let quote;
+    
+    try {
+      quote = FareQuote.verifyQuote(req.body.quote_token);
+    } catch (error) {
+      return next(new ErrorResponse(error.message, 400));
+    }
+    
+    if (quote.user_id !== req.user.user_id || quote.flight_id !== flight.flight_id || quote.class !== ticketClass) {
+      return next(new ErrorResponse('This fare quote was issued for another flight, class or user', 400));
+    }
+    
+    if (req.body.currency && req.body.currency.toUpperCase() !== quote.currency) {
+      return next(new ErrorResponse(`This fare quote is in ${quote.currency}`, 400));
+    }
+    
+    if (await Ticket.isQuoteUsed(quote.jti)) {
+      return next(new ErrorResponse('This fare quote has already been used', 409));
+    }
+    
+    if (quote.fare_bucket_id && !(await Fare.isBucketOnSale(quote.fare_bucket_id))) {
+      return next(new ErrorResponse('The quoted fare is no longer on sale; request a new quote', 409));
+    }
     
-    const multiplier = flight[multiplierField] || defaultMultipliers[ticketClass];
-    req.body.price = flight.base_price * multiplier;
+    Object.assign(req.body, {
+      price: quote.fare,
+      fare_bucket_id: quote.fare_bucket_id,
+      fare_family: quote.fare_family,
+      is_refundable: quote.is_refundable,
+      currency: quote.currency,
+      exchange_rate: quote.exchange_rate,
+      quote_id: quote.jti
+    });
+  }
+  
+  if (req.body.fare_family && !(await Fare.getFareFamilyByCode(req.body.fare_family))) {
+    return next(new ErrorResponse(`Fare family not found with code ${req.body.fare_family}`, 400));
+  }
+  
+  // Otherwise the ticket is sold in the currency asked for at today's rate; a staff-set price is in the base currency
+  if (!req.body.exchange_rate) {
+    req.body.currency = (req.body.currency || config.BASE_CURRENCY).toUpperCase();
+    
+    if ((await ExchangeRate.getRate(req.body.currency)) === null) {
+      return next(new ErrorResponse(`No exchange rate for ${req.body.currency}`, 400));
+    }
+  }
+  
+  const fare = req.body.price ? null : await Fare.quoteFare(req.body.flight_id, ticketClass, { fareFamily: req.body.fare_family });
+  
+  if (!req.body.price && !fare) {
+    return next(new ErrorResponse(`No ${req.body.fare_family ? `${req.body.fare_family} ` : ''}${ticketClass} fares left on this flight`, 409));
+  }
+  
+  // Check promo codes and vouchers up front so a customer learns why one doesn't apply
+  if (req.body.promo_code || req.body.voucher_code) {
+    try {
+      await TicketPricing.priceTicket({
+        user_id: req.body.user_id,
+        flight_id: flight.flight_id,
+        route_id: flight.route_id,
+        class: ticketClass,
+        fare_family: fare ? fare.fare_family : req.body.fare_family || null,
+        fare: fare ? fare.price : parseFloat(req.body.price),
+        promo_code: req.body.promo_code,
+        voucher_code: req.body.voucher_code
+      });
+    } catch (error) {
+      return next(new ErrorResponse(error.message, 400));
+    }
   }
   
   try {
@@ -225,6 +346,10 @@ exports.bookTicket = asyncHandler(async (req, res, next) => {
       data: ticket
     });
   } catch (error) {
+    // Another booking took the quote or the bucket's last seat first
+    if (req.body.quote_id && (error.code === 'ER_DUP_ENTRY' || /^The quoted fare|^This fare quote/.test(error.message))) {
+      return next(new ErrorResponse(error.code === 'ER_DUP_ENTRY' ? 'This fare quote has already been used' : error.message, 409));
+    }
     return next(new ErrorResponse(`Error booking ticket: ${error.message}`, 500));
   }
 });
@@ -243,6 +368,10 @@ exports.updateTicket = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to update this ticket', 403));
   }
   
+  if (ticket.status === 'cancelled') {
+    return next(new ErrorResponse('Cannot update a cancelled ticket', 400));
+  }
+  
   if ((req.body.seat_number && req.body.seat_number !== ticket.seat_number) ||
       (req.body.class && req.body.class !== ticket.class)) {
     
@@ -252,7 +381,8 @@ exports.updateTicket = asyncHandler(async (req, res, next) => {
     const isSeatAvailable = await FlightSeats.isSeatAvailable(
       ticket.flight_id,
       newClass,
-      newSeat
+      newSeat,
+      ticket.user_id
     );
     
     if (!isSeatAvailable) {
@@ -274,6 +404,8 @@ exports.updateTicket = asyncHandler(async (req, res, next) => {
     };
   }
   
+  delete req.body.payment_status;
+  
   try {
     const updated = await Ticket.updateTicket(req.params.id, req.body);
     
@@ -292,9 +424,334 @@ exports.updateTicket = asyncHandler(async (req, res, next) => {
   }
 });
 
-// @desc    Delete ticket
-// @route   DELETE /api/tickets/:id
+// @desc    Check in for a flight and issue the boarding pass
+// @route   POST /api/tickets/:id/check-in
+// @access  Private
+exports.checkIn = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to check in this ticket', 403));
+  }
+  
+  if (ticket.status === 'cancelled') {
+    return next(new ErrorResponse('Cannot check in a cancelled ticket', 400));
+  }
+  
+  if (ticket.payment_status !== 'completed') {
+    return next(new ErrorResponse('Ticket must be paid before check-in', 400));
+  }
+  
+  if (!['scheduled', 'delayed'].includes(ticket.flight_status)) {
+    return next(new ErrorResponse(`Check-in is not available for a flight that is ${ticket.flight_status}`, 400));
+  }
+  
+  const existing = await CheckIn.getCheckInByTicket(req.params.id);
+  
+  if (existing) {
+    return next(new ErrorResponse('Ticket is already checked in', 409));
+  }
+  
+  const flight = await Flight.getFlightById(ticket.flight_id);
+  const checkInWindow = CheckInService.getCheckInWindow(flight);
+  
+  if (!checkInWindow.is_open) {
+    return next(new ErrorResponse(
+      `Online check-in is open from ${checkInWindow.opens_at.toISOString()} to ${checkInWindow.closes_at.toISOString()}`,
+      400
+    ));
+  }
+  
+  try {
+    let seatedTicket = ticket;
+    
+    // A ticket sold past capacity needs a free seat or a volunteer's seat first
+    if (!ticket.seat_number) {
+      const seatNumber = await DeniedBoardingService.seatTicket(ticket, flight, req.user.user_id);
+      
+      if (!seatNumber) {
+        return next(new ErrorResponse(
+          `The flight is oversold in ${ticket.class} and no seat is free yet; gate staff will seat you or compensate you for denied boarding`,
+          409
+        ));
+      }
+      
+      seatedTicket = await Ticket.getTicketById(ticket.ticket_id);
+    }
+    
+    const checkIn = await CheckInService.checkIn(seatedTicket, req.user.user_id, {
+      volunteer: req.body.volunteer === true
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: CheckInService.buildBoardingPass(checkIn)
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error checking in: ${error.message}`, 500));
+  }
+});
+
+// @desc    Volunteer (or stop volunteering) to give up a checked-in seat on an oversold flight
+// @route   PATCH /api/tickets/:id/volunteer
 // @access  Private
+exports.setDeniedBoardingVolunteer = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to update this ticket', 403));
+  }
+  
+  if (typeof req.body.volunteer !== 'boolean') {
+    return next(new ErrorResponse('Please provide volunteer as true or false', 400));
+  }
+  
+  if (ticket.status === 'cancelled') {
+    return next(new ErrorResponse('Ticket is cancelled', 400));
+  }
+  
+  const updated = await CheckIn.setVolunteer(ticket.ticket_id, req.body.volunteer);
+  
+  if (!updated) {
+    return next(new ErrorResponse('Ticket must be checked in to volunteer', 400));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      ticket_id: ticket.ticket_id,
+      volunteer: req.body.volunteer
+    }
+  });
+});
+
+// @desc    Get the boarding pass of a checked-in ticket
+// @route   GET /api/tickets/:id/boarding-pass
+// @access  Private
+exports.getBoardingPass = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to access this ticket', 403));
+  }
+  
+  const checkIn = await CheckIn.getCheckInByTicket(req.params.id);
+  
+  if (!checkIn || ticket.status === 'cancelled') {
+    return next(new ErrorResponse('No boarding pass: the ticket is not checked in', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: CheckInService.buildBoardingPass(checkIn)
+  });
+});
+
+// @desc    Get special service requests of a ticket
+// @route   GET /api/tickets/:id/ssrs
+// @access  Private
+exports.getSpecialServices = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to access this ticket', 403));
+  }
+  
+  const requests = await SpecialService.getRequestsForTicket(req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Add a special service request (wheelchair, meal, ...) to a ticket
+// @route   POST /api/tickets/:id/ssrs
+// @access  Private
+exports.addSpecialService = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to update this ticket', 403));
+  }
+  
+  if (ticket.status === 'cancelled') {
+    return next(new ErrorResponse('Cannot add requests to a cancelled ticket', 400));
+  }
+  
+  const code = String(req.body.code || '').toUpperCase();
+  
+  if (!SpecialService.SSR_CODES[code]) {
+    return next(new ErrorResponse(`Code must be one of: ${Object.keys(SpecialService.SSR_CODES).join(', ')}`, 400));
+  }
+  
+  const existing = await SpecialService.getRequestsForTicket(req.params.id);
+  
+  if (existing.some(request => request.code === code)) {
+    return next(new ErrorResponse(`Ticket already has a ${code} request`, 409));
+  }
+  
+  await SpecialService.createRequest({
+    ticket_id: ticket.ticket_id,
+    code,
+    note: req.body.note,
+    created_by: req.user.user_id
+  });
+  
+  const requests = await SpecialService.getRequestsForTicket(req.params.id);
+  
+  res.status(201).json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Remove a special service request from a ticket
+// @route   DELETE /api/tickets/:id/ssrs/:ssrId
+// @access  Private
+exports.deleteSpecialService = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to update this ticket', 403));
+  }
+  
+  const deleted = await SpecialService.deleteRequest(req.params.id, req.params.ssrId);
+  
+  if (!deleted) {
+    return next(new ErrorResponse(`Special service request not found with id of ${req.params.ssrId}`, 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get the refund the passenger would get for cancelling now
+// @route   GET /api/tickets/:id/refund-quote
+// @access  Private
+exports.getRefundQuote = asyncHandler(async (req, res, next) => {
+  const ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to view this ticket', 403));
+  }
+  
+  if (ticket.status === 'cancelled') {
+    return next(new ErrorResponse('Ticket is already cancelled', 400));
+  }
+  
+  // Ticket rows carry the flight's departure time, which is all the refund rules need
+  const refund = await RefundPolicy.calculateRefund(ticket, ticket);
+  
+  res.status(200).json({
+    success: true,
+    data: refund
+  });
+});
+
+// @desc    Cancel ticket, keeping it for sales history, and refund it by the refund rules
+// @route   PATCH /api/tickets/:id/cancel
+// @access  Private
+exports.cancelTicket = asyncHandler(async (req, res, next) => {
+  let ticket = await Ticket.getTicketById(req.params.id);
+  
+  if (!ticket) {
+    return next(new ErrorResponse(`Ticket not found with id of ${req.params.id}`, 404));
+  }
+  
+  if (req.user.role !== 'admin' && req.user.role !== 'worker' && req.user.user_id !== ticket.user_id) {
+    return next(new ErrorResponse('Not authorized to cancel this ticket', 403));
+  }
+  
+  if (ticket.status === 'cancelled') {
+    // Cancelling again resends a refund the provider rejected; it is never paid twice
+    const [resent] = await Cancellation.resendOwedRefunds([ticket], 'Cancelled by passenger');
+    
+    if (!resent) {
+      return next(new ErrorResponse('Ticket is already cancelled', 400));
+    }
+    
+    if (resent.refund_error) {
+      return next(new ErrorResponse(`Ticket is cancelled, but its refund failed: ${resent.refund_error}`, 502));
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        ticket,
+        refund: resent
+      }
+    });
+  }
+  
+  if (['departed', 'arrived', 'canceled'].includes(ticket.flight_status)) {
+    return next(new ErrorResponse(`Cannot cancel a ticket for a flight that is ${ticket.flight_status}`, 400));
+  }
+  
+  let cancellation;
+  
+  try {
+    cancellation = await Cancellation.cancelTicket(req.params.id, 'Cancelled by passenger');
+  } catch (error) {
+    if (error.message === 'Ticket is already cancelled') {
+      return next(new ErrorResponse(error.message, 409));
+    }
+    return next(new ErrorResponse(`Error cancelling ticket: ${error.message}`, 500));
+  }
+  
+  if (cancellation.refund_error) {
+    return next(new ErrorResponse(
+      `Ticket is cancelled, but its refund failed: ${cancellation.refund_error}; cancel it again to retry the refund`,
+      502
+    ));
+  }
+  
+  ticket = await Ticket.getTicketById(req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      ticket,
+      refund: cancellation.refund
+    }
+  });
+});
+
+// @desc    Delete ticket record (use cancel to keep the sales history)
+// @route   DELETE /api/tickets/:id
+// @access  Private/Admin
 exports.deleteTicket = asyncHandler(async (req, res, next) => {
   const ticket = await Ticket.getTicketById(req.params.id);
   
@@ -306,6 +763,11 @@ exports.deleteTicket = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to delete this ticket', 403));
   }
   
+  // Deleting skips the refund rules and the seat release; cancel the ticket first
+  if (ticket.status !== 'cancelled') {
+    return next(new ErrorResponse('Cancel the ticket before deleting its record', 409));
+  }
+  
   const flight = await Flight.getFlightById(ticket.flight_id);
   if (flight.status !== 'scheduled' && flight.status !== 'boarding' && req.user.role !== 'admin') {
     return next(new ErrorResponse('Cannot cancel ticket for a flight that has departed', 400));
@@ -319,11 +781,17 @@ exports.deleteTicket = asyncHandler(async (req, res, next) => {
       data: {}
     });
   } catch (error) {
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return next(new ErrorResponse('Ticket has check-in, payment or disruption records and cannot be deleted', 409));
+    }
+    if (error.message === 'Only cancelled tickets can be deleted') {
+      return next(new ErrorResponse(error.message, 409));
+    }
     return next(new ErrorResponse(`Error deleting ticket: ${error.message}`, 500));
   }
 });
 
-// @desc    Update ticket payment status
+// @desc    Reset ticket payment status to pending (payments are completed and refunded through /api/payments)
 // @route   PATCH /api/tickets/:id/payment
 // @access  Private/Admin
 exports.updatePaymentStatus = asyncHandler(async (req, res, next) => {
@@ -333,7 +801,11 @@ exports.updatePaymentStatus = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide payment status', 400));
   }
   
-  if (!['pending', 'completed', 'refunded'].includes(payment_status)) {
+  if (['completed', 'refunded'].includes(payment_status)) {
+    return next(new ErrorResponse('Payments are completed by capturing them and refunded through /api/payments', 400));
+  }
+  
+  if (payment_status !== 'pending') {
     return next(new ErrorResponse('Invalid payment status', 400));
   }
   
@@ -367,21 +839,11 @@ exports.getAvailableSeats = asyncHandler(async (req, res, next) => {
   const availableSeats = await Ticket.getAvailableSeatsByClass(flightId, seatClass);
   
   const prices = {};
-  if (flight.base_price) {
-    const classes = seatClass ? [seatClass] : Object.keys(availableSeats);
-    
-    for (const className of classes) {
-      const multiplierField = `${className}_class_multiplier`;
-      const defaultMultipliers = {
-        economy: 1.0,
-        business: 2.5,
-        first: 4.0,
-        woman_only: 1.2
-      };
-      
-      const multiplier = flight[multiplierField] || defaultMultipliers[className];
-      prices[className] = parseFloat(flight.base_price) * multiplier;
-    }
+  const classes = seatClass ? [seatClass] : Object.keys(availableSeats);
+  
+  for (const className of classes) {
+    const fare = await Fare.quoteFare(flightId, className);
+    prices[className] = fare ? fare.price : null;
   }
   
   res.status(200).json({
@@ -418,17 +880,9 @@ exports.validateSeat = asyncHandler(async (req, res, next) => {
   );
   
   let price = null;
-  if (validationResult.valid && flight.base_price) {
-    const multiplierField = `${seatClass}_class_multiplier`;
-    const defaultMultipliers = {
-      economy: 1.0,
-      business: 2.5,
-      first: 4.0,
-      woman_only: 1.2
-    };
-    
-    const multiplier = flight[multiplierField] || defaultMultipliers[seatClass];
-    price = parseFloat(flight.base_price) * multiplier;
+  if (validationResult.valid) {
+    const fare = await Fare.quoteFare(flight_id, seatClass);
+    price = fare ? fare.price : null;
   }
   
   res.status(200).json({
@@ -460,9 +914,11 @@ exports.holdSeat = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Flight not found', 404));
   }
   
-// Redis would look fantastic there
-
-  const seatAvailable = await FlightSeats.isSeatAvailable(flight_id, seatClass, seat_number);
+  if (flight.status === 'canceled' || flight.status === 'arrived') {
+    return next(new ErrorResponse(`Cannot hold seats on a flight that is ${flight.status}`, 400));
+  }
+  
+  const seatAvailable = await FlightSeats.isSeatAvailable(flight_id, seatClass, seat_number, req.user.user_id);
   
   if (!seatAvailable) {
     return next(new ErrorResponse('Seat is not available', 409));
@@ -476,16 +932,28 @@ exports.holdSeat = asyncHandler(async (req, res, next) => {
     }
   }
   
+  const hold = await SeatHold.createHold(
+    flight_id,
+    seatClass,
+    seat_number,
+    req.user.user_id,
+    parseInt(config.SEAT_HOLD_MINUTES, 10)
+  );
+  
+  if (!hold) {
+    return next(new ErrorResponse('Seat was just booked or is held by another customer', 409));
+  }
   
   res.status(200).json({
     success: true,
-    message: 'Seat is available and can be held',
+    message: 'Seat has been held',
     data: {
-      flight_id,
+      hold_id: hold.hold_id,
+      flight_id: hold.flight_id,
       flight_number: flight.flight_number,
-      seat_number,
-      class: seatClass,
-      hold_expiry: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes from now
+      seat_number: hold.seat_number,
+      class: hold.class,
+      hold_expiry: hold.expires_at
     }
   });
 });
@@ -506,6 +974,14 @@ exports.releaseSeat = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Flight not found', 404));
   }
   
+  // Staff can release any customer's hold, everyone else only their own
+  const ownerId = req.user.role === 'admin' || req.user.role === 'worker' ? null : req.user.user_id;
+  const released = await SeatHold.releaseHold(flight_id, seat_number, ownerId);
+  
+  if (!released) {
+    return next(new ErrorResponse('No active hold found for this seat', 404));
+  }
+  
   res.status(200).json({
     success: true,
     message: 'Seat hold has been released',
@@ -517,3 +993,16 @@ exports.releaseSeat = asyncHandler(async (req, res, next) => {
     }
   });
 });
+
+// @desc    Get current user's active seat holds
+// @route   GET /api/tickets/holds
+// @access  Private
+exports.getMyHolds = asyncHandler(async (req, res, next) => {
+  const holds = await SeatHold.getHoldsByUser(req.user.user_id);
+  
+  res.status(200).json({
+    success: true,
+    count: holds.length,
+    data: holds
+  });
+});
@@ -0,0 +1,38 @@
+const Voucher = require('../models/voucherModel');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'worker';
+
+// @desc    Get vouchers (own vouchers for customers; staff may filter by user_id)
+// @route   GET /api/vouchers
+// @access  Private
+exports.getVouchers = asyncHandler(async (req, res, next) => {
+  const userId = isStaff(req.user)
+    ? (parseInt(req.query.user_id, 10) || null)
+    : req.user.user_id;
+
+  const vouchers = await Voucher.getVouchers(userId);
+
+  res.status(200).json({
+    success: true,
+    count: vouchers.length,
+    data: vouchers
+  });
+});
+
+// @desc    Get voucher by code
+// @route   GET /api/vouchers/:code
+// @access  Private
+exports.getVoucher = asyncHandler(async (req, res, next) => {
+  const voucher = await Voucher.getVoucherByCode(req.params.code);
+
+  if (!voucher || (!isStaff(req.user) && voucher.user_id !== req.user.user_id)) {
+    return next(new ErrorResponse(`Voucher not found with code ${req.params.code}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: voucher
+  });
+});
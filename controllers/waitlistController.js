@@ -0,0 +1,165 @@
+const Flight = require('../models/flightModel');
+const FlightSeats = require('../models/flightSeatsModel');
+const Ticket = require('../models/ticketModel');
+const Waitlist = require('../models/waitlistModel');
+const WaitlistService = require('../services/waitlistService');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/asyncHandler');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'worker';
+
+/**
+ * Load the waitlist entry named in the route, visible to its user and staff
+ * @param {Object} req - Request with :id
+ * @returns {Promise<Object>} { entry } or { error }
+ */
+const loadEntry = async (req) => {
+  const entry = await Waitlist.getEntryById(req.params.id);
+
+  if (!entry || (!isStaff(req.user) && entry.user_id !== req.user.user_id)) {
+    return { error: new ErrorResponse(`Waitlist entry not found with id of ${req.params.id}`, 404) };
+  }
+
+  return { entry };
+};
+
+// @desc    Get waitlist entries (own entries for customers; staff may filter by flight_id, class and user_id)
+// @route   GET /api/waitlist
+// @access  Private
+exports.getWaitlistEntries = asyncHandler(async (req, res, next) => {
+  const filters = isStaff(req.user)
+    ? {
+      user_id: parseInt(req.query.user_id, 10) || null,
+      flight_id: parseInt(req.query.flight_id, 10) || null,
+      class: req.query.class || null
+    }
+    : { user_id: req.user.user_id };
+
+  const entries = await Waitlist.getEntries(filters);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries
+  });
+});
+
+// @desc    Get waitlist entry
+// @route   GET /api/waitlist/:id
+// @access  Private
+exports.getWaitlistEntry = asyncHandler(async (req, res, next) => {
+  const { entry, error } = await loadEntry(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Join the waitlist of a sold-out class on a flight
+// @route   POST /api/waitlist
+// @access  Private
+exports.joinWaitlist = asyncHandler(async (req, res, next) => {
+  const { flight_id } = req.body;
+  const seatClass = req.body.class || 'economy';
+
+  if (!flight_id) {
+    return next(new ErrorResponse('Please provide flight_id', 400));
+  }
+
+  if (!SEAT_CLASSES.includes(seatClass)) {
+    return next(new ErrorResponse(`Class must be one of: ${SEAT_CLASSES.join(', ')}`, 400));
+  }
+
+  const flight = await Flight.getFlightById(flight_id);
+
+  if (!flight) {
+    return next(new ErrorResponse('Flight not found', 404));
+  }
+
+  if (!['scheduled', 'delayed'].includes(flight.status) || new Date(flight.departure_time) <= new Date()) {
+    return next(new ErrorResponse(`Cannot join the waitlist of a flight that is ${flight.status}`, 400));
+  }
+
+  if (seatClass === 'woman_only' && !FlightSeats.validateWomanOnlySeat(req.user.gender)) {
+    return next(new ErrorResponse('Woman-only seats can only be booked by female passengers', 403));
+  }
+
+  const availableSeats = await FlightSeats.getAvailableSeatsByClass(flight_id, seatClass, req.user.user_id);
+
+  if (availableSeats.length > 0) {
+    return next(new ErrorResponse(`${seatClass} seats are still available on this flight; book one instead`, 400));
+  }
+
+  if (await Waitlist.getOpenEntry(flight_id, seatClass, req.user.user_id)) {
+    return next(new ErrorResponse(`You are already on the ${seatClass} waitlist of this flight`, 409));
+  }
+
+  const waitlistId = await Waitlist.createEntry(flight_id, seatClass, req.user.user_id);
+  const entry = await Waitlist.getEntryById(waitlistId);
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Leave the waitlist, passing any offered seat on to the next in line
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+exports.leaveWaitlist = asyncHandler(async (req, res, next) => {
+  const { entry, error } = await loadEntry(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  const left = await WaitlistService.leaveWaitlist(entry.waitlist_id);
+
+  if (!left) {
+    return next(new ErrorResponse(`Waitlist entry is already ${entry.status}`, 409));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await Waitlist.getEntryById(entry.waitlist_id)
+  });
+});
+
+// @desc    Accept a waitlist offer, converting it to a ticket at the offered price
+// @route   POST /api/waitlist/:id/accept
+// @access  Private
+exports.acceptOffer = asyncHandler(async (req, res, next) => {
+  const { entry, error } = await loadEntry(req);
+
+  if (error) {
+    return next(error);
+  }
+
+  if (entry.user_id !== req.user.user_id) {
+    return next(new ErrorResponse('Only the waitlisted customer can accept an offer', 403));
+  }
+
+  try {
+    const result = await WaitlistService.acceptOffer(entry.waitlist_id);
+
+    if (result.error) {
+      return next(new ErrorResponse(result.error, result.status));
+    }
+
+    const ticket = await Ticket.getTicketById(result.ticketId);
+
+    res.status(201).json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    return next(new ErrorResponse(`Error accepting offer: ${error.message}`, 500));
+  }
+});
@@ -0,0 +1,4 @@
+const logger = require('./utils/logger');
+
+// Keep test runs out of the console and the log files
+logger.silent = true;
@@ -1,4 +1,5 @@
 const { pool } = require('../config/database');
+const { addLocalTimes } = require('../utils/dateFormat');
 
 /**
  * Get all aircraft with pagination
@@ -200,9 +201,13 @@ exports.getAircraftFlights = async (aircraftId, activeOnly = false) => {
       f.arrival_time,
       f.status,
       f.gate,
-      f.base_price
+      f.base_price,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM flights f
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     WHERE f.aircraft_id = ?
   `;
   
@@ -214,7 +219,7 @@ exports.getAircraftFlights = async (aircraftId, activeOnly = false) => {
   
   const [rows] = await pool.query(query, [aircraftId]);
   
-  return rows;
+  return rows.map(addLocalTimes);
 };
 
 /**
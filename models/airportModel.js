@@ -0,0 +1,196 @@
+const { pool } = require('../config/database');
+
+/**
+ * Get all airports with pagination, optionally filtered by country
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {string} country - Optional country filter
+ * @returns {Promise<Object>} Paginated airports
+ */
+exports.getAllAirports = async (page = 1, limit = 50, country = null) => {
+  const offset = (page - 1) * limit;
+  const where = country ? 'WHERE country = ?' : '';
+  const params = country ? [country] : [];
+
+  const [rows] = await pool.query(`
+    SELECT
+      airport_id,
+      iata_code,
+      icao_code,
+      name,
+      city,
+      country,
+      latitude,
+      longitude,
+      timezone
+    FROM airports
+    ${where}
+    ORDER BY iata_code
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+
+  const [countRows] = await pool.query(
+    `SELECT COUNT(*) as count FROM airports ${where}`,
+    params
+  );
+  const count = countRows[0].count;
+
+  return {
+    data: rows,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    totalItems: count
+  };
+};
+
+/**
+ * Get airport by IATA code
+ * @param {string} code - IATA code
+ * @returns {Promise<Object>} Airport details
+ */
+exports.getAirportByCode = async (code) => {
+  const [rows] = await pool.query(`
+    SELECT
+      a.airport_id,
+      a.iata_code,
+      a.icao_code,
+      a.name,
+      a.city,
+      a.country,
+      a.latitude,
+      a.longitude,
+      a.timezone,
+      (SELECT COUNT(*) FROM routes r WHERE r.origin = a.iata_code OR r.destination = a.iata_code) AS route_count
+    FROM airports a
+    WHERE a.iata_code = ?
+  `, [code.toUpperCase()]);
+
+  return rows[0];
+};
+
+/**
+ * Get airports by IATA codes
+ * @param {Array<string>} codes - IATA codes
+ * @returns {Promise<Array>} Matching airports
+ */
+exports.getAirportsByCodes = async (codes) => {
+  if (codes.length === 0) {
+    return [];
+  }
+
+  const [rows] = await pool.query(
+    'SELECT iata_code, name, city, country, timezone FROM airports WHERE iata_code IN (?)',
+    [codes.map(code => code.toUpperCase())]
+  );
+
+  return rows;
+};
+
+/**
+ * Create a new airport
+ * @param {Object} airportData - Airport data
+ * @returns {Promise<number>} ID of the created airport
+ */
+exports.createAirport = async (airportData) => {
+  const {
+    iata_code,
+    icao_code = null,
+    name,
+    city,
+    country,
+    latitude = null,
+    longitude = null,
+    timezone
+  } = airportData;
+
+  const [result] = await pool.query(`
+    INSERT INTO airports (
+      iata_code, icao_code, name, city, country,
+      latitude, longitude, timezone
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    iata_code.toUpperCase(),
+    icao_code ? icao_code.toUpperCase() : null,
+    name,
+    city,
+    country,
+    latitude,
+    longitude,
+    timezone
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Update an airport (the IATA code itself is the key routes refer to and is not changed)
+ * @param {string} code - IATA code
+ * @param {Object} airportData - Airport data to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateAirport = async (code, airportData) => {
+  const {
+    icao_code,
+    name,
+    city,
+    country,
+    latitude,
+    longitude,
+    timezone
+  } = airportData;
+
+  const [result] = await pool.query(`
+    UPDATE airports
+    SET
+      icao_code = COALESCE(?, icao_code),
+      name = COALESCE(?, name),
+      city = COALESCE(?, city),
+      country = COALESCE(?, country),
+      latitude = COALESCE(?, latitude),
+      longitude = COALESCE(?, longitude),
+      timezone = COALESCE(?, timezone)
+    WHERE iata_code = ?
+  `, [
+    icao_code ? icao_code.toUpperCase() : null,
+    name,
+    city,
+    country,
+    latitude,
+    longitude,
+    timezone,
+    code.toUpperCase()
+  ]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete an airport
+ * @param {string} code - IATA code
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteAirport = async (code) => {
+  const [result] = await pool.query('DELETE FROM airports WHERE iata_code = ?', [code.toUpperCase()]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Check if an airport with the given IATA or ICAO code exists
+ * @param {string} iataCode - IATA code
+ * @param {string} icaoCode - ICAO code
+ * @param {string} excludeIataCode - Airport to exclude from the check
+ * @returns {Promise<boolean>} Whether airport exists
+ */
+exports.airportExists = async (iataCode, icaoCode = null, excludeIataCode = null) => {
+  let query = 'SELECT COUNT(*) AS count FROM airports WHERE (iata_code = ? OR icao_code = ?)';
+  const params = [iataCode ? iataCode.toUpperCase() : null, icaoCode ? icaoCode.toUpperCase() : null];
+
+  if (excludeIataCode) {
+    query += ' AND iata_code != ?';
+    params.push(excludeIataCode.toUpperCase());
+  }
+
+  const [rows] = await pool.query(query, params);
+  return rows[0].count > 0;
+};
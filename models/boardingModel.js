@@ -0,0 +1,182 @@
+const { pool } = require('../config/database');
+
+/**
+ * Get every passenger expected on a flight with their check-in and boarding state
+ * @param {number} flightId - Flight ID
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<Array>} Passengers in boarding sequence, not-checked-in passengers last
+ */
+exports.getFlightPassengers = async (flightId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      t.ticket_id,
+      t.user_id,
+      u.first_name,
+      u.last_name,
+      u.passport_number,
+      u.nationality,
+      u.date_of_birth,
+      u.gender,
+      b.booking_reference,
+      t.class,
+      t.seat_number,
+      t.payment_status,
+      ci.boarding_group,
+      ci.sequence_number,
+      ci.checked_in_at,
+      br.status AS boarding_status,
+      br.recorded_at AS boarding_recorded_at
+    FROM tickets t
+    JOIN users u ON t.user_id = u.user_id
+    LEFT JOIN bookings b ON t.booking_id = b.booking_id
+    LEFT JOIN check_ins ci ON ci.ticket_id = t.ticket_id
+    LEFT JOIN boarding_records br ON br.ticket_id = t.ticket_id
+    WHERE t.flight_id = ? AND t.status != 'cancelled'
+    ORDER BY ci.sequence_number IS NULL, ci.sequence_number, t.ticket_id
+  `, [flightId]);
+
+  return rows;
+};
+
+/**
+ * Count a flight's expected, checked-in, boarded and no-show passengers
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Object>} Counts
+ */
+exports.getBoardingCounts = async (flightId) => {
+  const [rows] = await pool.query(`
+    SELECT
+      COUNT(*) AS expected,
+      COUNT(ci.check_in_id) AS checked_in,
+      COALESCE(SUM(br.status = 'boarded'), 0) AS boarded,
+      COALESCE(SUM(br.status = 'no_show'), 0) AS no_show
+    FROM tickets t
+    LEFT JOIN check_ins ci ON ci.ticket_id = t.ticket_id
+    LEFT JOIN boarding_records br ON br.ticket_id = t.ticket_id
+    WHERE t.flight_id = ? AND t.status != 'cancelled'
+  `, [flightId]);
+
+  const counts = {
+    expected: Number(rows[0].expected),
+    checked_in: Number(rows[0].checked_in),
+    boarded: Number(rows[0].boarded),
+    no_show: Number(rows[0].no_show)
+  };
+  counts.remaining = counts.expected - counts.boarded - counts.no_show;
+
+  return counts;
+};
+
+/**
+ * Get the boarding record of a ticket
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<Object>} Boarding record, or undefined when not scanned yet
+ */
+exports.getBoardingRecord = async (ticketId) => {
+  const [rows] = await pool.query(
+    'SELECT ticket_id, flight_id, status, recorded_at, recorded_by FROM boarding_records WHERE ticket_id = ?',
+    [ticketId]
+  );
+
+  return rows[0];
+};
+
+/**
+ * Record a passenger as boarded or as a no-show, replacing any earlier record
+ * @param {Object} recordData - ticket_id, flight_id, status ('boarded' or 'no_show'), recorded_by
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<boolean>} Whether the record was saved
+ */
+exports.recordBoarding = async (recordData, transaction = null) => {
+  const {
+    ticket_id,
+    flight_id,
+    status,
+    recorded_by = null
+  } = recordData;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT INTO boarding_records (ticket_id, flight_id, status, recorded_by)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      status = VALUES(status),
+      recorded_by = VALUES(recorded_by),
+      recorded_at = CURRENT_TIMESTAMP
+  `, [ticket_id, flight_id, status, recorded_by]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record every passenger of a flight who hasn't boarded as a no-show
+ * @param {number} flightId - Flight ID
+ * @param {number} userId - Gate agent closing the flight
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<number>} Number of passengers marked as no-show
+ */
+exports.markRemainingNoShows = async (flightId, userId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT INTO boarding_records (ticket_id, flight_id, status, recorded_by)
+    SELECT t.ticket_id, t.flight_id, 'no_show', ?
+    FROM tickets t
+    LEFT JOIN boarding_records br ON br.ticket_id = t.ticket_id
+    WHERE t.flight_id = ? AND t.status != 'cancelled' AND br.ticket_id IS NULL
+  `, [userId, flightId]);
+
+  return result.affectedRows;
+};
+
+/**
+ * Save the final manifest of a closed flight
+ * @param {Object} manifestData - flight_id, closed_by, boarded_count, no_show_count, manifest
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<number>} ID of the saved manifest
+ */
+exports.saveManifest = async (manifestData, transaction = null) => {
+  const {
+    flight_id,
+    closed_by = null,
+    boarded_count,
+    no_show_count,
+    manifest
+  } = manifestData;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT INTO flight_manifests (flight_id, closed_by, boarded_count, no_show_count, manifest)
+    VALUES (?, ?, ?, ?, ?)
+  `, [flight_id, closed_by, boarded_count, no_show_count, JSON.stringify(manifest)]);
+
+  return result.insertId;
+};
+
+/**
+ * Get the final manifest saved when a flight was closed
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Object>} Final manifest, or undefined when the flight hasn't been closed
+ */
+exports.getManifest = async (flightId) => {
+  const [rows] = await pool.query(`
+    SELECT manifest_id, flight_id, closed_at, closed_by, boarded_count, no_show_count, manifest
+    FROM flight_manifests
+    WHERE flight_id = ?
+    ORDER BY manifest_id DESC
+    LIMIT 1
+  `, [flightId]);
+
+  if (rows.length === 0) {
+    return undefined;
+  }
+
+  const { manifest, ...record } = rows[0];
+
+  return {
+    ...record,
+    ...(typeof manifest === 'string' ? JSON.parse(manifest) : manifest)
+  };
+};
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const Ticket = require('./ticketModel');
+const logger = require('../utils/logger');
+const { addLocalTimes } = require('../utils/dateFormat');
+
+// Record locator alphabet without look-alike characters (0/O, 1/I)
+const REFERENCE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 6;
+
+/**
+ * Get bookings with pagination, optionally limited to one user
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {number} userId - Optional user filter
+ * @returns {Promise<Object>} Paginated bookings
+ */
+exports.getAllBookings = async (page = 1, limit = 10, userId = null) => {
+  const offset = (page - 1) * limit;
+  const where = userId ? 'WHERE b.user_id = ?' : '';
+  const params = userId ? [userId] : [];
+
+  const [rows] = await pool.query(`
+    SELECT
+      b.booking_id,
+      b.booking_reference,
+      b.user_id,
+      b.trip_type,
+      b.status,
+      b.contact_email,
+      b.contact_phone,
+      b.created_at,
+      COUNT(t.ticket_id) AS ticket_count,
+      COUNT(DISTINCT t.user_id) AS passenger_count,
+      SUM(IF(t.status != 'cancelled', t.price, 0)) AS total_price,
+      MIN(t.currency) AS currency
+    FROM bookings b
+    LEFT JOIN tickets t ON t.booking_id = b.booking_id
+    ${where}
+    GROUP BY b.booking_id
+    ORDER BY b.created_at DESC
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+
+  const [countRows] = await pool.query(
+    `SELECT COUNT(*) as count FROM bookings b ${where}`,
+    params
+  );
+  const count = countRows[0].count;
+
+  return {
+    data: rows,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    totalItems: count
+  };
+};
+
+/**
+ * Get booking by record locator, including its passengers and tickets
+ * @param {string} reference - Booking reference (PNR)
+ * @returns {Promise<Object>} Booking details
+ */
+exports.getBookingByReference = async (reference) => {
+  const [rows] = await pool.query(`
+    SELECT
+      booking_id,
+      booking_reference,
+      user_id,
+      trip_type,
+      status,
+      contact_email,
+      contact_phone,
+      created_at
+    FROM bookings
+    WHERE booking_reference = ?
+  `, [reference.toUpperCase()]);
+
+  if (rows.length === 0) {
+    return undefined;
+  }
+
+  const booking = rows[0];
+  booking.tickets = await exports.getBookingTickets(booking.booking_id);
+
+  const passengers = new Map();
+  booking.tickets.forEach(ticket => {
+    if (!passengers.has(ticket.user_id)) {
+      passengers.set(ticket.user_id, {
+        user_id: ticket.user_id,
+        passenger_name: ticket.passenger_name,
+        passport_number: ticket.passport_number
+      });
+    }
+  });
+
+  booking.passengers = [...passengers.values()];
+  booking.total_price = booking.tickets
+    .filter(ticket => ticket.status !== 'cancelled')
+    .reduce((sum, ticket) => sum + parseFloat(ticket.price), 0);
+  booking.currency = booking.tickets.length > 0 ? booking.tickets[0].currency : null;
+
+  return booking;
+};
+
+/**
+ * Get tickets belonging to a booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Booking's tickets
+ */
+exports.getBookingTickets = async (bookingId) => {
+  const [rows] = await pool.query(`
+    SELECT
+      t.ticket_id,
+      t.user_id,
+      t.flight_id,
+      t.seat_number,
+      t.class,
+      t.price,
+      t.currency,
+      t.payment_status,
+      t.payment_intent_id,
+      t.status,
+      t.refund_amount,
+      f.flight_number,
+      f.departure_time,
+      f.arrival_time,
+      f.status AS flight_status,
+      r.origin,
+      r.destination,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone,
+      CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
+      u.passport_number
+    FROM tickets t
+    JOIN flights f ON t.flight_id = f.flight_id
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
+    JOIN users u ON t.user_id = u.user_id
+    WHERE t.booking_id = ?
+    ORDER BY f.departure_time, t.user_id
+  `, [bookingId]);
+
+  return rows.map(addLocalTimes);
+};
+
+/**
+ * Create a booking with one ticket per passenger per flight, all in one transaction.
+ * Seats on every leg are booked on the same connection, so if any leg fails
+ * the seats already booked on earlier legs are rolled back with it.
+ * @param {Object} bookingData - Booking data
+ * @param {number} bookingData.user_id - User making the booking
+ * @param {string} bookingData.trip_type - one_way, round_trip or multi_city
+ * @param {Array} bookingData.passengers - Passengers ({ user_id } or passenger details)
+ * @param {Array} bookingData.segments - Flights in travel order ({ flight_id, class, fare_family, seat_numbers[] }),
+ *   seat_numbers are matched to passengers by position
+ * @param {string} bookingData.currency - Currency every ticket is sold in
+ * @param {boolean} bookingData.staff_booking - Made by staff, who may book existing passengers by passport number
+ * @returns {Promise<string>} Booking reference of the created booking
+ */
+exports.createBooking = async (bookingData) => {
+  const {
+    user_id,
+    trip_type = 'one_way',
+    contact_email = null,
+    contact_phone = null,
+    passengers,
+    segments,
+    currency,
+    staff_booking = false
+  } = bookingData;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const reference = await generateUniqueReference(connection);
+
+    const [result] = await connection.query(`
+      INSERT INTO bookings (
+        booking_reference, user_id, trip_type, contact_email, contact_phone
+      ) VALUES (?, ?, ?, ?, ?)
+    `, [reference, user_id, trip_type, contact_email, contact_phone]);
+
+    const bookingId = result.insertId;
+
+    const passengerIds = [];
+    for (const passenger of passengers) {
+      passengerIds.push(await findOrCreatePassenger(connection, passenger, staff_booking ? null : user_id));
+    }
+
+    for (const segment of segments) {
+      for (let i = 0; i < passengerIds.length; i++) {
+        await Ticket.createTicket({
+          user_id: passengerIds[i],
+          flight_id: segment.flight_id,
+          seat_number: segment.seat_numbers[i],
+          class: segment.class || 'economy',
+          fare_family: segment.fare_family || null,
+          currency,
+          booking_id: bookingId
+        }, connection);
+      }
+    }
+
+    await connection.commit();
+    return reference;
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error creating booking: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Update a booking's contact details and ticket seats/classes as one unit
+ * @param {number} bookingId - Booking ID
+ * @param {Object} bookingData - Contact fields and tickets ({ ticket_id, seat_number, class }) to change
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateBooking = async (bookingId, bookingData) => {
+  const {
+    contact_email,
+    contact_phone,
+    tickets = []
+  } = bookingData;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(`
+      UPDATE bookings
+      SET
+        contact_email = COALESCE(?, contact_email),
+        contact_phone = COALESCE(?, contact_phone)
+      WHERE booking_id = ?
+    `, [contact_email, contact_phone, bookingId]);
+
+    for (const change of tickets) {
+      const [ticketRows] = await connection.query(
+        "SELECT ticket_id FROM tickets WHERE ticket_id = ? AND booking_id = ? AND status != 'cancelled'",
+        [change.ticket_id, bookingId]
+      );
+
+      if (ticketRows.length === 0) {
+        throw new Error(`Ticket ${change.ticket_id} is not an active ticket of this booking`);
+      }
+
+      await Ticket.updateTicket(change.ticket_id, {
+        seat_number: change.seat_number,
+        class: change.class
+      }, connection);
+    }
+
+    await connection.commit();
+    return result.affectedRows > 0;
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error updating booking: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Mark a booking cancelled. Its tickets are cancelled and refunded one by one
+ * through the cancellation service, in the same transaction.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} transaction - Connection with an open transaction
+ * @returns {Promise<boolean>} Whether cancellation was successful
+ */
+exports.cancelBooking = async (bookingId, transaction) => {
+  const [result] = await transaction.query(
+    "UPDATE bookings SET status = 'cancelled' WHERE booking_id = ?",
+    [bookingId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Generate a random record locator that is not yet in use
+ * @param {Object} connection - Database connection
+ * @returns {Promise<string>} Booking reference
+ */
+async function generateUniqueReference(connection) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    let reference = '';
+    for (let i = 0; i < REFERENCE_LENGTH; i++) {
+      reference += REFERENCE_CHARS[crypto.randomInt(REFERENCE_CHARS.length)];
+    }
+
+    const [rows] = await connection.query(
+      'SELECT booking_id FROM bookings WHERE booking_reference = ?',
+      [reference]
+    );
+
+    if (rows.length === 0) {
+      return reference;
+    }
+  }
+
+  throw new Error('Could not generate a unique booking reference');
+}
+
+/**
+ * Resolve a booking passenger to a user ID, creating a passenger record if needed
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} passenger - { user_id } or passenger details
+ * @param {number} customerId - Customer booking for themselves and others; a passport number
+ *   only matches their own account. Null for staff, whose passport numbers match any passenger.
+ * @returns {Promise<number>} User ID
+ */
+async function findOrCreatePassenger(connection, passenger, customerId = null) {
+  if (passenger.user_id) {
+    const [rows] = await connection.query(
+      'SELECT user_id FROM users WHERE user_id = ?',
+      [passenger.user_id]
+    );
+
+    if (rows.length === 0) {
+      throw new Error(`Passenger not found with id of ${passenger.user_id}`);
+    }
+
+    return rows[0].user_id;
+  }
+
+  if (passenger.passport_number) {
+    const [rows] = await connection.query(
+      'SELECT user_id FROM users WHERE passport_number = ?',
+      [passenger.passport_number]
+    );
+
+    if (rows.length > 0) {
+      // Otherwise anyone could put tickets on another person's account by typing their passport number
+      if (customerId && rows[0].user_id !== customerId) {
+        throw new Error(`A passenger with passport number ${passenger.passport_number} already has an account; ask our staff to add them`);
+      }
+
+      return rows[0].user_id;
+    }
+  }
+
+  const [result] = await connection.query(`
+    INSERT INTO users (
+      first_name, last_name, passport_number,
+      nationality, date_of_birth, gender
+    ) VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    passenger.first_name,
+    passenger.last_name,
+    passenger.passport_number || null,
+    passenger.nationality || null,
+    passenger.date_of_birth || null,
+    passenger.gender || null
+  ]);
+
+  return result.insertId;
+}
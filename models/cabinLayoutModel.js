@@ -0,0 +1,175 @@
+const { pool } = require('../config/database');
+
+/**
+ * Get all cabin layouts
+ * @returns {Promise<Array>} Cabin layouts
+ */
+exports.getAllLayouts = async () => {
+  const [rows] = await pool.query(`
+    SELECT
+      cl.layout_id,
+      cl.aircraft_model,
+      cl.seat_letters,
+      cl.class_zones,
+      cl.exit_rows,
+      cl.bassinet_seats,
+      cl.extra_legroom_seats,
+      (SELECT COUNT(*) FROM aircraft a WHERE a.model = cl.aircraft_model) AS aircraft_count,
+      cl.updated_at
+    FROM cabin_layouts cl
+    ORDER BY cl.aircraft_model
+  `);
+
+  return rows;
+};
+
+/**
+ * Get cabin layout by ID
+ * @param {number} id - Layout ID
+ * @returns {Promise<Object>} Cabin layout
+ */
+exports.getLayoutById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT
+      cl.layout_id,
+      cl.aircraft_model,
+      cl.seat_letters,
+      cl.class_zones,
+      cl.exit_rows,
+      cl.bassinet_seats,
+      cl.extra_legroom_seats,
+      (SELECT COUNT(*) FROM aircraft a WHERE a.model = cl.aircraft_model) AS aircraft_count,
+      cl.updated_at
+    FROM cabin_layouts cl
+    WHERE cl.layout_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Get the cabin layout of an aircraft model
+ * @param {string} aircraftModel - Aircraft model (e.g. 'Airbus A320')
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Object>} Cabin layout, or undefined when the model has none
+ */
+exports.getLayoutByModel = async (aircraftModel, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      layout_id,
+      aircraft_model,
+      seat_letters,
+      class_zones,
+      exit_rows,
+      bassinet_seats,
+      extra_legroom_seats
+    FROM cabin_layouts
+    WHERE aircraft_model = ?
+  `, [aircraftModel]);
+
+  return rows[0];
+};
+
+/**
+ * Create a cabin layout
+ * @param {Object} layoutData - Layout data
+ * @returns {Promise<number>} ID of the created layout
+ */
+exports.createLayout = async (layoutData) => {
+  const {
+    aircraft_model,
+    seat_letters,
+    class_zones,
+    exit_rows = [],
+    bassinet_seats = [],
+    extra_legroom_seats = []
+  } = layoutData;
+
+  const [result] = await pool.query(`
+    INSERT INTO cabin_layouts (
+      aircraft_model, seat_letters, class_zones,
+      exit_rows, bassinet_seats, extra_legroom_seats
+    ) VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    aircraft_model,
+    seat_letters,
+    JSON.stringify(class_zones),
+    JSON.stringify(exit_rows),
+    JSON.stringify(bassinet_seats),
+    JSON.stringify(extra_legroom_seats)
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a cabin layout. Seats of flights that are already initialized keep their old layout.
+ * @param {number} id - Layout ID
+ * @param {Object} layoutData - Layout data to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateLayout = async (id, layoutData) => {
+  const {
+    aircraft_model,
+    seat_letters,
+    class_zones,
+    exit_rows,
+    bassinet_seats,
+    extra_legroom_seats
+  } = layoutData;
+
+  const toJson = value => (value === undefined ? null : JSON.stringify(value));
+
+  const [result] = await pool.query(`
+    UPDATE cabin_layouts
+    SET
+      aircraft_model = COALESCE(?, aircraft_model),
+      seat_letters = COALESCE(?, seat_letters),
+      class_zones = COALESCE(?, class_zones),
+      exit_rows = COALESCE(?, exit_rows),
+      bassinet_seats = COALESCE(?, bassinet_seats),
+      extra_legroom_seats = COALESCE(?, extra_legroom_seats)
+    WHERE layout_id = ?
+  `, [
+    aircraft_model,
+    seat_letters,
+    toJson(class_zones),
+    toJson(exit_rows),
+    toJson(bassinet_seats),
+    toJson(extra_legroom_seats),
+    id
+  ]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a cabin layout
+ * @param {number} id - Layout ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteLayout = async (id) => {
+  const [result] = await pool.query('DELETE FROM cabin_layouts WHERE layout_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Check if an aircraft model already has a cabin layout
+ * @param {string} aircraftModel - Aircraft model
+ * @param {number} excludeId - Layout to exclude from the check
+ * @returns {Promise<boolean>} Whether a layout exists
+ */
+exports.layoutExists = async (aircraftModel, excludeId = null) => {
+  let query = 'SELECT COUNT(*) AS count FROM cabin_layouts WHERE aircraft_model = ?';
+  const params = [aircraftModel];
+
+  if (excludeId) {
+    query += ' AND layout_id != ?';
+    params.push(excludeId);
+  }
+
+  const [rows] = await pool.query(query, params);
+  return rows[0].count > 0;
+};
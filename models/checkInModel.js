@@ -0,0 +1,134 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Get the check-in of a ticket with what its boarding pass needs
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<Object>} Check-in, or undefined when the ticket isn't checked in
+ */
+exports.getCheckInByTicket = async (ticketId) => {
+  const [rows] = await pool.query(`
+    SELECT
+      ci.check_in_id,
+      ci.ticket_id,
+      ci.flight_id,
+      ci.boarding_group,
+      ci.sequence_number,
+      ci.checked_in_at,
+      ci.checked_in_by,
+      ci.volunteer,
+      t.seat_number,
+      t.class,
+      u.first_name,
+      u.last_name,
+      b.booking_reference,
+      f.flight_number,
+      f.departure_time,
+      f.gate,
+      r.origin,
+      r.destination,
+      ao.timezone AS origin_timezone
+    FROM check_ins ci
+    JOIN tickets t ON ci.ticket_id = t.ticket_id
+    JOIN users u ON t.user_id = u.user_id
+    JOIN flights f ON ci.flight_id = f.flight_id
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    LEFT JOIN bookings b ON t.booking_id = b.booking_id
+    WHERE ci.ticket_id = ?
+  `, [ticketId]);
+
+  return rows[0];
+};
+
+/**
+ * Get the check-in with a given sequence number on a flight
+ * @param {number} flightId - Flight ID
+ * @param {number} sequenceNumber - Check-in sequence number
+ * @returns {Promise<Object>} Check-in (ticket_id, seat_number, booking_reference), or undefined
+ */
+exports.getCheckInBySequence = async (flightId, sequenceNumber) => {
+  const [rows] = await pool.query(`
+    SELECT ci.check_in_id, ci.ticket_id, ci.sequence_number, t.seat_number, b.booking_reference
+    FROM check_ins ci
+    JOIN tickets t ON ci.ticket_id = t.ticket_id
+    LEFT JOIN bookings b ON t.booking_id = b.booking_id
+    WHERE ci.flight_id = ? AND ci.sequence_number = ?
+  `, [flightId, sequenceNumber]);
+
+  return rows[0];
+};
+
+/**
+ * Check a ticket in, giving it the flight's next check-in sequence number
+ * @param {Object} checkInData - ticket_id, flight_id, boarding_group, checked_in_by, volunteer
+ * @returns {Promise<number>} ID of the created check-in
+ */
+exports.createCheckIn = async (checkInData) => {
+  const {
+    ticket_id,
+    flight_id,
+    boarding_group,
+    checked_in_by = null,
+    volunteer = false
+  } = checkInData;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the flight so concurrent check-ins can't take the same sequence number
+    await connection.query('SELECT flight_id FROM flights WHERE flight_id = ? FOR UPDATE', [flight_id]);
+
+    const [sequenceRows] = await connection.query(
+      'SELECT COALESCE(MAX(sequence_number), 0) + 1 AS next_sequence FROM check_ins WHERE flight_id = ?',
+      [flight_id]
+    );
+
+    const [result] = await connection.query(`
+      INSERT INTO check_ins (ticket_id, flight_id, boarding_group, sequence_number, checked_in_by, volunteer)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [ticket_id, flight_id, boarding_group, sequenceRows[0].next_sequence, checked_in_by, volunteer]);
+
+    await connection.commit();
+    return result.insertId;
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error checking in ticket: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Record whether a checked-in passenger volunteers to give up their seat on an oversold flight
+ * @param {number} ticketId - Ticket ID
+ * @param {boolean} volunteer - Whether the passenger volunteers
+ * @returns {Promise<boolean>} Whether the check-in was updated
+ */
+exports.setVolunteer = async (ticketId, volunteer) => {
+  const [result] = await pool.query(
+    'UPDATE check_ins SET volunteer = ? WHERE ticket_id = ?',
+    [volunteer, ticketId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the first and last row of a seat class on a flight
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @returns {Promise<Object>} { first_row, last_row }
+ */
+exports.getClassRowRange = async (flightId, seatClass) => {
+  const [rows] = await pool.query(`
+    SELECT MIN(seat_row) AS first_row, MAX(seat_row) AS last_row
+    FROM flight_seats
+    WHERE flight_id = ? AND class = ?
+  `, [flightId, seatClass]);
+
+  return rows[0];
+};
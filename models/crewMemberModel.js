@@ -1,4 +1,5 @@
 const { pool } = require('../config/database');
+const { addLocalTimes } = require('../utils/dateFormat');
 
 /**
  * Get all crew members with pagination
@@ -269,9 +270,13 @@ exports.getCrewMemberFlights = async (crewMemberId) => {
       f.arrival_time,
       f.status,
       a.model AS aircraft_model,
-      a.registration_number
+      a.registration_number,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM flights f
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
     JOIN crews c ON a.crew_id = c.crew_id
     JOIN crew_assignments ca ON c.crew_id = ca.crew_id
@@ -279,5 +284,5 @@ exports.getCrewMemberFlights = async (crewMemberId) => {
     ORDER BY f.departure_time
   `, [crewMemberId]);
   
-  return rows;
+  return rows.map(addLocalTimes);
 };
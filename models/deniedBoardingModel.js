@@ -0,0 +1,101 @@
+const { pool } = require('../config/database');
+
+/**
+ * Get checked-in passengers of a class who volunteered to give up their seat,
+ * earliest volunteer first; passengers already boarded are left alone
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {Object} transaction - Optional connection with an open transaction; locks the tickets
+ * @returns {Promise<Array>} Volunteer tickets
+ */
+exports.getVolunteers = async (flightId, seatClass, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT t.ticket_id, t.user_id, t.flight_id, t.class, t.seat_number, t.price, t.payment_status, t.payment_intent_id
+    FROM tickets t
+    JOIN check_ins ci ON ci.ticket_id = t.ticket_id
+    LEFT JOIN boarding_records br ON br.ticket_id = t.ticket_id
+    WHERE t.flight_id = ? AND t.class = ? AND t.status != 'cancelled'
+    AND t.seat_number IS NOT NULL AND ci.volunteer = TRUE
+    AND (br.status IS NULL OR br.status != 'boarded')
+    ORDER BY ci.checked_in_at, ci.sequence_number
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [flightId, seatClass]);
+
+  return rows;
+};
+
+/**
+ * Record a passenger denied boarding and the compensation they received
+ * @param {Object} deniedData - flight_id, ticket_id, class, type, seat_given_to,
+ *   compensation_amount, compensation_method, voucher_id, refund_amount, created_by
+ * @param {Object} transaction - Optional connection with an open transaction
+ * @returns {Promise<number>} ID of the denied boarding record
+ */
+exports.createDeniedBoarding = async (deniedData, transaction = null) => {
+  const {
+    flight_id,
+    ticket_id,
+    class: seatClass,
+    type,
+    seat_given_to = null,
+    compensation_amount,
+    compensation_method,
+    voucher_id = null,
+    refund_amount = 0,
+    created_by = null
+  } = deniedData;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT INTO denied_boardings (
+      flight_id, ticket_id, class, type, seat_given_to,
+      compensation_amount, compensation_method, voucher_id, refund_amount, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    flight_id,
+    ticket_id,
+    seatClass,
+    type,
+    seat_given_to,
+    compensation_amount,
+    compensation_method,
+    voucher_id,
+    refund_amount,
+    created_by
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Get the passengers denied boarding on a flight
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Array>} Denied boardings with passenger and compensation details
+ */
+exports.getDeniedBoardingsForFlight = async (flightId) => {
+  const [rows] = await pool.query(`
+    SELECT
+      d.denied_boarding_id,
+      d.ticket_id,
+      CONCAT(u.first_name, ' ', u.last_name) as passenger_name,
+      d.class,
+      d.type,
+      d.seat_given_to,
+      d.compensation_amount,
+      d.compensation_method,
+      v.code as voucher_code,
+      d.refund_amount,
+      d.created_at,
+      d.created_by
+    FROM denied_boardings d
+    JOIN tickets t ON d.ticket_id = t.ticket_id
+    JOIN users u ON t.user_id = u.user_id
+    LEFT JOIN vouchers v ON d.voucher_id = v.voucher_id
+    WHERE d.flight_id = ?
+    ORDER BY d.denied_boarding_id
+  `, [flightId]);
+
+  return rows;
+};
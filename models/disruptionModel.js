@@ -0,0 +1,167 @@
+const { pool } = require('../config/database');
+const { formatInTimeZone } = require('../utils/dateFormat');
+
+/**
+ * Record a flight disruption
+ * @param {Object} disruptionData - Flight, reason, policy and the user who caused it
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<number>} ID of the created disruption
+ */
+exports.createDisruption = async (disruptionData, transaction = null) => {
+  const {
+    flight_id,
+    reason = null,
+    rebooking,
+    compensation,
+    created_by = null
+  } = disruptionData;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT INTO flight_disruptions (flight_id, reason, rebooking, compensation, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `, [flight_id, reason, rebooking, compensation, created_by]);
+
+  return result.insertId;
+};
+
+/**
+ * Record what happened to one affected ticket
+ * @param {number} disruptionId - Disruption ID
+ * @param {Object} outcome - Ticket, action taken, amount and any new ticket, voucher or proposed flight
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<number>} ID of the created record
+ */
+exports.addAffectedTicket = async (disruptionId, outcome, transaction = null) => {
+  const {
+    ticket_id,
+    action,
+    amount = 0,
+    new_ticket_id = null,
+    voucher_id = null,
+    proposed_flight_id = null
+  } = outcome;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT INTO disruption_tickets (
+      disruption_id, ticket_id, action, amount,
+      new_ticket_id, voucher_id, proposed_flight_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [disruptionId, ticket_id, action, amount, new_ticket_id, voucher_id, proposed_flight_id]);
+
+  return result.insertId;
+};
+
+/**
+ * Get the disruption report of a flight's latest cancellation
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Object>} Report with a summary and each affected passenger, or undefined
+ */
+exports.getDisruptionReport = async (flightId) => {
+  const [disruptions] = await pool.query(`
+    SELECT
+      d.disruption_id,
+      d.flight_id,
+      f.flight_number,
+      r.origin,
+      r.destination,
+      f.departure_time,
+      d.reason,
+      d.rebooking,
+      d.compensation,
+      d.created_by,
+      d.created_at
+    FROM flight_disruptions d
+    JOIN flights f ON d.flight_id = f.flight_id
+    JOIN routes r ON f.route_id = r.route_id
+    WHERE d.flight_id = ?
+    ORDER BY d.disruption_id DESC
+    LIMIT 1
+  `, [flightId]);
+
+  if (disruptions.length === 0) {
+    return undefined;
+  }
+
+  const disruption = disruptions[0];
+
+  const [rows] = await pool.query(`
+    SELECT
+      dt.ticket_id,
+      b.booking_reference,
+      t.user_id,
+      CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
+      u.email,
+      u.contact_number,
+      t.class,
+      t.seat_number,
+      t.price,
+      dt.action,
+      dt.amount,
+      v.code AS voucher_code,
+      v.expires_at AS voucher_expires_at,
+      dt.new_ticket_id,
+      nf.flight_number AS new_flight_number,
+      nt.seat_number AS new_seat_number,
+      nf.departure_time AS new_departure_time,
+      pf.flight_id AS proposed_flight_id,
+      pf.flight_number AS proposed_flight_number,
+      pf.departure_time AS proposed_departure_time,
+      ao.timezone AS origin_timezone
+    FROM disruption_tickets dt
+    JOIN tickets t ON dt.ticket_id = t.ticket_id
+    JOIN users u ON t.user_id = u.user_id
+    JOIN flights f ON t.flight_id = f.flight_id
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    LEFT JOIN bookings b ON t.booking_id = b.booking_id
+    LEFT JOIN vouchers v ON dt.voucher_id = v.voucher_id
+    LEFT JOIN tickets nt ON dt.new_ticket_id = nt.ticket_id
+    LEFT JOIN flights nf ON nt.flight_id = nf.flight_id
+    LEFT JOIN flights pf ON dt.proposed_flight_id = pf.flight_id
+    WHERE dt.disruption_id = ?
+    ORDER BY b.booking_reference, dt.ticket_id
+  `, [disruption.disruption_id]);
+
+  const summary = {
+    affected: rows.length,
+    rebooked: 0,
+    refunded: 0,
+    voucher: 0,
+    cancelled: 0,
+    refund_total: 0,
+    voucher_total: 0
+  };
+
+  const passengers = rows.map(row => {
+    summary[row.action]++;
+
+    if (row.action === 'refunded') {
+      summary.refund_total += parseFloat(row.amount);
+    } else if (row.action === 'voucher') {
+      summary.voucher_total += parseFloat(row.amount);
+    }
+
+    const { origin_timezone, ...passenger } = row;
+
+    return {
+      ...passenger,
+      new_departure_time_local: row.new_departure_time
+        ? formatInTimeZone(row.new_departure_time, origin_timezone)
+        : null,
+      proposed_departure_time_local: row.proposed_departure_time
+        ? formatInTimeZone(row.proposed_departure_time, origin_timezone)
+        : null
+    };
+  });
+
+  summary.refund_total = Math.round(summary.refund_total * 100) / 100;
+  summary.voucher_total = Math.round(summary.voucher_total * 100) / 100;
+
+  return {
+    ...disruption,
+    summary,
+    passengers
+  };
+};
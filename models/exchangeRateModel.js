@@ -0,0 +1,122 @@
+const { pool } = require('../config/database');
+const config = require('../config/config');
+
+const CODE_PATTERN = /^[A-Z]{3}$/;
+
+const RATE_COLUMNS = `
+  rate_id,
+  currency,
+  rate,
+  effective_from,
+  created_at
+`;
+
+/**
+ * Get exchange rates, newest first within each currency
+ * @param {Object} filters - currency: rates of one currency only
+ * @returns {Promise<Array>} Exchange rates
+ */
+exports.getRates = async (filters = {}) => {
+  let query = `SELECT ${RATE_COLUMNS} FROM exchange_rates WHERE 1=1`;
+  const params = [];
+
+  if (filters.currency) {
+    query += ' AND currency = ?';
+    params.push(filters.currency.toUpperCase());
+  }
+
+  query += ' ORDER BY currency, effective_from DESC';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+};
+
+/**
+ * Get exchange rate by ID
+ * @param {number} id - Rate ID
+ * @returns {Promise<Object>} Exchange rate
+ */
+exports.getRateById = async (id) => {
+  const [rows] = await pool.query(`SELECT ${RATE_COLUMNS} FROM exchange_rates WHERE rate_id = ?`, [id]);
+  return rows[0];
+};
+
+/**
+ * Create an exchange rate
+ * @param {Object} rateData - currency, rate (units of the currency per unit of the base currency),
+ *   effective_from (now when omitted)
+ * @returns {Promise<number>} ID of the created rate
+ */
+exports.createRate = async (rateData) => {
+  const { currency, rate, effective_from } = rateData;
+
+  const [result] = await pool.query(`
+    INSERT INTO exchange_rates (currency, rate, effective_from)
+    VALUES (?, ?, ?)
+  `, [currency.toUpperCase(), rate, effective_from ? new Date(effective_from) : new Date()]);
+
+  return result.insertId;
+};
+
+/**
+ * Update an exchange rate's value or effective date
+ * @param {number} id - Rate ID
+ * @param {Object} rateData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateRate = async (id, rateData) => {
+  const { rate, effective_from } = rateData;
+
+  const [result] = await pool.query(`
+    UPDATE exchange_rates
+    SET
+      rate = COALESCE(?, rate),
+      effective_from = COALESCE(?, effective_from)
+    WHERE rate_id = ?
+  `, [rate, effective_from ? new Date(effective_from) : null, id]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete an exchange rate; tickets keep the rate they were sold at
+ * @param {number} id - Rate ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteRate = async (id) => {
+  const [result] = await pool.query('DELETE FROM exchange_rates WHERE rate_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the rate a currency converts from the base currency at: the latest one
+ * in effect at the given time. The base currency always converts at 1.
+ * @param {string} currency - ISO 4217 currency code
+ * @param {Date} at - Time the rate must be in effect at
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<number|null>} Units of the currency per unit of the base currency,
+ *   or null when the currency has no rate in effect
+ */
+exports.getRate = async (currency, at = new Date(), transaction = null) => {
+  const code = String(currency || '').toUpperCase();
+
+  if (code === config.BASE_CURRENCY) {
+    return 1;
+  }
+
+  if (!CODE_PATTERN.test(code)) {
+    return null;
+  }
+
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT rate
+    FROM exchange_rates
+    WHERE currency = ? AND effective_from <= ?
+    ORDER BY effective_from DESC
+    LIMIT 1
+  `, [code, at]);
+
+  return rows.length > 0 ? parseFloat(rows[0].rate) : null;
+};
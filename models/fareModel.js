@@ -0,0 +1,534 @@
+const { pool } = require('../config/database');
+const PricingCurve = require('./pricingCurveModel');
+const PricingRule = require('./pricingRuleModel');
+const Season = require('./seasonModel');
+const TaxRule = require('./taxRuleModel');
+const ExchangeRate = require('./exchangeRateModel');
+const { applyMultiplier, applySeasons } = require('../services/pricingEngineService');
+const { calculateTaxes } = require('../services/taxService');
+const { toBase } = require('../services/currencyService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// What quoting needs of a bucket: its fare and what is left of its inventory
+const BUCKET_QUOTE_COLUMNS = `
+  fb.bucket_id,
+  fb.booking_code,
+  fb.price,
+  fb.currency,
+  fb.seat_limit,
+  fb.is_open,
+  ff.code AS fare_family,
+  ff.is_refundable,
+  ff.change_fee,
+  (SELECT COUNT(*) FROM tickets t WHERE t.fare_bucket_id = fb.bucket_id AND t.status != 'cancelled') AS sold
+`;
+
+const FAMILY_COLUMNS = `
+  fare_family_id,
+  code,
+  name,
+  is_refundable,
+  change_fee,
+  checked_bags,
+  checked_bag_kg,
+  carry_on_kg,
+  created_at
+`;
+
+const BUCKET_COLUMNS = `
+  fb.bucket_id,
+  fb.flight_id,
+  fb.class,
+  fb.booking_code,
+  fb.fare_family_id,
+  ff.code AS fare_family,
+  ff.name AS fare_family_name,
+  fb.price,
+  fb.currency,
+  fb.seat_limit,
+  (SELECT COUNT(*) FROM tickets t WHERE t.fare_bucket_id = fb.bucket_id AND t.status != 'cancelled') AS sold,
+  fb.is_open,
+  ff.is_refundable,
+  ff.change_fee,
+  ff.checked_bags,
+  ff.checked_bag_kg,
+  ff.carry_on_kg
+`;
+
+/**
+ * Get all fare families
+ * @returns {Promise<Array>} Fare families
+ */
+exports.getFareFamilies = async () => {
+  const [rows] = await pool.query(`SELECT ${FAMILY_COLUMNS} FROM fare_families ORDER BY fare_family_id`);
+  return rows;
+};
+
+/**
+ * Get fare family by ID
+ * @param {number} id - Fare family ID
+ * @returns {Promise<Object>} Fare family
+ */
+exports.getFareFamilyById = async (id) => {
+  const [rows] = await pool.query(`SELECT ${FAMILY_COLUMNS} FROM fare_families WHERE fare_family_id = ?`, [id]);
+  return rows[0];
+};
+
+/**
+ * Get fare family by code
+ * @param {string} code - Fare family code (e.g. BASIC)
+ * @returns {Promise<Object>} Fare family
+ */
+exports.getFareFamilyByCode = async (code) => {
+  const [rows] = await pool.query(`SELECT ${FAMILY_COLUMNS} FROM fare_families WHERE code = ?`, [code]);
+  return rows[0];
+};
+
+/**
+ * Create a fare family
+ * @param {Object} familyData - code, name, is_refundable, change_fee, checked_bags, checked_bag_kg, carry_on_kg
+ * @returns {Promise<number>} ID of the created fare family
+ */
+exports.createFareFamily = async (familyData) => {
+  const {
+    code,
+    name,
+    is_refundable = false,
+    change_fee = null,
+    checked_bags = 0,
+    checked_bag_kg = 23,
+    carry_on_kg = 8
+  } = familyData;
+
+  const [result] = await pool.query(`
+    INSERT INTO fare_families (code, name, is_refundable, change_fee, checked_bags, checked_bag_kg, carry_on_kg)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [code, name, is_refundable, change_fee, checked_bags, checked_bag_kg, carry_on_kg]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a fare family
+ * @param {number} id - Fare family ID
+ * @param {Object} familyData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateFareFamily = async (id, familyData) => {
+  const {
+    name,
+    is_refundable,
+    checked_bags,
+    checked_bag_kg,
+    carry_on_kg
+  } = familyData;
+
+  const [result] = await pool.query(`
+    UPDATE fare_families
+    SET
+      name = COALESCE(?, name),
+      is_refundable = COALESCE(?, is_refundable),
+      change_fee = IF(?, ?, change_fee),
+      checked_bags = COALESCE(?, checked_bags),
+      checked_bag_kg = COALESCE(?, checked_bag_kg),
+      carry_on_kg = COALESCE(?, carry_on_kg)
+    WHERE fare_family_id = ?
+  `, [
+    name,
+    is_refundable,
+    // A null change fee is meaningful (no changes allowed), so it is only changed when sent
+    familyData.change_fee !== undefined,
+    familyData.change_fee === undefined ? null : familyData.change_fee,
+    checked_bags,
+    checked_bag_kg,
+    carry_on_kg,
+    id
+  ]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a fare family that no bucket uses
+ * @param {number} id - Fare family ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteFareFamily = async (id) => {
+  const [result] = await pool.query('DELETE FROM fare_families WHERE fare_family_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the fare buckets of a flight with how many tickets each has sold
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Optional cabin class
+ * @returns {Promise<Array>} Buckets by cabin, cheapest first
+ */
+exports.getBucketsForFlight = async (flightId, seatClass = null) => {
+  let query = `
+    SELECT ${BUCKET_COLUMNS}
+    FROM fare_buckets fb
+    JOIN fare_families ff ON fb.fare_family_id = ff.fare_family_id
+    WHERE fb.flight_id = ?
+  `;
+  const params = [flightId];
+
+  if (seatClass) {
+    query += ' AND fb.class = ?';
+    params.push(seatClass);
+  }
+
+  query += ' ORDER BY fb.class, fb.price, fb.booking_code';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+};
+
+/**
+ * Get fare bucket by ID
+ * @param {number} id - Bucket ID
+ * @returns {Promise<Object>} Fare bucket
+ */
+exports.getBucketById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT ${BUCKET_COLUMNS}
+    FROM fare_buckets fb
+    JOIN fare_families ff ON fb.fare_family_id = ff.fare_family_id
+    WHERE fb.bucket_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Create a fare bucket on a flight
+ * @param {Object} bucketData - flight_id, class, booking_code, fare_family_id, price, currency
+ *   (the base currency when omitted), seat_limit, is_open
+ * @returns {Promise<number>} ID of the created bucket
+ */
+exports.createBucket = async (bucketData) => {
+  const {
+    flight_id,
+    class: seatClass,
+    booking_code,
+    fare_family_id,
+    price,
+    currency = config.BASE_CURRENCY,
+    seat_limit,
+    is_open = true
+  } = bucketData;
+
+  const [result] = await pool.query(`
+    INSERT INTO fare_buckets (flight_id, class, booking_code, fare_family_id, price, currency, seat_limit, is_open)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [flight_id, seatClass, booking_code, fare_family_id, price, currency.toUpperCase(), seat_limit, is_open]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a fare bucket's family, price, inventory or open state
+ * @param {number} id - Bucket ID
+ * @param {Object} bucketData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateBucket = async (id, bucketData) => {
+  const { fare_family_id, price, seat_limit, is_open } = bucketData;
+
+  const [result] = await pool.query(`
+    UPDATE fare_buckets
+    SET
+      fare_family_id = COALESCE(?, fare_family_id),
+      price = COALESCE(?, price),
+      seat_limit = COALESCE(?, seat_limit),
+      is_open = COALESCE(?, is_open)
+    WHERE bucket_id = ?
+  `, [fare_family_id, price, seat_limit, is_open, id]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a fare bucket that has not sold any ticket
+ * @param {number} id - Bucket ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteBucket = async (id) => {
+  const [result] = await pool.query('DELETE FROM fare_buckets WHERE bucket_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Check that a fare bucket can still sell a ticket: open, with inventory left
+ * @param {number} bucketId - Bucket ID
+ * @param {Object} transaction - Optional connection with an open transaction; locks the bucket
+ * @returns {Promise<boolean>} Whether the bucket is on sale
+ */
+exports.isBucketOnSale = async (bucketId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      fb.is_open,
+      fb.seat_limit,
+      (SELECT COUNT(*) FROM tickets t WHERE t.fare_bucket_id = fb.bucket_id AND t.status != 'cancelled') AS sold
+    FROM fare_buckets fb
+    WHERE fb.bucket_id = ?
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [bucketId]);
+
+  return rows.length > 0 && !!rows[0].is_open && rows[0].sold < rows[0].seat_limit;
+};
+
+/**
+ * Quote the fare a ticket of a cabin class is sold at: the cheapest open
+ * bucket with inventory left, optionally within one fare family. A flight
+ * without buckets for the class is priced at base price times the class
+ * multiplier, refundable and without a bucket. A bucket filed in another
+ * currency is converted to the base currency at today's rate. The seasons the departure date
+ * falls in adjust the fare, then the route's pricing curve scales it by load
+ * factor and days to departure. The taxes and fees of the route are itemized
+ * on top of the fare. Every amount is in the base currency.
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Cabin class
+ * @param {Object} options - fareFamily: fare family code to sell from;
+ *   dynamic: false to quote the fare before dynamic pricing
+ * @param {Object} transaction - Optional connection with an open transaction; locks the bucket
+ * @returns {Promise<Object|null>} { currency, price, base_fare, seasonal_adjustment, season_ids, blackout,
+ *   dynamic_multiplier, taxes, taxes_amount, total_price, fare_bucket_id, booking_code, fare_family,
+ *   is_refundable, change_fee }, or null when every bucket of the class is closed or sold out
+ */
+exports.quoteFare = async (flightId, seatClass, options = {}, transaction = null) => {
+  const { dynamic = true } = options;
+  const fare = await quoteBaseFare(flightId, seatClass, options, transaction);
+
+  if (!fare) {
+    return null;
+  }
+
+  return priceFare(
+    fare,
+    await Season.getSeasonsForFlight(flightId, transaction),
+    dynamic ? await PricingCurve.getDynamicMultiplier(flightId, seatClass, transaction) : null,
+    await TaxRule.getRulesForFlight(flightId, transaction)
+  );
+};
+
+/**
+ * Quote the fare of a class on several flights at once, as quoteFare does for
+ * one, reading each pricing input for all the flights in one query
+ * @param {Array<number>} flightIds - Flight IDs
+ * @param {string} seatClass - Cabin class
+ * @returns {Promise<Map>} Quote by flight ID; null when every bucket of the class is closed or sold out
+ */
+exports.quoteFares = async (flightIds, seatClass) => {
+  const quotes = new Map();
+
+  if (flightIds.length === 0) {
+    return quotes;
+  }
+
+  const [buckets] = await pool.query(`
+    SELECT
+      fb.flight_id,
+      ${BUCKET_QUOTE_COLUMNS}
+    FROM fare_buckets fb
+    JOIN fare_families ff ON fb.fare_family_id = ff.fare_family_id
+    WHERE fb.flight_id IN (?) AND fb.class = ?
+    ORDER BY fb.price, fb.booking_code
+  `, [flightIds, seatClass]);
+
+  const bucketsByFlight = new Map(flightIds.map(id => [Number(id), []]));
+  buckets.forEach(bucket => bucketsByFlight.get(bucket.flight_id).push(bucket));
+
+  const withoutBuckets = [...bucketsByFlight.keys()].filter(id => bucketsByFlight.get(id).length === 0);
+  const pricing = await PricingRule.getEffectivePricingForFlights(withoutBuckets);
+  const seasons = await Season.getSeasonsForFlights(flightIds);
+  const multipliers = await PricingCurve.getDynamicMultipliers(flightIds, seatClass);
+  const taxRules = await TaxRule.getRulesForFlights(flightIds);
+  // Buckets of a flight share one currency, so only a few rates are read
+  const rates = new Map();
+
+  for (const [id, flightBuckets] of bucketsByFlight) {
+    let fare;
+
+    if (flightBuckets.length === 0) {
+      fare = multiplierFare(pricing.get(id), seatClass);
+    } else {
+      const bucket = pickBucket(flightBuckets);
+
+      if (bucket && !rates.has(bucket.currency)) {
+        rates.set(bucket.currency, await ExchangeRate.getRate(bucket.currency));
+      }
+
+      fare = bucket && bucketFare(bucket, rates.get(bucket.currency));
+    }
+
+    quotes.set(id, fare ? priceFare(fare, seasons.get(id), multipliers.get(id), taxRules.get(id)) : null);
+  }
+
+  return quotes;
+};
+
+/**
+ * Adjust a fare for seasons and dynamic pricing and add its taxes
+ * @param {Object} fare - Fare of a bucket, or of the class multiplier, in the base currency
+ * @param {Array} seasons - Seasons the departure date falls in
+ * @param {Object|null} pricing - Dynamic multiplier of the class; null to leave the fare unscaled
+ * @param {Array} taxRules - Tax rules of the flight
+ * @returns {Object} Quote
+ */
+function priceFare(fare, seasons, pricing, taxRules) {
+  const seasonal = applySeasons(fare.price, seasons);
+  const multiplier = pricing ? pricing.multiplier : 1;
+  const price = applyMultiplier(seasonal.price, multiplier);
+  const taxes = calculateTaxes(price, taxRules);
+
+  return {
+    ...fare,
+    currency: config.BASE_CURRENCY,
+    price,
+    base_fare: fare.price,
+    seasonal_adjustment: seasonal.adjustment,
+    season_ids: seasonal.season_ids,
+    blackout: seasonal.blackout,
+    dynamic_multiplier: multiplier,
+    taxes: taxes.items,
+    taxes_amount: taxes.total,
+    total_price: Math.round((price + taxes.total) * 100) / 100
+  };
+}
+
+/**
+ * Quote the fare of a cabin class before dynamic pricing
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Cabin class
+ * @param {Object} options - fareFamily: fare family code to sell from
+ * @param {Object} transaction - Optional connection with an open transaction; locks the bucket
+ * @returns {Promise<Object|null>} Fare, or null when every bucket of the class is closed or sold out,
+ *   or the bucket on sale is in a currency without a rate
+ */
+async function quoteBaseFare(flightId, seatClass, options, transaction) {
+  const connection = transaction || pool;
+  const { fareFamily = null } = options;
+
+  const [buckets] = await connection.query(`
+    SELECT ${BUCKET_QUOTE_COLUMNS}
+    FROM fare_buckets fb
+    JOIN fare_families ff ON fb.fare_family_id = ff.fare_family_id
+    WHERE fb.flight_id = ? AND fb.class = ?
+    ORDER BY fb.price, fb.booking_code
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [flightId, seatClass]);
+
+  if (buckets.length === 0) {
+    return getMultiplierFare(flightId, seatClass, transaction);
+  }
+
+  const bucket = pickBucket(buckets, fareFamily);
+
+  if (!bucket) {
+    return null;
+  }
+
+  return bucketFare(bucket, await ExchangeRate.getRate(bucket.currency, new Date(), transaction));
+}
+
+/**
+ * Pick the bucket a class sells from: the cheapest open one with inventory left
+ * @param {Array} buckets - Buckets of the class, cheapest first
+ * @param {string} fareFamily - Optional fare family code to sell from
+ * @returns {Object|undefined} Bucket, or undefined when none is on sale
+ */
+function pickBucket(buckets, fareFamily = null) {
+  return buckets.find(candidate =>
+    candidate.is_open &&
+    candidate.sold < candidate.seat_limit &&
+    (!fareFamily || candidate.fare_family === fareFamily)
+  );
+}
+
+/**
+ * Build the fare of a bucket in the base currency. A bucket whose currency has
+ * no rate can't be priced, so it isn't sold; one flight filed in an unrated
+ * currency must not break searches or the transactions that offer seats.
+ * @param {Object} bucket - Bucket on sale
+ * @param {number|null} rate - Rate of the bucket's currency
+ * @returns {Object|null} Fare, or null when the currency has no rate
+ */
+function bucketFare(bucket, rate) {
+  if (rate === null) {
+    logger.warn(`No exchange rate for ${bucket.currency}; fare bucket ${bucket.bucket_id} is not sold`);
+    return null;
+  }
+
+  return {
+    price: toBase(bucket.price, rate),
+    fare_bucket_id: bucket.bucket_id,
+    booking_code: bucket.booking_code,
+    fare_family: bucket.fare_family,
+    is_refundable: !!bucket.is_refundable,
+    change_fee: bucket.change_fee === null ? null : parseFloat(bucket.change_fee)
+  };
+}
+
+/**
+ * Get the fee for changing a ticket sold from a fare bucket
+ * @param {number} bucketId - Bucket the ticket was sold from; null for a fare without a bucket
+ * @param {Object} transaction - Optional connection with an open transaction
+ * @returns {Promise<number|null>} Change fee, or null when the fare allows no changes
+ */
+exports.getChangeFee = async (bucketId, transaction = null) => {
+  if (!bucketId) {
+    return 0;
+  }
+
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT ff.change_fee
+    FROM fare_buckets fb
+    JOIN fare_families ff ON fb.fare_family_id = ff.fare_family_id
+    WHERE fb.bucket_id = ?
+  `, [bucketId]);
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  return rows[0].change_fee === null ? null : parseFloat(rows[0].change_fee);
+};
+
+/**
+ * Price a class at the base price times the class multiplier the flight is
+ * priced with, after its route's pricing rules
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Cabin class
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Object>} Fare without a bucket
+ */
+async function getMultiplierFare(flightId, seatClass, transaction) {
+  return multiplierFare(await PricingRule.getEffectivePricing(flightId, transaction), seatClass);
+}
+
+/**
+ * Build the fare of a class from a flight's effective pricing
+ * @param {Object|null} pricing - Effective pricing of the flight
+ * @param {string} seatClass - Cabin class
+ * @returns {Object} Fare without a bucket
+ */
+function multiplierFare(pricing, seatClass) {
+  if (!pricing) {
+    throw new Error('Flight not found');
+  }
+
+  return {
+    price: Math.round(pricing.base_price * (pricing[`${seatClass}_multiplier`] || 1) * 100) / 100,
+    fare_bucket_id: null,
+    booking_code: null,
+    fare_family: null,
+    is_refundable: true,
+    change_fee: 0
+  };
+}
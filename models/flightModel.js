@@ -1,4 +1,7 @@
 const { pool } = require("../config/database");
+const Airport = require("./airportModel");
+const Route = require("./routeModel");
+const Fare = require("./fareModel");
 const dateFormat = require("../utils/dateFormat");
 
 /**
@@ -24,9 +27,13 @@ exports.getAllFlights = async (page = 1, limit = 10) => {
       f.base_price,
       a.model AS aircraft_model,
       a.registration_number,
-      c.name AS crew_name
+      c.name AS crew_name,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM flights f
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
     LEFT JOIN crews c ON a.crew_id = c.crew_id
     ORDER BY f.departure_time
@@ -39,7 +46,7 @@ exports.getAllFlights = async (page = 1, limit = 10) => {
   const count = countRows[0].count;
 
   return {
-    data: rows,
+    data: rows.map(dateFormat.addLocalTimes),
     page,
     limit,
     totalPages: Math.ceil(count / limit),
@@ -61,6 +68,7 @@ exports.getFlightById = async (id) => {
       r.route_id,
       r.origin,
       r.destination,
+      r.distance,
       f.aircraft_id,
       a.model AS aircraft_model,
       a.registration_number,
@@ -69,12 +77,18 @@ exports.getFlightById = async (id) => {
       f.status,
       f.gate,
       f.base_price,
+      f.checkin_opens_minutes,
+      f.checkin_closes_minutes,
       c.crew_id,
       c.name AS crew_name,
-      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) AS booked_seats,
-      a.capacity AS total_capacity
+      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS booked_seats,
+      a.capacity AS total_capacity,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM flights f
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
     LEFT JOIN crews c ON a.crew_id = c.crew_id
     WHERE f.flight_id = ?
@@ -82,7 +96,33 @@ exports.getFlightById = async (id) => {
     [id],
   );
 
-  return rows[0];
+  return rows[0] && dateFormat.addLocalTimes(rows[0]);
+};
+
+/**
+ * Resolve flight times from a request to UTC. Times with an offset (or Z) are
+ * taken as-is; bare times are local to the origin (departure) and destination
+ * (arrival) airports of the route.
+ * @param {number} routeId - Route ID
+ * @param {string|Date} departureTime - Departure time
+ * @param {string|Date} arrivalTime - Arrival time
+ * @returns {Promise<Object>} { departure_time, arrival_time } as UTC dates (unset values stay undefined)
+ */
+exports.resolveFlightTimes = async (routeId, departureTime, arrivalTime) => {
+  const route = routeId ? await Route.getRouteById(routeId) : null;
+
+  if (routeId && !route) {
+    throw new Error(`Route not found with id of ${routeId}`);
+  }
+
+  return {
+    departure_time: departureTime
+      ? dateFormat.toUtcDate(departureTime, route && route.origin_timezone)
+      : undefined,
+    arrival_time: arrivalTime
+      ? dateFormat.toUtcDate(arrivalTime, route && route.destination_timezone)
+      : undefined,
+  };
 };
 
 /**
@@ -100,14 +140,17 @@ exports.createFlight = async (flightData) => {
     status = "scheduled",
     gate,
     base_price,
+    checkin_opens_minutes = null,
+    checkin_closes_minutes = null,
   } = flightData;
 
   const [result] = await pool.query(
     `
     INSERT INTO flights (
       flight_number, route_id, aircraft_id,
-      departure_time, arrival_time, status, gate, base_price
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      departure_time, arrival_time, status, gate, base_price,
+      checkin_opens_minutes, checkin_closes_minutes
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `,
     [
       flight_number,
@@ -118,6 +161,8 @@ exports.createFlight = async (flightData) => {
       status,
       gate,
       base_price,
+      checkin_opens_minutes,
+      checkin_closes_minutes,
     ],
   );
 
@@ -140,6 +185,8 @@ exports.updateFlight = async (id, flightData) => {
     status,
     gate,
     base_price,
+    checkin_opens_minutes,
+    checkin_closes_minutes,
   } = flightData;
 
   const [result] = await pool.query(
@@ -153,7 +200,9 @@ exports.updateFlight = async (id, flightData) => {
       arrival_time = COALESCE(?, arrival_time),
       status = COALESCE(?, status),
       gate = COALESCE(?, gate),
-      base_price = COALESCE(?, base_price)
+      base_price = COALESCE(?, base_price),
+      checkin_opens_minutes = COALESCE(?, checkin_opens_minutes),
+      checkin_closes_minutes = COALESCE(?, checkin_closes_minutes)
     WHERE flight_id = ?
   `,
     [
@@ -165,6 +214,8 @@ exports.updateFlight = async (id, flightData) => {
       status,
       gate,
       base_price,
+      checkin_opens_minutes,
+      checkin_closes_minutes,
       id,
     ],
   );
@@ -186,12 +237,26 @@ exports.deleteFlight = async (id) => {
 
 /**
  * Search flights by route and date
- * @param {string} origin - Origin city/airport
- * @param {string} destination - Destination city/airport
- * @param {string} date - Flight date (YYYY-MM-DD)
+ * @param {string} origin - Origin airport IATA code
+ * @param {string} destination - Destination airport IATA code
+ * @param {string} date - Flight date (YYYY-MM-DD), local to the origin airport
  * @returns {Promise<Array>} Matching flights
  */
 exports.searchFlightsByRouteAndDate = async (origin, destination, date) => {
+  const originAirport = await Airport.getAirportByCode(origin);
+
+  if (!originAirport) {
+    return [];
+  }
+
+  const range = dateFormat.localDayToUtcRange(date, originAirport.timezone);
+
+  if (!range) {
+    return [];
+  }
+
+  const { start, end } = range;
+
   const [rows] = await pool.query(
     `
     SELECT
@@ -204,32 +269,95 @@ exports.searchFlightsByRouteAndDate = async (origin, destination, date) => {
       f.status,
       f.base_price,
       a.model AS aircraft_model,
-      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) AS booked_seats,
-      a.capacity AS total_seats
+      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS booked_seats,
+      a.capacity AS total_seats,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM
       flights f
     JOIN
       routes r ON f.route_id = r.route_id
+    JOIN
+      airports ao ON r.origin = ao.iata_code
+    JOIN
+      airports ad ON r.destination = ad.iata_code
     JOIN
       aircraft a ON f.aircraft_id = a.aircraft_id
     WHERE
       r.origin = ? AND
       r.destination = ? AND
-      DATE(f.departure_time) = ? AND
+      f.departure_time >= ? AND
+      f.departure_time < ? AND
       f.status != 'canceled'
     ORDER BY
       f.departure_time
   `,
-    [origin, destination, date],
+    [origin, destination, start, end],
+  );
+
+  return rows.map(dateFormat.addLocalTimes);
+};
+
+/**
+ * Get bookable flights on a set of routes departing within a time window
+ * @param {Array<number>} routeIds - Route IDs
+ * @param {Date} windowStart - Earliest departure
+ * @param {Date} windowEnd - Latest departure
+ * @returns {Promise<Array>} Matching flights
+ */
+exports.getFlightsOnRoutesBetween = async (routeIds, windowStart, windowEnd) => {
+  if (routeIds.length === 0) {
+    return [];
+  }
+
+  const [rows] = await pool.query(
+    `
+    SELECT
+      f.flight_id,
+      f.flight_number,
+      f.route_id,
+      r.origin,
+      r.destination,
+      f.departure_time,
+      f.arrival_time,
+      f.status,
+      f.base_price,
+      f.economy_class_multiplier,
+      f.business_class_multiplier,
+      f.first_class_multiplier,
+      f.woman_only_multiplier,
+      a.model AS aircraft_model,
+      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS booked_seats,
+      a.capacity AS total_seats,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
+    FROM
+      flights f
+    JOIN
+      routes r ON f.route_id = r.route_id
+    JOIN
+      airports ao ON r.origin = ao.iata_code
+    JOIN
+      airports ad ON r.destination = ad.iata_code
+    JOIN
+      aircraft a ON f.aircraft_id = a.aircraft_id
+    WHERE
+      f.route_id IN (?) AND
+      f.departure_time BETWEEN ? AND ? AND
+      f.status NOT IN ('canceled', 'departed', 'arrived')
+    ORDER BY
+      f.departure_time
+  `,
+    [routeIds, windowStart, windowEnd],
   );
 
-  return rows;
+  return rows.map(dateFormat.addLocalTimes);
 };
 
 /**
  * Search flights by route
- * @param {string} origin - Origin city/airport
- * @param {string} destination - Destination city/airport
+ * @param {string} origin - Origin airport IATA code
+ * @param {string} destination - Destination airport IATA code
  * @returns {Promise<Array>} Matching flights
  */
 exports.searchFlightsByRoute = async (origin, destination) => {
@@ -244,12 +372,18 @@ exports.searchFlightsByRoute = async (origin, destination) => {
       f.arrival_time,
       f.status,
       a.model AS aircraft_model,
-      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) AS booked_seats,
-      a.capacity AS total_seats
+      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS booked_seats,
+      a.capacity AS total_seats,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM
       flights f
     JOIN
       routes r ON f.route_id = r.route_id
+    JOIN
+      airports ao ON r.origin = ao.iata_code
+    JOIN
+      airports ad ON r.destination = ad.iata_code
     JOIN
       aircraft a ON f.aircraft_id = a.aircraft_id
     WHERE
@@ -261,13 +395,13 @@ exports.searchFlightsByRoute = async (origin, destination) => {
     [origin, destination],
   );
 
-  return rows;
+  return rows.map(dateFormat.addLocalTimes);
 };
 
 /**
  * Generate flight schedule
- * @param {string} startDate - Start date (YYYY-MM-DD)
- * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} startDate - Start date (YYYY-MM-DD, UTC)
+ * @param {string} endDate - End date (YYYY-MM-DD, UTC)
  * @returns {Promise<Array>} Flight schedule
  */
 exports.generateFlightSchedule = async (startDate, endDate) => {
@@ -284,12 +418,18 @@ exports.generateFlightSchedule = async (startDate, endDate) => {
       f.base_price,
       a.registration_number AS aircraft,
       c.name AS crew_name,
-      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) AS passengers_count,
-      a.capacity AS total_capacity
+      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS passengers_count,
+      a.capacity AS total_capacity,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM
       flights f
     JOIN
       routes r ON f.route_id = r.route_id
+    JOIN
+      airports ao ON r.origin = ao.iata_code
+    JOIN
+      airports ad ON r.destination = ad.iata_code
     JOIN
       aircraft a ON f.aircraft_id = a.aircraft_id
     LEFT JOIN
@@ -302,7 +442,7 @@ exports.generateFlightSchedule = async (startDate, endDate) => {
     [startDate, endDate],
   );
 
-  return rows;
+  return rows.map(dateFormat.addLocalTimes);
 };
 
 /**
@@ -371,10 +511,14 @@ exports.getFlightByNumber = async (flightNumber) => {
       f.base_price,
       c.crew_id,
       c.name AS crew_name,
-      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) AS booked_seats,
-      a.capacity AS total_capacity
+      (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS booked_seats,
+      a.capacity AS total_capacity,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM flights f
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
     LEFT JOIN crews c ON a.crew_id = c.crew_id
     WHERE f.flight_number = ?
@@ -382,17 +526,20 @@ exports.getFlightByNumber = async (flightNumber) => {
     [flightNumber],
   );
 
-  return rows[0];
+  return rows[0] && dateFormat.addLocalTimes(rows[0]);
 };
 
 /**
  * Update flight status
  * @param {number} id - Flight ID
  * @param {string} status - New status
+ * @param {Object} transaction - Optional connection with an already open transaction
  * @returns {Promise<boolean>} Whether update was successful
  */
-exports.updateFlightStatus = async (id, status) => {
-  const [result] = await pool.query(
+exports.updateFlightStatus = async (id, status, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(
     "UPDATE flights SET status = ? WHERE flight_id = ?",
     [status, id],
   );
@@ -401,168 +548,19 @@ exports.updateFlightStatus = async (id, status) => {
 };
 
 /**
- * Calculate ticket price based on flight base price and class
+ * Calculate the price a ticket of a class sells at now: the cheapest open fare
+ * bucket, or base price times the class multiplier on a flight without buckets
  * @param {number} flightId - Flight ID
- * @param {string} ticketClass - Ticket class (economy, business, first)
+ * @param {string} ticketClass - Ticket class (economy, business, first, woman_only)
+ * @param {string} fareFamily - Optional fare family code to sell from
  * @returns {Promise<number>} Calculated ticket price
  */
-exports.calculateTicketPrice = async (flightId, ticketClass) => {
-  const [flightRows] = await pool.query(
-    "SELECT base_price FROM flights WHERE flight_id = ?",
-    [flightId],
-  );
+exports.calculateTicketPrice = async (flightId, ticketClass, fareFamily = null) => {
+  const fare = await Fare.quoteFare(flightId, ticketClass, { fareFamily });
 
-  if (flightRows.length === 0) {
-    throw new Error("Flight not found");
+  if (!fare) {
+    throw new Error(`No ${fareFamily ? `${fareFamily} ` : ""}${ticketClass} fares left on this flight`);
   }
 
-  const basePrice = flightRows[0].base_price;
-
-  const classMultipliers = {
-    economy: 1.0,
-    business: 2.5,
-    first: 4.0,
-  };
-
-  const multiplier = classMultipliers[ticketClass] || 1.0;
-
-  return basePrice * multiplier;
-};
-
-/**
- * Get all flight pricing rules with pagination
- * @param {number} page - Page number
- * @param {number} limit - Items per page
- * @returns {Promise<Object>} Paginated pricing rules
- */
-exports.getAllFlightPricing = async (page = 1, limit = 10) => {
-  const offset = (page - 1) * limit;
-  
-  const [rows] = await pool.query(`
-    SELECT 
-      f.flight_id as pricing_id,
-      r.origin,
-      r.destination,
-      f.base_price,
-      f.economy_class_multiplier as economy_multiplier,
-      f.business_class_multiplier as business_multiplier,
-      f.first_class_multiplier as first_multiplier,
-      f.woman_only_multiplier
-    FROM flights f
-    JOIN routes r ON f.route_id = r.route_id
-    ORDER BY r.origin, r.destination
-    LIMIT ? OFFSET ?
-  `, [limit, offset]);
-  
-  const [countRows] = await pool.query('SELECT COUNT(*) as count FROM flights');
-  const count = countRows[0].count;
-  
-  return {
-    data: rows,
-    page,
-    limit,
-    totalPages: Math.ceil(count / limit),
-    totalItems: count
-  };
-};
-
-/**
- * Get flight pricing rule by ID
- * @param {number} id - Flight ID
- * @returns {Promise<Object>} Pricing rule details
- */
-exports.getFlightPricingById = async (id) => {
-  const [rows] = await pool.query(`
-    SELECT 
-      f.flight_id as pricing_id,
-      r.origin,
-      r.destination,
-      f.base_price,
-      f.economy_class_multiplier as economy_multiplier,
-      f.business_class_multiplier as business_multiplier,
-      f.first_class_multiplier as first_multiplier,
-      f.woman_only_multiplier
-    FROM flights f
-    JOIN routes r ON f.route_id = r.route_id
-    WHERE f.flight_id = ?
-  `, [id]);
-  
-  return rows[0];
-};
-
-/**
- * Search flight pricing by origin and/or destination
- * @param {string} origin - Origin airport code
- * @param {string} destination - Destination airport code
- * @returns {Promise<Array>} Matching flight pricing details
- */
-exports.searchFlightPricing = async (origin, destination) => {
-  let query = `
-    SELECT 
-      f.flight_id as pricing_id,
-      r.origin,
-      r.destination,
-      f.base_price,
-      f.economy_class_multiplier as economy_multiplier,
-      f.business_class_multiplier as business_multiplier,
-      f.first_class_multiplier as first_multiplier,
-      f.woman_only_multiplier
-    FROM flights f
-    JOIN routes r ON f.route_id = r.route_id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  if (origin) {
-    query += ` AND r.origin = ?`;
-    params.push(origin);
-  }
-  
-  if (destination) {
-    query += ` AND r.destination = ?`;
-    params.push(destination);
-  }
-  
-  query += ` ORDER BY r.origin, r.destination`;
-  
-  const [rows] = await pool.query(query, params);
-  
-  return rows;
-};
-
-/**
- * Update flight pricing
- * @param {number} id - Flight ID
- * @param {Object} pricingData - Pricing data to update
- * @returns {Promise<boolean>} Whether update was successful
- */
-exports.updateFlightPricing = async (id, pricingData) => {
-  const {
-    base_price,
-    economy_multiplier,
-    business_multiplier,
-    first_multiplier,
-    woman_only_multiplier
-  } = pricingData;
-  
-  const [result] = await pool.query(`
-    UPDATE flights
-    SET
-      base_price = COALESCE(?, base_price),
-      economy_class_multiplier = COALESCE(?, economy_class_multiplier),
-      business_class_multiplier = COALESCE(?, business_class_multiplier),
-      first_class_multiplier = COALESCE(?, first_class_multiplier),
-      woman_only_multiplier = COALESCE(?, woman_only_multiplier)
-    WHERE flight_id = ?
-  `, [
-    base_price,
-    economy_multiplier,
-    business_multiplier,
-    first_multiplier,
-    woman_only_multiplier,
-    id
-  ]);
-  
-  return result.affectedRows > 0;
+  return fare.price;
 };
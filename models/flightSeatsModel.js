@@ -1,8 +1,13 @@
 const { pool } = require('../config/database');
+const SeatHold = require('./seatHoldModel');
+const Waitlist = require('./waitlistModel');
+const CabinLayout = require('./cabinLayoutModel');
+const { describeSeat, generateSeats } = require('../services/cabinLayoutService');
 const logger = require('../utils/logger');
 
 /**
- * Initialize seats for a flight based on aircraft model and capacity
+ * Initialize seats for a flight from the cabin layout of its aircraft model.
+ * Models without a layout get a layout estimated from their capacity.
  * @param {number} flightId - Flight ID
  * @param {number} aircraftId - Aircraft ID
  * @returns {Promise<boolean>} Whether initialization was successful
@@ -23,24 +28,20 @@ exports.initializeFlightSeats = async (flightId, aircraftId) => {
     }
     
     const aircraft = aircraftRows[0];
+    const layout = await CabinLayout.getLayoutByModel(aircraft.model, connection);
+    let seats;
     
-    const seatDistribution = calculateSeatDistribution(aircraft.model, aircraft.capacity);
-    const classLayouts = generateSeatLayouts(seatDistribution, aircraft.model);
-    
-    for (const [className, seatLayout] of Object.entries(classLayouts)) {
-      await connection.query(
-        `INSERT INTO flight_seats 
-        (flight_id, class, available_seats, booked_seats) 
-        VALUES (?, ?, ?, ?)`,
-        [
-          flightId,
-          className,
-          JSON.stringify(seatLayout),
-          JSON.stringify([]) // Initially, no seats are booked
-        ]
-      );
+    if (layout) {
+      seats = generateSeats(layout);
+    } else {
+      logger.warn(`No cabin layout for ${aircraft.model}; estimating seats from capacity`);
+      const seatDistribution = calculateSeatDistribution(aircraft.model, aircraft.capacity);
+      seats = generateSeatLayouts(seatDistribution, aircraft.model);
     }
     
+    await insertSeats(connection, flightId, seats);
+    await Waitlist.offerOpenSeats(connection, flightId);
+    
     await connection.commit();
     return true;
   } catch (error) {
@@ -56,19 +57,49 @@ exports.initializeFlightSeats = async (flightId, aircraftId) => {
  * Get available seats for a flight by class
  * @param {number} flightId - Flight ID
  * @param {string} seatClass - Seat class
- * @returns {Promise<Array>} Available seats
+ * @param {number} userId - User whose own holds still count as available
+ * @param {Object} transaction - Optional connection with an open transaction; locks the seats
+ * @returns {Promise<Array>} Available seats (excluding seats held by others)
  */
-exports.getAvailableSeatsByClass = async (flightId, seatClass) => {
-  const [rows] = await pool.query(
-    'SELECT available_seats FROM flight_seats WHERE flight_id = ? AND class = ?',
-    [flightId, seatClass]
-  );
-  
-  if (rows.length === 0) {
-    return [];
-  }
-  
-  return JSON.parse(rows[0].available_seats);
+exports.getAvailableSeatsByClass = async (flightId, seatClass, userId = null, transaction = null) => {
+  const connection = transaction || pool;
+  
+  const [rows] = await connection.query(`
+    SELECT seat_number
+    FROM flight_seats
+    WHERE flight_id = ? AND class = ? AND state = 'available'
+    ORDER BY seat_row, seat_number
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [flightId, seatClass]);
+  
+  const heldSeats = await SeatHold.getHeldSeats(flightId, userId);
+  
+  return rows
+    .map(row => row.seat_number)
+    .filter(seat => !heldSeats.includes(seat));
+};
+
+/**
+ * Get every seat of a class with its attributes and whether it can be booked
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {number} userId - User whose own holds still count as available
+ * @returns {Promise<Array>} Seats in cabin order
+ */
+exports.getClassSeats = async (flightId, seatClass, userId = null) => {
+  const [rows] = await pool.query(`
+    SELECT seat_number, seat_row, position, is_exit_row, has_bassinet, extra_legroom, state
+    FROM flight_seats
+    WHERE flight_id = ? AND class = ?
+    ORDER BY seat_row, seat_number
+  `, [flightId, seatClass]);
+
+  const heldSeats = await SeatHold.getHeldSeats(flightId, userId);
+
+  return rows.map(row => ({
+    ...row,
+    available: row.state === 'available' && !heldSeats.includes(row.seat_number)
+  }));
 };
 
 /**
@@ -78,16 +109,14 @@ exports.getAvailableSeatsByClass = async (flightId, seatClass) => {
  * @returns {Promise<Array>} Booked seats
  */
 exports.getBookedSeatsByClass = async (flightId, seatClass) => {
-  const [rows] = await pool.query(
-    'SELECT booked_seats FROM flight_seats WHERE flight_id = ? AND class = ?',
-    [flightId, seatClass]
-  );
-  
-  if (rows.length === 0) {
-    return [];
-  }
-  
-  return JSON.parse(rows[0].booked_seats);
+  const [rows] = await pool.query(`
+    SELECT seat_number
+    FROM flight_seats
+    WHERE flight_id = ? AND class = ? AND state = 'booked'
+    ORDER BY seat_row, seat_number
+  `, [flightId, seatClass]);
+  
+  return rows.map(row => row.seat_number);
 };
 
 /**
@@ -96,154 +125,300 @@ exports.getBookedSeatsByClass = async (flightId, seatClass) => {
  * @returns {Promise<Object>} Seat map by class
  */
 exports.getFlightSeatMap = async (flightId) => {
-  const [rows] = await pool.query(
-    'SELECT class, available_seats, booked_seats FROM flight_seats WHERE flight_id = ?',
-    [flightId]
-  );
+  const [rows] = await pool.query(`
+    SELECT class, seat_number, state
+    FROM flight_seats
+    WHERE flight_id = ?
+    ORDER BY seat_row, seat_number
+  `, [flightId]);
   
   const seatMap = {};
   
   rows.forEach(row => {
-    seatMap[row.class] = {
-      available: JSON.parse(row.available_seats),
-      booked: JSON.parse(row.booked_seats)
-    };
+    if (!seatMap[row.class]) {
+      seatMap[row.class] = { available: [], booked: [] };
+    }
+    
+    seatMap[row.class][row.state].push(row.seat_number);
   });
   
   return seatMap;
 };
 
+/**
+ * Get the cabin of a flight row by row, with each seat's attributes and state
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Array>} Rows in cabin order
+ */
+exports.getCabinRows = async (flightId) => {
+  const [rows] = await pool.query(`
+    SELECT seat_number, seat_row, class, position, is_exit_row, has_bassinet, extra_legroom, state
+    FROM flight_seats
+    WHERE flight_id = ?
+    ORDER BY seat_row, seat_number
+  `, [flightId]);
+  
+  const heldSeats = await SeatHold.getHeldSeats(flightId);
+  const cabinRows = [];
+  
+  rows.forEach(seat => {
+    let cabinRow = cabinRows[cabinRows.length - 1];
+    
+    if (!cabinRow || cabinRow.row !== seat.seat_row) {
+      cabinRow = {
+        row: seat.seat_row,
+        class: seat.class,
+        is_exit_row: !!seat.is_exit_row,
+        seats: []
+      };
+      cabinRows.push(cabinRow);
+    }
+    
+    cabinRow.seats.push({
+      seat_number: seat.seat_number,
+      position: seat.position,
+      has_bassinet: !!seat.has_bassinet,
+      extra_legroom: !!seat.extra_legroom,
+      state: seat.state === 'available' && heldSeats.includes(seat.seat_number) ? 'held' : seat.state
+    });
+  });
+  
+  return cabinRows;
+};
+
+/**
+ * Get every seat of a flight with its state and occupying ticket
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Array>} Seats in cabin order
+ */
+exports.getFlightSeats = async (flightId) => {
+  const [rows] = await pool.query(`
+    SELECT
+      fs.seat_number,
+      fs.seat_row,
+      fs.class,
+      fs.position,
+      fs.is_exit_row,
+      fs.has_bassinet,
+      fs.extra_legroom,
+      fs.state,
+      fs.ticket_id,
+      t.user_id,
+      CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
+      fs.updated_at
+    FROM flight_seats fs
+    LEFT JOIN tickets t ON fs.ticket_id = t.ticket_id
+    LEFT JOIN users u ON t.user_id = u.user_id
+    WHERE fs.flight_id = ?
+    ORDER BY fs.seat_row, fs.seat_number
+  `, [flightId]);
+  
+  return rows;
+};
+
+/**
+ * Get a single seat of a flight
+ * @param {number} flightId - Flight ID
+ * @param {string} seatNumber - Seat number
+ * @param {Object} transaction - Optional connection with an open transaction; locks the seat
+ * @returns {Promise<Object>} Seat details
+ */
+exports.getSeat = async (flightId, seatNumber, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      flight_seat_id, flight_id, seat_number, seat_row, class,
+      position, is_exit_row, has_bassinet, extra_legroom, state, ticket_id
+    FROM flight_seats
+    WHERE flight_id = ? AND seat_number = ?
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [flightId, seatNumber]);
+  
+  return rows[0];
+};
+
 /**
  * Check if a seat is available for booking
  * @param {number} flightId - Flight ID
  * @param {string} seatClass - Seat class
  * @param {string} seatNumber - Seat number
+ * @param {number} userId - User whose own hold on the seat should not block it
+ * @param {Object} transaction - Optional connection with an open transaction; locks the seat, and
+ *   with it the holds on the seat, until the transaction ends
  * @returns {Promise<boolean>} Whether seat is available
  */
-exports.isSeatAvailable = async (flightId, seatClass, seatNumber) => {
-  const [rows] = await pool.query(
-    'SELECT available_seats FROM flight_seats WHERE flight_id = ? AND class = ?',
-    [flightId, seatClass]
-  );
+exports.isSeatAvailable = async (flightId, seatClass, seatNumber, userId = null, transaction = null) => {
+  const seat = await exports.getSeat(flightId, seatNumber, transaction);
   
-  if (rows.length === 0) {
+  if (!seat || seat.class !== seatClass || seat.state !== 'available') {
     return false;
   }
   
-  const availableSeats = JSON.parse(rows[0].available_seats);
-  return availableSeats.includes(seatNumber);
+  return !(await SeatHold.isSeatHeld(flightId, seatNumber, userId, transaction));
 };
 
 /**
- * Book a seat (move from available to booked)
+ * Book a seat. The seat's row is locked for the rest of the transaction, so two
+ * concurrent bookings of the same seat are serialized and the second one fails.
  * @param {number} flightId - Flight ID
  * @param {string} seatClass - Seat class
  * @param {string} seatNumber - Seat number
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @param {number} ticketId - Ticket occupying the seat
  * @returns {Promise<boolean>} Whether booking was successful
  */
-exports.bookSeat = async (flightId, seatClass, seatNumber) => {
-  const connection = await pool.getConnection();
+exports.bookSeat = async (flightId, seatClass, seatNumber, transaction = null, ticketId = null) => {
+  // When called inside a caller's transaction, commit/rollback is left to the caller
+  const connection = transaction || await pool.getConnection();
   
   try {
-    await connection.beginTransaction();
+    if (!transaction) {
+      await connection.beginTransaction();
+    }
 
     const [rows] = await connection.query(
-      'SELECT available_seats, booked_seats FROM flight_seats WHERE flight_id = ? AND class = ? FOR UPDATE',
-      [flightId, seatClass]
+      'SELECT flight_seat_id, class, state FROM flight_seats WHERE flight_id = ? AND seat_number = ? FOR UPDATE',
+      [flightId, seatNumber]
     );
     
-    if (rows.length === 0) {
-      throw new Error('Seat class not found for this flight');
+    if (rows.length === 0 || rows[0].class !== seatClass) {
+      throw new Error('Seat not found in this class for this flight');
     }
     
-    const availableSeats = JSON.parse(rows[0].available_seats);
-    const bookedSeats = JSON.parse(rows[0].booked_seats);
-    
-    const seatIndex = availableSeats.indexOf(seatNumber);
-    if (seatIndex === -1) {
+    if (rows[0].state !== 'available') {
       throw new Error('Seat is not available');
     }
     
-    availableSeats.splice(seatIndex, 1);
-    bookedSeats.push(seatNumber);
-    
     await connection.query(
-      'UPDATE flight_seats SET available_seats = ?, booked_seats = ? WHERE flight_id = ? AND class = ?',
-      [JSON.stringify(availableSeats), JSON.stringify(bookedSeats), flightId, seatClass]
+      "UPDATE flight_seats SET state = 'booked', ticket_id = ? WHERE flight_seat_id = ?",
+      [ticketId, rows[0].flight_seat_id]
     );
     
-    await connection.commit();
+    if (!transaction) {
+      await connection.commit();
+    }
     return true;
   } catch (error) {
-    await connection.rollback();
+    if (!transaction) {
+      await connection.rollback();
+    }
     logger.error(`Error booking seat: ${error.message}`);
     throw error;
   } finally {
-    connection.release();
+    if (!transaction) {
+      connection.release();
+    }
   }
 };
 
 /**
- * Release a seat (move from booked to available)
+ * Release a booked seat. It goes to a ticket of the class that was sold
+ * without a seat (overbooking) if there is one, otherwise it is offered to
+ * the flight's waitlist.
  * @param {number} flightId - Flight ID
  * @param {string} seatClass - Seat class
  * @param {string} seatNumber - Seat number
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @param {number} nextTicketId - Unseated ticket to give the seat to instead of the first one sold
  * @returns {Promise<boolean>} Whether release was successful
  */
-exports.releaseSeat = async (flightId, seatClass, seatNumber) => {
-  const connection = await pool.getConnection();
+exports.releaseSeat = async (flightId, seatClass, seatNumber, transaction = null, nextTicketId = null) => {
+  // When called inside a caller's transaction, commit/rollback is left to the caller
+  const connection = transaction || await pool.getConnection();
   
   try {
-    await connection.beginTransaction();
+    if (!transaction) {
+      await connection.beginTransaction();
+    }
     
     const [rows] = await connection.query(
-      'SELECT available_seats, booked_seats FROM flight_seats WHERE flight_id = ? AND class = ? FOR UPDATE',
-      [flightId, seatClass]
+      'SELECT flight_seat_id, class, state FROM flight_seats WHERE flight_id = ? AND seat_number = ? FOR UPDATE',
+      [flightId, seatNumber]
     );
     
-    if (rows.length === 0) {
-      throw new Error('Seat class not found for this flight');
+    if (rows.length === 0 || rows[0].class !== seatClass) {
+      throw new Error('Seat not found in this class for this flight');
     }
     
-    const availableSeats = JSON.parse(rows[0].available_seats);
-    const bookedSeats = JSON.parse(rows[0].booked_seats);
-    
-    const seatIndex = bookedSeats.indexOf(seatNumber);
-    if (seatIndex === -1) {
+    if (rows[0].state !== 'booked') {
       throw new Error('Seat is not currently booked');
     }
     
-    bookedSeats.splice(seatIndex, 1);
-    availableSeats.push(seatNumber);
-    
-    // Sort available seats for consistency
-    availableSeats.sort((a, b) => {
-      const rowA = parseInt(a.match(/\d+/)[0]);
-      const rowB = parseInt(b.match(/\d+/)[0]);
-      
-      if (rowA !== rowB) {
-        return rowA - rowB;
-      }
-      
-      return a.localeCompare(b);
-    });
-    
     await connection.query(
-      'UPDATE flight_seats SET available_seats = ?, booked_seats = ? WHERE flight_id = ? AND class = ?',
-      [JSON.stringify(availableSeats), JSON.stringify(bookedSeats), flightId, seatClass]
+      "UPDATE flight_seats SET state = 'available', ticket_id = NULL WHERE flight_seat_id = ?",
+      [rows[0].flight_seat_id]
     );
     
-    await connection.commit();
+    // The freed seat is passed on as part of the same transaction
+    const seatedTicketId = await exports.seatUnseatedTicket(flightId, seatClass, seatNumber, connection, nextTicketId);
+    
+    if (!seatedTicketId) {
+      await Waitlist.offerSeat(connection, flightId, seatClass, seatNumber);
+    }
+    
+    if (!transaction) {
+      await connection.commit();
+    }
     return true;
   } catch (error) {
-    await connection.rollback();
+    if (!transaction) {
+      await connection.rollback();
+    }
     logger.error(`Error releasing seat: ${error.message}`);
     throw error;
   } finally {
-    connection.release();
+    if (!transaction) {
+      connection.release();
+    }
   }
 };
 
+/**
+ * Give a free seat to a ticket that was sold without one. Without a ticket ID
+ * the first unseated ticket of the class sold on a flight still open for
+ * boarding gets it.
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {string} seatNumber - Free seat
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} ticketId - Optional unseated ticket to seat
+ * @returns {Promise<number|null>} ID of the ticket now in the seat, or null when no ticket was waiting for one
+ */
+exports.seatUnseatedTicket = async (flightId, seatClass, seatNumber, connection, ticketId = null) => {
+  const [tickets] = ticketId
+    ? await connection.query(`
+      SELECT ticket_id, user_id
+      FROM tickets
+      WHERE ticket_id = ? AND flight_id = ? AND class = ? AND seat_number IS NULL AND status != 'cancelled'
+      FOR UPDATE
+    `, [ticketId, flightId, seatClass])
+    : await connection.query(`
+      SELECT t.ticket_id, t.user_id
+      FROM tickets t
+      JOIN flights f ON t.flight_id = f.flight_id
+      WHERE t.flight_id = ? AND t.class = ? AND t.seat_number IS NULL AND t.status != 'cancelled'
+      AND f.status IN ('scheduled', 'delayed', 'boarding')
+      ORDER BY t.ticket_id
+      LIMIT 1
+      FOR UPDATE
+    `, [flightId, seatClass]);
+  
+  if (tickets.length === 0) {
+    return null;
+  }
+  
+  const ticket = tickets[0];
+  
+  await exports.bookSeat(flightId, seatClass, seatNumber, connection, ticket.ticket_id);
+  await SeatHold.convertHold(connection, flightId, seatNumber, ticket.user_id);
+  await connection.query('UPDATE tickets SET seat_number = ? WHERE ticket_id = ?', [seatNumber, ticket.ticket_id]);
+  
+  logger.info(`Seat ${seatNumber} on flight ${flightId} given to unseated ticket ${ticket.ticket_id}`);
+  
+  return ticket.ticket_id;
+};
+
 /**
  * Validate woman only seat booking
  * @param {string} gender - Passenger gender
@@ -256,25 +431,34 @@ exports.validateWomanOnlySeat = (gender) => {
 /**
  * Get all available seats for a flight (across all classes)
  * @param {number} flightId - Flight ID
- * @returns {Promise<Object>} Available seats by class
+ * @param {number} userId - User whose own holds still count as available
+ * @returns {Promise<Object>} Available seats by class (excluding seats held by others)
  */
-exports.getAllAvailableSeats = async (flightId) => {
-  const [rows] = await pool.query(
-    'SELECT class, available_seats FROM flight_seats WHERE flight_id = ?',
-    [flightId]
-  );
-  
+exports.getAllAvailableSeats = async (flightId, userId = null) => {
+  const [rows] = await pool.query(`
+    SELECT class, seat_number
+    FROM flight_seats
+    WHERE flight_id = ? AND state = 'available'
+    ORDER BY seat_row, seat_number
+  `, [flightId]);
+  
+  const heldSeats = await SeatHold.getHeldSeats(flightId, userId);
   const availableSeats = {};
   
-  rows.forEach(row => {
-    availableSeats[row.class] = JSON.parse(row.available_seats);
-  });
+  rows
+    .filter(row => !heldSeats.includes(row.seat_number))
+    .forEach(row => {
+      if (!availableSeats[row.class]) {
+        availableSeats[row.class] = [];
+      }
+      availableSeats[row.class].push(row.seat_number);
+    });
   
   return availableSeats;
 };
 
 /**
- * Reconfigure seat layout for a flight
+ * Reconfigure seat layout for a flight; free seats are then offered to its waitlist
  * @param {number} flightId - Flight ID
  * @param {Object} configuration - New configuration with class distribution
  * @returns {Promise<boolean>} Whether reconfiguration was successful
@@ -285,16 +469,17 @@ exports.reconfigureFlightSeats = async (flightId, configuration) => {
   try {
     await connection.beginTransaction();
     
-    // Check if any seats are already booked
+    // Lock the flight's seats so no booking slips in while the layout is replaced
     const [bookingCheck] = await connection.query(
-      `SELECT COUNT(*) as count 
+      `SELECT seat_number 
        FROM flight_seats 
        WHERE flight_id = ? 
-       AND JSON_LENGTH(booked_seats) > 0`,
+       AND state = 'booked'
+       FOR UPDATE`,
       [flightId]
     );
     
-    if (bookingCheck[0].count > 0) {
+    if (bookingCheck.length > 0) {
       throw new Error('Cannot reconfigure flight with existing bookings');
     }
     
@@ -317,26 +502,18 @@ exports.reconfigureFlightSeats = async (flightId, configuration) => {
     }
     
     const aircraft = aircraftRows[0];
-    const classLayouts = generateCustomSeatLayouts(configuration, aircraft.model, aircraft.capacity);
+    const layout = await CabinLayout.getLayoutByModel(aircraft.model, connection);
+    const seats = generateCustomSeatLayouts(configuration, aircraft.model, aircraft.capacity, layout);
     
     await connection.query(
       'DELETE FROM flight_seats WHERE flight_id = ?',
       [flightId]
     );
     
-    for (const [className, seatLayout] of Object.entries(classLayouts)) {
-      await connection.query(
-        `INSERT INTO flight_seats 
-        (flight_id, class, available_seats, booked_seats) 
-        VALUES (?, ?, ?, ?)`,
-        [
-          flightId,
-          className,
-          JSON.stringify(seatLayout),
-          JSON.stringify([]) // All seats are available
-        ]
-      );
-    }
+    await insertSeats(connection, flightId, seats);
+    // Offers on seats that are gone go back to waiting; the new seats go to the waitlist
+    await SeatHold.deleteStaleHolds(connection, flightId);
+    await Waitlist.offerOpenSeats(connection, flightId);
     
     await connection.commit();
     return true;
@@ -349,6 +526,38 @@ exports.reconfigureFlightSeats = async (flightId, configuration) => {
   }
 };
 
+/**
+ * Insert one available seat row per seat of a layout
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} flightId - Flight ID
+ * @param {Array} seats - Seats with their class and attributes
+ */
+async function insertSeats(connection, flightId, seats) {
+  if (seats.length === 0) {
+    return;
+  }
+  
+  const values = seats.map(seat => [
+    flightId,
+    seat.seat_number,
+    seat.seat_row,
+    seat.class,
+    'available',
+    seat.position,
+    seat.is_exit_row,
+    seat.has_bassinet,
+    seat.extra_legroom
+  ]);
+  
+  await connection.query(
+    `INSERT INTO flight_seats (
+      flight_id, seat_number, seat_row, class, state,
+      position, is_exit_row, has_bassinet, extra_legroom
+    ) VALUES ?`,
+    [values]
+  );
+}
+
 /**
  * Calculate seat distribution by class based on aircraft model and capacity
  * @param {string} aircraftModel - Aircraft model 
@@ -396,26 +605,28 @@ function calculateSeatDistribution(aircraftModel, totalCapacity) {
  * Generate seat layouts for each class
  * @param {Object} seatDistribution - Number of seats for each class
  * @param {string} aircraftModel - Aircraft model
- * @returns {Object} Seat layouts by class
+ * @param {Object} cabinLayout - Cabin layout whose seat letters and seat attributes are reused, if any
+ * @returns {Array} Seats with their class and attributes
  */
-function generateSeatLayouts(seatDistribution, aircraftModel) {
+function generateSeatLayouts(seatDistribution, aircraftModel, cabinLayout = null) {
   const layouts = {};
   
-  let seatsPerRow = 6;
-  let firstClassRows = 0;
-  let businessClassRows = 0;
-  let womanOnlyRows = 0;
+  let seatLetterConfig = 'ABC-DEF';
   
-  let seatLetters = ['A', 'B', 'C', 'D', 'E', 'F'];
-  
-  if (aircraftModel.includes('A330') || aircraftModel.includes('777') || aircraftModel.includes('787')) {
-    seatsPerRow = 8;
-    seatLetters = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  if (cabinLayout) {
+    seatLetterConfig = cabinLayout.seat_letters;
+  } else if (aircraftModel.includes('A330') || aircraftModel.includes('777') || aircraftModel.includes('787')) {
+    seatLetterConfig = 'AB-CDEF-GH';
   } else if (aircraftModel.includes('CRJ') || aircraftModel.includes('E190') || aircraftModel.includes('E175')) {
-    seatsPerRow = 4;
-    seatLetters = ['A', 'B', 'C', 'D'];
+    seatLetterConfig = 'AB-CD';
   }
   
+  const seatLetters = seatLetterConfig.replace(/-/g, '').split('');
+  const seatsPerRow = seatLetters.length;
+  let firstClassRows = 0;
+  let businessClassRows = 0;
+  let womanOnlyRows = 0;
+  
   firstClassRows = Math.ceil(seatDistribution.first / seatsPerRow);
   businessClassRows = Math.ceil(seatDistribution.business / seatsPerRow);
   womanOnlyRows = Math.ceil(seatDistribution.woman_only / seatsPerRow);
@@ -426,7 +637,9 @@ function generateSeatLayouts(seatDistribution, aircraftModel) {
   layouts.woman_only = generateSeatsForClass(firstClassRows + businessClassRows + 1, firstClassRows + businessClassRows + womanOnlyRows, seatLetters, seatDistribution.woman_only);
   layouts.economy = generateSeatsForClass(firstClassRows + businessClassRows + womanOnlyRows + 1, firstClassRows + businessClassRows + womanOnlyRows + economyClassRows, seatLetters, seatDistribution.economy);
   
-  return layouts;
+  return Object.entries(layouts).flatMap(([className, seatNumbers]) =>
+    seatNumbers.map(seatNumber => describeSeat(seatNumber, className, seatLetterConfig, cabinLayout))
+  );
 }
 
 /**
@@ -460,9 +673,10 @@ function generateSeatsForClass(startRow, endRow, seatLetters, maxSeats) {
  * @param {Object} configuration - Seat count or percentage by class
  * @param {string} aircraftModel - Aircraft model
  * @param {number} totalCapacity - Total aircraft capacity
- * @returns {Object} Seat layouts by class
+ * @param {Object} cabinLayout - Cabin layout of the aircraft model, if any
+ * @returns {Array} Seats with their class and attributes
  */
-function generateCustomSeatLayouts(configuration, aircraftModel, totalCapacity) {
+function generateCustomSeatLayouts(configuration, aircraftModel, totalCapacity, cabinLayout = null) {
   const seatDistribution = {};
   let totalConfigured = 0;
   
@@ -489,5 +703,5 @@ function generateCustomSeatLayouts(configuration, aircraftModel, totalCapacity)
     }
   }
   
-  return generateSeatLayouts(seatDistribution, aircraftModel);
+  return generateSeatLayouts(seatDistribution, aircraftModel, cabinLayout);
 }
@@ -0,0 +1,186 @@
+const { pool } = require('../config/database');
+
+const RULE_COLUMNS = `
+  o.rule_id,
+  o.flight_id,
+  f.flight_number,
+  o.route_id,
+  r.origin,
+  r.destination,
+  o.class,
+  o.extra_seats,
+  o.created_at
+`;
+
+/**
+ * Get overbooking rules
+ * @param {Object} filters - Optional flight_id and route_id
+ * @returns {Promise<Array>} Overbooking rules, route rules first
+ */
+exports.getRules = async (filters = {}) => {
+  let query = `
+    SELECT ${RULE_COLUMNS}
+    FROM overbooking_rules o
+    LEFT JOIN flights f ON o.flight_id = f.flight_id
+    LEFT JOIN routes r ON r.route_id = COALESCE(o.route_id, f.route_id)
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.flight_id) {
+    query += ' AND o.flight_id = ?';
+    params.push(filters.flight_id);
+  }
+
+  if (filters.route_id) {
+    query += ' AND o.route_id = ?';
+    params.push(filters.route_id);
+  }
+
+  query += ' ORDER BY o.flight_id IS NOT NULL, r.origin, r.destination, o.flight_id, o.class';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+};
+
+/**
+ * Get overbooking rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object>} Overbooking rule
+ */
+exports.getRuleById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT ${RULE_COLUMNS}
+    FROM overbooking_rules o
+    LEFT JOIN flights f ON o.flight_id = f.flight_id
+    LEFT JOIN routes r ON r.route_id = COALESCE(o.route_id, f.route_id)
+    WHERE o.rule_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Create an overbooking rule for a flight or a route
+ * @param {Object} ruleData - flight_id or route_id, class, extra_seats
+ * @returns {Promise<number>} ID of the created rule
+ */
+exports.createRule = async (ruleData) => {
+  const {
+    flight_id = null,
+    route_id = null,
+    class: seatClass,
+    extra_seats
+  } = ruleData;
+
+  const [result] = await pool.query(`
+    INSERT INTO overbooking_rules (flight_id, route_id, class, extra_seats)
+    VALUES (?, ?, ?, ?)
+  `, [flight_id, route_id, seatClass, extra_seats]);
+
+  return result.insertId;
+};
+
+/**
+ * Change the allowance of an overbooking rule
+ * @param {number} id - Rule ID
+ * @param {number} extraSeats - Tickets that may be sold beyond the class's seats
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateRule = async (id, extraSeats) => {
+  const [result] = await pool.query(
+    'UPDATE overbooking_rules SET extra_seats = ? WHERE rule_id = ?',
+    [extraSeats, id]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete an overbooking rule
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteRule = async (id) => {
+  const [result] = await pool.query('DELETE FROM overbooking_rules WHERE rule_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get how many tickets of a class may be sold beyond its seats on a flight.
+ * A rule for the flight takes precedence over one for its route; without either
+ * the class is not overbooked.
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {Object} transaction - Optional connection with an open transaction
+ * @returns {Promise<number>} Extra tickets allowed
+ */
+exports.getAllowance = async (flightId, seatClass, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT o.extra_seats
+    FROM flights f
+    JOIN overbooking_rules o
+      ON (o.flight_id = f.flight_id OR o.route_id = f.route_id) AND o.class = ?
+    WHERE f.flight_id = ?
+    ORDER BY o.flight_id IS NULL
+    LIMIT 1
+  `, [seatClass, flightId]);
+
+  return rows.length > 0 ? rows[0].extra_seats : 0;
+};
+
+/**
+ * Get the seats and sales of a class on a flight
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {Object} transaction - Optional connection with an open transaction
+ * @returns {Promise<Object>} { seats, sold, unseated, allowance }
+ */
+exports.getClassLoad = async (flightId, seatClass, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      (SELECT COUNT(*) FROM flight_seats WHERE flight_id = ? AND class = ?) as seats,
+      COUNT(t.ticket_id) as sold,
+      COALESCE(SUM(t.seat_number IS NULL), 0) as unseated
+    FROM tickets t
+    WHERE t.flight_id = ? AND t.class = ? AND t.status != 'cancelled'
+  `, [flightId, seatClass, flightId, seatClass]);
+
+  return {
+    seats: rows[0].seats,
+    sold: rows[0].sold,
+    unseated: Number(rows[0].unseated),
+    allowance: await exports.getAllowance(flightId, seatClass, transaction)
+  };
+};
+
+/**
+ * Get the active tickets of a flight that were sold without a seat, first sold first
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Optional seat class
+ * @param {Object} transaction - Optional connection with an open transaction; locks the tickets
+ * @returns {Promise<Array>} Unseated tickets
+ */
+exports.getUnseatedTickets = async (flightId, seatClass = null, transaction = null) => {
+  const connection = transaction || pool;
+  let query = `
+    SELECT ticket_id, user_id, flight_id, booking_id, class, price, payment_status, payment_intent_id
+    FROM tickets
+    WHERE flight_id = ? AND seat_number IS NULL AND status != 'cancelled'
+  `;
+  const params = [flightId];
+
+  if (seatClass) {
+    query += ' AND class = ?';
+    params.push(seatClass);
+  }
+
+  query += ` ORDER BY ticket_id ${transaction ? 'FOR UPDATE' : ''}`;
+
+  const [rows] = await connection.query(query, params);
+  return rows;
+};
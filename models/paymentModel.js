@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+const INTENT_COLUMNS = `
+  pi.intent_id,
+  pi.reference,
+  pi.provider,
+  pi.provider_reference,
+  pi.user_id,
+  pi.booking_id,
+  pi.amount,
+  pi.currency,
+  pi.status,
+  pi.amount_captured,
+  pi.amount_refunded,
+  pi.failure_reason,
+  pi.created_at,
+  pi.updated_at
+`;
+
+/**
+ * Get payment intents, optionally limited to one user
+ * @param {number} userId - Optional user ID to filter by
+ * @returns {Promise<Array>} Payment intents, newest first
+ */
+exports.getIntents = async (userId = null) => {
+  const [rows] = await pool.query(`
+    SELECT ${INTENT_COLUMNS}
+    FROM payment_intents pi
+    ${userId ? 'WHERE pi.user_id = ?' : ''}
+    ORDER BY pi.intent_id DESC
+  `, userId ? [userId] : []);
+
+  return rows;
+};
+
+/**
+ * Get payment intent by ID, with its tickets and refunds
+ * @param {number} id - Intent ID
+ * @param {Object} transaction - Optional connection with an already open transaction (locks the intent)
+ * @returns {Promise<Object>} Payment intent
+ */
+exports.getIntentById = async (id, transaction = null) => {
+  return findIntent('pi.intent_id = ?', [id], transaction);
+};
+
+/**
+ * Get payment intent by reference, with its tickets and refunds
+ * @param {string} reference - Intent reference
+ * @param {Object} transaction - Optional connection with an already open transaction (locks the intent)
+ * @returns {Promise<Object>} Payment intent
+ */
+exports.getIntentByReference = async (reference, transaction = null) => {
+  return findIntent('pi.reference = ?', [reference], transaction);
+};
+
+/**
+ * Get payment intent by the provider's reference, with its tickets and refunds
+ * @param {string} provider - Provider name
+ * @param {string} providerReference - Provider reference of the payment
+ * @param {Object} transaction - Optional connection with an already open transaction (locks the intent)
+ * @returns {Promise<Object>} Payment intent
+ */
+exports.getIntentByProviderReference = async (provider, providerReference, transaction = null) => {
+  return findIntent('pi.provider = ? AND pi.provider_reference = ?', [provider, providerReference], transaction);
+};
+
+/**
+ * Create a payment intent for some tickets
+ * @param {Object} intentData - Intent data
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<Object>} { intent_id, reference }
+ */
+exports.createIntent = async (intentData, transaction = null) => {
+  const {
+    provider,
+    user_id,
+    booking_id = null,
+    amount,
+    currency
+  } = intentData;
+  const connection = transaction || pool;
+  const reference = `pi_${crypto.randomBytes(12).toString('hex')}`;
+
+  const [result] = await connection.query(`
+    INSERT INTO payment_intents (reference, provider, user_id, booking_id, amount, currency)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [reference, provider, user_id, booking_id, amount, currency]);
+
+  return { intent_id: result.insertId, reference };
+};
+
+/**
+ * Update the state of a payment intent
+ * @param {number} intentId - Intent ID
+ * @param {Object} fields - provider_reference, status, amount_captured, failure_reason
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateIntent = async (intentId, fields, transaction = null) => {
+  const {
+    provider_reference,
+    status,
+    amount_captured,
+    failure_reason
+  } = fields;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    UPDATE payment_intents
+    SET
+      provider_reference = COALESCE(?, provider_reference),
+      status = COALESCE(?, status),
+      amount_captured = COALESCE(?, amount_captured),
+      failure_reason = ?
+    WHERE intent_id = ?
+  `, [provider_reference, status, amount_captured, failure_reason || null, intentId]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record a refund of a payment intent. A refund the provider already reported
+ * (same provider refund ID) is not counted twice.
+ * @param {number} intentId - Intent ID
+ * @param {Object} refundData - provider_refund_id, amount, ticket_id, reason
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<boolean>} Whether the refund was new
+ */
+exports.addRefund = async (intentId, refundData, transaction = null) => {
+  const {
+    provider_refund_id,
+    amount,
+    ticket_id = null,
+    reason = null
+  } = refundData;
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT IGNORE INTO payment_refunds (intent_id, provider_refund_id, amount, ticket_id, reason)
+    VALUES (?, ?, ?, ?, ?)
+  `, [intentId, provider_refund_id, amount, ticket_id, reason]);
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await connection.query(`
+    UPDATE payment_intents
+    SET
+      amount_refunded = amount_refunded + ?,
+      status = IF(amount_refunded >= amount_captured, 'refunded', 'partially_refunded')
+    WHERE intent_id = ?
+  `, [amount, intentId]);
+
+  return true;
+};
+
+/**
+ * Record a webhook event so repeated deliveries are handled once
+ * @param {string} provider - Provider name
+ * @param {Object} event - Parsed event ({ id, type })
+ * @param {number} intentId - Payment intent the event is about, if known
+ * @param {string} payload - Raw event body
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<boolean>} Whether the event was new
+ */
+exports.recordEvent = async (provider, event, intentId, payload, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    INSERT IGNORE INTO payment_events (provider, provider_event_id, type, intent_id, payload)
+    VALUES (?, ?, ?, ?, ?)
+  `, [provider, event.id, event.type, intentId, payload]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Find one payment intent and add its tickets and refunds
+ * @param {string} where - SQL condition on the intent (alias pi)
+ * @param {Array} params - Condition parameters
+ * @param {Object} transaction - Optional connection with an already open transaction (locks the intent)
+ * @returns {Promise<Object>} Payment intent, or undefined
+ */
+async function findIntent(where, params, transaction) {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT ${INTENT_COLUMNS}
+    FROM payment_intents pi
+    WHERE ${where}
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, params);
+
+  if (rows.length === 0) {
+    return undefined;
+  }
+
+  return withDetails(rows[0], connection);
+}
+
+/**
+ * Add the tickets and refunds of an intent
+ * @param {Object} intent - Payment intent row
+ * @param {Object} connection - Pool or connection to query with
+ * @returns {Promise<Object>} Intent with tickets and refunds
+ */
+async function withDetails(intent, connection) {
+  const [tickets] = await connection.query(`
+    SELECT ticket_id, user_id, flight_id, seat_number, class, price, status, payment_status
+    FROM tickets
+    WHERE payment_intent_id = ?
+    ORDER BY ticket_id
+  `, [intent.intent_id]);
+
+  const [refunds] = await connection.query(`
+    SELECT refund_id, provider_refund_id, amount, ticket_id, reason, created_at
+    FROM payment_refunds
+    WHERE intent_id = ?
+    ORDER BY refund_id
+  `, [intent.intent_id]);
+
+  return {
+    ...intent,
+    tickets,
+    refunds
+  };
+}
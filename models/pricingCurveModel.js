@@ -0,0 +1,230 @@
+const { pool } = require('../config/database');
+const PricingEngine = require('../services/pricingEngineService');
+
+const CURVE_COLUMNS = `
+  pc.curve_id,
+  pc.route_id,
+  r.origin,
+  r.destination,
+  pc.load_factor_steps,
+  pc.days_steps,
+  pc.min_multiplier,
+  pc.max_multiplier,
+  pc.updated_at
+`;
+
+/**
+ * Get all pricing curves
+ * @returns {Promise<Array>} Pricing curves by route
+ */
+exports.getCurves = async () => {
+  const [rows] = await pool.query(`
+    SELECT ${CURVE_COLUMNS}
+    FROM pricing_curves pc
+    JOIN routes r ON pc.route_id = r.route_id
+    ORDER BY r.origin, r.destination
+  `);
+
+  return rows;
+};
+
+/**
+ * Get pricing curve by ID
+ * @param {number} id - Curve ID
+ * @returns {Promise<Object>} Pricing curve
+ */
+exports.getCurveById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT ${CURVE_COLUMNS}
+    FROM pricing_curves pc
+    JOIN routes r ON pc.route_id = r.route_id
+    WHERE pc.curve_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Get the pricing curve of a route
+ * @param {number} routeId - Route ID
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Object>} Pricing curve, or undefined when the route has none
+ */
+exports.getCurveByRoute = async (routeId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT ${CURVE_COLUMNS}
+    FROM pricing_curves pc
+    JOIN routes r ON pc.route_id = r.route_id
+    WHERE pc.route_id = ?
+  `, [routeId]);
+
+  return rows[0];
+};
+
+/**
+ * Create a pricing curve for a route
+ * @param {Object} curveData - route_id, load_factor_steps, days_steps, min_multiplier, max_multiplier
+ * @returns {Promise<number>} ID of the created curve
+ */
+exports.createCurve = async (curveData) => {
+  const {
+    route_id,
+    load_factor_steps = [],
+    days_steps = [],
+    min_multiplier = 0.5,
+    max_multiplier = 3.0
+  } = curveData;
+
+  const [result] = await pool.query(`
+    INSERT INTO pricing_curves (route_id, load_factor_steps, days_steps, min_multiplier, max_multiplier)
+    VALUES (?, ?, ?, ?, ?)
+  `, [
+    route_id,
+    JSON.stringify(load_factor_steps),
+    JSON.stringify(days_steps),
+    min_multiplier,
+    max_multiplier
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a pricing curve
+ * @param {number} id - Curve ID
+ * @param {Object} curveData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateCurve = async (id, curveData) => {
+  const { load_factor_steps, days_steps, min_multiplier, max_multiplier } = curveData;
+  const toJson = value => (value === undefined ? null : JSON.stringify(value));
+
+  const [result] = await pool.query(`
+    UPDATE pricing_curves
+    SET
+      load_factor_steps = COALESCE(?, load_factor_steps),
+      days_steps = COALESCE(?, days_steps),
+      min_multiplier = COALESCE(?, min_multiplier),
+      max_multiplier = COALESCE(?, max_multiplier)
+    WHERE curve_id = ?
+  `, [toJson(load_factor_steps), toJson(days_steps), min_multiplier, max_multiplier, id]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a pricing curve; the route's fares are no longer adjusted
+ * @param {number} id - Curve ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteCurve = async (id) => {
+  const [result] = await pool.query('DELETE FROM pricing_curves WHERE curve_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the share of a cabin's seats that are booked on a flight
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Cabin class
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<number>} Load factor from 0 to 1; 0 for a cabin without seats
+ */
+exports.getLoadFactor = async (flightId, seatClass, transaction = null) => {
+  const loadFactors = await exports.getLoadFactors([flightId], seatClass, transaction);
+  return loadFactors.get(Number(flightId));
+};
+
+/**
+ * Get the load factor of a cabin on several flights in one query
+ * @param {Array<number>} flightIds - Flight IDs
+ * @param {string} seatClass - Cabin class
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Map>} Load factor from 0 to 1 by flight ID
+ */
+exports.getLoadFactors = async (flightIds, seatClass, transaction = null) => {
+  const connection = transaction || pool;
+  const loadFactors = new Map(flightIds.map(id => [Number(id), 0]));
+
+  if (flightIds.length === 0) {
+    return loadFactors;
+  }
+
+  const [rows] = await connection.query(`
+    SELECT flight_id, COUNT(*) as seats, COALESCE(SUM(state = 'booked'), 0) as booked
+    FROM flight_seats
+    WHERE flight_id IN (?) AND class = ?
+    GROUP BY flight_id
+  `, [flightIds, seatClass]);
+
+  rows.forEach(row => {
+    const seats = Number(row.seats);
+    loadFactors.set(row.flight_id, seats > 0 ? Math.min(1, Number(row.booked) / seats) : 0);
+  });
+
+  return loadFactors;
+};
+
+/**
+ * Get the dynamic multiplier a flight's class sells at now, from its route's
+ * pricing curve, the cabin's load factor and the days left before departure
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Cabin class
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Object|null>} { curve_id, load_factor, days_to_departure, load_multiplier,
+ *   time_multiplier, multiplier }, or null when the route has no curve
+ */
+exports.getDynamicMultiplier = async (flightId, seatClass, transaction = null) => {
+  const multipliers = await exports.getDynamicMultipliers([flightId], seatClass, transaction);
+  return multipliers.get(Number(flightId)) || null;
+};
+
+/**
+ * Get the dynamic multiplier of a class on several flights, reading their
+ * routes' curves and their load factors in one query each
+ * @param {Array<number>} flightIds - Flight IDs
+ * @param {string} seatClass - Cabin class
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Map>} Multiplier by flight ID; null when the route has no curve
+ */
+exports.getDynamicMultipliers = async (flightIds, seatClass, transaction = null) => {
+  const connection = transaction || pool;
+  const multipliers = new Map(flightIds.map(id => [Number(id), null]));
+
+  if (flightIds.length === 0) {
+    return multipliers;
+  }
+
+  const [flightRows] = await connection.query(
+    'SELECT flight_id, route_id, departure_time FROM flights WHERE flight_id IN (?) AND departure_time IS NOT NULL',
+    [flightIds]
+  );
+
+  if (flightRows.length === 0) {
+    return multipliers;
+  }
+
+  const [curves] = await connection.query(`
+    SELECT ${CURVE_COLUMNS}
+    FROM pricing_curves pc
+    JOIN routes r ON pc.route_id = r.route_id
+    WHERE pc.route_id IN (?)
+  `, [[...new Set(flightRows.map(flight => flight.route_id))]]);
+
+  const curvesByRoute = new Map(curves.map(curve => [curve.route_id, curve]));
+  const priced = flightRows.filter(flight => curvesByRoute.has(flight.route_id));
+  const loadFactors = await exports.getLoadFactors(priced.map(flight => flight.flight_id), seatClass, transaction);
+
+  for (const flight of priced) {
+    const curve = curvesByRoute.get(flight.route_id);
+    const daysToDeparture = PricingEngine.getDaysToDeparture(flight.departure_time);
+
+    multipliers.set(flight.flight_id, {
+      curve_id: curve.curve_id,
+      ...PricingEngine.calculateMultiplier(curve, loadFactors.get(flight.flight_id), daysToDeparture)
+    });
+  }
+
+  return multipliers;
+};
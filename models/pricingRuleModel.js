@@ -0,0 +1,285 @@
+const { pool } = require('../config/database');
+const { formatDate, formatInTimeZone } = require('../utils/dateFormat');
+
+const DAYS_OF_WEEK = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const PRICE_FIELDS = ['base_price', 'economy_multiplier', 'business_multiplier', 'first_multiplier', 'woman_only_multiplier'];
+
+exports.DAYS_OF_WEEK = DAYS_OF_WEEK;
+exports.PRICE_FIELDS = PRICE_FIELDS;
+
+const RULE_COLUMNS = `
+  pr.rule_id,
+  pr.route_id,
+  r.origin,
+  r.destination,
+  pr.valid_from,
+  pr.valid_to,
+  pr.days_of_week,
+  pr.base_price,
+  pr.economy_multiplier,
+  pr.business_multiplier,
+  pr.first_multiplier,
+  pr.woman_only_multiplier,
+  pr.created_at
+`;
+
+/**
+ * Turn the days_of_week SET of a rule row into an array
+ * @param {Object} row - Pricing rule row
+ * @returns {Object} Rule with days_of_week as an array, or null for every day
+ */
+const withDays = (row) => row && {
+  ...row,
+  days_of_week: row.days_of_week ? row.days_of_week.split(',') : null
+};
+
+/**
+ * Get pricing rules with pagination
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Paginated pricing rules
+ */
+exports.getAllRules = async (page = 1, limit = 10) => {
+  const offset = (page - 1) * limit;
+
+  const [rows] = await pool.query(`
+    SELECT ${RULE_COLUMNS}
+    FROM pricing_rules pr
+    JOIN routes r ON pr.route_id = r.route_id
+    ORDER BY r.origin, r.destination, pr.rule_id
+    LIMIT ? OFFSET ?
+  `, [limit, offset]);
+
+  const [countRows] = await pool.query('SELECT COUNT(*) as count FROM pricing_rules');
+  const count = countRows[0].count;
+
+  return {
+    data: rows.map(withDays),
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    totalItems: count
+  };
+};
+
+/**
+ * Get pricing rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object>} Pricing rule
+ */
+exports.getRuleById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT ${RULE_COLUMNS}
+    FROM pricing_rules pr
+    JOIN routes r ON pr.route_id = r.route_id
+    WHERE pr.rule_id = ?
+  `, [id]);
+
+  return withDays(rows[0]);
+};
+
+/**
+ * Search pricing rules by origin and/or destination
+ * @param {string} origin - Origin airport code
+ * @param {string} destination - Destination airport code
+ * @returns {Promise<Array>} Matching pricing rules
+ */
+exports.searchRules = async (origin, destination) => {
+  let query = `
+    SELECT ${RULE_COLUMNS}
+    FROM pricing_rules pr
+    JOIN routes r ON pr.route_id = r.route_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (origin) {
+    query += ' AND r.origin = ?';
+    params.push(origin.toUpperCase());
+  }
+
+  if (destination) {
+    query += ' AND r.destination = ?';
+    params.push(destination.toUpperCase());
+  }
+
+  query += ' ORDER BY r.origin, r.destination, pr.rule_id';
+
+  const [rows] = await pool.query(query, params);
+  return rows.map(withDays);
+};
+
+/**
+ * Create a pricing rule for a route
+ * @param {Object} ruleData - route_id, optional valid_from, valid_to, days_of_week,
+ *   base_price and class multipliers
+ * @returns {Promise<number>} ID of the created rule
+ */
+exports.createRule = async (ruleData) => {
+  const {
+    route_id,
+    valid_from = null,
+    valid_to = null,
+    days_of_week = null,
+    base_price = null,
+    economy_multiplier = null,
+    business_multiplier = null,
+    first_multiplier = null,
+    woman_only_multiplier = null
+  } = ruleData;
+
+  const [result] = await pool.query(`
+    INSERT INTO pricing_rules (
+      route_id, valid_from, valid_to, days_of_week, base_price,
+      economy_multiplier, business_multiplier, first_multiplier, woman_only_multiplier
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    route_id,
+    valid_from,
+    valid_to,
+    days_of_week && days_of_week.length > 0 ? days_of_week.join(',') : null,
+    base_price,
+    economy_multiplier,
+    business_multiplier,
+    first_multiplier,
+    woman_only_multiplier
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a pricing rule. Every field can be cleared with null, so only the
+ * fields sent are changed.
+ * @param {number} id - Rule ID
+ * @param {Object} ruleData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateRule = async (id, ruleData) => {
+  const fields = ['valid_from', 'valid_to', 'days_of_week', ...PRICE_FIELDS]
+    .filter(field => ruleData[field] !== undefined);
+
+  if (fields.length === 0) {
+    return true;
+  }
+
+  const values = fields.map(field => {
+    if (field === 'days_of_week') {
+      return ruleData.days_of_week && ruleData.days_of_week.length > 0 ? ruleData.days_of_week.join(',') : null;
+    }
+    return ruleData[field];
+  });
+
+  const [result] = await pool.query(
+    `UPDATE pricing_rules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE rule_id = ?`,
+    [...values, id]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a pricing rule
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteRule = async (id) => {
+  const [result] = await pool.query('DELETE FROM pricing_rules WHERE rule_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the base price and class multipliers a flight is priced with. Rules of
+ * its route that match the departure date and weekday (local to the origin)
+ * apply from the most specific down: a rule with a date range before one
+ * without, then one limited to weekdays, then the newest. Each field comes
+ * from the first rule that sets it, else from the flight itself.
+ * @param {number} flightId - Flight ID
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Object|null>} { base_price, economy_multiplier, business_multiplier,
+ *   first_multiplier, woman_only_multiplier, rule_ids }, or null when the flight doesn't exist
+ */
+exports.getEffectivePricing = async (flightId, transaction = null) => {
+  const pricing = await exports.getEffectivePricingForFlights([flightId], transaction);
+  return pricing.get(Number(flightId)) || null;
+};
+
+/**
+ * Get the effective pricing of several flights at once, reading the rules of
+ * all their routes in one query
+ * @param {Array<number>} flightIds - Flight IDs
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Map>} Pricing by flight ID; flights that don't exist are left out
+ */
+exports.getEffectivePricingForFlights = async (flightIds, transaction = null) => {
+  const connection = transaction || pool;
+  const pricingByFlight = new Map();
+
+  if (flightIds.length === 0) {
+    return pricingByFlight;
+  }
+
+  const [flightRows] = await connection.query(`
+    SELECT
+      f.flight_id,
+      f.route_id,
+      f.departure_time,
+      f.base_price,
+      f.economy_class_multiplier as economy_multiplier,
+      f.business_class_multiplier as business_multiplier,
+      f.first_class_multiplier as first_multiplier,
+      f.woman_only_multiplier,
+      ao.timezone AS origin_timezone
+    FROM flights f
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    WHERE f.flight_id IN (?)
+  `, [flightIds]);
+
+  if (flightRows.length === 0) {
+    return pricingByFlight;
+  }
+
+  const routeIds = [...new Set(flightRows.map(flight => flight.route_id))];
+  const [routeRules] = await connection.query(`
+    SELECT rule_id, route_id, valid_from, valid_to, days_of_week, ${PRICE_FIELDS.join(', ')}
+    FROM pricing_rules
+    WHERE route_id IN (?)
+    ORDER BY
+      (valid_from IS NOT NULL OR valid_to IS NOT NULL) DESC,
+      (days_of_week IS NOT NULL AND days_of_week != '') DESC,
+      rule_id DESC
+  `, [routeIds]);
+
+  for (const flight of flightRows) {
+    let rules = [];
+
+    if (flight.departure_time) {
+      const localDate = formatInTimeZone(flight.departure_time, flight.origin_timezone).substring(0, 10);
+      const weekday = DAYS_OF_WEEK[new Date(`${localDate}T00:00:00Z`).getUTCDay()];
+
+      rules = routeRules.filter(rule =>
+        rule.route_id === flight.route_id &&
+        (!rule.valid_from || formatDate(rule.valid_from) <= localDate) &&
+        (!rule.valid_to || formatDate(rule.valid_to) >= localDate) &&
+        (!rule.days_of_week || rule.days_of_week.split(',').includes(weekday))
+      );
+    }
+
+    const pricing = { rule_ids: [] };
+
+    for (const field of PRICE_FIELDS) {
+      const rule = rules.find(candidate => candidate[field] !== null);
+      const value = rule ? rule[field] : flight[field];
+      pricing[field] = value === null ? null : parseFloat(value);
+
+      if (rule && !pricing.rule_ids.includes(rule.rule_id)) {
+        pricing.rule_ids.push(rule.rule_id);
+      }
+    }
+
+    pricingByFlight.set(flight.flight_id, pricing);
+  }
+
+  return pricingByFlight;
+};
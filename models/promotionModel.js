@@ -0,0 +1,194 @@
+const { pool } = require('../config/database');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+// Validity window bounds, stored in UTC
+const DATE_FIELDS = ['valid_from', 'valid_to'];
+
+const PROMOTION_COLUMNS = `
+  p.promotion_id,
+  p.code,
+  p.description,
+  p.discount_type,
+  p.discount_value,
+  p.valid_from,
+  p.valid_to,
+  p.max_uses,
+  p.max_uses_per_user,
+  (SELECT COUNT(*) FROM tickets t WHERE t.promotion_id = p.promotion_id AND t.status != 'cancelled') AS uses,
+  p.route_id,
+  r.origin,
+  r.destination,
+  p.class,
+  p.fare_family_id,
+  ff.code AS fare_family,
+  p.is_stackable,
+  p.is_active,
+  p.created_at
+`;
+
+const PROMOTION_JOINS = `
+  LEFT JOIN routes r ON p.route_id = r.route_id
+  LEFT JOIN fare_families ff ON p.fare_family_id = ff.fare_family_id
+`;
+
+/**
+ * Get all promotions
+ * @returns {Promise<Array>} Promotions, newest first
+ */
+exports.getPromotions = async () => {
+  const [rows] = await pool.query(`
+    SELECT ${PROMOTION_COLUMNS}
+    FROM promotions p
+    ${PROMOTION_JOINS}
+    ORDER BY p.created_at DESC, p.promotion_id DESC
+  `);
+
+  return rows;
+};
+
+/**
+ * Get promotion by ID
+ * @param {number} id - Promotion ID
+ * @returns {Promise<Object>} Promotion
+ */
+exports.getPromotionById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT ${PROMOTION_COLUMNS}
+    FROM promotions p
+    ${PROMOTION_JOINS}
+    WHERE p.promotion_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Get promotion by code
+ * @param {string} code - Promo code
+ * @param {Object} transaction - Optional connection with an open transaction; locks the promotion
+ * @returns {Promise<Object>} Promotion
+ */
+exports.getPromotionByCode = async (code, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT ${PROMOTION_COLUMNS}
+    FROM promotions p
+    ${PROMOTION_JOINS}
+    WHERE p.code = ?
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [code.toUpperCase()]);
+
+  return rows[0];
+};
+
+/**
+ * Count the tickets a user holds that were sold with a promotion
+ * @param {number} promotionId - Promotion ID
+ * @param {number} userId - User ID
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<number>} Uses by the user; cancelled tickets don't count
+ */
+exports.getUserUses = async (promotionId, userId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT COUNT(*) AS uses
+    FROM tickets
+    WHERE promotion_id = ? AND user_id = ? AND status != 'cancelled'
+  `, [promotionId, userId]);
+
+  return Number(rows[0].uses);
+};
+
+/**
+ * Create a promotion
+ * @param {Object} promotionData - code, description, discount_type, discount_value, valid_from, valid_to,
+ *   max_uses, max_uses_per_user, route_id, class, fare_family_id, is_stackable, is_active
+ * @returns {Promise<number>} ID of the created promotion
+ */
+exports.createPromotion = async (promotionData) => {
+  const {
+    code,
+    description = null,
+    discount_type = 'percent',
+    discount_value,
+    valid_from = null,
+    valid_to = null,
+    max_uses = null,
+    max_uses_per_user = null,
+    route_id = null,
+    class: seatClass = null,
+    fare_family_id = null,
+    is_stackable = false,
+    is_active = true
+  } = promotionData;
+
+  const [result] = await pool.query(`
+    INSERT INTO promotions (
+      code, description, discount_type, discount_value, valid_from, valid_to,
+      max_uses, max_uses_per_user, route_id, class, fare_family_id, is_stackable, is_active
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    code.toUpperCase(),
+    description,
+    discount_type,
+    discount_value,
+    valid_from ? new Date(valid_from) : null,
+    valid_to ? new Date(valid_to) : null,
+    max_uses,
+    max_uses_per_user,
+    route_id,
+    seatClass,
+    fare_family_id,
+    is_stackable,
+    is_active
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a promotion. Limits and eligibility can be cleared with null, so only
+ * the fields sent are changed; the code itself can't change once issued.
+ * @param {number} id - Promotion ID
+ * @param {Object} promotionData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updatePromotion = async (id, promotionData) => {
+  const fields = [
+    'description', 'discount_type', 'discount_value', 'valid_from', 'valid_to', 'max_uses',
+    'max_uses_per_user', 'route_id', 'class', 'fare_family_id', 'is_stackable', 'is_active'
+  ].filter(field => promotionData[field] !== undefined);
+
+  if (fields.length === 0) {
+    return true;
+  }
+
+  const values = fields.map(field => {
+    if (DATE_FIELDS.includes(field) && promotionData[field]) {
+      return new Date(promotionData[field]);
+    }
+    return promotionData[field];
+  });
+
+  const [result] = await pool.query(
+    `UPDATE promotions SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE promotion_id = ?`,
+    [...values, id]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a promotion that no ticket was sold with
+ * @param {number} id - Promotion ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deletePromotion = async (id) => {
+  const [result] = await pool.query('DELETE FROM promotions WHERE promotion_id = ?', [id]);
+  return result.affectedRows > 0;
+};
@@ -0,0 +1,111 @@
+const { pool } = require('../config/database');
+
+/**
+ * Get all refund rules
+ * @returns {Promise<Array>} Refund rules, most generous first
+ */
+exports.getAllRules = async () => {
+  const [rows] = await pool.query(`
+    SELECT rule_id, class, min_hours_before_departure, refund_percent, cancellation_fee, created_at
+    FROM refund_rules
+    ORDER BY class IS NULL, class, min_hours_before_departure DESC
+  `);
+
+  return rows;
+};
+
+/**
+ * Get refund rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object>} Refund rule
+ */
+exports.getRuleById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT rule_id, class, min_hours_before_departure, refund_percent, cancellation_fee, created_at
+    FROM refund_rules
+    WHERE rule_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Get the refund rules that apply to a class (its own rules and the ones for every class)
+ * @param {string} seatClass - Seat class
+ * @returns {Promise<Array>} Rules, longest notice first and class-specific before general
+ */
+exports.getRulesForClass = async (seatClass) => {
+  const [rows] = await pool.query(`
+    SELECT rule_id, class, min_hours_before_departure, refund_percent, cancellation_fee
+    FROM refund_rules
+    WHERE class = ? OR class IS NULL
+    ORDER BY min_hours_before_departure DESC, class IS NULL
+  `, [seatClass]);
+
+  return rows;
+};
+
+/**
+ * Create a refund rule
+ * @param {Object} ruleData - Rule data
+ * @returns {Promise<number>} ID of the created rule
+ */
+exports.createRule = async (ruleData) => {
+  const {
+    class: seatClass = null,
+    min_hours_before_departure,
+    refund_percent,
+    cancellation_fee = 0
+  } = ruleData;
+
+  const [result] = await pool.query(`
+    INSERT INTO refund_rules (class, min_hours_before_departure, refund_percent, cancellation_fee)
+    VALUES (?, ?, ?, ?)
+  `, [seatClass, min_hours_before_departure, refund_percent, cancellation_fee]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a refund rule
+ * @param {number} id - Rule ID
+ * @param {Object} ruleData - Rule data to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateRule = async (id, ruleData) => {
+  const {
+    min_hours_before_departure,
+    refund_percent,
+    cancellation_fee
+  } = ruleData;
+
+  const [result] = await pool.query(`
+    UPDATE refund_rules
+    SET
+      class = IF(?, ?, class),
+      min_hours_before_departure = COALESCE(?, min_hours_before_departure),
+      refund_percent = COALESCE(?, refund_percent),
+      cancellation_fee = COALESCE(?, cancellation_fee)
+    WHERE rule_id = ?
+  `, [
+    // A null class is meaningful (every class), so the class is only changed when sent
+    ruleData.class !== undefined,
+    ruleData.class === undefined ? null : ruleData.class,
+    min_hours_before_departure,
+    refund_percent,
+    cancellation_fee,
+    id
+  ]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a refund rule
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteRule = async (id) => {
+  const [result] = await pool.query('DELETE FROM refund_rules WHERE rule_id = ?', [id]);
+  return result.affectedRows > 0;
+};
@@ -1,4 +1,6 @@
 const { pool } = require('../config/database');
+const Airport = require('./airportModel');
+const { addLocalTimes } = require('../utils/dateFormat');
 
 /**
  * Get all routes
@@ -10,10 +12,18 @@ exports.getAllRoutes = async () => {
       r.route_id,
       r.origin,
       r.destination,
+      ao.name AS origin_airport,
+      ao.city AS origin_city,
+      ao.timezone AS origin_timezone,
+      ad.name AS destination_airport,
+      ad.city AS destination_city,
+      ad.timezone AS destination_timezone,
       r.distance,
       r.estimated_duration,
       (SELECT COUNT(*) FROM flights f WHERE f.route_id = r.route_id) AS flight_count
     FROM routes r
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     ORDER BY r.origin, r.destination
   `);
   
@@ -31,16 +41,39 @@ exports.getRouteById = async (id) => {
       r.route_id,
       r.origin,
       r.destination,
+      ao.name AS origin_airport,
+      ao.city AS origin_city,
+      ao.timezone AS origin_timezone,
+      ad.name AS destination_airport,
+      ad.city AS destination_city,
+      ad.timezone AS destination_timezone,
       r.distance,
       r.estimated_duration,
       (SELECT COUNT(*) FROM flights f WHERE f.route_id = r.route_id) AS flight_count
     FROM routes r
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     WHERE r.route_id = ?
   `, [id]);
   
   return rows[0];
 };
 
+/**
+ * Get route by its origin and destination
+ * @param {string} origin - Origin airport IATA code
+ * @param {string} destination - Destination airport IATA code
+ * @returns {Promise<Object>} Route, or undefined when there is none
+ */
+exports.getRouteByAirports = async (origin, destination) => {
+  const [rows] = await pool.query(
+    'SELECT route_id, origin, destination, distance, estimated_duration FROM routes WHERE origin = ? AND destination = ?',
+    [origin.toUpperCase(), destination.toUpperCase()]
+  );
+
+  return rows[0];
+};
+
 /**
  * Create a new route
  * @param {Object} routeData - Route data
@@ -59,8 +92,8 @@ exports.createRoute = async (routeData) => {
       origin, destination, distance, estimated_duration
     ) VALUES (?, ?, ?, ?)
   `, [
-    origin,
-    destination,
+    origin.toUpperCase(),
+    destination.toUpperCase(),
     distance,
     estimated_duration
   ]);
@@ -91,8 +124,8 @@ exports.updateRoute = async (id, routeData) => {
       estimated_duration = COALESCE(?, estimated_duration)
     WHERE route_id = ?
   `, [
-    origin,
-    destination,
+    origin ? origin.toUpperCase() : null,
+    destination ? destination.toUpperCase() : null,
     distance,
     estimated_duration,
     id
@@ -113,14 +146,14 @@ exports.deleteRoute = async (id) => {
 
 /**
  * Check if route exists
- * @param {string} origin - Origin city/airport
- * @param {string} destination - Destination city/airport
+ * @param {string} origin - Origin airport IATA code
+ * @param {string} destination - Destination airport IATA code
  * @param {number} excludeRouteId - Route ID to exclude from check
  * @returns {Promise<boolean>} Whether route exists
  */
 exports.routeExists = async (origin, destination, excludeRouteId = null) => {
   let query = 'SELECT COUNT(*) AS count FROM routes WHERE origin = ? AND destination = ?';
-  const params = [origin, destination];
+  const params = [origin.toUpperCase(), destination.toUpperCase()];
   
   if (excludeRouteId) {
     query += ' AND route_id != ?';
@@ -131,6 +164,32 @@ exports.routeExists = async (origin, destination, excludeRouteId = null) => {
   return rows[0].count > 0;
 };
 
+/**
+ * Validate that a route's endpoints are distinct airports from the registry
+ * @param {string} origin - Origin IATA code
+ * @param {string} destination - Destination IATA code
+ * @returns {Promise<string|null>} Validation error message, or null when valid
+ */
+exports.validateAirports = async (origin, destination) => {
+  if (!origin || !destination) {
+    return 'Please provide origin and destination airport codes';
+  }
+
+  if (origin.toUpperCase() === destination.toUpperCase()) {
+    return 'Origin and destination must be different airports';
+  }
+
+  const airports = await Airport.getAirportsByCodes([origin, destination]);
+  const known = airports.map(airport => airport.iata_code);
+  const unknown = [origin, destination].filter(code => !known.includes(code.toUpperCase()));
+
+  if (unknown.length > 0) {
+    return `Unknown airport code(s): ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
 /**
  * Get flights for a route
  * @param {number} routeId - Route ID
@@ -144,12 +203,17 @@ exports.getRouteFlights = async (routeId) => {
       f.departure_time,
       f.arrival_time,
       f.status,
-      a.model AS aircraft_model
+      a.model AS aircraft_model,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM flights f
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     WHERE f.route_id = ?
     ORDER BY f.departure_time
   `, [routeId]);
   
-  return rows;
+  return rows.map(addLocalTimes);
 };
@@ -0,0 +1,197 @@
+const { pool } = require('../config/database');
+const { formatDate, formatInTimeZone } = require('../utils/dateFormat');
+
+const ADJUSTMENT_TYPES = ['percent', 'fixed'];
+
+exports.ADJUSTMENT_TYPES = ADJUSTMENT_TYPES;
+
+const SEASON_COLUMNS = `
+  s.season_id,
+  s.name,
+  s.route_id,
+  r.origin,
+  r.destination,
+  DATE_FORMAT(s.start_date, '%Y-%m-%d') AS start_date,
+  DATE_FORMAT(s.end_date, '%Y-%m-%d') AS end_date,
+  s.adjustment_type,
+  s.adjustment_value,
+  s.is_blackout,
+  s.created_at
+`;
+
+/**
+ * Get seasons, optionally for one route or overlapping a date range
+ * @param {Object} filters - route_id: seasons that apply to the route, including
+ *   network-wide ones; from, to: departure dates (YYYY-MM-DD) the seasons overlap
+ * @returns {Promise<Array>} Seasons by start date
+ */
+exports.getSeasons = async (filters = {}) => {
+  let query = `
+    SELECT ${SEASON_COLUMNS}
+    FROM seasons s
+    LEFT JOIN routes r ON s.route_id = r.route_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.route_id) {
+    query += ' AND (s.route_id IS NULL OR s.route_id = ?)';
+    params.push(filters.route_id);
+  }
+
+  if (filters.from) {
+    query += ' AND s.end_date >= ?';
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    query += ' AND s.start_date <= ?';
+    params.push(filters.to);
+  }
+
+  query += ' ORDER BY s.start_date, s.season_id';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+};
+
+/**
+ * Get season by ID
+ * @param {number} id - Season ID
+ * @returns {Promise<Object>} Season
+ */
+exports.getSeasonById = async (id) => {
+  const [rows] = await pool.query(`
+    SELECT ${SEASON_COLUMNS}
+    FROM seasons s
+    LEFT JOIN routes r ON s.route_id = r.route_id
+    WHERE s.season_id = ?
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Create a season
+ * @param {Object} seasonData - name, route_id (null for every route), start_date, end_date,
+ *   adjustment_type, adjustment_value, is_blackout
+ * @returns {Promise<number>} ID of the created season
+ */
+exports.createSeason = async (seasonData) => {
+  const {
+    name,
+    route_id = null,
+    start_date,
+    end_date,
+    adjustment_type = 'percent',
+    adjustment_value = 0,
+    is_blackout = false
+  } = seasonData;
+
+  const [result] = await pool.query(`
+    INSERT INTO seasons (name, route_id, start_date, end_date, adjustment_type, adjustment_value, is_blackout)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [name, route_id, start_date, end_date, adjustment_type, adjustment_value, is_blackout]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a season. route_id can be cleared with null to make the season
+ * network-wide, so only the fields sent are changed.
+ * @param {number} id - Season ID
+ * @param {Object} seasonData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateSeason = async (id, seasonData) => {
+  const fields = ['name', 'route_id', 'start_date', 'end_date', 'adjustment_type', 'adjustment_value', 'is_blackout']
+    .filter(field => seasonData[field] !== undefined);
+
+  if (fields.length === 0) {
+    return true;
+  }
+
+  const [result] = await pool.query(
+    `UPDATE seasons SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE season_id = ?`,
+    [...fields.map(field => seasonData[field]), id]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a season
+ * @param {number} id - Season ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteSeason = async (id) => {
+  const [result] = await pool.query('DELETE FROM seasons WHERE season_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the seasons a flight's departure date (local to the origin) falls in,
+ * those of its route and network-wide ones
+ * @param {number} flightId - Flight ID
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Array>} Seasons, oldest first; empty for a flight without a departure time
+ */
+exports.getSeasonsForFlight = async (flightId, transaction = null) => {
+  const seasons = await exports.getSeasonsForFlights([flightId], transaction);
+  return seasons.get(Number(flightId)) || [];
+};
+
+/**
+ * Get the seasons of several flights at once, reading the seasons of all
+ * their routes and departure dates in one query
+ * @param {Array<number>} flightIds - Flight IDs
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Map>} Seasons by flight ID, oldest first
+ */
+exports.getSeasonsForFlights = async (flightIds, transaction = null) => {
+  const connection = transaction || pool;
+  const seasonsByFlight = new Map(flightIds.map(id => [Number(id), []]));
+
+  if (flightIds.length === 0) {
+    return seasonsByFlight;
+  }
+
+  const [flightRows] = await connection.query(`
+    SELECT f.flight_id, f.route_id, f.departure_time, ao.timezone AS origin_timezone
+    FROM flights f
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    WHERE f.flight_id IN (?) AND f.departure_time IS NOT NULL
+  `, [flightIds]);
+
+  if (flightRows.length === 0) {
+    return seasonsByFlight;
+  }
+
+  const flights = flightRows.map(flight => ({
+    ...flight,
+    local_date: formatInTimeZone(flight.departure_time, flight.origin_timezone).substring(0, 10)
+  }));
+  const localDates = flights.map(flight => flight.local_date).sort();
+
+  const [rows] = await connection.query(`
+    SELECT season_id, name, route_id, adjustment_type, adjustment_value, is_blackout, start_date, end_date
+    FROM seasons
+    WHERE (route_id IS NULL OR route_id IN (?))
+    AND start_date <= ?
+    AND end_date >= ?
+    ORDER BY season_id
+  `, [[...new Set(flights.map(flight => flight.route_id))], localDates[localDates.length - 1], localDates[0]]);
+
+  for (const flight of flights) {
+    seasonsByFlight.set(flight.flight_id, rows
+      .filter(season =>
+        (season.route_id === null || season.route_id === flight.route_id) &&
+        formatDate(season.start_date) <= flight.local_date &&
+        formatDate(season.end_date) >= flight.local_date
+      )
+      .map(({ start_date, end_date, ...season }) => season));
+  }
+
+  return seasonsByFlight;
+};
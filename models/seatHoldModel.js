@@ -0,0 +1,240 @@
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Place (or extend) a hold on a seat for a user
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {string} seatNumber - Seat number
+ * @param {number} userId - User placing the hold
+ * @param {number} minutes - Hold duration in minutes
+ * @returns {Promise<Object|null>} The hold, or null if another user holds the seat or it was booked
+ */
+exports.createHold = async (flightId, seatClass, seatNumber, userId, minutes) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Bookings lock the same seat row, so a hold can't slip in while one is being made
+    const [seatRows] = await connection.query(
+      'SELECT state FROM flight_seats WHERE flight_id = ? AND seat_number = ? FOR UPDATE',
+      [flightId, seatNumber]
+    );
+
+    if (seatRows.length === 0 || seatRows[0].state !== 'available') {
+      await connection.rollback();
+      return null;
+    }
+
+    // Expired holds may not have been swept yet, so clear this seat's one first
+    await connection.query(
+      'DELETE FROM seat_holds WHERE flight_id = ? AND seat_number = ? AND expires_at <= NOW()',
+      [flightId, seatNumber]
+    );
+
+    // A hold owned by someone else is left untouched, the owner's own hold gets extended
+    await connection.query(`
+      INSERT INTO seat_holds (flight_id, class, seat_number, user_id, expires_at)
+      VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+      ON DUPLICATE KEY UPDATE
+        expires_at = IF(user_id = ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), expires_at)
+    `, [flightId, seatClass, seatNumber, userId, minutes, userId, minutes]);
+
+    const hold = await exports.getActiveHold(flightId, seatNumber, connection);
+    await connection.commit();
+
+    if (!hold || hold.user_id !== userId) {
+      return null;
+    }
+
+    return hold;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Get the active (not expired) hold on a seat
+ * @param {number} flightId - Flight ID
+ * @param {string} seatNumber - Seat number
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Object>} Hold details
+ */
+exports.getActiveHold = async (flightId, seatNumber, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      hold_id,
+      flight_id,
+      class,
+      seat_number,
+      user_id,
+      expires_at,
+      created_at
+    FROM seat_holds
+    WHERE flight_id = ? AND seat_number = ? AND expires_at > NOW()
+  `, [flightId, seatNumber]);
+
+  return rows[0];
+};
+
+/**
+ * Get active holds placed by a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} User's holds
+ */
+exports.getHoldsByUser = async (userId) => {
+  const [rows] = await pool.query(`
+    SELECT
+      h.hold_id,
+      h.flight_id,
+      f.flight_number,
+      h.class,
+      h.seat_number,
+      h.expires_at
+    FROM seat_holds h
+    JOIN flights f ON h.flight_id = f.flight_id
+    WHERE h.user_id = ? AND h.expires_at > NOW()
+    ORDER BY h.expires_at
+  `, [userId]);
+
+  return rows;
+};
+
+/**
+ * Get seats on a flight that are held by users other than the given one
+ * @param {number} flightId - Flight ID
+ * @param {number} excludeUserId - User whose own holds are ignored
+ * @returns {Promise<Array>} Held seat numbers
+ */
+exports.getHeldSeats = async (flightId, excludeUserId = null) => {
+  let query = 'SELECT seat_number FROM seat_holds WHERE flight_id = ? AND expires_at > NOW()';
+  const params = [flightId];
+
+  if (excludeUserId) {
+    query += ' AND user_id != ?';
+    params.push(excludeUserId);
+  }
+
+  const [rows] = await pool.query(query, params);
+  return rows.map(row => row.seat_number);
+};
+
+/**
+ * Check if a seat is held by someone other than the given user
+ * @param {number} flightId - Flight ID
+ * @param {string} seatNumber - Seat number
+ * @param {number} excludeUserId - User whose own hold is ignored
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<boolean>} Whether the seat is held
+ */
+exports.isSeatHeld = async (flightId, seatNumber, excludeUserId = null, transaction = null) => {
+  const hold = await exports.getActiveHold(flightId, seatNumber, transaction);
+  return !!hold && hold.user_id !== excludeUserId;
+};
+
+/**
+ * Release a hold
+ * @param {number} flightId - Flight ID
+ * @param {string} seatNumber - Seat number
+ * @param {number} userId - Owner of the hold (null to release regardless of owner)
+ * @returns {Promise<boolean>} Whether a hold was released
+ */
+exports.releaseHold = async (flightId, seatNumber, userId = null) => {
+  let query = 'DELETE FROM seat_holds WHERE flight_id = ? AND seat_number = ? AND expires_at > NOW()';
+  const params = [flightId, seatNumber];
+
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+
+  const [result] = await pool.query(query, params);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Remove all holds on a flight's seats
+ * @param {number} flightId - Flight ID
+ * @param {Object} connection - Optional connection with an open transaction
+ * @returns {Promise<number>} Number of holds removed
+ */
+exports.deleteHoldsForFlight = async (flightId, connection = pool) => {
+  const [result] = await connection.query('DELETE FROM seat_holds WHERE flight_id = ?', [flightId]);
+  return result.affectedRows;
+};
+
+/**
+ * Remove a user's hold as part of a booking transaction
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} flightId - Flight ID
+ * @param {string} seatNumber - Seat number
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Whether a hold was converted
+ */
+exports.convertHold = async (connection, flightId, seatNumber, userId) => {
+  const [result] = await connection.query(
+    'DELETE FROM seat_holds WHERE flight_id = ? AND seat_number = ? AND user_id = ?',
+    [flightId, seatNumber, userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Remove the holds on seats a flight no longer has in the held class, e.g.
+ * after its cabin was reconfigured
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<number>} Number of holds removed
+ */
+exports.deleteStaleHolds = async (connection, flightId) => {
+  const [result] = await connection.query(`
+    DELETE h
+    FROM seat_holds h
+    LEFT JOIN flight_seats s
+      ON s.flight_id = h.flight_id AND s.seat_number = h.seat_number AND s.class = h.class
+    WHERE h.flight_id = ? AND s.flight_seat_id IS NULL
+  `, [flightId]);
+
+  return result.affectedRows;
+};
+
+/**
+ * Hold a seat for a user inside a transaction, replacing any hold left on it
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {string} seatNumber - Seat number
+ * @param {number} userId - User the seat is held for
+ * @param {number} minutes - Hold duration in minutes
+ */
+exports.assignHold = async (connection, flightId, seatClass, seatNumber, userId, minutes) => {
+  await connection.query(`
+    INSERT INTO seat_holds (flight_id, class, seat_number, user_id, expires_at)
+    VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+    ON DUPLICATE KEY UPDATE
+      class = VALUES(class),
+      user_id = VALUES(user_id),
+      expires_at = VALUES(expires_at)
+  `, [flightId, seatClass, seatNumber, userId, minutes]);
+};
+
+/**
+ * Delete all expired holds
+ * @returns {Promise<number>} Number of holds removed
+ */
+exports.deleteExpiredHolds = async () => {
+  const [result] = await pool.query('DELETE FROM seat_holds WHERE expires_at <= NOW()');
+
+  if (result.affectedRows > 0) {
+    logger.info(`Released ${result.affectedRows} expired seat hold(s)`);
+  }
+
+  return result.affectedRows;
+};
@@ -0,0 +1,93 @@
+const { pool } = require('../config/database');
+
+// IATA special service request codes the airline accepts
+exports.SSR_CODES = {
+  WCHR: 'Wheelchair - can climb stairs, needs help over distances',
+  WCHS: 'Wheelchair - cannot climb stairs',
+  WCHC: 'Wheelchair - fully immobile',
+  BLND: 'Blind passenger',
+  DEAF: 'Deaf passenger',
+  DPNA: 'Disabled passenger needing assistance',
+  MAAS: 'Meet and assist',
+  UMNR: 'Unaccompanied minor',
+  PETC: 'Pet in cabin',
+  SVAN: 'Service animal in cabin',
+  EXST: 'Extra seat',
+  INFT: 'Infant on lap',
+  VGML: 'Vegetarian meal',
+  MOML: 'Muslim meal',
+  KSML: 'Kosher meal',
+  DBML: 'Diabetic meal',
+  GFML: 'Gluten-free meal',
+  CHML: 'Child meal',
+  BBML: 'Baby meal'
+};
+
+/**
+ * Get the special service requests of a ticket
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<Array>} Special service requests
+ */
+exports.getRequestsForTicket = async (ticketId) => {
+  const [rows] = await pool.query(`
+    SELECT ssr_id, ticket_id, code, note, created_at, created_by
+    FROM special_service_requests
+    WHERE ticket_id = ?
+    ORDER BY ssr_id
+  `, [ticketId]);
+
+  return rows;
+};
+
+/**
+ * Get the special service requests of every active ticket on a flight
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Array>} Special service requests with their ticket IDs
+ */
+exports.getRequestsForFlight = async (flightId) => {
+  const [rows] = await pool.query(`
+    SELECT s.ssr_id, s.ticket_id, s.code, s.note
+    FROM special_service_requests s
+    JOIN tickets t ON s.ticket_id = t.ticket_id
+    WHERE t.flight_id = ? AND t.status != 'cancelled'
+    ORDER BY s.ticket_id, s.ssr_id
+  `, [flightId]);
+
+  return rows;
+};
+
+/**
+ * Add a special service request to a ticket
+ * @param {Object} requestData - ticket_id, code, note, created_by
+ * @returns {Promise<number>} ID of the created request
+ */
+exports.createRequest = async (requestData) => {
+  const {
+    ticket_id,
+    code,
+    note = null,
+    created_by = null
+  } = requestData;
+
+  const [result] = await pool.query(`
+    INSERT INTO special_service_requests (ticket_id, code, note, created_by)
+    VALUES (?, ?, ?, ?)
+  `, [ticket_id, code, note, created_by]);
+
+  return result.insertId;
+};
+
+/**
+ * Remove a special service request from a ticket
+ * @param {number} ticketId - Ticket ID
+ * @param {number} ssrId - Request ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteRequest = async (ticketId, ssrId) => {
+  const [result] = await pool.query(
+    'DELETE FROM special_service_requests WHERE ssr_id = ? AND ticket_id = ?',
+    [ssrId, ticketId]
+  );
+
+  return result.affectedRows > 0;
+};
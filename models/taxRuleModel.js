@@ -0,0 +1,214 @@
+const { pool } = require('../config/database');
+
+const RULE_COLUMNS = `
+  rule_id,
+  code,
+  name,
+  category,
+  departure_airport,
+  arrival_airport,
+  country,
+  calculation,
+  amount,
+  is_active,
+  created_at
+`;
+
+/**
+ * Get tax rules, optionally only those scoped to an airport or country
+ * @param {Object} filters - airport: rules for departures from or arrivals at it; country
+ * @returns {Promise<Array>} Tax rules by category and code
+ */
+exports.getRules = async (filters = {}) => {
+  let query = `SELECT ${RULE_COLUMNS} FROM tax_rules WHERE 1=1`;
+  const params = [];
+
+  if (filters.airport) {
+    query += ' AND (departure_airport = ? OR arrival_airport = ?)';
+    params.push(filters.airport.toUpperCase(), filters.airport.toUpperCase());
+  }
+
+  if (filters.country) {
+    query += ' AND country = ?';
+    params.push(filters.country);
+  }
+
+  query += ' ORDER BY category, code, rule_id';
+
+  const [rows] = await pool.query(query, params);
+  return rows;
+};
+
+/**
+ * Get tax rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object>} Tax rule
+ */
+exports.getRuleById = async (id) => {
+  const [rows] = await pool.query(`SELECT ${RULE_COLUMNS} FROM tax_rules WHERE rule_id = ?`, [id]);
+  return rows[0];
+};
+
+/**
+ * Create a tax rule
+ * @param {Object} ruleData - code, name, category, departure_airport, arrival_airport, country,
+ *   calculation, amount, is_active
+ * @returns {Promise<number>} ID of the created rule
+ */
+exports.createRule = async (ruleData) => {
+  const {
+    code,
+    name,
+    category,
+    departure_airport = null,
+    arrival_airport = null,
+    country = null,
+    calculation = 'fixed',
+    amount,
+    is_active = true
+  } = ruleData;
+
+  const [result] = await pool.query(`
+    INSERT INTO tax_rules (
+      code, name, category, departure_airport, arrival_airport, country, calculation, amount, is_active
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    code.toUpperCase(),
+    name,
+    category,
+    departure_airport ? departure_airport.toUpperCase() : null,
+    arrival_airport ? arrival_airport.toUpperCase() : null,
+    country,
+    calculation,
+    amount,
+    is_active
+  ]);
+
+  return result.insertId;
+};
+
+/**
+ * Update a tax rule. Its scope can be widened by clearing a field with null,
+ * so only the fields sent are changed.
+ * @param {number} id - Rule ID
+ * @param {Object} ruleData - Fields to update
+ * @returns {Promise<boolean>} Whether update was successful
+ */
+exports.updateRule = async (id, ruleData) => {
+  const fields = [
+    'code', 'name', 'category', 'departure_airport', 'arrival_airport', 'country', 'calculation', 'amount', 'is_active'
+  ].filter(field => ruleData[field] !== undefined);
+
+  if (fields.length === 0) {
+    return true;
+  }
+
+  const values = fields.map(field => {
+    if (['code', 'departure_airport', 'arrival_airport'].includes(field) && ruleData[field]) {
+      return ruleData[field].toUpperCase();
+    }
+    return ruleData[field];
+  });
+
+  const [result] = await pool.query(
+    `UPDATE tax_rules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE rule_id = ?`,
+    [...values, id]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a tax rule; tickets keep the taxes they were charged
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Whether deletion was successful
+ */
+exports.deleteRule = async (id) => {
+  const [result] = await pool.query('DELETE FROM tax_rules WHERE rule_id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get the active tax rules a flight is charged: every field a rule scopes
+ * (departure airport, arrival airport, departure country) must match its route
+ * @param {number} flightId - Flight ID
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Array>} Tax rules by category and code
+ */
+exports.getRulesForFlight = async (flightId, transaction = null) => {
+  const rules = await exports.getRulesForFlights([flightId], transaction);
+  return rules.get(Number(flightId)) || [];
+};
+
+/**
+ * Get the tax rules of several flights in one query
+ * @param {Array<number>} flightIds - Flight IDs
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Map>} Tax rules by flight ID, by category and code
+ */
+exports.getRulesForFlights = async (flightIds, transaction = null) => {
+  const connection = transaction || pool;
+  const rulesByFlight = new Map(flightIds.map(id => [Number(id), []]));
+
+  if (flightIds.length === 0) {
+    return rulesByFlight;
+  }
+
+  const [rows] = await connection.query(`
+    SELECT f.flight_id, tr.rule_id, tr.code, tr.name, tr.category, tr.calculation, tr.amount
+    FROM flights f
+    JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN tax_rules tr ON tr.is_active
+      AND (tr.departure_airport IS NULL OR tr.departure_airport = r.origin)
+      AND (tr.arrival_airport IS NULL OR tr.arrival_airport = r.destination)
+      AND (tr.country IS NULL OR tr.country = ao.country)
+    WHERE f.flight_id IN (?)
+    ORDER BY tr.category, tr.code, tr.rule_id
+  `, [flightIds]);
+
+  rows.forEach(({ flight_id, ...rule }) => {
+    rulesByFlight.get(flight_id).push(rule);
+  });
+
+  return rulesByFlight;
+};
+
+/**
+ * Get the taxes and fees a ticket was charged
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} transaction - Optional connection to read through
+ * @returns {Promise<Array>} Itemized taxes
+ */
+exports.getTicketTaxes = async (ticketId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT tax_rule_id, code, name, category, amount
+    FROM ticket_taxes
+    WHERE ticket_id = ?
+    ORDER BY ticket_tax_id
+  `, [ticketId]);
+
+  return rows;
+};
+
+/**
+ * Record the taxes and fees charged on a ticket, replacing any it had
+ * @param {number} ticketId - Ticket ID
+ * @param {Array} items - Itemized taxes from the tax service
+ * @param {Object} transaction - Connection with an open transaction
+ * @returns {Promise<void>}
+ */
+exports.saveTicketTaxes = async (ticketId, items, transaction) => {
+  await transaction.query('DELETE FROM ticket_taxes WHERE ticket_id = ?', [ticketId]);
+
+  if (items.length === 0) {
+    return;
+  }
+
+  await transaction.query(`
+    INSERT INTO ticket_taxes (ticket_id, tax_rule_id, code, name, category, amount)
+    VALUES ?
+  `, [items.map(item => [ticketId, item.tax_rule_id, item.code, item.name, item.category, item.amount])]);
+};
@@ -1,7 +1,17 @@
 const { pool } = require('../config/database');
 const Flight = require('./flightModel');
 const FlightSeats = require('./flightSeatsModel');
+const SeatHold = require('./seatHoldModel');
+const Overbooking = require('./overbookingModel');
+const Fare = require('./fareModel');
+const Voucher = require('./voucherModel');
+const TaxRule = require('./taxRuleModel');
+const ExchangeRate = require('./exchangeRateModel');
+const TicketPricing = require('../services/ticketPricingService');
+const Currency = require('../services/currencyService');
+const config = require('../config/config');
 const logger = require('../utils/logger');
+const { addLocalTimes } = require('../utils/dateFormat');
 
 /**
  * Get all tickets with pagination
@@ -18,6 +28,7 @@ exports.getAllTickets = async (page = 1, limit = 10) => {
       t.seat_number,
       t.class,
       t.price,
+      t.currency,
       t.user_id,
       t.flight_id,
       t.booking_date,
@@ -29,10 +40,14 @@ exports.getAllTickets = async (page = 1, limit = 10) => {
       r.destination,
       CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
       u.passport_number,
-      u.gender
+      u.gender,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM tickets t
     JOIN flights f ON t.flight_id = f.flight_id
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN users u ON t.user_id = u.user_id
     ORDER BY t.booking_date DESC
     LIMIT ? OFFSET ?
@@ -42,7 +57,7 @@ exports.getAllTickets = async (page = 1, limit = 10) => {
   const count = countRows[0].count;
   
   return {
-    data: rows,
+    data: rows.map(addLocalTimes),
     page,
     limit,
     totalPages: Math.ceil(count / limit),
@@ -64,8 +79,30 @@ exports.getTicketById = async (id) => {
       t.seat_number,
       t.class,
       t.price,
+      t.currency,
+      t.exchange_rate,
+      t.is_refundable,
       t.booking_date,
       t.payment_status,
+      t.status,
+      t.refund_amount,
+      t.cancelled_at,
+      t.payment_intent_id,
+      t.fare_bucket_id,
+      t.base_fare,
+      t.taxes_amount,
+      t.promotion_id,
+      pm.code AS promo_code,
+      t.discount_amount,
+      t.voucher_amount,
+      fb.booking_code,
+      ff.code AS fare_family,
+      ff.name AS fare_family_name,
+      ff.change_fee,
+      ff.checked_bags,
+      ff.checked_bag_kg,
+      ff.carry_on_kg,
+      b.booking_reference,
       f.flight_number,
       f.departure_time,
       f.arrival_time,
@@ -77,16 +114,31 @@ exports.getTicketById = async (id) => {
       u.passport_number,
       u.gender,
       a.model AS aircraft_model,
-      a.registration_number
+      a.registration_number,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM tickets t
     JOIN flights f ON t.flight_id = f.flight_id
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN users u ON t.user_id = u.user_id
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
+    LEFT JOIN bookings b ON t.booking_id = b.booking_id
+    LEFT JOIN fare_buckets fb ON t.fare_bucket_id = fb.bucket_id
+    LEFT JOIN fare_families ff ON fb.fare_family_id = ff.fare_family_id
+    LEFT JOIN promotions pm ON t.promotion_id = pm.promotion_id
     WHERE t.ticket_id = ?
   `, [id]);
   
-  return rows[0];
+  if (rows.length === 0) {
+    return undefined;
+  }
+  
+  const ticket = addLocalTimes(rows[0]);
+  ticket.taxes = await TaxRule.getTicketTaxes(id);
+  
+  return ticket;
 };
 
 /**
@@ -101,11 +153,16 @@ exports.generateTicket = async (id) => {
       t.seat_number,
       t.class,
       t.price,
+      t.currency,
       f.flight_number,
       f.departure_time,
       f.arrival_time,
       r.origin,
       r.destination,
+      ao.city AS origin_city,
+      ad.city AS destination_city,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone,
       a.model AS aircraft_model,
       CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
       u.passport_number,
@@ -118,6 +175,10 @@ exports.generateTicket = async (id) => {
       flights f ON t.flight_id = f.flight_id
     JOIN 
       routes r ON f.route_id = r.route_id
+    JOIN 
+      airports ao ON r.origin = ao.iata_code
+    JOIN 
+      airports ad ON r.destination = ad.iata_code
     JOIN 
       aircraft a ON f.aircraft_id = a.aircraft_id
     JOIN 
@@ -126,7 +187,7 @@ exports.generateTicket = async (id) => {
       t.ticket_id = ?
   `, [id]);
   
-  return rows[0];
+  return rows[0] && addLocalTimes(rows[0]);
 };
 
 /**
@@ -141,22 +202,30 @@ exports.getTicketsByUser = async (userId) => {
       t.seat_number,
       t.class,
       t.price,
+      t.currency,
       t.booking_date,
       t.payment_status,
+      t.status,
+      b.booking_reference,
       f.flight_number,
       f.departure_time,
       f.arrival_time,
       r.origin,
       r.destination,
-      f.status AS flight_status
+      f.status AS flight_status,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM tickets t
     JOIN flights f ON t.flight_id = f.flight_id
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
+    LEFT JOIN bookings b ON t.booking_id = b.booking_id
     WHERE t.user_id = ?
     ORDER BY f.departure_time
   `, [userId]);
   
-  return rows;
+  return rows.map(addLocalTimes);
 };
 
 /**
@@ -171,10 +240,12 @@ exports.getTicketsByFlight = async (flightId) => {
       t.seat_number,
       t.class,
       t.price,
+      t.currency,
       CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
       u.passport_number,
       u.gender,
-      t.payment_status
+      t.payment_status,
+      t.status
     FROM tickets t
     JOIN users u ON t.user_id = u.user_id
     WHERE t.flight_id = ?
@@ -196,6 +267,7 @@ exports.getTicketsByFlightNumber = async (flightNumber) => {
       t.seat_number,
       t.class,
       t.price,
+      t.currency,
       t.booking_date,
       t.payment_status,
       f.flight_number,
@@ -206,23 +278,27 @@ exports.getTicketsByFlightNumber = async (flightNumber) => {
       f.status AS flight_status,
       CONCAT(u.first_name, ' ', u.last_name) AS passenger_name,
       u.passport_number,
-      u.gender
+      u.gender,
+      ao.timezone AS origin_timezone,
+      ad.timezone AS destination_timezone
     FROM tickets t
     JOIN flights f ON t.flight_id = f.flight_id
     JOIN routes r ON f.route_id = r.route_id
+    JOIN airports ao ON r.origin = ao.iata_code
+    JOIN airports ad ON r.destination = ad.iata_code
     JOIN users u ON t.user_id = u.user_id
     WHERE f.flight_number = ?
     ORDER BY t.seat_number
   `, [flightNumber]);
   
-  return rows;
+  return rows.map(addLocalTimes);
 };
 
 /**
  * Generate ticket sales report
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {Promise<Array>} Sales report
+ * @returns {Promise<Array>} Sales report, amounts in the base currency
  */
 exports.generateTicketSalesReport = async (startDate, endDate) => {
   const [rows] = await pool.query(`
@@ -232,11 +308,14 @@ exports.generateTicketSalesReport = async (startDate, endDate) => {
       r.origin,
       r.destination,
       DATE(f.departure_time) AS flight_date,
-      COUNT(t.ticket_id) AS tickets_sold,
-      SUM(t.price) AS total_revenue,
+      SUM(t.status != 'cancelled') AS tickets_sold,
+      SUM(t.status = 'cancelled') AS tickets_cancelled,
+      SUM((t.price - COALESCE(t.refund_amount, 0)) / t.exchange_rate) AS total_revenue,
+      SUM(COALESCE(t.refund_amount, 0) / t.exchange_rate) AS total_refunded,
+      SUM(IF(t.status = 'cancelled', 0, t.taxes_amount / t.exchange_rate)) AS total_taxes,
       t.class AS ticket_class,
       a.capacity AS total_capacity,
-      ROUND((COUNT(t.ticket_id) / a.capacity * 100), 2) AS occupancy_percentage,
+      ROUND((SUM(t.status != 'cancelled') / a.capacity * 100), 2) AS occupancy_percentage,
       f.base_price
     FROM 
       tickets t
@@ -248,7 +327,7 @@ exports.generateTicketSalesReport = async (startDate, endDate) => {
       aircraft a ON f.aircraft_id = a.aircraft_id
     WHERE 
       DATE(t.booking_date) BETWEEN ? AND ? 
-      AND t.payment_status = 'completed'
+      AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
     GROUP BY 
       f.flight_id, t.class
     ORDER BY 
@@ -284,15 +363,27 @@ exports.generateTicketSalesReport = async (startDate, endDate) => {
 };
 
 /**
- * Book a new ticket
+ * Book a new ticket. A ticket without a seat number is sold past the class's
+ * seats, which is only allowed within its overbooking allowance. Without a
+ * price the ticket is sold from the cheapest open fare bucket of its class
+ * (of the fare_family asked for, if any) and takes that fare's refundability.
+ * The price is the fare before taxes: a promo_code comes off it, the route's
+ * taxes and fees are added and a voucher_code pays towards the total, all
+ * recorded on the ticket; the voucher is redeemed. The price is given in the
+ * base currency; the ticket is sold in its currency at the exchange rate in
+ * effect now, or the exchange_rate of a fare quote, and keeps that rate. A
+ * fare quote (quote_id) sells one ticket, and only while its bucket is on sale.
  * @param {Object} ticketData - Ticket data
+ * @param {Object} transaction - Optional connection with an already open transaction
  * @returns {Promise<number>} ID of the created ticket
  */
-exports.createTicket = async (ticketData) => {
-  const connection = await pool.getConnection();
+exports.createTicket = async (ticketData, transaction = null) => {
+  const connection = transaction || await pool.getConnection();
   
   try {
-    await connection.beginTransaction();
+    if (!transaction) {
+      await connection.beginTransaction();
+    }
     
     let {
       user_id,
@@ -300,12 +391,35 @@ exports.createTicket = async (ticketData) => {
       seat_number,
       class: ticketClass = 'economy',
       price,
-      payment_status = 'pending'
+      payment_status = 'pending',
+      booking_id = null,
+      is_refundable = true,
+      payment_intent_id = null,
+      fare_bucket_id = null,
+      fare_family = null,
+      promo_code = null,
+      voucher_code = null,
+      currency = config.BASE_CURRENCY,
+      exchange_rate = null,
+      quote_id = null,
+      rebooked_from = null
     } = ticketData;
     
-    const seatAvailable = await FlightSeats.isSeatAvailable(flight_id, ticketClass, seat_number);
-    if (!seatAvailable) {
-      throw new Error('Seat is not available');
+    if (seat_number) {
+      // A seat held by this passenger counts as available; holds by anyone else block it.
+      // The seat stays locked until the booking commits, so no hold can be placed meanwhile.
+      const seatAvailable = await FlightSeats.isSeatAvailable(flight_id, ticketClass, seat_number, user_id, connection);
+      if (!seatAvailable) {
+        throw new Error('Seat is not available');
+      }
+    } else {
+      // Lock the flight so concurrent oversales can't both take the last allowance
+      await connection.query('SELECT flight_id FROM flights WHERE flight_id = ? FOR UPDATE', [flight_id]);
+      
+      const load = await Overbooking.getClassLoad(flight_id, ticketClass, connection);
+      if (load.sold >= load.seats + load.allowance) {
+        throw new Error(`No ${ticketClass} tickets left to sell on this flight`);
+      }
     }
     
     if (ticketClass === 'woman_only') {
@@ -323,68 +437,184 @@ exports.createTicket = async (ticketData) => {
       }
     }
     
-    if (!price) {
-      const [flightRows] = await connection.query(
-        `SELECT 
-          base_price, 
-          first_class_multiplier, 
-          business_class_multiplier, 
-          economy_class_multiplier, 
-          woman_only_multiplier 
-        FROM flights 
-        WHERE flight_id = ?`,
-        [flight_id]
-      );
+    if (!price && !rebooked_from) {
+      const fare = await Fare.quoteFare(flight_id, ticketClass, { fareFamily: fare_family }, connection);
+      
+      if (!fare) {
+        throw new Error(`No ${fare_family ? `${fare_family} ` : ''}${ticketClass} fares left on this flight`);
+      }
       
-      if (flightRows.length === 0) {
-        throw new Error('Flight not found');
+      price = fare.price;
+      fare_bucket_id = fare.fare_bucket_id;
+      is_refundable = fare.is_refundable;
+      fare_family = fare.fare_family;
+    }
+    
+    if (quote_id) {
+      const [usedRows] = await connection.query('SELECT ticket_id FROM tickets WHERE quote_id = ? FOR UPDATE', [quote_id]);
+      
+      if (usedRows.length > 0) {
+        throw new Error('This fare quote has already been used');
+      }
+      
+      // The quote locks the price, not the inventory
+      if (fare_bucket_id && !(await Fare.isBucketOnSale(fare_bucket_id, connection))) {
+        throw new Error('The quoted fare is no longer on sale');
+      }
+    }
+    
+    let pricing;
+    
+    if (rebooked_from) {
+      // A rebooked passenger keeps what they were charged for the ticket being replaced
+      pricing = await getTicketPricing(rebooked_from, connection);
+    } else {
+      const exchangeRate = exchange_rate !== null
+        ? parseFloat(exchange_rate)
+        : await ExchangeRate.getRate(currency, new Date(), connection);
+      
+      if (exchangeRate === null) {
+        throw new Error(`No exchange rate for ${currency.toUpperCase()}`);
       }
       
-      const flight = flightRows[0];
-      const multiplierField = `${ticketClass}_multiplier`;
-      price = flight.base_price * flight[multiplierField];
+      const [flightRows] = await connection.query('SELECT route_id FROM flights WHERE flight_id = ?', [flight_id]);
+      
+      const basePricing = await TicketPricing.priceTicket({
+        user_id,
+        flight_id,
+        route_id: flightRows[0].route_id,
+        class: ticketClass,
+        fare_family,
+        fare: parseFloat(price),
+        promo_code,
+        voucher_code
+      }, connection);
+      
+      pricing = {
+        ...Currency.convertPricing(basePricing, exchangeRate),
+        currency: currency.toUpperCase(),
+        exchange_rate: exchangeRate
+      };
     }
     
-    await FlightSeats.bookSeat(flight_id, ticketClass, seat_number);
     const [result] = await connection.query(`
       INSERT INTO tickets (
-        user_id, flight_id, seat_number, 
-        class, price, payment_status
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        user_id, flight_id, booking_id, seat_number, 
+        class, price, base_fare, taxes_amount, currency, exchange_rate, fare_bucket_id, is_refundable,
+        payment_status, payment_intent_id, promotion_id, discount_amount, voucher_amount, quote_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       user_id,
       flight_id,
+      booking_id,
       seat_number,
       ticketClass,
-      price,
-      payment_status
+      pricing.price,
+      pricing.base_fare,
+      pricing.taxes_amount,
+      pricing.currency,
+      pricing.exchange_rate,
+      fare_bucket_id,
+      is_refundable,
+      payment_status,
+      payment_intent_id,
+      pricing.promotion_id,
+      pricing.discount_amount,
+      pricing.voucher_amount,
+      quote_id
     ]);
     
-    await connection.commit();
+    await TaxRule.saveTicketTaxes(result.insertId, pricing.taxes, connection);
+    
+    if (pricing.voucher_id && !(await Voucher.redeemVoucher(pricing.voucher_id, result.insertId, connection))) {
+      throw new Error('Voucher is no longer active');
+    }
+    
+    if (seat_number) {
+      await FlightSeats.bookSeat(flight_id, ticketClass, seat_number, connection, result.insertId);
+      await SeatHold.convertHold(connection, flight_id, seat_number, user_id);
+    }
+    
+    if (!transaction) {
+      await connection.commit();
+    }
     return result.insertId;
   } catch (error) {
-    await connection.rollback();
+    if (!transaction) {
+      await connection.rollback();
+    }
     logger.error(`Error creating ticket: ${error.message}`);
     throw error;
   } finally {
-    connection.release();
+    if (!transaction) {
+      connection.release();
+    }
   }
 };
 
 /**
- * Update a ticket
+ * Check whether a fare quote has already been booked
+ * @param {string} quoteId - ID (jti) of the quote token
+ * @returns {Promise<boolean>} Whether a ticket was sold with the quote
+ */
+exports.isQuoteUsed = async (quoteId) => {
+  const [rows] = await pool.query('SELECT ticket_id FROM tickets WHERE quote_id = ?', [quoteId]);
+  return rows.length > 0;
+};
+
+/**
+ * Get the charges of a ticket in the shape the ticket pricing service returns
+ * @param {number} ticketId - Ticket ID
+ * @param {Object} connection - Connection to read through
+ * @returns {Promise<Object>} { base_fare, promotion_id, discount_amount, taxes, taxes_amount,
+ *   voucher_id, voucher_amount, price, currency, exchange_rate }; voucher_id is null as the voucher
+ *   is already redeemed
+ */
+async function getTicketPricing(ticketId, connection) {
+  const [rows] = await connection.query(`
+    SELECT price, base_fare, taxes_amount, promotion_id, discount_amount, voucher_amount, currency, exchange_rate
+    FROM tickets
+    WHERE ticket_id = ?
+  `, [ticketId]);
+  
+  if (rows.length === 0) {
+    throw new Error('Ticket not found');
+  }
+  
+  const ticket = rows[0];
+  
+  return {
+    base_fare: ticket.base_fare === null ? ticket.price : ticket.base_fare,
+    promotion_id: ticket.promotion_id,
+    discount_amount: ticket.discount_amount,
+    taxes: await TaxRule.getTicketTaxes(ticketId, connection),
+    taxes_amount: ticket.taxes_amount,
+    voucher_id: null,
+    voucher_amount: ticket.voucher_amount,
+    price: ticket.price,
+    currency: ticket.currency,
+    exchange_rate: ticket.exchange_rate
+  };
+}
+
+/**
+ * Update a ticket. A price sent is in the ticket's currency; a class change is
+ * repriced at the exchange rate the ticket was sold at.
  * @param {number} id - Ticket ID
  * @param {Object} ticketData - Ticket data to update
+ * @param {Object} transaction - Optional connection with an already open transaction
  * @returns {Promise<boolean>} Whether update was successful
  */
-exports.updateTicket = async (id, ticketData) => {
-  const connection = await pool.getConnection();
+exports.updateTicket = async (id, ticketData, transaction = null) => {
+  const connection = transaction || await pool.getConnection();
   
   try {
-    await connection.beginTransaction();
+    if (!transaction) {
+      await connection.beginTransaction();
+    }
     
     const [ticketRows] = await connection.query(
-      'SELECT flight_id, class, seat_number FROM tickets WHERE ticket_id = ?',
+      'SELECT user_id, flight_id, class, seat_number, fare_bucket_id, currency, exchange_rate FROM tickets WHERE ticket_id = ?',
       [id]
     );
     
@@ -403,6 +633,8 @@ exports.updateTicket = async (id, ticketData) => {
     let finalSeatNumber = seat_number || currentTicket.seat_number;
     let finalTicketClass = ticketClass || currentTicket.class;
     let finalPrice = price;
+    let finalBucketId = currentTicket.fare_bucket_id;
+    let repricedFare = null;
     
     if ((seat_number && seat_number !== currentTicket.seat_number) || 
         (ticketClass && ticketClass !== currentTicket.class)) {
@@ -422,44 +654,63 @@ exports.updateTicket = async (id, ticketData) => {
         const seatAvailable = await FlightSeats.isSeatAvailable(
           currentTicket.flight_id, 
           finalTicketClass, 
-          finalSeatNumber
+          finalSeatNumber,
+          currentTicket.user_id,
+          connection
         );
         
         if (!seatAvailable) {
           throw new Error('The requested seat is not available');
         }
         
-        await FlightSeats.releaseSeat(
-          currentTicket.flight_id,
-          currentTicket.class,
-          currentTicket.seat_number
-        );
+        if (currentTicket.seat_number) {
+          await FlightSeats.releaseSeat(
+            currentTicket.flight_id,
+            currentTicket.class,
+            currentTicket.seat_number,
+            connection
+          );
+        }
         
         await FlightSeats.bookSeat(
           currentTicket.flight_id,
           finalTicketClass,
-          finalSeatNumber
+          finalSeatNumber,
+          connection,
+          id
+        );
+        
+        await SeatHold.convertHold(
+          connection,
+          currentTicket.flight_id,
+          finalSeatNumber,
+          currentTicket.user_id
         );
       }
     }
     
-    if (ticketClass && ticketClass !== currentTicket.class && !price) {
-      const [flightRows] = await connection.query(
-        `SELECT 
-          base_price, 
-          first_class_multiplier, 
-          business_class_multiplier, 
-          economy_class_multiplier, 
-          woman_only_multiplier 
-        FROM flights 
-        WHERE flight_id = ?`,
-        [currentTicket.flight_id]
-      );
+    if (ticketClass && ticketClass !== currentTicket.class) {
+      // A ticket moving cabin leaves its fare bucket; repriced from the new cabin's cheapest open bucket and its taxes, plus the change fee
+      finalBucketId = null;
       
-      if (flightRows.length > 0) {
-        const flight = flightRows[0];
-        const multiplierField = `${finalTicketClass}_multiplier`;
-        finalPrice = flight.base_price * flight[multiplierField];
+      if (!price) {
+        const changeFee = await Fare.getChangeFee(currentTicket.fare_bucket_id, connection);
+        
+        if (changeFee === null) {
+          throw new Error('The fare of this ticket does not allow changes');
+        }
+        
+        const fare = await Fare.quoteFare(currentTicket.flight_id, finalTicketClass, {}, connection);
+        
+        if (!fare) {
+          throw new Error(`No ${finalTicketClass} fares left on this flight`);
+        }
+        
+        const exchangeRate = parseFloat(currentTicket.exchange_rate);
+        
+        repricedFare = Currency.convertQuote(fare, currentTicket.currency, exchangeRate);
+        finalPrice = repricedFare.total_price + Currency.convert(changeFee, exchangeRate);
+        finalBucketId = fare.fare_bucket_id;
       }
     }
     
@@ -469,29 +720,47 @@ exports.updateTicket = async (id, ticketData) => {
         seat_number = COALESCE(?, seat_number),
         class = COALESCE(?, class),
         price = COALESCE(?, price),
+        base_fare = COALESCE(?, base_fare),
+        taxes_amount = COALESCE(?, taxes_amount),
+        fare_bucket_id = ?,
         payment_status = COALESCE(?, payment_status)
       WHERE ticket_id = ?
     `, [
       finalSeatNumber,
       finalTicketClass,
       finalPrice,
+      repricedFare ? repricedFare.price : null,
+      repricedFare ? repricedFare.taxes_amount : null,
+      finalBucketId,
       payment_status,
       id
     ]);
     
-    await connection.commit();
+    if (repricedFare) {
+      await TaxRule.saveTicketTaxes(id, repricedFare.taxes, connection);
+    }
+    
+    if (!transaction) {
+      await connection.commit();
+    }
     return result.affectedRows > 0;
   } catch (error) {
-    await connection.rollback();
+    if (!transaction) {
+      await connection.rollback();
+    }
     logger.error(`Error updating ticket: ${error.message}`);
     throw error;
   } finally {
-    connection.release();
+    if (!transaction) {
+      connection.release();
+    }
   }
 };
 
 /**
- * Delete a ticket
+ * Delete the record of a cancelled ticket. Only cancelled tickets can go: they
+ * hold no seat and were refunded when cancelled. A ticket that check-ins,
+ * refunds, disruptions or vouchers still refer to fails with ER_ROW_IS_REFERENCED_2.
  * @param {number} id - Ticket ID
  * @returns {Promise<boolean>} Whether deletion was successful
  */
@@ -502,7 +771,7 @@ exports.deleteTicket = async (id) => {
     await connection.beginTransaction();
     
     const [ticketRows] = await connection.query(
-      'SELECT flight_id, class, seat_number FROM tickets WHERE ticket_id = ?',
+      'SELECT status FROM tickets WHERE ticket_id = ? FOR UPDATE',
       [id]
     );
     
@@ -510,13 +779,9 @@ exports.deleteTicket = async (id) => {
       throw new Error('Ticket not found');
     }
     
-    const ticket = ticketRows[0];
-    
-    await FlightSeats.releaseSeat(
-      ticket.flight_id,
-      ticket.class,
-      ticket.seat_number
-    );
+    if (ticketRows[0].status !== 'cancelled') {
+      throw new Error('Only cancelled tickets can be deleted');
+    }
     
     const [result] = await connection.query(
       'DELETE FROM tickets WHERE ticket_id = ?', 
@@ -534,6 +799,169 @@ exports.deleteTicket = async (id) => {
   }
 };
 
+/**
+ * Get the tickets of a flight that still hold a seat, locking them when inside a transaction
+ * @param {number} flightId - Flight ID
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<Array>} Active tickets in booking order
+ */
+exports.getActiveTicketsForFlight = async (flightId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT ticket_id, user_id, flight_id, booking_id, seat_number, class, price, currency, exchange_rate,
+      is_refundable, payment_status, payment_intent_id, voucher_amount
+    FROM tickets
+    WHERE flight_id = ? AND status != 'cancelled'
+    ORDER BY booking_id, ticket_id
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [flightId]);
+
+  return rows;
+};
+
+// What cancelling a ticket needs of it: the refund rules read the fare and the departure time
+const CANCELLATION_COLUMNS = `
+  t.ticket_id,
+  t.user_id,
+  t.flight_id,
+  t.booking_id,
+  t.seat_number,
+  t.class,
+  t.price,
+  t.currency,
+  t.exchange_rate,
+  t.is_refundable,
+  t.payment_status,
+  t.payment_intent_id,
+  t.voucher_amount,
+  t.refund_amount,
+  t.status,
+  f.departure_time,
+  f.status AS flight_status
+`;
+
+/**
+ * Get a ticket for cancelling it, locked until the transaction ends
+ * @param {number} id - Ticket ID
+ * @param {Object} transaction - Connection with an open transaction
+ * @returns {Promise<Object>} Ticket with its flight's departure time and status
+ */
+exports.getTicketForCancellation = async (id, transaction) => {
+  const [rows] = await transaction.query(`
+    SELECT ${CANCELLATION_COLUMNS}
+    FROM tickets t
+    JOIN flights f ON t.flight_id = f.flight_id
+    WHERE t.ticket_id = ?
+    FOR UPDATE
+  `, [id]);
+
+  return rows[0];
+};
+
+/**
+ * Get the tickets of a booking that are not cancelled yet, locked until the
+ * transaction ends. Unseated tickets come first, so cancelling them before the
+ * seated ones keeps a freed seat from going to a ticket of the same booking.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} transaction - Connection with an open transaction
+ * @returns {Promise<Array>} Tickets with their flights' departure times and statuses
+ */
+exports.getBookingTicketsForCancellation = async (bookingId, transaction) => {
+  const [rows] = await transaction.query(`
+    SELECT ${CANCELLATION_COLUMNS}
+    FROM tickets t
+    JOIN flights f ON t.flight_id = f.flight_id
+    WHERE t.booking_id = ? AND t.status != 'cancelled'
+    ORDER BY t.seat_number IS NOT NULL, t.ticket_id
+    FOR UPDATE
+  `, [bookingId]);
+
+  return rows;
+};
+
+/**
+ * Cancel a ticket, keeping its record for sales history, and release its seat.
+ * A refund of the whole price marks the payment 'refunded', a smaller one
+ * 'partially_refunded'; a payment moved to a replacement ticket is 'transferred'.
+ * @param {number} id - Ticket ID
+ * @param {Object} options - Cancellation options
+ * @param {number} options.refundAmount - Amount refunded to the passenger
+ * @param {boolean} options.transferred - The payment now covers a replacement ticket
+ * @param {number} options.seatTicketId - Unseated ticket that takes over the seat
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<boolean>} Whether cancellation was successful
+ */
+exports.cancelTicket = async (id, options = {}, transaction = null) => {
+  const { refundAmount = 0, transferred = false, seatTicketId = null } = options;
+  // When called inside a caller's transaction, commit/rollback is left to the caller
+  const connection = transaction || await pool.getConnection();
+
+  try {
+    if (!transaction) {
+      await connection.beginTransaction();
+    }
+
+    const [ticketRows] = await connection.query(
+      'SELECT flight_id, class, seat_number, price, payment_status, status FROM tickets WHERE ticket_id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (ticketRows.length === 0) {
+      throw new Error('Ticket not found');
+    }
+
+    const ticket = ticketRows[0];
+
+    if (ticket.status === 'cancelled') {
+      throw new Error('Ticket is already cancelled');
+    }
+
+    if (ticket.seat_number) {
+      await FlightSeats.releaseSeat(
+        ticket.flight_id,
+        ticket.class,
+        ticket.seat_number,
+        connection,
+        seatTicketId
+      );
+    }
+
+    let paymentStatus = ticket.payment_status;
+    
+    if (transferred && paymentStatus === 'completed') {
+      paymentStatus = 'transferred';
+    } else if (refundAmount > 0) {
+      paymentStatus = refundAmount >= parseFloat(ticket.price) ? 'refunded' : 'partially_refunded';
+    }
+    
+    const [result] = await connection.query(`
+      UPDATE tickets
+      SET
+        status = 'cancelled',
+        payment_status = ?,
+        refund_amount = ?,
+        cancelled_at = NOW()
+      WHERE ticket_id = ?
+    `, [paymentStatus, refundAmount, id]);
+
+    if (!transaction) {
+      await connection.commit();
+    }
+    return result.affectedRows > 0;
+  } catch (error) {
+    if (!transaction) {
+      await connection.rollback();
+    }
+    logger.error(`Error cancelling ticket: ${error.message}`);
+    throw error;
+  } finally {
+    if (!transaction) {
+      connection.release();
+    }
+  }
+};
+
 /**
  * Check if seat is available on flight (backward compatibility function)
  * @param {number} flightId - Flight ID
@@ -560,6 +988,80 @@ exports.updatePaymentStatus = async (id, status) => {
   return result.affectedRows > 0;
 };
 
+/**
+ * Get tickets to be paid together, with the state of any payment already started for them
+ * @param {Array<number>} ticketIds - Ticket IDs
+ * @param {Object} transaction - Optional connection with an already open transaction (locks the tickets)
+ * @returns {Promise<Array>} Tickets
+ */
+exports.getTicketsForPayment = async (ticketIds, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      t.ticket_id,
+      t.user_id,
+      t.booking_id,
+      t.price,
+      t.currency,
+      t.status,
+      t.payment_status,
+      t.payment_intent_id,
+      pi.status AS payment_intent_status
+    FROM tickets t
+    LEFT JOIN payment_intents pi ON t.payment_intent_id = pi.intent_id
+    WHERE t.ticket_id IN (?)
+    ORDER BY t.ticket_id
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [ticketIds]);
+
+  return rows;
+};
+
+/**
+ * Link tickets to the payment intent that pays for them
+ * @param {Array<number>} ticketIds - Ticket IDs
+ * @param {number} intentId - Payment intent ID
+ * @param {Object} transaction - Optional connection with an already open transaction
+ */
+exports.setPaymentIntent = async (ticketIds, intentId, transaction = null) => {
+  const connection = transaction || pool;
+
+  await connection.query(
+    'UPDATE tickets SET payment_intent_id = ? WHERE ticket_id IN (?)',
+    [intentId, ticketIds]
+  );
+};
+
+/**
+ * Mark the tickets of a captured payment intent as paid
+ * @param {number} intentId - Payment intent ID
+ * @param {Object} transaction - Optional connection with an already open transaction
+ */
+exports.completePaymentForIntent = async (intentId, transaction = null) => {
+  const connection = transaction || pool;
+
+  await connection.query(
+    "UPDATE tickets SET payment_status = 'completed' WHERE payment_intent_id = ? AND payment_status = 'pending'",
+    [intentId]
+  );
+};
+
+/**
+ * Mark the paid tickets of a fully refunded payment intent as refunded
+ * @param {number} intentId - Payment intent ID
+ * @param {Object} transaction - Optional connection with an already open transaction
+ */
+exports.refundPaymentForIntent = async (intentId, transaction = null) => {
+  const connection = transaction || pool;
+
+  await connection.query(`
+    UPDATE tickets
+    SET payment_status = 'refunded', refund_amount = price
+    WHERE payment_intent_id = ? AND payment_status IN ('completed', 'partially_refunded')
+  `, [intentId]);
+};
+
 /**
  * Validate a seat for booking (checks if available and appropriate for the user)
  * @param {number} flightId - Flight ID
@@ -570,7 +1072,7 @@ exports.updatePaymentStatus = async (id, status) => {
  */
 exports.validateSeatForBooking = async (flightId, seatNumber, seatClass, userId) => {
   try {
-    const seatAvailable = await FlightSeats.isSeatAvailable(flightId, seatClass, seatNumber);
+    const seatAvailable = await FlightSeats.isSeatAvailable(flightId, seatClass, seatNumber, userId);
     
     if (!seatAvailable) {
       return {
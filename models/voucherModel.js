@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { toBase } = require('../services/currencyService');
+const config = require('../config/config');
+
+// Same alphabet as booking references, without look-alike characters
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+/**
+ * Get vouchers, optionally limited to one user
+ * @param {number} userId - Optional user filter
+ * @returns {Promise<Array>} Vouchers, newest first
+ */
+exports.getVouchers = async (userId = null) => {
+  const where = userId ? 'WHERE v.user_id = ?' : '';
+  const params = userId ? [userId] : [];
+
+  const [rows] = await pool.query(`
+    SELECT
+      v.voucher_id,
+      v.code,
+      v.user_id,
+      CONCAT(u.first_name, ' ', u.last_name) AS holder_name,
+      v.amount,
+      IF(v.status = 'active' AND v.expires_at <= NOW(), 'expired', v.status) AS status,
+      v.source_ticket_id,
+      v.redeemed_ticket_id,
+      v.expires_at,
+      v.created_at
+    FROM vouchers v
+    JOIN users u ON v.user_id = u.user_id
+    ${where}
+    ORDER BY v.created_at DESC
+  `, params);
+
+  return rows;
+};
+
+/**
+ * Get voucher by code
+ * @param {string} code - Voucher code
+ * @param {Object} transaction - Optional connection with an open transaction; locks the voucher
+ * @returns {Promise<Object>} Voucher details
+ */
+exports.getVoucherByCode = async (code, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT
+      voucher_id,
+      code,
+      user_id,
+      amount,
+      IF(status = 'active' AND expires_at <= NOW(), 'expired', status) AS status,
+      source_ticket_id,
+      redeemed_ticket_id,
+      expires_at,
+      created_at
+    FROM vouchers
+    WHERE code = ?
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [code.toUpperCase()]);
+
+  return rows[0];
+};
+
+/**
+ * Issue a voucher
+ * @param {Object} voucherData - Voucher data (user_id, amount, valid_days, source_ticket_id)
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<Object>} ID and code of the created voucher
+ */
+exports.createVoucher = async (voucherData, transaction = null) => {
+  const { user_id, amount, valid_days, source_ticket_id = null } = voucherData;
+  const connection = transaction || pool;
+
+  const code = await generateUniqueCode(connection);
+
+  const [result] = await connection.query(`
+    INSERT INTO vouchers (code, user_id, amount, source_ticket_id, expires_at)
+    VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))
+  `, [code, user_id, amount, source_ticket_id, valid_days]);
+
+  return { voucher_id: result.insertId, code };
+};
+
+/**
+ * Give back, as a new voucher, voucher credit a cancelled ticket was paid with
+ * @param {Object} ticket - Cancelled ticket (ticket_id, user_id, exchange_rate)
+ * @param {number} amount - Credit to give back, in the ticket's currency
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<Object>} ID and code of the created voucher, or null when there is nothing to give back
+ */
+exports.reissueTicketCredit = async (ticket, amount, transaction = null) => {
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  // Vouchers hold credit in the base currency
+  return exports.createVoucher({
+    user_id: ticket.user_id,
+    amount: toBase(amount, parseFloat(ticket.exchange_rate)),
+    valid_days: parseInt(config.VOUCHER_VALID_DAYS, 10),
+    source_ticket_id: ticket.ticket_id
+  }, transaction);
+};
+
+/**
+ * Redeem a voucher against the ticket it paid towards
+ * @param {number} voucherId - Voucher ID
+ * @param {number} ticketId - Ticket the voucher was spent on
+ * @param {Object} transaction - Optional connection with an already open transaction
+ * @returns {Promise<boolean>} Whether the voucher was still active and is now redeemed
+ */
+exports.redeemVoucher = async (voucherId, ticketId, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(`
+    UPDATE vouchers
+    SET status = 'redeemed', redeemed_ticket_id = ?
+    WHERE voucher_id = ? AND status = 'active' AND expires_at > NOW()
+  `, [ticketId, voucherId]);
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Generate a voucher code that is not in use yet
+ * @param {Object} connection - Connection to check uniqueness with
+ * @returns {Promise<string>} Voucher code
+ */
+async function generateUniqueCode(connection) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_CHARS[crypto.randomInt(CODE_CHARS.length)];
+    }
+
+    const [rows] = await connection.query(
+      'SELECT voucher_id FROM vouchers WHERE code = ?',
+      [code]
+    );
+
+    if (rows.length === 0) {
+      return code;
+    }
+  }
+
+  throw new Error('Could not generate a unique voucher code');
+}
@@ -0,0 +1,274 @@
+const { pool } = require('../config/database');
+const config = require('../config/config');
+const SeatHold = require('./seatHoldModel');
+const Fare = require('./fareModel');
+const logger = require('../utils/logger');
+
+const ENTRY_COLUMNS = `
+  w.waitlist_id,
+  w.flight_id,
+  f.flight_number,
+  f.departure_time,
+  f.status as flight_status,
+  w.class,
+  w.user_id,
+  w.status,
+  w.seat_number,
+  w.offered_price,
+  w.offered_fare_bucket_id,
+  w.offered_at,
+  w.offer_expires_at,
+  w.ticket_id,
+  w.created_at,
+  (SELECT COUNT(*) + 1 FROM waitlist_entries q
+   WHERE q.flight_id = w.flight_id AND q.class = w.class AND q.status = 'waiting'
+   AND q.waitlist_id < w.waitlist_id) as position
+`;
+
+/**
+ * Get waitlist entries, newest first
+ * @param {Object} filters - Optional user_id, flight_id and class
+ * @returns {Promise<Array>} Waitlist entries
+ */
+exports.getEntries = async (filters = {}) => {
+  let query = `
+    SELECT ${ENTRY_COLUMNS}
+    FROM waitlist_entries w
+    JOIN flights f ON w.flight_id = f.flight_id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (filters.user_id) {
+    query += ' AND w.user_id = ?';
+    params.push(filters.user_id);
+  }
+
+  if (filters.flight_id) {
+    query += ' AND w.flight_id = ?';
+    params.push(filters.flight_id);
+  }
+
+  if (filters.class) {
+    query += ' AND w.class = ?';
+    params.push(filters.class);
+  }
+
+  query += ' ORDER BY w.waitlist_id DESC';
+
+  const [rows] = await pool.query(query, params);
+  return rows.map(withPosition);
+};
+
+/**
+ * Get a waitlist entry by ID
+ * @param {number} id - Waitlist entry ID
+ * @param {Object} transaction - Optional connection with an open transaction; locks the entry
+ * @returns {Promise<Object>} Waitlist entry
+ */
+exports.getEntryById = async (id, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [rows] = await connection.query(`
+    SELECT ${ENTRY_COLUMNS}
+    FROM waitlist_entries w
+    JOIN flights f ON w.flight_id = f.flight_id
+    WHERE w.waitlist_id = ?
+    ${transaction ? 'FOR UPDATE' : ''}
+  `, [id]);
+
+  return rows[0] ? withPosition(rows[0]) : undefined;
+};
+
+/**
+ * Get a user's open (waiting or offered) entry for a flight and class
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Open waitlist entry
+ */
+exports.getOpenEntry = async (flightId, seatClass, userId) => {
+  const [rows] = await pool.query(`
+    SELECT waitlist_id, status
+    FROM waitlist_entries
+    WHERE flight_id = ? AND class = ? AND user_id = ? AND status IN ('waiting', 'offered')
+  `, [flightId, seatClass, userId]);
+
+  return rows[0];
+};
+
+/**
+ * Add a user to the end of a flight's waitlist for a class
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} ID of the created entry
+ */
+exports.createEntry = async (flightId, seatClass, userId) => {
+  const [result] = await pool.query(
+    'INSERT INTO waitlist_entries (flight_id, class, user_id) VALUES (?, ?, ?)',
+    [flightId, seatClass, userId]
+  );
+
+  return result.insertId;
+};
+
+/**
+ * Offer a freed seat to the first user waiting for its class. The seat is held
+ * for them and the fare quoted from the cheapest open bucket until the offer
+ * expires. Nothing is offered once the flight is no longer open for sale or
+ * the class has no fares left.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {string} seatNumber - Freed seat
+ * @returns {Promise<Object|null>} { waitlist_id, user_id } of the offer, or null when nobody is waiting
+ */
+exports.offerSeat = async (connection, flightId, seatClass, seatNumber) => {
+  const [entries] = await connection.query(`
+    SELECT w.waitlist_id, w.user_id
+    FROM waitlist_entries w
+    JOIN flights f ON w.flight_id = f.flight_id
+    WHERE w.flight_id = ? AND w.class = ? AND w.status = 'waiting'
+    AND f.status IN ('scheduled', 'delayed') AND f.departure_time > NOW()
+    ORDER BY w.waitlist_id
+    LIMIT 1
+    FOR UPDATE
+  `, [flightId, seatClass]);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const entry = entries[0];
+  const minutes = parseInt(config.WAITLIST_OFFER_MINUTES, 10);
+  const fare = await Fare.quoteFare(flightId, seatClass, {}, connection);
+
+  if (!fare) {
+    logger.info(`Seat ${seatNumber} on flight ${flightId} not offered to the waitlist: no ${seatClass} fares left`);
+    return null;
+  }
+
+  await SeatHold.assignHold(connection, flightId, seatClass, seatNumber, entry.user_id, minutes);
+
+  await connection.query(`
+    UPDATE waitlist_entries
+    SET
+      status = 'offered',
+      seat_number = ?,
+      offered_price = ?,
+      offered_fare_bucket_id = ?,
+      offered_at = NOW(),
+      offer_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+    WHERE waitlist_id = ?
+  `, [seatNumber, fare.price, fare.fare_bucket_id, minutes, entry.waitlist_id]);
+
+  logger.info(`Offered seat ${seatNumber} on flight ${flightId} to waitlist entry ${entry.waitlist_id}`);
+
+  return entry;
+};
+
+/**
+ * Offer every free, unheld seat of a flight to its waitlist, e.g. after the
+ * cabin was reconfigured. Outstanding offers whose seat no longer exists in
+ * their class go back to waiting, keeping their place in the queue.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<number>} Number of offers made
+ */
+exports.offerOpenSeats = async (connection, flightId) => {
+  const [staleOffers] = await connection.query(`
+    SELECT w.waitlist_id, w.seat_number, w.user_id
+    FROM waitlist_entries w
+    LEFT JOIN flight_seats s
+      ON s.flight_id = w.flight_id AND s.seat_number = w.seat_number AND s.class = w.class
+    WHERE w.flight_id = ? AND w.status = 'offered' AND s.flight_seat_id IS NULL
+    FOR UPDATE
+  `, [flightId]);
+
+  for (const offer of staleOffers) {
+    await SeatHold.convertHold(connection, flightId, offer.seat_number, offer.user_id);
+    await connection.query(`
+      UPDATE waitlist_entries
+      SET status = 'waiting', seat_number = NULL, offered_price = NULL, offered_fare_bucket_id = NULL, offered_at = NULL, offer_expires_at = NULL
+      WHERE waitlist_id = ?
+    `, [offer.waitlist_id]);
+  }
+
+  const [seats] = await connection.query(`
+    SELECT s.seat_number, s.class
+    FROM flight_seats s
+    WHERE s.flight_id = ? AND s.state = 'available'
+    AND NOT EXISTS (
+      SELECT 1 FROM seat_holds h
+      WHERE h.flight_id = s.flight_id AND h.seat_number = s.seat_number AND h.expires_at > NOW()
+    )
+    ORDER BY s.seat_row, s.seat_number
+    FOR UPDATE
+  `, [flightId]);
+
+  const exhaustedClasses = new Set();
+  let offers = 0;
+
+  for (const seat of seats) {
+    if (exhaustedClasses.has(seat.class)) {
+      continue;
+    }
+
+    if (await exports.offerSeat(connection, flightId, seat.class, seat.seat_number)) {
+      offers++;
+    } else {
+      exhaustedClasses.add(seat.class);
+    }
+  }
+
+  return offers;
+};
+
+/**
+ * Set the status of a waitlist entry
+ * @param {number} id - Waitlist entry ID
+ * @param {string} status - New status (accepted, expired or cancelled)
+ * @param {Object} options - Optional ticket_id of the ticket an accepted offer became
+ * @param {Object} transaction - Optional connection with an open transaction
+ * @returns {Promise<boolean>} Whether the entry was updated
+ */
+exports.closeEntry = async (id, status, options = {}, transaction = null) => {
+  const connection = transaction || pool;
+
+  const [result] = await connection.query(
+    'UPDATE waitlist_entries SET status = ?, ticket_id = ? WHERE waitlist_id = ?',
+    [status, options.ticket_id || null, id]
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get offers whose time has run out, locking them
+ * @param {Object} connection - Connection with an open transaction
+ * @returns {Promise<Array>} Expired offers
+ */
+exports.getExpiredOffers = async (connection) => {
+  const [rows] = await connection.query(`
+    SELECT waitlist_id, flight_id, class, seat_number, user_id
+    FROM waitlist_entries
+    WHERE status = 'offered' AND offer_expires_at <= NOW()
+    ORDER BY offer_expires_at
+    FOR UPDATE
+  `);
+
+  return rows;
+};
+
+/**
+ * Only entries still waiting have a place in the queue
+ * @param {Object} entry - Waitlist entry row
+ * @returns {Object} Entry with position null unless waiting
+ */
+function withPosition(entry) {
+  return {
+    ...entry,
+    position: entry.status === 'waiting' ? entry.position : null
+  };
+}
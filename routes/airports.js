@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAirports,
+  getAirport,
+  createAirport,
+  updateAirport,
+  deleteAirport
+} = require('../controllers/airportController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(getAirports)
+  .post(protect, authorize('admin'), createAirport);
+
+router.route('/:code')
+  .get(getAirport)
+  .put(protect, authorize('admin'), updateAirport)
+  .delete(protect, authorize('admin'), deleteAirport);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBookings,
+  getBooking,
+  getBookingItinerary,
+  createBooking,
+  updateBooking,
+  cancelBooking
+} = require('../controllers/bookingController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.route('/')
+  .get(getBookings)
+  .post(createBooking);
+
+router.route('/:reference/itinerary')
+  .get(getBookingItinerary);
+
+router.route('/:reference/cancel')
+  .patch(cancelBooking);
+
+router.route('/:reference')
+  .get(getBooking)
+  .put(updateBooking);
+
+module.exports = router;
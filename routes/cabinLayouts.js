@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCabinLayouts,
+  getCabinLayout,
+  createCabinLayout,
+  updateCabinLayout,
+  deleteCabinLayout
+} = require('../controllers/cabinLayoutController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getCabinLayouts)
+  .post(protect, authorize('admin'), createCabinLayout);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getCabinLayout)
+  .put(protect, authorize('admin'), updateCabinLayout)
+  .delete(protect, authorize('admin'), deleteCabinLayout);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  getExchangeRate,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getExchangeRates)
+  .post(protect, authorize('admin'), createExchangeRate);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getExchangeRate)
+  .put(protect, authorize('admin'), updateExchangeRate)
+  .delete(protect, authorize('admin'), deleteExchangeRate);
+
+module.exports = router;
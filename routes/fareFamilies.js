@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFareFamilies,
+  getFareFamily,
+  createFareFamily,
+  updateFareFamily,
+  deleteFareFamily
+} = require('../controllers/fareController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(getFareFamilies)
+  .post(protect, authorize('admin'), createFareFamily);
+
+router.route('/:id')
+  .get(getFareFamily)
+  .put(protect, authorize('admin'), updateFareFamily)
+  .delete(protect, authorize('admin'), deleteFareFamily);
+
+module.exports = router;
@@ -3,9 +3,11 @@ const router = express.Router();
 const {
   initializeFlightSeats,
   getFlightSeatMap,
+  getFlightSeats,
   getAvailableSeatsByClass,
   checkSeatAvailability,
   validateSeat,
+  autoAssignSeats,
   reconfigureFlightSeats
 } = require('../controllers/flightSeatsController');
 
@@ -14,6 +16,9 @@ const { protect, authorize } = require('../middleware/auth');
 router.route('/:flightId/seat-map')
   .get(getFlightSeatMap);
 
+router.route('/:flightId/seats')
+  .get(protect, authorize('admin', 'worker'), getFlightSeats);
+
 router.route('/:flightId/available/:class')
   .get(getAvailableSeatsByClass);
 
@@ -23,6 +28,9 @@ router.route('/:flightId/check/:class/:seatNumber')
 router.route('/:flightId/validate')
   .post(protect, validateSeat);
 
+router.route('/:flightId/auto-assign')
+  .post(protect, autoAssignSeats);
+
 router.route('/:flightId/initialize')
   .post(protect, authorize('admin', 'worker'), initializeFlightSeats);
 
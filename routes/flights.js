@@ -8,26 +8,98 @@ const {
   deleteFlight,
   searchFlightsByRouteAndDate,
   searchFlightsByRoute,
+  searchConnectingFlights,
   generateFlightSchedule,
   cancelFlight,
+  getDisruptionReport,
   getFlightPrices,
+  quoteFlightFare,
   getFlightCrew,
   getFlightByNumber,
+  getPassengerManifest,
 } = require("../controllers/flightController");
 
 const { getFlightPricingByFlightId } = require('../controllers/flightPricingController');
+const {
+  getBoardingStatus,
+  openBoarding,
+  scanBoardingPass,
+  markNoShow,
+  closeFlight,
+  getFinalManifest,
+  getDeniedBoarding,
+  resolveDeniedBoarding,
+} = require("../controllers/boardingController");
+const {
+  getFareBuckets,
+  createFareBucket,
+  updateFareBucket,
+  deleteFareBucket,
+} = require("../controllers/fareController");
 
 const { protect, authorize } = require("../middleware/auth");
 
 router.route("/search/by-route-date").get(searchFlightsByRouteAndDate);
 router.route("/search/by-route").get(searchFlightsByRoute);
+router.route("/search/connections").get(searchConnectingFlights);
 router.route("/schedule/generate").get(generateFlightSchedule);
 
 router
   .route("/:id/cancel")
   .patch(protect, authorize("admin", "worker"), cancelFlight);
 
+router
+  .route("/:id/disruption-report")
+  .get(protect, authorize("admin", "worker"), getDisruptionReport);
+
+router
+  .route("/:id/boarding")
+  .get(protect, authorize("admin", "worker"), getBoardingStatus);
+
+router
+  .route("/:id/boarding/open")
+  .post(protect, authorize("admin", "worker"), openBoarding);
+
+router
+  .route("/:id/boarding/scan")
+  .post(protect, authorize("admin", "worker"), scanBoardingPass);
+
+router
+  .route("/:id/boarding/no-show")
+  .post(protect, authorize("admin", "worker"), markNoShow);
+
+router
+  .route("/:id/boarding/close")
+  .post(protect, authorize("admin", "worker"), closeFlight);
+
+router
+  .route("/:id/boarding/manifest")
+  .get(protect, authorize("admin", "worker"), getFinalManifest);
+
+router
+  .route("/:id/denied-boarding")
+  .get(protect, authorize("admin", "worker"), getDeniedBoarding);
+
+router
+  .route("/:id/denied-boarding/resolve")
+  .post(protect, authorize("admin", "worker"), resolveDeniedBoarding);
+
+router
+  .route("/:id/manifest")
+  .get(protect, authorize("admin", "worker"), getPassengerManifest);
+
+router
+  .route("/:id/fare-buckets")
+  .get(protect, authorize("admin", "worker"), getFareBuckets)
+  .post(protect, authorize("admin"), createFareBucket);
+
+router
+  .route("/:id/fare-buckets/:bucketId")
+  .put(protect, authorize("admin"), updateFareBucket)
+  .delete(protect, authorize("admin"), deleteFareBucket);
+
 router.route("/:id/prices").get(getFlightPrices);
+router.route("/:id/quote").post(protect, quoteFlightFare);
 router.route("/:id/pricing").get(getFlightPricingByFlightId);
 router.route("/:id/crew").get(protect, getFlightCrew);
 router
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOverbookingRules,
+  getOverbookingRule,
+  createOverbookingRule,
+  updateOverbookingRule,
+  deleteOverbookingRule
+} = require('../controllers/overbookingRuleController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getOverbookingRules)
+  .post(protect, authorize('admin'), createOverbookingRule);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getOverbookingRule)
+  .put(protect, authorize('admin'), updateOverbookingRule)
+  .delete(protect, authorize('admin'), deleteOverbookingRule);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPayments,
+  getPayment,
+  createPaymentIntent,
+  authorizePayment,
+  capturePayment,
+  cancelPayment,
+  refundPayment,
+  receiveWebhook
+} = require('../controllers/paymentController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/webhooks/:provider')
+  .post(receiveWebhook);
+
+router.route('/intents')
+  .post(protect, createPaymentIntent);
+
+router.route('/')
+  .get(protect, getPayments);
+
+router.route('/:reference')
+  .get(protect, getPayment);
+
+router.route('/:reference/authorize')
+  .post(protect, authorizePayment);
+
+router.route('/:reference/capture')
+  .post(protect, capturePayment);
+
+router.route('/:reference/cancel')
+  .post(protect, cancelPayment);
+
+router.route('/:reference/refund')
+  .post(protect, authorize('admin', 'worker'), refundPayment);
+
+module.exports = router;
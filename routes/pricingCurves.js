@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPricingCurves,
+  getPricingCurve,
+  createPricingCurve,
+  updatePricingCurve,
+  deletePricingCurve,
+  simulatePrice
+} = require('../controllers/pricingCurveController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Simulate route needs to be before the ID route to avoid conflict
+router.route('/simulate')
+  .post(protect, authorize('admin', 'worker'), simulatePrice);
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getPricingCurves)
+  .post(protect, authorize('admin'), createPricingCurve);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getPricingCurve)
+  .put(protect, authorize('admin'), updatePricingCurve)
+  .delete(protect, authorize('admin'), deletePricingCurve);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  checkDiscounts
+} = require('../controllers/promotionController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+// Check route needs to be before the ID route to avoid conflict
+router.route('/check')
+  .post(protect, checkDiscounts);
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getPromotions)
+  .post(protect, authorize('admin'), createPromotion);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getPromotion)
+  .put(protect, authorize('admin'), updatePromotion)
+  .delete(protect, authorize('admin'), deletePromotion);
+
+module.exports = router;
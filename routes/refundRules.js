@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRefundRules,
+  getRefundRule,
+  createRefundRule,
+  updateRefundRule,
+  deleteRefundRule
+} = require('../controllers/refundRuleController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(getRefundRules)
+  .post(protect, authorize('admin'), createRefundRule);
+
+router.route('/:id')
+  .get(getRefundRule)
+  .put(protect, authorize('admin'), updateRefundRule)
+  .delete(protect, authorize('admin'), deleteRefundRule);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSeasons,
+  getSeason,
+  createSeason,
+  updateSeason,
+  deleteSeason
+} = require('../controllers/seasonController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getSeasons)
+  .post(protect, authorize('admin'), createSeason);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getSeason)
+  .put(protect, authorize('admin'), updateSeason)
+  .delete(protect, authorize('admin'), deleteSeason);
+
+module.exports = router;
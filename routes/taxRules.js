@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxRules,
+  getTaxRule,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+} = require('../controllers/taxRuleController');
+
+const { protect, authorize } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, authorize('admin', 'worker'), getTaxRules)
+  .post(protect, authorize('admin'), createTaxRule);
+
+router.route('/:id')
+  .get(protect, authorize('admin', 'worker'), getTaxRule)
+  .put(protect, authorize('admin'), updateTaxRule)
+  .delete(protect, authorize('admin'), deleteTaxRule);
+
+module.exports = router;
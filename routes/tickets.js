@@ -6,6 +6,14 @@ const {
   bookTicket,
   updateTicket,
   deleteTicket,
+  cancelTicket,
+  getRefundQuote,
+  checkIn,
+  setDeniedBoardingVolunteer,
+  getBoardingPass,
+  getSpecialServices,
+  addSpecialService,
+  deleteSpecialService,
   printTicket,
   getTicketsByUser,
   getTicketsByFlight,
@@ -16,7 +24,8 @@ const {
   getTicketsByPassportNumber,
   validateSeat,
   holdSeat,
-  releaseSeat
+  releaseSeat,
+  getMyHolds
 } = require('../controllers/ticketController');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -30,6 +39,9 @@ router.route('/hold-seat')
 router.route('/release-seat')
   .post(protect, releaseSeat);
 
+router.route('/holds')
+  .get(protect, getMyHolds);
+
 router.route('/reports/sales')
   .get(protect, authorize('admin', 'worker'), generateTicketSalesReport);
 
@@ -54,6 +66,28 @@ router.route('/passport/:passportNumber')
 router.route('/:id/print')
   .get(protect, printTicket);
 
+router.route('/:id/check-in')
+  .post(protect, checkIn);
+
+router.route('/:id/volunteer')
+  .patch(protect, setDeniedBoardingVolunteer);
+
+router.route('/:id/boarding-pass')
+  .get(protect, getBoardingPass);
+
+router.route('/:id/ssrs')
+  .get(protect, getSpecialServices)
+  .post(protect, addSpecialService);
+
+router.route('/:id/ssrs/:ssrId')
+  .delete(protect, deleteSpecialService);
+
+router.route('/:id/refund-quote')
+  .get(protect, getRefundQuote);
+
+router.route('/:id/cancel')
+  .patch(protect, cancelTicket);
+
 router.route('/:id/payment')
   .patch(protect, authorize('admin', 'worker'), updatePaymentStatus);
 
@@ -64,6 +98,6 @@ router.route('/')
 router.route('/:id')
   .get(protect, getTicket)
   .put(protect, updateTicket)
-  .delete(protect, deleteTicket);
+  .delete(protect, authorize('admin'), deleteTicket);
 
 module.exports = router;
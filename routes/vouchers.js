@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getVouchers,
+  getVoucher
+} = require('../controllers/voucherController');
+
+const { protect } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, getVouchers);
+
+router.route('/:code')
+  .get(protect, getVoucher);
+
+module.exports = router;
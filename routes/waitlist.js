@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWaitlistEntries,
+  getWaitlistEntry,
+  joinWaitlist,
+  leaveWaitlist,
+  acceptOffer
+} = require('../controllers/waitlistController');
+
+const { protect } = require('../middleware/auth');
+
+router.route('/')
+  .get(protect, getWaitlistEntries)
+  .post(protect, joinWaitlist);
+
+router.route('/:id')
+  .get(protect, getWaitlistEntry)
+  .delete(protect, leaveWaitlist);
+
+router.route('/:id/accept')
+  .post(protect, acceptOffer);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const app = require('./app');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const { connectDB } = require('./config/database');
+const { startHoldSweeper } = require('./services/seatHoldService');
 
 connectDB();
 const PORT = config.PORT || 3000;
@@ -10,6 +11,8 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running in ${config.NODE_ENV} mode on port ${PORT}`);
 });
 
+startHoldSweeper(parseInt(config.SEAT_HOLD_SWEEP_SECONDS, 10));
+
 process.on('unhandledRejection', (err) => {
   logger.error(`Error: ${err.message}`);
   server.close(() => process.exit(1));
@@ -0,0 +1,194 @@
+const { pool } = require('../config/database');
+const Boarding = require('../models/boardingModel');
+const CheckIn = require('../models/checkInModel');
+const Flight = require('../models/flightModel');
+const Ticket = require('../models/ticketModel');
+const CheckInService = require('./checkInService');
+const logger = require('../utils/logger');
+
+/**
+ * Find the ticket a gate scan refers to and check it may board this flight.
+ * A boarding pass is matched by its check-in sequence number and checked
+ * against the flight, date, seat and booking; a ticket ID is looked up directly.
+ * @param {Object} flight - Flight being boarded
+ * @param {Object} scan - { barcode } or { ticket_id }
+ * @returns {Promise<Object>} { ticket } or { error, status }
+ */
+exports.resolveScan = async (flight, scan) => {
+  let ticketId = scan.ticket_id;
+
+  if (scan.barcode) {
+    const pass = CheckInService.decodeBcbp(scan.barcode);
+
+    if (!pass) {
+      return { error: 'Barcode is not a valid boarding pass', status: 400 };
+    }
+
+    const expected = CheckInService.getBcbpFlightFields(flight);
+
+    if (pass.carrier !== expected.carrier ||
+        pass.flight_number !== expected.flight_number ||
+        pass.julian_date !== expected.julian_date ||
+        pass.origin !== flight.origin) {
+      return { error: `Boarding pass is for flight ${pass.carrier}${pass.flight_number}, not ${flight.flight_number} today`, status: 400 };
+    }
+
+    const checkIn = pass.sequence_number
+      ? await CheckIn.getCheckInBySequence(flight.flight_id, pass.sequence_number)
+      : undefined;
+
+    if (!checkIn) {
+      return { error: 'No check-in matches this boarding pass', status: 404 };
+    }
+
+    // A seat change after the pass was printed makes it stale; the passenger needs a new one
+    if (checkIn.seat_number !== pass.seat_number ||
+        (checkIn.booking_reference && checkIn.booking_reference !== pass.booking_reference)) {
+      return { error: 'Boarding pass is out of date; issue a new one', status: 400 };
+    }
+
+    ticketId = checkIn.ticket_id;
+  }
+
+  const ticket = await Ticket.getTicketById(ticketId);
+
+  if (!ticket) {
+    return { error: `Ticket not found with id of ${ticketId}`, status: 404 };
+  }
+
+  if (ticket.flight_id !== flight.flight_id) {
+    return { error: `Ticket is for flight ${ticket.flight_number}, not ${flight.flight_number}`, status: 400 };
+  }
+
+  if (ticket.status === 'cancelled') {
+    return { error: 'Ticket is cancelled', status: 400 };
+  }
+
+  if (ticket.payment_status !== 'completed') {
+    return { error: 'Ticket is not paid', status: 400 };
+  }
+
+  if (!ticket.seat_number) {
+    return { error: 'Passenger has no seat on this oversold flight; resolve denied boarding first', status: 409 };
+  }
+
+  return { ticket };
+};
+
+/**
+ * Board a passenger, checking them in at the gate if they haven't checked in online
+ * @param {Object} flight - Flight being boarded
+ * @param {Object} ticket - Ticket of the passenger
+ * @param {number} userId - Gate agent
+ * @returns {Promise<Object>} Boarded passenger with the flight's live counts
+ */
+exports.boardPassenger = async (flight, ticket, userId) => {
+  let checkIn = await CheckIn.getCheckInByTicket(ticket.ticket_id);
+
+  if (!checkIn) {
+    checkIn = await CheckInService.checkIn(ticket, userId);
+  }
+
+  await Boarding.recordBoarding({
+    ticket_id: ticket.ticket_id,
+    flight_id: flight.flight_id,
+    status: 'boarded',
+    recorded_by: userId
+  });
+
+  return {
+    ticket_id: ticket.ticket_id,
+    passenger_name: ticket.passenger_name,
+    seat_number: ticket.seat_number,
+    class: ticket.class,
+    boarding_group: checkIn.boarding_group,
+    sequence_number: checkIn.sequence_number,
+    status: 'boarded',
+    counts: await Boarding.getBoardingCounts(flight.flight_id)
+  };
+};
+
+/**
+ * Close a flight: everyone not boarded becomes a no-show, the flight departs
+ * and its final manifest is saved
+ * @param {Object} flight - Flight being closed
+ * @param {number} userId - Gate agent
+ * @returns {Promise<Object>} Final manifest
+ */
+exports.closeFlight = async (flight, userId) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    await Boarding.markRemainingNoShows(flight.flight_id, userId, connection);
+    await Flight.updateFlightStatus(flight.flight_id, 'departed', connection);
+
+    const passengers = await Boarding.getFlightPassengers(flight.flight_id, connection);
+    const manifest = buildManifest(flight, passengers);
+
+    await Boarding.saveManifest({
+      flight_id: flight.flight_id,
+      closed_by: userId,
+      boarded_count: manifest.summary.boarded,
+      no_show_count: manifest.summary.no_show,
+      manifest
+    }, connection);
+
+    await connection.commit();
+    logger.info(`Flight ${flight.flight_number} closed: ${manifest.summary.boarded} boarded, ${manifest.summary.no_show} no-show`);
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error closing flight: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return Boarding.getManifest(flight.flight_id);
+};
+
+/**
+ * Build the manifest of a flight from its passengers' boarding state
+ * @param {Object} flight - Flight
+ * @param {Array} passengers - Passengers from the boarding model
+ * @returns {Object} Manifest with flight details, summary, boarded passengers and no-shows
+ */
+function buildManifest(flight, passengers) {
+  const toEntry = (passenger) => ({
+    ticket_id: passenger.ticket_id,
+    passenger_name: `${passenger.last_name}/${passenger.first_name}`,
+    passport_number: passenger.passport_number,
+    nationality: passenger.nationality,
+    date_of_birth: passenger.date_of_birth,
+    gender: passenger.gender,
+    booking_reference: passenger.booking_reference,
+    class: passenger.class,
+    seat_number: passenger.seat_number,
+    sequence_number: passenger.sequence_number
+  });
+
+  const boarded = passengers.filter(passenger => passenger.boarding_status === 'boarded');
+  const noShows = passengers.filter(passenger => passenger.boarding_status !== 'boarded');
+
+  return {
+    flight: {
+      flight_id: flight.flight_id,
+      flight_number: flight.flight_number,
+      origin: flight.origin,
+      destination: flight.destination,
+      departure_time: flight.departure_time,
+      departure_time_local: flight.departure_time_local,
+      aircraft_model: flight.aircraft_model,
+      registration_number: flight.registration_number,
+      gate: flight.gate
+    },
+    summary: {
+      expected: passengers.length,
+      boarded: boarded.length,
+      no_show: noShows.length
+    },
+    passengers: boarded.map(toEntry),
+    no_shows: noShows.map(toEntry)
+  };
+}
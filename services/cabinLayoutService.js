@@ -0,0 +1,168 @@
+const SEAT_CLASSES = ['first', 'business', 'woman_only', 'economy'];
+const SEAT_LETTERS_PATTERN = /^[A-Z]+(-[A-Z]+)*$/;
+const SEAT_NUMBER_PATTERN = /^[1-9][0-9]*[A-Z]$/;
+
+/**
+ * Parse a seat letter configuration such as 'ABC-DEF', where '-' marks an aisle
+ * @param {string} seatLetters - Seat letters of one row
+ * @returns {Object} Letters in order and the position (window/middle/aisle) of each
+ */
+exports.parseSeatLetters = (seatLetters) => {
+  const blocks = seatLetters.split('-');
+  const letters = blocks.join('').split('');
+  const positions = {};
+
+  blocks.forEach((block, blockIndex) => {
+    block.split('').forEach((letter, index) => {
+      const isFirst = index === 0;
+      const isLast = index === block.length - 1;
+
+      if ((isFirst && blockIndex === 0) || (isLast && blockIndex === blocks.length - 1)) {
+        positions[letter] = 'window';
+      } else if (isFirst || isLast) {
+        positions[letter] = 'aisle';
+      } else {
+        positions[letter] = 'middle';
+      }
+    });
+  });
+
+  return { letters, positions };
+};
+
+/**
+ * Describe a seat with its attributes under a cabin layout
+ * @param {string} seatNumber - Seat number (e.g. '12A')
+ * @param {string} seatClass - Seat class
+ * @param {string} seatLetters - Seat letters of the seat's row
+ * @param {Object} layout - Cabin layout (exit rows, bassinet and extra-legroom seats), if any
+ * @returns {Object} Seat row ready to be stored
+ */
+exports.describeSeat = (seatNumber, seatClass, seatLetters, layout = null) => {
+  const row = parseInt(seatNumber, 10);
+  const letter = seatNumber.slice(-1);
+  const { positions } = exports.parseSeatLetters(seatLetters);
+
+  return {
+    seat_number: seatNumber,
+    seat_row: row,
+    class: seatClass,
+    position: positions[letter] || null,
+    is_exit_row: !!(layout && (layout.exit_rows || []).includes(row)),
+    has_bassinet: !!(layout && (layout.bassinet_seats || []).includes(seatNumber)),
+    extra_legroom: !!(layout && (layout.extra_legroom_seats || []).includes(seatNumber))
+  };
+};
+
+/**
+ * Generate every seat of a cabin layout, zone by zone
+ * @param {Object} layout - Cabin layout
+ * @returns {Array} Seats in cabin order
+ */
+exports.generateSeats = (layout) => {
+  const seats = [];
+
+  [...layout.class_zones]
+    .sort((a, b) => a.from_row - b.from_row)
+    .forEach(zone => {
+      const seatLetters = zone.seat_letters || layout.seat_letters;
+      const { letters } = exports.parseSeatLetters(seatLetters);
+
+      for (let row = zone.from_row; row <= zone.to_row; row++) {
+        letters.forEach(letter => {
+          seats.push(exports.describeSeat(`${row}${letter}`, zone.class, seatLetters, layout));
+        });
+      }
+    });
+
+  return seats;
+};
+
+/**
+ * Validate a cabin layout definition
+ * @param {Object} layout - Cabin layout
+ * @returns {string|null} Validation error message, or null when valid
+ */
+exports.validateLayout = (layout) => {
+  const { seat_letters, class_zones, exit_rows, bassinet_seats, extra_legroom_seats } = layout;
+
+  const lettersError = validateSeatLetters(seat_letters, 'seat_letters');
+  if (lettersError) {
+    return lettersError;
+  }
+
+  if (!Array.isArray(class_zones) || class_zones.length === 0) {
+    return 'class_zones must be a non-empty array';
+  }
+
+  const usedRows = new Set();
+
+  for (const zone of class_zones) {
+    if (!SEAT_CLASSES.includes(zone.class)) {
+      return `Invalid seat class in class_zones: ${zone.class}`;
+    }
+
+    if (!Number.isInteger(zone.from_row) || !Number.isInteger(zone.to_row) ||
+        zone.from_row < 1 || zone.to_row < zone.from_row) {
+      return 'Each class zone needs whole from_row and to_row numbers with from_row <= to_row';
+    }
+
+    if (zone.seat_letters !== undefined) {
+      const zoneLettersError = validateSeatLetters(zone.seat_letters, `seat_letters of the ${zone.class} zone`);
+      if (zoneLettersError) {
+        return zoneLettersError;
+      }
+    }
+
+    for (let row = zone.from_row; row <= zone.to_row; row++) {
+      if (usedRows.has(row)) {
+        return `Row ${row} belongs to more than one class zone`;
+      }
+      usedRows.add(row);
+    }
+  }
+
+  if (exit_rows !== undefined && exit_rows !== null) {
+    if (!Array.isArray(exit_rows) || exit_rows.some(row => !usedRows.has(row))) {
+      return 'exit_rows must be an array of rows inside the class zones';
+    }
+  }
+
+  const seatNumbers = new Set(exports.generateSeats({ seat_letters, class_zones }).map(seat => seat.seat_number));
+
+  for (const [field, seats] of [['bassinet_seats', bassinet_seats], ['extra_legroom_seats', extra_legroom_seats]]) {
+    if (seats === undefined || seats === null) {
+      continue;
+    }
+
+    if (!Array.isArray(seats)) {
+      return `${field} must be an array of seat numbers`;
+    }
+
+    const unknown = seats.filter(seat => !SEAT_NUMBER_PATTERN.test(seat) || !seatNumbers.has(seat));
+    if (unknown.length > 0) {
+      return `${field} contains seats that are not in the layout: ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a seat letter configuration
+ * @param {string} seatLetters - Seat letters (e.g. 'ABC-DEF')
+ * @param {string} field - Field name used in the error message
+ * @returns {string|null} Validation error message, or null when valid
+ */
+function validateSeatLetters(seatLetters, field) {
+  if (typeof seatLetters !== 'string' || !SEAT_LETTERS_PATTERN.test(seatLetters)) {
+    return `${field} must be uppercase letters with '-' marking aisles (e.g. ABC-DEF)`;
+  }
+
+  const letters = seatLetters.replace(/-/g, '');
+  if (new Set(letters).size !== letters.length) {
+    return `${field} must not repeat a letter`;
+  }
+
+  return null;
+}
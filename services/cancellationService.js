@@ -0,0 +1,144 @@
+const { pool } = require('../config/database');
+const Ticket = require('../models/ticketModel');
+const Booking = require('../models/bookingModel');
+const Voucher = require('../models/voucherModel');
+const RefundPolicy = require('./refundPolicyService');
+const PaymentService = require('./paymentService');
+const logger = require('../utils/logger');
+
+/**
+ * Cancel a ticket and refund what the refund rules allow. The ticket is locked,
+ * priced for refund and cancelled in one transaction; the money goes back
+ * through the payment provider only after that commits. A refund the provider
+ * rejects leaves the ticket cancelled with its refund_amount, to be resent.
+ * @param {number} ticketId - Ticket ID
+ * @param {string} reason - Reason recorded on the refund
+ * @returns {Promise<Object>} { refund, refund_error }; refund_error is null when the money went out
+ * @throws {Error} When the ticket doesn't exist or is already cancelled
+ */
+exports.cancelTicket = async (ticketId, reason) => {
+  const connection = await pool.getConnection();
+  let cancellation;
+
+  try {
+    await connection.beginTransaction();
+
+    const ticket = await Ticket.getTicketForCancellation(ticketId, connection);
+
+    if (!ticket) {
+      throw new Error('Ticket not found');
+    }
+
+    if (ticket.status === 'cancelled') {
+      throw new Error('Ticket is already cancelled');
+    }
+
+    cancellation = await cancelLockedTicket(ticket, connection);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error cancelling ticket: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return sendRefund(cancellation, reason);
+};
+
+/**
+ * Cancel a booking with all of its tickets, each refunded as a single ticket
+ * cancellation would be. The tickets and the booking are cancelled in one
+ * transaction; the refunds are sent after it commits.
+ * @param {number} bookingId - Booking ID
+ * @param {string} reason - Reason recorded on the refunds
+ * @returns {Promise<Array>} { refund, refund_error } for each ticket cancelled
+ */
+exports.cancelBooking = async (bookingId, reason) => {
+  const connection = await pool.getConnection();
+  const cancellations = [];
+
+  try {
+    await connection.beginTransaction();
+
+    const tickets = await Ticket.getBookingTicketsForCancellation(bookingId, connection);
+
+    for (const ticket of tickets) {
+      cancellations.push(await cancelLockedTicket(ticket, connection));
+    }
+
+    await Booking.cancelBooking(bookingId, connection);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error cancelling booking: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const results = [];
+
+  for (const cancellation of cancellations) {
+    results.push(await sendRefund(cancellation, reason));
+  }
+
+  return results;
+};
+
+/**
+ * Resend the refunds of cancelled tickets whose refund the provider rejected.
+ * Tickets that were refunded already get nothing more.
+ * @param {Array} tickets - Cancelled tickets (ticket_id, status, refund_amount, payment_intent_id)
+ * @param {string} reason - Reason recorded on the refunds
+ * @returns {Promise<Array>} { ticket_id, refund_amount, refund_error } for each refund resent
+ */
+exports.resendOwedRefunds = async (tickets, reason) => {
+  const results = [];
+
+  for (const ticket of tickets) {
+    if (await PaymentService.isRefundOwed(ticket)) {
+      const refundAmount = parseFloat(ticket.refund_amount);
+      const { refund_error } = await sendRefund({ ticket, refund: { refund_amount: refundAmount } }, reason);
+      results.push({ ticket_id: ticket.ticket_id, refund_amount: refundAmount, refund_error });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Work out the refund of a locked ticket and cancel it, giving back the
+ * refundable share of any voucher it was paid with as a new voucher
+ * @param {Object} ticket - Ticket locked for cancellation
+ * @param {Object} connection - Connection with an open transaction
+ * @returns {Promise<Object>} { ticket, refund }; refund.voucher is the reissued voucher, if any
+ */
+async function cancelLockedTicket(ticket, connection) {
+  // The locked row carries the flight's departure time, which is all the refund rules need
+  const quote = await RefundPolicy.calculateRefund(ticket, ticket);
+
+  await Ticket.cancelTicket(ticket.ticket_id, { refundAmount: quote.refund_amount }, connection);
+
+  const voucher = await Voucher.reissueTicketCredit(ticket, quote.voucher_credit, connection);
+
+  return { ticket, refund: { ...quote, voucher } };
+}
+
+/**
+ * Send a cancelled ticket's refund to the payment provider
+ * @param {Object} cancellation - { ticket, refund }
+ * @param {string} reason - Reason recorded on the refund
+ * @returns {Promise<Object>} { refund, refund_error }
+ */
+async function sendRefund({ ticket, refund }, reason) {
+  try {
+    await PaymentService.refundTicket(ticket, refund.refund_amount, reason);
+    return { refund, refund_error: null };
+  } catch (error) {
+    logger.error(`Refund of cancelled ticket ${ticket.ticket_id} failed: ${error.message}`);
+    return { refund, refund_error: error.message };
+  }
+}
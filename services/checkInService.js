@@ -0,0 +1,258 @@
+const CheckIn = require('../models/checkInModel');
+const config = require('../config/config');
+const { formatInTimeZone } = require('../utils/dateFormat');
+
+const MINUTE_MS = 60 * 1000;
+
+// IATA compartment codes for each seat class
+const COMPARTMENT_CODES = {
+  first: 'F',
+  business: 'J',
+  economy: 'Y',
+  woman_only: 'Y'
+};
+
+// Premium cabins board first; the rest board back to front in this many groups
+const PREMIUM_GROUPS = { first: 1, business: 2 };
+const MAIN_CABIN_GROUPS = 3;
+
+/**
+ * Get when online check-in opens and closes for a flight
+ * @param {Object} flight - Flight (departure_time, checkin_opens_minutes, checkin_closes_minutes)
+ * @param {Date} now - Current time
+ * @returns {Object} { opens_at, closes_at, is_open }
+ */
+exports.getCheckInWindow = (flight, now = new Date()) => {
+  const departure = new Date(flight.departure_time).getTime();
+  const opensMinutes = flight.checkin_opens_minutes ?? parseInt(config.CHECKIN_OPENS_MINUTES, 10);
+  const closesMinutes = flight.checkin_closes_minutes ?? parseInt(config.CHECKIN_CLOSES_MINUTES, 10);
+
+  const opensAt = new Date(departure - opensMinutes * MINUTE_MS);
+  const closesAt = new Date(departure - closesMinutes * MINUTE_MS);
+
+  return {
+    opens_at: opensAt,
+    closes_at: closesAt,
+    is_open: now >= opensAt && now < closesAt
+  };
+};
+
+/**
+ * Work out the boarding group of a seat: first class, then business, then the
+ * main cabin from the back rows forward
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {string} seatNumber - Seat number
+ * @returns {Promise<number>} Boarding group (1 boards first)
+ */
+exports.getBoardingGroup = async (flightId, seatClass, seatNumber) => {
+  if (PREMIUM_GROUPS[seatClass]) {
+    return PREMIUM_GROUPS[seatClass];
+  }
+
+  const range = await CheckIn.getClassRowRange(flightId, seatClass);
+  const row = parseInt(seatNumber, 10);
+  const firstGroup = Object.keys(PREMIUM_GROUPS).length + 1;
+
+  if (!range || range.first_row === null || isNaN(row)) {
+    return firstGroup;
+  }
+
+  const rowsPerGroup = (range.last_row - range.first_row + 1) / MAIN_CABIN_GROUPS;
+  const rowsFromBack = Math.max(0, range.last_row - row);
+
+  return firstGroup + Math.min(MAIN_CABIN_GROUPS - 1, Math.floor(rowsFromBack / rowsPerGroup));
+};
+
+/**
+ * Check a ticket in and return its check-in
+ * @param {Object} ticket - Ticket (ticket_id, flight_id, class, seat_number)
+ * @param {number} userId - User performing the check-in
+ * @param {Object} options - volunteer: the passenger would give up their seat if the flight is oversold
+ * @returns {Promise<Object>} Check-in with boarding pass details
+ */
+exports.checkIn = async (ticket, userId, options = {}) => {
+  const boardingGroup = await exports.getBoardingGroup(ticket.flight_id, ticket.class, ticket.seat_number);
+
+  await CheckIn.createCheckIn({
+    ticket_id: ticket.ticket_id,
+    flight_id: ticket.flight_id,
+    boarding_group: boardingGroup,
+    checked_in_by: userId,
+    volunteer: !!options.volunteer
+  });
+
+  return CheckIn.getCheckInByTicket(ticket.ticket_id);
+};
+
+/**
+ * Build the boarding pass of a checked-in ticket
+ * @param {Object} checkIn - Check-in from the check-in model
+ * @returns {Object} Boarding pass with its BCBP barcode payload
+ */
+exports.buildBoardingPass = (checkIn) => {
+  const boardingTime = new Date(
+    new Date(checkIn.departure_time).getTime() - parseInt(config.BOARDING_STARTS_MINUTES, 10) * MINUTE_MS
+  );
+
+  return {
+    ticket_id: checkIn.ticket_id,
+    passenger_name: `${checkIn.first_name} ${checkIn.last_name}`,
+    booking_reference: checkIn.booking_reference,
+    flight_number: checkIn.flight_number,
+    origin: checkIn.origin,
+    destination: checkIn.destination,
+    departure_time: checkIn.departure_time,
+    departure_time_local: formatInTimeZone(checkIn.departure_time, checkIn.origin_timezone),
+    boarding_time: boardingTime,
+    boarding_time_local: formatInTimeZone(boardingTime, checkIn.origin_timezone),
+    gate: checkIn.gate,
+    seat_number: checkIn.seat_number,
+    class: checkIn.class,
+    boarding_group: checkIn.boarding_group,
+    sequence_number: checkIn.sequence_number,
+    checked_in_at: checkIn.checked_in_at,
+    barcode: {
+      format: 'IATA BCBP',
+      symbologies: ['PDF417', 'QR'],
+      data: exports.encodeBcbp(checkIn)
+    }
+  };
+};
+
+/**
+ * Encode a single-leg boarding pass in IATA BCBP (Resolution 792) format,
+ * mandatory items only. The string can be rendered as a PDF417 or QR barcode.
+ * @param {Object} checkIn - Check-in from the check-in model
+ * @returns {string} 60-character BCBP payload
+ */
+exports.encodeBcbp = (checkIn) => {
+  const { carrier, number } = splitFlightNumber(checkIn.flight_number);
+  const localDate = formatInTimeZone(checkIn.departure_time, checkIn.origin_timezone).slice(0, 10);
+  const pnr = checkIn.booking_reference || String(checkIn.ticket_id);
+
+  return [
+    'M',                                                    // format code
+    '1',                                                    // number of legs encoded
+    fixed(`${bcbpName(checkIn.last_name)}/${bcbpName(checkIn.first_name)}`, 20),
+    'E',                                                    // electronic ticket
+    fixed(pnr, 7),
+    fixed(checkIn.origin, 3),
+    fixed(checkIn.destination, 3),
+    fixed(carrier, 3),
+    fixed(number, 5),
+    String(dayOfYear(localDate)).padStart(3, '0'),          // Julian date of the flight
+    COMPARTMENT_CODES[checkIn.class] || 'Y',
+    formatSeat(checkIn.seat_number),
+    fixed(String(checkIn.sequence_number).padStart(4, '0'), 5),
+    '1',                                                    // passenger status: checked in
+    '00'                                                    // no conditional items
+  ].join('');
+};
+
+/**
+ * Read the mandatory items of a single-leg BCBP payload
+ * @param {string} data - Scanned barcode data
+ * @returns {Object|null} Decoded boarding pass, or null when it isn't a BCBP payload
+ */
+exports.decodeBcbp = (data) => {
+  const payload = String(data || '');
+
+  if (payload.length < 60 || payload[0] !== 'M' || payload[1] !== '1') {
+    return null;
+  }
+
+  const field = (start, length) => payload.substr(start, length).trim();
+  const seat = field(48, 4);
+  const sequenceNumber = parseInt(field(52, 5), 10);
+
+  return {
+    passenger_name: field(2, 20),
+    booking_reference: field(23, 7),
+    origin: field(30, 3),
+    destination: field(33, 3),
+    carrier: field(36, 3),
+    flight_number: field(39, 5),
+    julian_date: parseInt(field(44, 3), 10),
+    compartment: field(47, 1),
+    seat_number: seat.replace(/^0+/, ''),
+    sequence_number: isNaN(sequenceNumber) ? null : sequenceNumber
+  };
+};
+
+/**
+ * Get the BCBP flight fields of a flight on its local departure date
+ * @param {Object} flight - Flight (flight_number, departure_time, origin_timezone)
+ * @returns {Object} { carrier, flight_number, julian_date } as encoded on its boarding passes
+ */
+exports.getBcbpFlightFields = (flight) => {
+  const { carrier, number } = splitFlightNumber(flight.flight_number);
+  const localDate = formatInTimeZone(flight.departure_time, flight.origin_timezone).slice(0, 10);
+
+  return {
+    carrier: carrier.trim(),
+    flight_number: number.trim(),
+    julian_date: dayOfYear(localDate)
+  };
+};
+
+/**
+ * Split a flight number into airline designator and numeric part
+ * @param {string} flightNumber - Flight number (e.g. PS101)
+ * @returns {Object} { carrier, number } with the number padded to 4 digits
+ */
+function splitFlightNumber(flightNumber) {
+  const match = /^([A-Z0-9]{2}[A-Z]?)(\d{1,4})([A-Z]?)$/.exec(String(flightNumber).toUpperCase());
+
+  if (!match) {
+    return { carrier: '', number: String(flightNumber) };
+  }
+
+  return {
+    carrier: match[1],
+    number: match[2].padStart(4, '0') + match[3]
+  };
+}
+
+/**
+ * Upper-case a name and keep only the letters BCBP allows
+ * @param {string} name - Name
+ * @returns {string} BCBP name
+ */
+function bcbpName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[^A-Za-z ]/g, '')
+    .toUpperCase()
+    .trim();
+}
+
+/**
+ * Format a seat number as BCBP's 3-digit row and letter (e.g. 012A)
+ * @param {string} seatNumber - Seat number
+ * @returns {string} 4-character seat
+ */
+function formatSeat(seatNumber) {
+  const match = /^(\d+)([A-Z])$/.exec(String(seatNumber).toUpperCase());
+  return match ? `${match[1].padStart(3, '0')}${match[2]}` : fixed(seatNumber, 4);
+}
+
+/**
+ * Get the day of the year of a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} Day of the year (1-366)
+ */
+function dayOfYear(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / (24 * 60 * MINUTE_MS);
+}
+
+/**
+ * Cut or space-pad a value to a fixed width
+ * @param {string} value - Value
+ * @param {number} width - Field width
+ * @returns {string} Fixed-width field
+ */
+function fixed(value, width) {
+  return String(value || '').slice(0, width).padEnd(width, ' ');
+}
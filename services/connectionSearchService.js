@@ -0,0 +1,267 @@
+const Route = require('../models/routeModel');
+const Flight = require('../models/flightModel');
+const Airport = require('../models/airportModel');
+const Fare = require('../models/fareModel');
+const { convertQuote } = require('./currencyService');
+const config = require('../config/config');
+const { calculateDuration, localDayToUtcRange } = require('../utils/dateFormat');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Search direct and connecting itineraries (up to 2 stops) between two airports
+ * @param {string} origin - Origin airport
+ * @param {string} destination - Destination airport
+ * @param {string} date - Date of the first departure (YYYY-MM-DD, local to the origin airport)
+ * @param {Object} options - Search options
+ * @param {number} options.maxStops - Maximum number of stops (0-2)
+ * @param {number} options.minConnectionMinutes - Minimum time between legs
+ * @param {number} options.maxConnectionMinutes - Maximum time between legs
+ * @param {string} options.seatClass - Class used to price the legs
+ * @param {string} options.currency - Currency prices are shown in (the base currency by default)
+ * @param {number} options.exchangeRate - Units of that currency per unit of the base currency
+ * @param {string} options.sort - Rank by 'duration' (default) or 'price'
+ * @param {number} options.limit - Maximum itineraries returned
+ * @returns {Promise<Array>} Ranked itineraries
+ */
+exports.searchConnections = async (origin, destination, date, options = {}) => {
+  const {
+    maxStops = 2,
+    minConnectionMinutes = parseInt(config.MIN_CONNECTION_MINUTES, 10),
+    maxConnectionMinutes = parseInt(config.MAX_CONNECTION_MINUTES, 10),
+    seatClass = 'economy',
+    currency = config.BASE_CURRENCY,
+    exchangeRate = 1,
+    sort = 'duration',
+    limit = 20
+  } = options;
+
+  const routes = await Route.getAllRoutes();
+  const routePaths = findRoutePaths(routes, origin, destination, maxStops + 1);
+
+  if (routePaths.length === 0) {
+    return [];
+  }
+
+  const originAirport = await Airport.getAirportByCode(origin);
+
+  if (!originAirport) {
+    return [];
+  }
+
+  // The travel date is a calendar day at the origin airport
+  const travelDay = localDayToUtcRange(date, originAirport.timezone);
+
+  if (!travelDay) {
+    return [];
+  }
+
+  const routeIds = [...new Set(routePaths.flat().map(route => route.route_id))];
+  const { start: firstDayStart, end: nextDayStart } = travelDay;
+  const firstDayEnd = new Date(nextDayStart.getTime() - 1000);
+  // Later legs can leave at most one day's flying plus the longest layover after the previous one
+  const windowEnd = new Date(firstDayEnd.getTime() + maxStops * (DAY_MS + maxConnectionMinutes * MINUTE_MS));
+
+  const flights = await Flight.getFlightsOnRoutesBetween(routeIds, firstDayStart, windowEnd);
+
+  const openFlights = flights.filter(flight => flight.booked_seats < flight.total_seats);
+  const prices = await quoteLegPrices(openFlights, seatClass, currency, exchangeRate);
+
+  const flightsByRoute = new Map();
+  openFlights
+    // A leg whose class has no fares left can't be sold
+    .filter(flight => prices.get(flight.flight_id) !== null)
+    .forEach(flight => {
+      if (!flightsByRoute.has(flight.route_id)) {
+        flightsByRoute.set(flight.route_id, []);
+      }
+      flightsByRoute.get(flight.route_id).push(flight);
+    });
+
+  const limits = {
+    firstDayStart,
+    firstDayEnd,
+    minConnectionMs: minConnectionMinutes * MINUTE_MS,
+    maxConnectionMs: maxConnectionMinutes * MINUTE_MS
+  };
+
+  const compare = (a, b) => {
+    if (sort === 'price') {
+      return a.total_price - b.total_price ||
+        a.total_duration_minutes - b.total_duration_minutes;
+    }
+
+    return a.total_duration_minutes - b.total_duration_minutes ||
+      a.total_price - b.total_price;
+  };
+
+  // Only the best `limit` itineraries are kept while collecting, so a dense
+  // schedule stays cheap on memory and the ranking still sees every combination
+  const ranked = [];
+  const keepIfRanked = (legs) => {
+    const itinerary = buildItinerary(legs, seatClass, currency, prices);
+    const index = ranked.findIndex(other => compare(itinerary, other) < 0);
+
+    if (index === -1) {
+      if (ranked.length < limit) {
+        ranked.push(itinerary);
+      }
+      return;
+    }
+
+    ranked.splice(index, 0, itinerary);
+
+    if (ranked.length > limit) {
+      ranked.pop();
+    }
+  };
+
+  for (const routePath of routePaths) {
+    collectLegCombinations(routePath, flightsByRoute, limits, [], keepIfRanked);
+  }
+
+  return ranked;
+};
+
+/**
+ * Find chains of routes from origin to destination without revisiting an airport
+ * @param {Array} routes - All routes
+ * @param {string} origin - Origin airport
+ * @param {string} destination - Destination airport
+ * @param {number} maxLegs - Maximum number of routes in a chain
+ * @returns {Array<Array>} Route chains
+ */
+function findRoutePaths(routes, origin, destination, maxLegs) {
+  const routesFrom = new Map();
+  routes.forEach(route => {
+    if (!routesFrom.has(route.origin)) {
+      routesFrom.set(route.origin, []);
+    }
+    routesFrom.get(route.origin).push(route);
+  });
+
+  const paths = [];
+  const visit = (airport, path, visited) => {
+    for (const route of routesFrom.get(airport) || []) {
+      if (visited.has(route.destination)) {
+        continue;
+      }
+
+      if (route.destination === destination) {
+        paths.push([...path, route]);
+      } else if (path.length + 1 < maxLegs) {
+        visited.add(route.destination);
+        visit(route.destination, [...path, route], visited);
+        visited.delete(route.destination);
+      }
+    }
+  };
+
+  visit(origin, [], new Set([origin]));
+  return paths;
+}
+
+/**
+ * Walk the flight combinations for a route chain that respect connection times
+ * @param {Array} routePath - Remaining routes of the chain
+ * @param {Map} flightsByRoute - Flights keyed by route ID
+ * @param {Object} limits - Time window and connection limits
+ * @param {Array} legs - Flights chosen so far
+ * @param {Function} onCombination - Called with the legs of each complete combination
+ */
+function collectLegCombinations(routePath, flightsByRoute, limits, legs, onCombination) {
+  if (legs.length === routePath.length) {
+    onCombination(legs);
+    return;
+  }
+
+  const previous = legs[legs.length - 1];
+  const candidates = flightsByRoute.get(routePath[legs.length].route_id) || [];
+
+  for (const flight of candidates) {
+    const departure = new Date(flight.departure_time).getTime();
+
+    if (!previous) {
+      if (departure < limits.firstDayStart.getTime() || departure > limits.firstDayEnd.getTime()) {
+        continue;
+      }
+    } else {
+      const layover = departure - new Date(previous.arrival_time).getTime();
+      if (layover < limits.minConnectionMs || layover > limits.maxConnectionMs) {
+        continue;
+      }
+    }
+
+    collectLegCombinations(routePath, flightsByRoute, limits, [...legs, flight], onCombination);
+  }
+}
+
+/**
+ * Build an itinerary summary from its legs
+ * @param {Array} legs - Flights in travel order
+ * @param {string} seatClass - Class used to price the legs
+ * @param {string} currency - Currency the legs are priced in
+ * @param {Map} prices - Fare quote of the class by flight ID
+ * @returns {Object} Itinerary with layovers, total duration and price including taxes
+ */
+function buildItinerary(legs, seatClass, currency, prices) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+
+  const pricedLegs = legs.map(flight => ({
+    flight_id: flight.flight_id,
+    flight_number: flight.flight_number,
+    origin: flight.origin,
+    destination: flight.destination,
+    departure_time: flight.departure_time,
+    arrival_time: flight.arrival_time,
+    departure_time_local: flight.departure_time_local,
+    arrival_time_local: flight.arrival_time_local,
+    aircraft_model: flight.aircraft_model,
+    available_seats: flight.total_seats - flight.booked_seats,
+    price: prices.get(flight.flight_id).price,
+    taxes_amount: prices.get(flight.flight_id).taxes_amount,
+    total_price: prices.get(flight.flight_id).total_price
+  }));
+
+  const layovers = legs.slice(1).map((flight, index) => ({
+    airport: flight.origin,
+    minutes: Math.round((new Date(flight.departure_time) - new Date(legs[index].arrival_time)) / MINUTE_MS)
+  }));
+
+  return {
+    stops: legs.length - 1,
+    departure_time: first.departure_time,
+    arrival_time: last.arrival_time,
+    total_duration_minutes: Math.round((new Date(last.arrival_time) - new Date(first.departure_time)) / MINUTE_MS),
+    total_duration: calculateDuration(first.departure_time, last.arrival_time),
+    total_price: Math.round(pricedLegs.reduce((sum, leg) => sum + leg.total_price, 0) * 100) / 100,
+    currency,
+    class: seatClass,
+    layovers,
+    legs: pricedLegs
+  };
+}
+
+/**
+ * Quote the fare a class sells at now on every flight that can be a leg
+ * @param {Array} flights - Flights with seats left
+ * @param {string} seatClass - Seat class
+ * @param {string} currency - Currency to quote in
+ * @param {number} exchangeRate - Units of that currency per unit of the base currency
+ * @returns {Promise<Map>} Fare, taxes and total by flight ID; null when the class has no fares left
+ */
+async function quoteLegPrices(flights, seatClass, currency, exchangeRate) {
+  const quotes = await Fare.quoteFares(flights.map(flight => flight.flight_id), seatClass);
+  const prices = new Map();
+
+  quotes.forEach((quote, flightId) => {
+    const fare = quote && convertQuote(quote, currency, exchangeRate);
+    prices.set(flightId, fare
+      ? { price: fare.price, taxes_amount: fare.taxes_amount, total_price: fare.total_price }
+      : null);
+  });
+
+  return prices;
+}
@@ -0,0 +1,78 @@
+/**
+ * Convert an amount in the base currency at an exchange rate
+ * @param {number|null} amount - Amount in the base currency
+ * @param {number} rate - Units of the target currency per unit of the base currency
+ * @returns {number|null} Converted amount rounded to cents, or null when there is no amount
+ */
+exports.convert = (amount, rate) => {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+
+  return Math.round(parseFloat(amount) * rate * 100) / 100;
+};
+
+/**
+ * Convert an amount back to the base currency
+ * @param {number|null} amount - Amount in the currency the rate converts to
+ * @param {number} rate - Units of that currency per unit of the base currency
+ * @returns {number|null} Amount in the base currency rounded to cents, or null when there is no amount
+ */
+exports.toBase = (amount, rate) => {
+  if (amount === null || amount === undefined) {
+    return null;
+  }
+
+  return Math.round(parseFloat(amount) / rate * 100) / 100;
+};
+
+/**
+ * Show a fare quote in another currency
+ * @param {Object} quote - Fare quote in the base currency
+ * @param {string} currency - Currency to show it in
+ * @param {number} rate - Units of that currency per unit of the base currency
+ * @returns {Object} Quote with its price, adjustments, taxes, total and change fee converted
+ */
+exports.convertQuote = (quote, currency, rate) => {
+  const taxes = quote.taxes.map(item => ({ ...item, amount: exports.convert(item.amount, rate) }));
+  const price = exports.convert(quote.price, rate);
+  const taxesAmount = Math.round(taxes.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+
+  return {
+    ...quote,
+    currency,
+    price,
+    base_fare: exports.convert(quote.base_fare, rate),
+    seasonal_adjustment: exports.convert(quote.seasonal_adjustment, rate),
+    taxes,
+    taxes_amount: taxesAmount,
+    total_price: Math.round((price + taxesAmount) * 100) / 100,
+    change_fee: exports.convert(quote.change_fee, rate)
+  };
+};
+
+/**
+ * Convert what a ticket costs into the currency it is sold in. The taxes and
+ * the price are rebuilt from the converted parts so the ticket adds up to the cent.
+ * @param {Object} pricing - Ticket pricing in the base currency
+ * @param {number} rate - Units of the sale currency per unit of the base currency
+ * @returns {Object} Pricing with every amount in the sale currency
+ */
+exports.convertPricing = (pricing, rate) => {
+  const taxes = pricing.taxes.map(item => ({ ...item, amount: exports.convert(item.amount, rate) }));
+  const baseFare = exports.convert(pricing.base_fare, rate);
+  const taxesAmount = Math.round(taxes.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+  const total = Math.round((baseFare + taxesAmount) * 100) / 100;
+  // A voucher covering the whole ticket keeps covering it after rounding
+  const voucherAmount = pricing.price === 0 ? total : Math.min(total, exports.convert(pricing.voucher_amount, rate));
+
+  return {
+    ...pricing,
+    base_fare: baseFare,
+    discount_amount: exports.convert(pricing.discount_amount, rate),
+    taxes,
+    taxes_amount: taxesAmount,
+    voucher_amount: voucherAmount,
+    price: Math.round((total - voucherAmount) * 100) / 100
+  };
+};
@@ -0,0 +1,224 @@
+const { pool } = require('../config/database');
+const FlightSeats = require('../models/flightSeatsModel');
+const Ticket = require('../models/ticketModel');
+const Voucher = require('../models/voucherModel');
+const Overbooking = require('../models/overbookingModel');
+const DeniedBoarding = require('../models/deniedBoardingModel');
+const PaymentService = require('./paymentService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const SEAT_CLASSES = ['economy', 'business', 'first', 'woman_only'];
+
+// Denied boarding compensation by route distance (km), EU 261/2004 style
+const COMPENSATION_BANDS = [
+  { max_distance: 1500, amount: 250 },
+  { max_distance: 3500, amount: 400 },
+  { max_distance: Infinity, amount: 600 }
+];
+
+/**
+ * Get the compensation owed to a passenger denied boarding on a route
+ * @param {number} distance - Route distance in km
+ * @returns {number} Compensation amount
+ */
+exports.getCompensationAmount = (distance) => {
+  return COMPENSATION_BANDS.find(band => Number(distance) <= band.max_distance).amount;
+};
+
+/**
+ * Get the seats, sales, allowance and volunteers of every class on a flight
+ * @param {number} flightId - Flight ID
+ * @returns {Promise<Array>} Classes with tickets sold and their unseated and oversold counts
+ */
+exports.getOversoldStatus = async (flightId) => {
+  const classes = [];
+
+  for (const seatClass of SEAT_CLASSES) {
+    const load = await Overbooking.getClassLoad(flightId, seatClass);
+
+    if (load.seats === 0 && load.sold === 0) {
+      continue;
+    }
+
+    const freeSeats = await FlightSeats.getAvailableSeatsByClass(flightId, seatClass);
+    const volunteers = await DeniedBoarding.getVolunteers(flightId, seatClass);
+
+    classes.push({
+      class: seatClass,
+      ...load,
+      oversold: Math.max(0, load.sold - load.seats),
+      free_seats: freeSeats.length,
+      volunteers: volunteers.length
+    });
+  }
+
+  return classes;
+};
+
+/**
+ * Find a seat for a ticket sold without one: a free seat of its class, or
+ * else the seat of a volunteer, who is then denied boarding with compensation.
+ * Used when the passenger checks in.
+ * @param {Object} ticket - Unseated ticket
+ * @param {Object} flight - Flight of the ticket
+ * @param {number} userId - User performing the check-in
+ * @returns {Promise<string|null>} Seat now assigned, or null when none could be found
+ */
+exports.seatTicket = async (ticket, flight, userId) => {
+  const connection = await pool.getConnection();
+  const refunds = [];
+  let seatNumber = null;
+
+  try {
+    await connection.beginTransaction();
+
+    seatNumber = await findSeat(connection, ticket, flight, userId, refunds);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error seating ticket ${ticket.ticket_id}: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await sendRefunds(refunds);
+  return seatNumber;
+};
+
+/**
+ * Settle every ticket of a flight that is still without a seat, first sold
+ * first: a free seat, else a volunteer's seat, else the passenger is denied
+ * boarding involuntarily. Run by staff before boarding.
+ * @param {Object} flight - Flight
+ * @param {number} userId - Staff member
+ * @returns {Promise<Object>} { seated, denied } ticket IDs
+ */
+exports.resolveFlight = async (flight, userId) => {
+  const connection = await pool.getConnection();
+  const refunds = [];
+  const result = { seated: [], denied: [] };
+
+  try {
+    await connection.beginTransaction();
+
+    const tickets = await Overbooking.getUnseatedTickets(flight.flight_id, null, connection);
+
+    for (const ticket of tickets) {
+      const seatNumber = await findSeat(connection, ticket, flight, userId, refunds);
+
+      if (seatNumber) {
+        result.seated.push(ticket.ticket_id);
+        continue;
+      }
+
+      await denyBoarding(connection, ticket, flight, 'involuntary', null, userId, refunds);
+      result.denied.push(ticket.ticket_id);
+    }
+
+    await connection.commit();
+    logger.info(`Denied boarding resolved for flight ${flight.flight_number}: ${result.seated.length} seated, ${result.denied.length} denied`);
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error resolving denied boarding: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await sendRefunds(refunds);
+  return result;
+};
+
+/**
+ * Seat an unseated ticket on a free seat or a volunteer's seat
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} ticket - Unseated ticket
+ * @param {Object} flight - Flight
+ * @param {number} userId - User acting
+ * @param {Array} refunds - Refunds to send once committed
+ * @returns {Promise<string|null>} Seat assigned, or null
+ */
+async function findSeat(connection, ticket, flight, userId, refunds) {
+  const freeSeats = await FlightSeats.getAvailableSeatsByClass(flight.flight_id, ticket.class, ticket.user_id, connection);
+
+  if (freeSeats.length > 0) {
+    await FlightSeats.seatUnseatedTicket(flight.flight_id, ticket.class, freeSeats[0], connection, ticket.ticket_id);
+    return freeSeats[0];
+  }
+
+  const [volunteer] = await DeniedBoarding.getVolunteers(flight.flight_id, ticket.class, connection);
+
+  if (!volunteer) {
+    return null;
+  }
+
+  await denyBoarding(connection, volunteer, flight, 'voluntary', ticket.ticket_id, userId, refunds);
+  return volunteer.seat_number;
+}
+
+/**
+ * Deny a passenger boarding: cancel their ticket with a full refund of a paid
+ * fare and compensate a paying passenger, with a voucher for volunteers and a
+ * cash payment for involuntary offloads
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} ticket - Ticket denied boarding
+ * @param {Object} flight - Flight
+ * @param {string} type - 'voluntary' or 'involuntary'
+ * @param {number} seatGivenTo - Unseated ticket that takes over the seat
+ * @param {number} userId - User acting
+ * @param {Array} refunds - Refunds to send once committed
+ */
+async function denyBoarding(connection, ticket, flight, type, seatGivenTo, userId, refunds) {
+  const paid = ticket.payment_status === 'completed';
+  const refundAmount = paid ? parseFloat(ticket.price || 0) : 0;
+  const compensation = paid ? exports.getCompensationAmount(flight.distance) : 0;
+  let voucher = null;
+
+  await Ticket.cancelTicket(ticket.ticket_id, { refundAmount, seatTicketId: seatGivenTo }, connection);
+
+  if (type === 'voluntary' && compensation > 0) {
+    voucher = await Voucher.createVoucher({
+      user_id: ticket.user_id,
+      amount: compensation,
+      valid_days: parseInt(config.VOUCHER_VALID_DAYS, 10),
+      source_ticket_id: ticket.ticket_id
+    }, connection);
+  }
+
+  await DeniedBoarding.createDeniedBoarding({
+    flight_id: flight.flight_id,
+    ticket_id: ticket.ticket_id,
+    class: ticket.class,
+    type,
+    seat_given_to: seatGivenTo,
+    compensation_amount: compensation,
+    compensation_method: voucher ? 'voucher' : 'cash',
+    voucher_id: voucher ? voucher.voucher_id : null,
+    refund_amount: refundAmount,
+    created_by: userId
+  }, connection);
+
+  if (refundAmount > 0) {
+    refunds.push({ ticket, amount: refundAmount });
+  }
+
+  logger.info(`Ticket ${ticket.ticket_id} denied boarding (${type}) on flight ${flight.flight_number}`);
+}
+
+/**
+ * Send fare refunds to the payment provider. A failed refund doesn't undo the
+ * denied boarding; staff can retry it from the payments API.
+ * @param {Array} refunds - { ticket, amount } to refund
+ */
+async function sendRefunds(refunds) {
+  for (const { ticket, amount } of refunds) {
+    try {
+      await PaymentService.refundTicket(ticket, amount, 'Denied boarding');
+    } catch (error) {
+      logger.error(`Error refunding ticket ${ticket.ticket_id} for denied boarding: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,247 @@
+const { pool } = require('../config/database');
+const Flight = require('../models/flightModel');
+const Ticket = require('../models/ticketModel');
+const SeatHold = require('../models/seatHoldModel');
+const Voucher = require('../models/voucherModel');
+const Disruption = require('../models/disruptionModel');
+const SeatAssignment = require('./seatAssignmentService');
+const PaymentService = require('./paymentService');
+const { toBase } = require('./currencyService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+exports.REBOOKING_MODES = ['auto', 'propose', 'none'];
+exports.COMPENSATION_TYPES = ['refund', 'voucher'];
+
+/**
+ * Cancel a flight and settle every ticket on it. Passengers travelling together
+ * are moved as a party: with 'auto' rebooking they get seats on the next flight
+ * of the same route that fits them all, with 'propose' that flight is only
+ * suggested. Paid tickets that are not rebooked are refunded or turned into a
+ * voucher, depending on the compensation policy.
+ * @param {number} flightId - Flight ID
+ * @param {Object} options - Cancellation policy
+ * @param {string} options.reason - Reason shown in the disruption report
+ * @param {string} options.rebooking - 'auto', 'propose' or 'none'
+ * @param {string} options.compensation - 'refund' or 'voucher'
+ * @param {number} options.userId - Staff member cancelling the flight
+ * @returns {Promise<number>} ID of the disruption record
+ */
+exports.cancelFlight = async (flightId, options = {}) => {
+  const {
+    reason = null,
+    rebooking = config.FLIGHT_CANCEL_REBOOKING,
+    compensation = config.FLIGHT_CANCEL_COMPENSATION,
+    userId = null
+  } = options;
+
+  const flight = await Flight.getFlightById(flightId);
+  const alternatives = rebooking === 'none' ? [] : await getAlternativeFlights(flight);
+
+  const connection = await pool.getConnection();
+  let disruptionId;
+  // Refunds are sent to the payment provider once the cancellation is committed
+  const refunds = [];
+
+  try {
+    await connection.beginTransaction();
+
+    await Flight.updateFlightStatus(flightId, 'canceled', connection);
+    await SeatHold.deleteHoldsForFlight(flightId, connection);
+
+    disruptionId = await Disruption.createDisruption({
+      flight_id: flightId,
+      reason,
+      rebooking,
+      compensation,
+      created_by: userId
+    }, connection);
+
+    const tickets = await Ticket.getActiveTicketsForFlight(flightId, connection);
+    // Seats given out during this cancellation are not committed yet, so keep them out of later parties' picks
+    const seatsTaken = new Map();
+
+    for (const party of groupIntoParties(tickets)) {
+      const alternative = await findSeatsForParty(alternatives, party, seatsTaken);
+
+      if (rebooking === 'auto' && alternative) {
+        await rebookParty(disruptionId, party, alternative, connection);
+        continue;
+      }
+
+      for (const ticket of party) {
+        const outcome = await compensateTicket(disruptionId, ticket, compensation, alternative, connection);
+
+        if (outcome.action === 'refunded') {
+          refunds.push({ ticket, amount: outcome.amount });
+        }
+      }
+    }
+
+    await connection.commit();
+    logger.info(`Flight ${flight.flight_number} canceled; ${tickets.length} ticket(s) settled`);
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error cancelling flight: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  // A failed refund doesn't undo the cancellation; staff can retry it from the payments API
+  for (const { ticket, amount } of refunds) {
+    try {
+      await PaymentService.refundTicket(ticket, amount, 'Flight cancelled');
+    } catch (error) {
+      logger.error(`Error refunding ticket ${ticket.ticket_id} for disruption ${disruptionId}: ${error.message}`);
+    }
+  }
+
+  return disruptionId;
+};
+
+/**
+ * Get later flights on the same route that passengers can be moved to
+ * @param {Object} flight - Cancelled flight
+ * @returns {Promise<Array>} Candidate flights, earliest first
+ */
+async function getAlternativeFlights(flight) {
+  const earliest = new Date(Math.max(new Date(flight.departure_time).getTime(), Date.now()));
+  const latest = new Date(earliest.getTime() + parseInt(config.REBOOKING_WINDOW_HOURS, 10) * HOUR_MS);
+
+  const flights = await Flight.getFlightsOnRoutesBetween([flight.route_id], earliest, latest);
+
+  return flights.filter(candidate =>
+    candidate.flight_id !== flight.flight_id &&
+    ['scheduled', 'delayed'].includes(candidate.status)
+  );
+}
+
+/**
+ * Group tickets into parties that should travel together (same booking and class)
+ * @param {Array} tickets - Active tickets of the flight
+ * @returns {Array<Array>} Parties of tickets
+ */
+function groupIntoParties(tickets) {
+  const parties = new Map();
+
+  tickets.forEach(ticket => {
+    const key = ticket.booking_id ? `${ticket.booking_id}:${ticket.class}` : `ticket:${ticket.ticket_id}`;
+
+    if (!parties.has(key)) {
+      parties.set(key, []);
+    }
+    parties.get(key).push(ticket);
+  });
+
+  return [...parties.values()];
+}
+
+/**
+ * Find the first alternative flight with seats for a whole party
+ * @param {Array} alternatives - Candidate flights, earliest first
+ * @param {Array} party - Tickets of the party
+ * @param {Map} seatsTaken - Seats already given out per flight during this cancellation
+ * @returns {Promise<Object|null>} Flight and seat numbers, or null when none fits
+ */
+async function findSeatsForParty(alternatives, party, seatsTaken) {
+  for (const flight of alternatives) {
+    const taken = seatsTaken.get(flight.flight_id) || [];
+    const seats = await SeatAssignment.assignSeats(flight.flight_id, party[0].class, party.length, {
+      exclude: taken
+    });
+
+    if (seats) {
+      seatsTaken.set(flight.flight_id, [...taken, ...seats]);
+      return { flight, seats };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Move a party to an alternative flight at no extra charge
+ * @param {number} disruptionId - Disruption ID
+ * @param {Array} party - Tickets of the party
+ * @param {Object} alternative - Flight and seat numbers for the party
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function rebookParty(disruptionId, party, alternative, connection) {
+  for (let i = 0; i < party.length; i++) {
+    const ticket = party[i];
+
+    await Ticket.cancelTicket(ticket.ticket_id, { transferred: true }, connection);
+
+    const newTicketId = await Ticket.createTicket({
+      user_id: ticket.user_id,
+      flight_id: alternative.flight.flight_id,
+      seat_number: alternative.seats[i],
+      class: ticket.class,
+      rebooked_from: ticket.ticket_id,
+      is_refundable: ticket.is_refundable,
+      payment_status: ticket.payment_status,
+      payment_intent_id: ticket.payment_intent_id,
+      booking_id: ticket.booking_id
+    }, connection);
+
+    await Disruption.addAffectedTicket(disruptionId, {
+      ticket_id: ticket.ticket_id,
+      action: 'rebooked',
+      new_ticket_id: newTicketId
+    }, connection);
+  }
+}
+
+/**
+ * Cancel a ticket and refund it or issue a voucher if it was paid. Voucher
+ * credit the ticket was paid with is given back either way.
+ * @param {number} disruptionId - Disruption ID
+ * @param {Object} ticket - Ticket to settle
+ * @param {string} compensation - 'refund' or 'voucher'
+ * @param {Object} alternative - Flight proposed to the passenger, if any
+ * @param {Object} connection - Connection with an open transaction
+ * @returns {Promise<Object>} Outcome recorded for the ticket
+ */
+async function compensateTicket(disruptionId, ticket, compensation, alternative, connection) {
+  const paid = ticket.payment_status === 'completed';
+  const price = parseFloat(ticket.price || 0);
+  const voucherAmount = parseFloat(ticket.voucher_amount || 0);
+  const outcome = {
+    ticket_id: ticket.ticket_id,
+    action: 'cancelled',
+    proposed_flight_id: alternative ? alternative.flight.flight_id : null
+  };
+
+  await Ticket.cancelTicket(ticket.ticket_id, {
+    refundAmount: paid && compensation === 'refund' ? price : 0
+  }, connection);
+
+  if (paid && compensation === 'refund') {
+    outcome.action = 'refunded';
+    outcome.amount = price;
+  } else if (paid && compensation === 'voucher') {
+    const bonus = parseFloat(config.VOUCHER_BONUS_PERCENT) / 100;
+    // Vouchers hold credit in the base currency and make up for the whole fare, voucher share included
+    const amount = toBase((price + voucherAmount) * (1 + bonus), parseFloat(ticket.exchange_rate));
+    const voucher = await Voucher.createVoucher({
+      user_id: ticket.user_id,
+      amount,
+      valid_days: parseInt(config.VOUCHER_VALID_DAYS, 10),
+      source_ticket_id: ticket.ticket_id
+    }, connection);
+
+    outcome.action = 'voucher';
+    outcome.amount = amount;
+    outcome.voucher_id = voucher.voucher_id;
+  } else if (voucherAmount > 0) {
+    // Refunds only return money; voucher credit spent on the ticket comes back in full
+    const voucher = await Voucher.reissueTicketCredit(ticket, voucherAmount, connection);
+    outcome.voucher_id = voucher.voucher_id;
+  }
+
+  await Disruption.addAffectedTicket(disruptionId, outcome, connection);
+  return outcome;
+}
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+const TOKEN_TYPE = 'fare_quote';
+
+/**
+ * Sign a fare quote so its fare can be booked unchanged, once, until it expires
+ * @param {Object} quote - user_id, flight_id, class, fare_family, fare_bucket_id, fare (before taxes,
+ *   in the base currency), is_refundable, currency and exchange_rate of the quote
+ * @returns {Object} { token, quote_id, expires_at }; quote_id is the token's jti
+ */
+exports.signQuote = (quote) => {
+  const minutes = parseInt(config.FARE_QUOTE_MINUTES, 10);
+  const quoteId = crypto.randomUUID();
+  const token = jwt.sign({ ...quote, typ: TOKEN_TYPE }, config.FARE_QUOTE_SECRET, {
+    expiresIn: minutes * 60,
+    jwtid: quoteId
+  });
+
+  return {
+    token,
+    quote_id: quoteId,
+    expires_at: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Verify a fare quote token and read the quote it locks
+ * @param {string} token - Token from the quote endpoint
+ * @returns {Object} Quote the token was signed with, with its jti
+ * @throws {Error} When the token has expired or was not signed by this API
+ */
+exports.verifyQuote = (token) => {
+  let quote;
+
+  try {
+    quote = jwt.verify(String(token), config.FARE_QUOTE_SECRET);
+  } catch (error) {
+    throw new Error(error.name === 'TokenExpiredError' ? 'This fare quote has expired' : 'Invalid fare quote');
+  }
+
+  if (quote.typ !== TOKEN_TYPE || !quote.jti) {
+    throw new Error('Invalid fare quote');
+  }
+
+  return quote;
+};
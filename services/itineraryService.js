@@ -0,0 +1,120 @@
+const TRIP_TYPES = ['one_way', 'round_trip', 'multi_city'];
+
+exports.TRIP_TYPES = TRIP_TYPES;
+
+/**
+ * Work out the trip type from the flights of an itinerary
+ * @param {Array} flights - Flights in travel order
+ * @returns {string} one_way, round_trip or multi_city
+ */
+exports.detectTripType = (flights) => {
+  if (flights.length === 1) {
+    return 'one_way';
+  }
+
+  if (flights.length === 2 &&
+      flights[0].origin === flights[1].destination &&
+      flights[0].destination === flights[1].origin) {
+    return 'round_trip';
+  }
+
+  return 'multi_city';
+};
+
+/**
+ * Validate that flights form a bookable itinerary of the given type
+ * @param {Array} flights - Flights in travel order
+ * @param {string} tripType - Trip type
+ * @returns {string|null} Validation error message, or null when valid
+ */
+exports.validateLegs = (flights, tripType) => {
+  if (!TRIP_TYPES.includes(tripType)) {
+    return `Trip type must be one of ${TRIP_TYPES.join(', ')}`;
+  }
+
+  if (tripType === 'one_way' && flights.length !== 1) {
+    return 'A one-way trip must have exactly one leg';
+  }
+
+  if (tripType === 'round_trip') {
+    if (flights.length !== 2) {
+      return 'A round trip must have exactly two legs';
+    }
+
+    if (flights[1].origin !== flights[0].destination ||
+        flights[1].destination !== flights[0].origin) {
+      return 'The return leg of a round trip must fly back to the origin';
+    }
+  }
+
+  for (let i = 1; i < flights.length; i++) {
+    if (flights[i].flight_id === flights[i - 1].flight_id) {
+      return `Flight ${flights[i].flight_number} appears in consecutive legs`;
+    }
+
+    if (new Date(flights[i].departure_time) <= new Date(flights[i - 1].arrival_time)) {
+      return `Leg ${i + 1} (${flights[i].flight_number}) departs before leg ${i} arrives`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Group a booking's tickets into itinerary legs with per-leg and total prices
+ * @param {Object} booking - Booking with tickets (see Booking.getBookingByReference)
+ * @returns {Object} Itinerary
+ */
+exports.buildItinerary = (booking) => {
+  const legs = [];
+
+  booking.tickets
+    .filter(ticket => ticket.status !== 'cancelled')
+    .forEach(ticket => {
+      let leg = legs.find(l => l.flight_id === ticket.flight_id);
+
+      if (!leg) {
+        leg = {
+          leg_number: 0,
+          flight_id: ticket.flight_id,
+          flight_number: ticket.flight_number,
+          origin: ticket.origin,
+          destination: ticket.destination,
+          departure_time: ticket.departure_time,
+          arrival_time: ticket.arrival_time,
+          departure_time_local: ticket.departure_time_local,
+          arrival_time_local: ticket.arrival_time_local,
+          flight_status: ticket.flight_status,
+          passengers: [],
+          leg_price: 0
+        };
+        legs.push(leg);
+      }
+
+      leg.passengers.push({
+        ticket_id: ticket.ticket_id,
+        user_id: ticket.user_id,
+        passenger_name: ticket.passenger_name,
+        seat_number: ticket.seat_number,
+        class: ticket.class,
+        price: parseFloat(ticket.price)
+      });
+      leg.leg_price += parseFloat(ticket.price);
+    });
+
+  legs.sort((a, b) => new Date(a.departure_time) - new Date(b.departure_time));
+  legs.forEach((leg, index) => {
+    leg.leg_number = index + 1;
+  });
+
+  return {
+    booking_reference: booking.booking_reference,
+    trip_type: booking.trip_type,
+    status: booking.status,
+    origin: legs.length > 0 ? legs[0].origin : null,
+    destination: legs.length > 0 ? legs[legs.length - 1].destination : null,
+    passenger_count: booking.passengers.length,
+    legs,
+    total_price: legs.reduce((sum, leg) => sum + leg.leg_price, 0)
+  };
+};
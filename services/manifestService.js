@@ -0,0 +1,184 @@
+const PDFDocument = require('pdfkit');
+const Boarding = require('../models/boardingModel');
+const SpecialService = require('../models/specialServiceModel');
+const { formatDate, formatInTimeZone } = require('../utils/dateFormat');
+
+exports.FORMATS = ['json', 'csv', 'pdf'];
+
+// Manifest columns in CSV and PDF order: [field, heading, PDF column width]
+const COLUMNS = [
+  ['passenger_name', 'Name', 130],
+  ['passport_number', 'Passport', 75],
+  ['nationality', 'Nationality', 65],
+  ['date_of_birth', 'Date of birth', 65],
+  ['gender', 'Gender', 45],
+  ['seat_number', 'Seat', 35],
+  ['class', 'Class', 60],
+  ['check_in', 'Check-in', 55],
+  ['boarding', 'Boarding', 60],
+  ['special_services', 'SSR', 150]
+];
+
+/**
+ * Build the passenger manifest of a flight
+ * @param {Object} flight - Flight from the flight model
+ * @returns {Promise<Object>} Manifest with flight details, counts and passengers
+ */
+exports.buildManifest = async (flight) => {
+  const passengers = await Boarding.getFlightPassengers(flight.flight_id);
+  const requests = await SpecialService.getRequestsForFlight(flight.flight_id);
+
+  const requestsByTicket = new Map();
+  requests.forEach(request => {
+    if (!requestsByTicket.has(request.ticket_id)) {
+      requestsByTicket.set(request.ticket_id, []);
+    }
+    requestsByTicket.get(request.ticket_id).push({ code: request.code, note: request.note });
+  });
+
+  const rows = passengers
+    .map(passenger => ({
+      ticket_id: passenger.ticket_id,
+      passenger_name: `${passenger.last_name}/${passenger.first_name}`.toUpperCase(),
+      passport_number: passenger.passport_number,
+      nationality: passenger.nationality,
+      date_of_birth: passenger.date_of_birth ? formatDate(passenger.date_of_birth) : null,
+      gender: passenger.gender,
+      booking_reference: passenger.booking_reference,
+      seat_number: passenger.seat_number,
+      class: passenger.class,
+      check_in: passenger.sequence_number ? 'checked_in' : 'not_checked_in',
+      sequence_number: passenger.sequence_number,
+      boarding_group: passenger.boarding_group,
+      boarding: passenger.boarding_status || 'not_boarded',
+      special_services: requestsByTicket.get(passenger.ticket_id) || []
+    }))
+    .sort((a, b) => a.passenger_name.localeCompare(b.passenger_name));
+
+  return {
+    flight: {
+      flight_id: flight.flight_id,
+      flight_number: flight.flight_number,
+      origin: flight.origin,
+      destination: flight.destination,
+      departure_time: flight.departure_time,
+      departure_time_local: flight.departure_time_local,
+      status: flight.status,
+      gate: flight.gate,
+      aircraft_model: flight.aircraft_model,
+      registration_number: flight.registration_number
+    },
+    generated_at: new Date(),
+    summary: {
+      passengers: rows.length,
+      checked_in: rows.filter(row => row.check_in === 'checked_in').length,
+      boarded: rows.filter(row => row.boarding === 'boarded').length,
+      no_show: rows.filter(row => row.boarding === 'no_show').length,
+      special_services: requests.length
+    },
+    passengers: rows
+  };
+};
+
+/**
+ * Render a manifest as CSV, one passenger per line
+ * @param {Object} manifest - Manifest from buildManifest
+ * @returns {string} CSV text
+ */
+exports.toCsv = (manifest) => {
+  const lines = [COLUMNS.map(([, heading]) => heading)];
+
+  manifest.passengers.forEach(passenger => {
+    lines.push(COLUMNS.map(([field]) => cellText(passenger, field)));
+  });
+
+  return lines.map(line => line.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Render a manifest as a PDF document
+ * @param {Object} manifest - Manifest from buildManifest
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+exports.toPdf = (manifest) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { flight, summary } = manifest;
+    const left = doc.page.margins.left;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    doc.fontSize(16).text(`Passenger Manifest - ${flight.flight_number}`, { continued: false });
+    doc.fontSize(10)
+      .text(`${flight.origin} - ${flight.destination}, departure ${flight.departure_time_local || flight.departure_time} local`)
+      .text(`Aircraft ${flight.aircraft_model || ''} ${flight.registration_number || ''}, gate ${flight.gate || '-'}, status ${flight.status}`)
+      .text(`Passengers ${summary.passengers}, checked in ${summary.checked_in}, boarded ${summary.boarded}, no-show ${summary.no_show}`)
+      .text(`Generated ${formatInTimeZone(manifest.generated_at, 'UTC')} UTC`)
+      .moveDown();
+
+    const drawRow = (cells, bold) => {
+      const top = doc.y;
+      let x = left;
+      let height = 0;
+
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+      cells.forEach((cell, i) => {
+        const width = COLUMNS[i][2];
+        doc.text(cell, x, top, { width: width - 4 });
+        height = Math.max(height, doc.y - top);
+        x += width;
+      });
+
+      doc.x = left;
+      doc.y = top + height + 3;
+    };
+
+    const headings = COLUMNS.map(([, heading]) => heading);
+    drawRow(headings, true);
+
+    manifest.passengers.forEach(passenger => {
+      if (doc.y > bottom - 20) {
+        doc.addPage();
+        drawRow(headings, true);
+      }
+      drawRow(COLUMNS.map(([field]) => cellText(passenger, field)), false);
+    });
+
+    doc.end();
+  });
+};
+
+/**
+ * Get the text of a manifest cell
+ * @param {Object} passenger - Manifest passenger
+ * @param {string} field - Column field
+ * @returns {string} Cell text
+ */
+function cellText(passenger, field) {
+  if (field === 'special_services') {
+    return passenger.special_services
+      .map(request => (request.note ? `${request.code} (${request.note})` : request.code))
+      .join('; ');
+  }
+
+  const value = passenger[field];
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break. A field
+ * a spreadsheet would read as a formula gets a leading apostrophe, so names
+ * passengers typed in can't run as formulas when the manifest is opened.
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function csvEscape(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
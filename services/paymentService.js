@@ -0,0 +1,380 @@
+const { pool } = require('../config/database');
+const Payment = require('../models/paymentModel');
+const Ticket = require('../models/ticketModel');
+const { getProvider } = require('./payments');
+const logger = require('../utils/logger');
+
+// Intents that can still be authorized, captured or cancelled
+exports.OPEN_STATUSES = ['requires_authorization', 'authorized'];
+exports.REFUNDABLE_STATUSES = ['captured', 'partially_refunded'];
+
+/**
+ * Start a payment for tickets. The tickets stay 'pending' until the payment is captured.
+ * @param {Object} paymentData - Payment data
+ * @param {number} paymentData.userId - User paying
+ * @param {Array} paymentData.tickets - Tickets to pay for (ticket_id, price, currency), all in one currency
+ * @param {number} paymentData.bookingId - Booking being paid for, if any
+ * @returns {Promise<Object>} Created payment intent
+ */
+exports.createIntent = async ({ userId, tickets, bookingId = null }) => {
+  const provider = getProvider();
+  const amount = Math.round(tickets.reduce((sum, ticket) => sum + parseFloat(ticket.price), 0) * 100) / 100;
+  const ticketIds = tickets.map(ticket => ticket.ticket_id);
+  const currency = tickets[0].currency;
+
+  const connection = await pool.getConnection();
+  let intent;
+
+  try {
+    await connection.beginTransaction();
+
+    intent = await Payment.createIntent({
+      provider: provider.name,
+      user_id: userId,
+      booking_id: bookingId,
+      amount,
+      currency
+    }, connection);
+
+    await Ticket.setPaymentIntent(ticketIds, intent.intent_id, connection);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error creating payment intent: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  try {
+    const registered = await provider.createIntent({
+      reference: intent.reference,
+      amount,
+      currency
+    });
+
+    await Payment.updateIntent(intent.intent_id, { provider_reference: registered.provider_reference });
+  } catch (error) {
+    await Payment.updateIntent(intent.intent_id, { status: 'failed', failure_reason: error.message });
+    logger.error(`Error registering payment ${intent.reference} with ${provider.name}: ${error.message}`);
+    throw error;
+  }
+
+  return Payment.getIntentById(intent.intent_id);
+};
+
+/**
+ * Authorize a payment method for a payment intent
+ * @param {Object} intent - Payment intent
+ * @param {string} paymentMethod - Provider payment method token
+ * @returns {Promise<Object>} Updated payment intent
+ */
+exports.authorize = async (intent, paymentMethod) => {
+  const result = await getProvider(intent.provider).authorize(intent.provider_reference, parseFloat(intent.amount), paymentMethod);
+
+  return applyToIntent(intent.intent_id, async (locked, connection) => {
+    if (result.success) {
+      await markAuthorized(locked, connection);
+    } else {
+      await markFailed(locked, result.failure_reason, connection);
+    }
+  });
+};
+
+/**
+ * Capture an authorized payment intent, completing payment of its tickets
+ * @param {Object} intent - Payment intent
+ * @returns {Promise<Object>} Updated payment intent
+ */
+exports.capture = async (intent) => {
+  const amount = parseFloat(intent.amount);
+  const result = await getProvider(intent.provider).capture(intent.provider_reference, amount);
+
+  if (!result.success) {
+    throw new Error(`Capture failed: ${result.failure_reason}`);
+  }
+
+  return applyToIntent(intent.intent_id, (locked, connection) => markCaptured(locked, amount, connection));
+};
+
+/**
+ * Cancel a payment intent that has not been captured, releasing any authorization
+ * @param {Object} intent - Payment intent
+ * @returns {Promise<Object>} Updated payment intent
+ */
+exports.cancel = async (intent) => {
+  if (intent.status === 'authorized') {
+    const result = await getProvider(intent.provider).cancel(intent.provider_reference);
+
+    if (!result.success) {
+      throw new Error(`Cancellation failed: ${result.failure_reason}`);
+    }
+  }
+
+  return applyToIntent(intent.intent_id, (locked, connection) => markCanceled(locked, connection));
+};
+
+/**
+ * Refund part or all of a captured payment intent. The intent's status and
+ * the amount left to refund are checked on the locked intent before the
+ * provider is asked for the money.
+ * @param {Object} intent - Payment intent
+ * @param {number} amount - Amount to refund
+ * @param {Object} options - Refund options
+ * @param {number} options.ticketId - Ticket the refund is for, if any
+ * @param {string} options.reason - Reason for the refund
+ * @param {boolean} options.oncePerTicket - Send nothing when the ticket was already refunded
+ * @returns {Promise<Object>} Updated payment intent
+ * @throws {Error} When the payment can't be refunded or the amount is more than is left
+ */
+exports.refund = async (intent, amount, options = {}) => {
+  const { ticketId = null, reason = null, oncePerTicket = false } = options;
+
+  return applyToIntent(intent.intent_id, async (locked, connection) => {
+    // Checked under the lock, so a retried or concurrent refund of the ticket can't pay twice
+    if (oncePerTicket && locked.refunds.some(refund => refund.ticket_id === ticketId)) {
+      return;
+    }
+
+    // Re-checked on the locked intent, so concurrent refunds can't pay out more than was captured
+    if (!exports.REFUNDABLE_STATUSES.includes(locked.status)) {
+      throw new Error(`Payment cannot be refunded while ${locked.status}`);
+    }
+
+    const remaining = Math.round((parseFloat(locked.amount_captured) - parseFloat(locked.amount_refunded)) * 100) / 100;
+
+    if (!(amount > 0) || amount > remaining) {
+      throw new Error(`Refund amount must be more than 0 and at most ${remaining}`);
+    }
+
+    // Number the refund from the locked intent, so concurrent refunds can't reuse a sequence
+    const result = await getProvider(locked.provider).refund(locked.provider_reference, amount, locked.refunds.length);
+
+    if (!result.success) {
+      throw new Error(`Refund failed: ${result.failure_reason}`);
+    }
+
+    await markRefunded(locked, {
+      provider_refund_id: result.provider_refund_id,
+      amount,
+      ticket_id: ticketId,
+      reason
+    }, connection);
+  });
+};
+
+/**
+ * Refund a ticket through the payment that paid for it, once: a ticket that
+ * already has a refund on its payment gets nothing more, so retrying is safe.
+ * Tickets paid outside the payments subsystem have no payment intent and
+ * nothing is sent to a provider.
+ * @param {Object} ticket - Ticket (ticket_id, payment_intent_id)
+ * @param {number} amount - Amount to refund
+ * @param {string} reason - Reason for the refund
+ * @returns {Promise<Object|null>} Updated payment intent, or null when there was nothing to refund
+ */
+exports.refundTicket = async (ticket, amount, reason) => {
+  if (!ticket.payment_intent_id || amount <= 0) {
+    return null;
+  }
+
+  const intent = await Payment.getIntentById(ticket.payment_intent_id);
+
+  if (!intent || !exports.REFUNDABLE_STATUSES.includes(intent.status)) {
+    return null;
+  }
+
+  return exports.refund(intent, amount, { ticketId: ticket.ticket_id, reason, oncePerTicket: true });
+};
+
+/**
+ * Check whether a cancelled ticket is still owed the refund it was cancelled with,
+ * because sending it to the provider failed
+ * @param {Object} ticket - Ticket (ticket_id, status, refund_amount, payment_intent_id)
+ * @returns {Promise<boolean>} Whether the refund still has to be sent
+ */
+exports.isRefundOwed = async (ticket) => {
+  if (ticket.status !== 'cancelled' || !ticket.payment_intent_id || !(parseFloat(ticket.refund_amount) > 0)) {
+    return false;
+  }
+
+  const intent = await Payment.getIntentById(ticket.payment_intent_id);
+
+  return !!intent &&
+    exports.REFUNDABLE_STATUSES.includes(intent.status) &&
+    !intent.refunds.some(refund => refund.ticket_id === ticket.ticket_id);
+};
+
+/**
+ * Handle a webhook delivery from a payment provider. Each event is applied
+ * once; repeated deliveries and events for states already reached are ignored.
+ * @param {string} providerName - Provider the webhook is from
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} { valid, duplicate, type }
+ */
+exports.handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook(rawBody, headers);
+
+  if (!event || !event.id || !event.type) {
+    return { valid: false };
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const intent = event.provider_reference
+      ? await Payment.getIntentByProviderReference(provider.name, event.provider_reference, connection)
+      : undefined;
+
+    const isNew = await Payment.recordEvent(
+      provider.name,
+      event,
+      intent ? intent.intent_id : null,
+      rawBody.toString(),
+      connection
+    );
+
+    if (isNew && intent) {
+      await applyEvent(intent, event, connection);
+    } else if (isNew) {
+      logger.warn(`Payment webhook ${event.id} from ${provider.name} matches no payment intent`);
+    }
+
+    await connection.commit();
+    return { valid: true, duplicate: !isNew, type: event.type };
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error handling payment webhook: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Apply a provider event to a locked payment intent
+ * @param {Object} intent - Locked payment intent
+ * @param {Object} event - Parsed webhook event
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function applyEvent(intent, event, connection) {
+  switch (event.type) {
+    case 'payment.authorized':
+      return markAuthorized(intent, connection);
+    case 'payment.failed':
+      return markFailed(intent, event.failure_reason, connection);
+    case 'payment.captured':
+      return markCaptured(intent, event.amount || parseFloat(intent.amount), connection);
+    case 'payment.canceled':
+      return markCanceled(intent, connection);
+    case 'payment.refunded':
+      return markRefunded(intent, {
+        provider_refund_id: event.provider_refund_id,
+        amount: event.amount,
+        reason: 'Reported by payment provider'
+      }, connection);
+    default:
+      logger.warn(`Ignoring payment webhook event type ${event.type}`);
+  }
+}
+
+/**
+ * Lock a payment intent, update it and return its new state
+ * @param {number} intentId - Intent ID
+ * @param {Function} update - Receives the locked intent and the connection
+ * @returns {Promise<Object>} Updated payment intent
+ */
+async function applyToIntent(intentId, update) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const intent = await Payment.getIntentById(intentId, connection);
+    await update(intent, connection);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error updating payment intent: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return Payment.getIntentById(intentId);
+}
+
+/**
+ * Move a payment intent to 'authorized'
+ * @param {Object} intent - Locked payment intent
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function markAuthorized(intent, connection) {
+  if (intent.status === 'requires_authorization') {
+    await Payment.updateIntent(intent.intent_id, { status: 'authorized' }, connection);
+  }
+}
+
+/**
+ * Move an open payment intent to 'failed'
+ * @param {Object} intent - Locked payment intent
+ * @param {string} reason - Failure reason from the provider
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function markFailed(intent, reason, connection) {
+  if (exports.OPEN_STATUSES.includes(intent.status)) {
+    await Payment.updateIntent(intent.intent_id, { status: 'failed', failure_reason: reason }, connection);
+  }
+}
+
+/**
+ * Move an open payment intent to 'canceled'
+ * @param {Object} intent - Locked payment intent
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function markCanceled(intent, connection) {
+  if (exports.OPEN_STATUSES.includes(intent.status)) {
+    await Payment.updateIntent(intent.intent_id, { status: 'canceled' }, connection);
+  }
+}
+
+/**
+ * Move an authorized payment intent to 'captured' and complete payment of its tickets
+ * @param {Object} intent - Locked payment intent
+ * @param {number} amount - Amount captured
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function markCaptured(intent, amount, connection) {
+  if (intent.status !== 'authorized') {
+    return;
+  }
+
+  await Payment.updateIntent(intent.intent_id, { status: 'captured', amount_captured: amount }, connection);
+  await Ticket.completePaymentForIntent(intent.intent_id, connection);
+}
+
+/**
+ * Record a refund of a captured payment intent
+ * @param {Object} intent - Locked payment intent
+ * @param {Object} refund - provider_refund_id, amount, ticket_id, reason
+ * @param {Object} connection - Connection with an open transaction
+ */
+async function markRefunded(intent, refund, connection) {
+  if (!exports.REFUNDABLE_STATUSES.includes(intent.status) || !refund.provider_refund_id || !refund.amount) {
+    return;
+  }
+
+  const isNew = await Payment.addRefund(intent.intent_id, refund, connection);
+  const refunded = parseFloat(intent.amount_refunded) + refund.amount;
+
+  // Refunds for one ticket settle that ticket when it is cancelled; a full refund of the whole payment settles them all
+  if (isNew && !refund.ticket_id && refunded >= parseFloat(intent.amount_captured)) {
+    await Ticket.refundPaymentForIntent(intent.intent_id, connection);
+  }
+}
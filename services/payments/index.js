@@ -0,0 +1,23 @@
+const config = require('../../config/config');
+
+// Every provider implements createIntent, authorize, capture, cancel, refund and parseWebhook
+const providers = {
+  mock: require('./mockProvider')
+};
+
+exports.PROVIDER_NAMES = Object.keys(providers);
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - Provider name, the configured provider when omitted
+ * @returns {Object} Payment provider
+ */
+exports.getProvider = (name = config.PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  return provider;
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Test payment methods and the decline they produce; any other pm_card_* token succeeds
+const DECLINES = {
+  pm_card_declined: 'card_declined',
+  pm_card_insufficient_funds: 'insufficient_funds',
+  pm_card_expired: 'expired_card'
+};
+
+/**
+ * Local payment provider for development and tests. It keeps no state of its
+ * own: every outcome follows from the inputs, so the same calls always give
+ * the same results.
+ */
+exports.name = 'mock';
+
+/**
+ * Register a payment with the provider
+ * @param {Object} intent - Intent reference, amount and currency
+ * @returns {Promise<Object>} Provider reference of the payment
+ */
+exports.createIntent = async (intent) => {
+  return {
+    provider_reference: `mock_${intent.reference}`
+  };
+};
+
+/**
+ * Authorize a payment method for the intent's amount
+ * @param {string} providerReference - Provider reference of the payment
+ * @param {number} amount - Amount to authorize
+ * @param {string} paymentMethod - Test payment method (pm_card_visa, pm_card_declined, ...)
+ * @returns {Promise<Object>} { success, failure_reason }
+ */
+exports.authorize = async (providerReference, amount, paymentMethod) => {
+  if (!paymentMethod || !paymentMethod.startsWith('pm_card_')) {
+    return { success: false, failure_reason: 'invalid_payment_method' };
+  }
+
+  if (DECLINES[paymentMethod]) {
+    return { success: false, failure_reason: DECLINES[paymentMethod] };
+  }
+
+  return { success: true, failure_reason: null };
+};
+
+/**
+ * Capture an authorized payment
+ * @param {string} providerReference - Provider reference of the payment
+ * @param {number} amount - Amount to capture
+ * @returns {Promise<Object>} { success, failure_reason }
+ */
+exports.capture = async (providerReference, amount) => {
+  return { success: true, failure_reason: null };
+};
+
+/**
+ * Release an authorization without taking the money
+ * @param {string} providerReference - Provider reference of the payment
+ * @returns {Promise<Object>} { success, failure_reason }
+ */
+exports.cancel = async (providerReference) => {
+  return { success: true, failure_reason: null };
+};
+
+/**
+ * Refund part or all of a captured payment
+ * @param {string} providerReference - Provider reference of the payment
+ * @param {number} amount - Amount to refund
+ * @param {number} sequence - Number of refunds already made on the payment
+ * @returns {Promise<Object>} { success, provider_refund_id, failure_reason }
+ */
+exports.refund = async (providerReference, amount, sequence) => {
+  return {
+    success: true,
+    provider_refund_id: `${providerReference}_re_${sequence + 1}`,
+    failure_reason: null
+  };
+};
+
+/**
+ * Sign a webhook payload the way the mock provider does
+ * @param {string|Buffer} payload - Raw request body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+exports.sign = (payload) => {
+  return crypto
+    .createHmac('sha256', config.PAYMENT_WEBHOOK_SECRET)
+    .update(payload)
+    .digest('hex');
+};
+
+/**
+ * Verify and read a webhook delivery
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object|null} Event ({ id, type, provider_reference, amount, provider_refund_id, failure_reason }),
+ *   or null when the signature doesn't match
+ */
+exports.parseWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+
+  if (!rawBody || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(exports.sign(rawBody));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString());
+  } catch (error) {
+    return null;
+  }
+  const data = event.data || {};
+
+  return {
+    id: event.id,
+    type: event.type,
+    provider_reference: data.provider_reference,
+    amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+    provider_refund_id: data.provider_refund_id || null,
+    failure_reason: data.failure_reason || null
+  };
+};
@@ -0,0 +1,196 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bounds of the combined multiplier for a curve that doesn't set its own
+const DEFAULT_MIN_MULTIPLIER = 0.5;
+const DEFAULT_MAX_MULTIPLIER = 3.0;
+
+/**
+ * Check that a step list is an array of steps with a number key and a positive multiplier
+ * @param {Array} steps - Curve steps
+ * @param {string} field - Field name for the error message
+ * @param {string} key - Threshold key of each step
+ * @param {Function} isValidThreshold - Check for the threshold value
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSteps = (steps, field, key, isValidThreshold) => {
+  if (!Array.isArray(steps)) {
+    return `${field} must be an array`;
+  }
+
+  const thresholds = new Set();
+
+  for (const step of steps) {
+    if (!step || typeof step[key] !== 'number' || !isValidThreshold(step[key])) {
+      return `Each step of ${field} needs a valid ${key}`;
+    }
+
+    if (typeof step.multiplier !== 'number' || step.multiplier <= 0) {
+      return `Each step of ${field} needs a positive multiplier`;
+    }
+
+    if (thresholds.has(step[key])) {
+      return `${field} has more than one step for ${key} ${step[key]}`;
+    }
+    thresholds.add(step[key]);
+  }
+
+  return null;
+};
+
+/**
+ * Validate a pricing curve definition
+ * @param {Object} curve - load_factor_steps, days_steps, min_multiplier, max_multiplier
+ * @returns {string|null} Validation error message, or null when valid
+ */
+exports.validateCurve = (curve) => {
+  const loadError = validateSteps(
+    curve.load_factor_steps || [],
+    'load_factor_steps',
+    'min_load_factor',
+    value => value >= 0 && value <= 1
+  );
+
+  if (loadError) {
+    return loadError;
+  }
+
+  const daysError = validateSteps(
+    curve.days_steps || [],
+    'days_steps',
+    'max_days',
+    value => value >= 0
+  );
+
+  if (daysError) {
+    return daysError;
+  }
+
+  const min = curve.min_multiplier === undefined ? DEFAULT_MIN_MULTIPLIER : Number(curve.min_multiplier);
+  const max = curve.max_multiplier === undefined ? DEFAULT_MAX_MULTIPLIER : Number(curve.max_multiplier);
+
+  if (isNaN(min) || isNaN(max) || min <= 0 || max < min) {
+    return 'min_multiplier and max_multiplier must be positive with min_multiplier <= max_multiplier';
+  }
+
+  return null;
+};
+
+/**
+ * Get the multiplier for a cabin's load factor
+ * @param {Array} steps - load_factor_steps of a curve
+ * @param {number} loadFactor - Share of the cabin's seats booked, 0 to 1
+ * @returns {number} Multiplier; 1 when no step is reached
+ */
+exports.getLoadMultiplier = (steps, loadFactor) => {
+  const step = (steps || [])
+    .filter(candidate => loadFactor >= candidate.min_load_factor)
+    .sort((a, b) => b.min_load_factor - a.min_load_factor)[0];
+
+  return step ? step.multiplier : 1;
+};
+
+/**
+ * Get the multiplier for the time left before departure
+ * @param {Array} steps - days_steps of a curve
+ * @param {number} daysToDeparture - Days until departure
+ * @returns {number} Multiplier; 1 when departure is further out than every step
+ */
+exports.getTimeMultiplier = (steps, daysToDeparture) => {
+  const step = (steps || [])
+    .filter(candidate => daysToDeparture <= candidate.max_days)
+    .sort((a, b) => a.max_days - b.max_days)[0];
+
+  return step ? step.multiplier : 1;
+};
+
+/**
+ * Calculate the dynamic multiplier of a curve under given conditions: the load
+ * step with the highest min_load_factor reached times the time step with the
+ * smallest max_days departure is within, clamped to the curve's bounds
+ * @param {Object} curve - Pricing curve
+ * @param {number} loadFactor - Share of the cabin's seats booked, 0 to 1
+ * @param {number} daysToDeparture - Days until departure
+ * @returns {Object} { load_factor, days_to_departure, load_multiplier, time_multiplier, multiplier }
+ */
+exports.calculateMultiplier = (curve, loadFactor, daysToDeparture) => {
+  const loadMultiplier = exports.getLoadMultiplier(curve.load_factor_steps, loadFactor);
+  const timeMultiplier = exports.getTimeMultiplier(curve.days_steps, daysToDeparture);
+  const min = curve.min_multiplier === undefined || curve.min_multiplier === null
+    ? DEFAULT_MIN_MULTIPLIER
+    : parseFloat(curve.min_multiplier);
+  const max = curve.max_multiplier === undefined || curve.max_multiplier === null
+    ? DEFAULT_MAX_MULTIPLIER
+    : parseFloat(curve.max_multiplier);
+
+  return {
+    load_factor: Math.round(loadFactor * 1000) / 1000,
+    days_to_departure: Math.round(daysToDeparture * 10) / 10,
+    load_multiplier: loadMultiplier,
+    time_multiplier: timeMultiplier,
+    multiplier: Math.min(max, Math.max(min, loadMultiplier * timeMultiplier))
+  };
+};
+
+/**
+ * Apply a dynamic multiplier to a fare
+ * @param {number} price - Fare before dynamic pricing
+ * @param {number} multiplier - Dynamic multiplier
+ * @returns {number} Fare rounded to cents
+ */
+exports.applyMultiplier = (price, multiplier) => {
+  return Math.round(price * multiplier * 100) / 100;
+};
+
+/**
+ * Get the days left before a departure time
+ * @param {Date|string} departureTime - Departure time
+ * @param {Date} now - Time to count from
+ * @returns {number} Days until departure, 0 once departed
+ */
+exports.getDaysToDeparture = (departureTime, now = new Date()) => {
+  return Math.max(0, (new Date(departureTime).getTime() - now.getTime()) / DAY_MS);
+};
+
+/**
+ * Get the seasons that adjust a fare. While a blackout season is in force,
+ * seasons that would lower the fare are skipped.
+ * @param {Array} seasons - Seasons covering the departure date
+ * @returns {Object} { seasons, blackout } with the seasons that apply
+ */
+exports.getAppliedSeasons = (seasons) => {
+  const blackout = (seasons || []).some(season => !!season.is_blackout);
+
+  return {
+    seasons: (seasons || []).filter(season => !blackout || parseFloat(season.adjustment_value) >= 0),
+    blackout
+  };
+};
+
+/**
+ * Apply the seasons a departure date falls in to a fare: percentage
+ * adjustments compound, then fixed amounts are added
+ * @param {number} price - Fare before seasonal adjustments
+ * @param {Array} seasons - Seasons covering the departure date
+ * @returns {Object} { price, adjustment, season_ids, blackout }, price rounded to cents and never below 0
+ */
+exports.applySeasons = (price, seasons) => {
+  const { seasons: applied, blackout } = exports.getAppliedSeasons(seasons);
+  let adjusted = price;
+
+  for (const season of applied.filter(candidate => candidate.adjustment_type === 'percent')) {
+    adjusted *= 1 + parseFloat(season.adjustment_value) / 100;
+  }
+
+  for (const season of applied.filter(candidate => candidate.adjustment_type === 'fixed')) {
+    adjusted += parseFloat(season.adjustment_value);
+  }
+
+  adjusted = Math.max(0, Math.round(adjusted * 100) / 100);
+
+  return {
+    price: adjusted,
+    adjustment: Math.round((adjusted - price) * 100) / 100,
+    season_ids: applied.map(season => season.season_id),
+    blackout
+  };
+};
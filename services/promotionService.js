@@ -0,0 +1,131 @@
+const Promotion = require('../models/promotionModel');
+const Voucher = require('../models/voucherModel');
+const Season = require('../models/seasonModel');
+const { getAppliedSeasons } = require('./pricingEngineService');
+
+/**
+ * Work out why a promotion can't be used on a ticket
+ * @param {Object} promotion - Promotion, with its uses so far
+ * @param {Object} context - route_id, class and fare_family of the ticket, the user's uses
+ *   of the promotion (userUses), whether the departure is on blackout dates, and now
+ * @returns {string|null} Reason the promotion doesn't apply, or null when it does
+ */
+exports.getIneligibilityReason = (promotion, context) => {
+  const now = context.now || new Date();
+
+  if (!promotion.is_active) {
+    return 'This promo code is no longer active';
+  }
+
+  if (promotion.valid_from && new Date(promotion.valid_from) > now) {
+    return 'This promo code is not valid yet';
+  }
+
+  if (promotion.valid_to && new Date(promotion.valid_to) < now) {
+    return 'This promo code has expired';
+  }
+
+  if (promotion.max_uses !== null && Number(promotion.uses) >= promotion.max_uses) {
+    return 'This promo code has been used up';
+  }
+
+  if (promotion.max_uses_per_user !== null && context.userUses >= promotion.max_uses_per_user) {
+    return 'You have already used this promo code the maximum number of times';
+  }
+
+  if (promotion.route_id && promotion.route_id !== context.route_id) {
+    return `This promo code is only valid on ${promotion.origin}-${promotion.destination}`;
+  }
+
+  if (promotion.class && promotion.class !== context.class) {
+    return `This promo code is only valid in ${promotion.class} class`;
+  }
+
+  if (promotion.fare_family && promotion.fare_family !== context.fare_family) {
+    return `This promo code is only valid on ${promotion.fare_family} fares`;
+  }
+
+  if (context.blackout) {
+    return 'Promo codes cannot be used on blackout dates';
+  }
+
+  return null;
+};
+
+/**
+ * Calculate the discount a promotion gives on a fare
+ * @param {Object} promotion - Promotion
+ * @param {number} price - Fare
+ * @returns {number} Discount rounded to cents, never more than the fare
+ */
+exports.calculateDiscount = (promotion, price) => {
+  const value = parseFloat(promotion.discount_value);
+  const discount = promotion.discount_type === 'percent' ? price * value / 100 : value;
+
+  return Math.round(Math.min(price, Math.max(0, discount)) * 100) / 100;
+};
+
+/**
+ * Check a promo code against a ticket and work out its discount
+ * @param {Object} sale - user_id, flight_id, route_id, class, fare_family, price and promo_code of the ticket
+ * @param {Object} transaction - Optional connection with an open transaction; locks the promotion
+ * @returns {Promise<Object>} { promotion, discount_amount }
+ * @throws {Error} When the promo code can't be used
+ */
+exports.applyPromotion = async (sale, transaction = null) => {
+  const promotion = await Promotion.getPromotionByCode(sale.promo_code, transaction);
+
+  if (!promotion) {
+    throw new Error(`Promo code ${sale.promo_code} not found`);
+  }
+
+  const seasons = await Season.getSeasonsForFlight(sale.flight_id, transaction);
+  const reason = exports.getIneligibilityReason(promotion, {
+    route_id: sale.route_id,
+    class: sale.class,
+    fare_family: sale.fare_family,
+    userUses: await Promotion.getUserUses(promotion.promotion_id, sale.user_id, transaction),
+    blackout: getAppliedSeasons(seasons).blackout
+  });
+
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  return {
+    promotion,
+    discount_amount: exports.calculateDiscount(promotion, sale.price)
+  };
+};
+
+/**
+ * Check a voucher can pay towards a ticket and work out how much it covers.
+ * A voucher only combines with a promo code that is stackable, and any credit
+ * it has beyond the amount due is forfeited.
+ * @param {Object} sale - user_id and voucher_code of the ticket
+ * @param {number} amountDue - What the ticket costs before the voucher
+ * @param {Object} promotion - Promotion already applied to the ticket, if any
+ * @param {Object} transaction - Optional connection with an open transaction; locks the voucher
+ * @returns {Promise<Object>} { voucher_id, voucher_amount }
+ * @throws {Error} When the voucher can't be used
+ */
+exports.applyVoucher = async (sale, amountDue, promotion = null, transaction = null) => {
+  if (promotion && !promotion.is_stackable) {
+    throw new Error(`Promo code ${promotion.code} cannot be combined with a voucher`);
+  }
+
+  const voucher = await Voucher.getVoucherByCode(sale.voucher_code, transaction);
+
+  if (!voucher || voucher.user_id !== sale.user_id) {
+    throw new Error(`Voucher not found with code ${sale.voucher_code}`);
+  }
+
+  if (voucher.status !== 'active') {
+    throw new Error(`Voucher ${voucher.code} is ${voucher.status}`);
+  }
+
+  return {
+    voucher_id: voucher.voucher_id,
+    voucher_amount: Math.min(amountDue, parseFloat(voucher.amount))
+  };
+};
@@ -0,0 +1,64 @@
+const RefundRule = require('../models/refundRuleModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Work out what a passenger gets back for cancelling a ticket. The rule with the
+ * longest notice period the cancellation still meets applies; a rule for the
+ * ticket's class wins over a rule for every class with the same notice period.
+ * The rules apply to the whole fare: what was paid in money comes back as a
+ * refund, the share paid with a voucher comes back as voucher credit.
+ * @param {Object} ticket - Ticket (price, voucher_amount, class, payment_status, is_refundable)
+ * @param {Object} flight - Flight the ticket is for (departure_time)
+ * @param {Date} now - Time of cancellation
+ * @returns {Promise<Object>} Refund quote
+ */
+exports.calculateRefund = async (ticket, flight, now = new Date()) => {
+  const price = parseFloat(ticket.price || 0);
+  const voucherAmount = parseFloat(ticket.voucher_amount || 0);
+  const hoursBeforeDeparture = (new Date(flight.departure_time) - now) / HOUR_MS;
+
+  const quote = {
+    ticket_id: ticket.ticket_id,
+    price,
+    voucher_amount: voucherAmount,
+    paid: ticket.payment_status === 'completed',
+    is_refundable: !!ticket.is_refundable,
+    hours_before_departure: Math.round(hoursBeforeDeparture * 10) / 10,
+    rule_id: null,
+    refund_percent: 0,
+    cancellation_fee: 0,
+    refund_amount: 0,
+    voucher_credit: 0
+  };
+
+  // The voucher was spent on the ticket even while the rest is unpaid
+  const paidValue = (quote.paid ? price : 0) + voucherAmount;
+
+  // Nothing was paid, or the fare doesn't allow refunds
+  if (paidValue <= 0 || !quote.is_refundable || hoursBeforeDeparture <= 0) {
+    return quote;
+  }
+
+  const rules = await RefundRule.getRulesForClass(ticket.class);
+  const rule = rules.find(candidate => candidate.min_hours_before_departure <= hoursBeforeDeparture);
+
+  if (!rule) {
+    return quote;
+  }
+
+  const refundPercent = parseFloat(rule.refund_percent);
+  const cancellationFee = parseFloat(rule.cancellation_fee);
+  const refund = Math.max(0, paidValue * refundPercent / 100 - cancellationFee);
+  // Money and voucher credit come back in the shares they paid for the ticket
+  const refundAmount = quote.paid ? Math.round(refund * price / paidValue * 100) / 100 : 0;
+
+  return {
+    ...quote,
+    rule_id: rule.rule_id,
+    refund_percent: refundPercent,
+    cancellation_fee: cancellationFee,
+    refund_amount: refundAmount,
+    voucher_credit: Math.round((refund - refundAmount) * 100) / 100
+  };
+};
@@ -1,8 +1,10 @@
 const { pool } = require('../config/database');
 const { formatDate } = require('../utils/dateFormat');
+const config = require('../config/config');
 
 /**
- * Generate detailed revenue report
+ * Generate detailed revenue report. Tickets sold in other currencies are
+ * normalized to the base currency at the rate each was sold at.
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
  * @returns {Promise<Object>} Revenue report
@@ -13,14 +15,18 @@ exports.generateRevenueReport = async (startDate, endDate) => {
       r.route_id,
       r.origin,
       r.destination,
-      COUNT(t.ticket_id) AS tickets_sold,
-      SUM(t.price) AS total_revenue,
-      AVG(t.price) AS average_ticket_price
+      SUM(t.status != 'cancelled') AS tickets_sold,
+      SUM((t.price - COALESCE(t.refund_amount, 0)) / t.exchange_rate) AS total_revenue,
+      AVG(t.price / t.exchange_rate) AS average_ticket_price,
+      SUM(t.discount_amount / t.exchange_rate) AS total_discounts,
+      SUM(t.voucher_amount / t.exchange_rate) AS total_voucher_credit,
+      SUM(IF(t.status = 'cancelled', 0, t.base_fare / t.exchange_rate)) AS total_base_fares,
+      SUM(IF(t.status = 'cancelled', 0, t.taxes_amount / t.exchange_rate)) AS total_taxes
     FROM tickets t
     JOIN flights f ON t.flight_id = f.flight_id
     JOIN routes r ON f.route_id = r.route_id
     WHERE t.booking_date BETWEEN ? AND ?
-    AND t.payment_status = 'completed'
+    AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
     GROUP BY r.route_id
     ORDER BY total_revenue DESC
   `, [startDate, endDate]);
@@ -28,12 +34,16 @@ exports.generateRevenueReport = async (startDate, endDate) => {
   const [classRevenue] = await pool.query(`
     SELECT 
       t.class,
-      COUNT(t.ticket_id) AS tickets_sold,
-      SUM(t.price) AS total_revenue,
-      AVG(t.price) AS average_ticket_price
+      SUM(t.status != 'cancelled') AS tickets_sold,
+      SUM((t.price - COALESCE(t.refund_amount, 0)) / t.exchange_rate) AS total_revenue,
+      AVG(t.price / t.exchange_rate) AS average_ticket_price,
+      SUM(t.discount_amount / t.exchange_rate) AS total_discounts,
+      SUM(t.voucher_amount / t.exchange_rate) AS total_voucher_credit,
+      SUM(IF(t.status = 'cancelled', 0, t.base_fare / t.exchange_rate)) AS total_base_fares,
+      SUM(IF(t.status = 'cancelled', 0, t.taxes_amount / t.exchange_rate)) AS total_taxes
     FROM tickets t
     WHERE t.booking_date BETWEEN ? AND ?
-    AND t.payment_status = 'completed'
+    AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
     GROUP BY t.class
     ORDER BY total_revenue DESC
   `, [startDate, endDate]);
@@ -42,11 +52,11 @@ exports.generateRevenueReport = async (startDate, endDate) => {
   const [dailyRevenue] = await pool.query(`
     SELECT 
       DATE(t.booking_date) AS booking_day,
-      COUNT(t.ticket_id) AS tickets_sold,
-      SUM(t.price) AS total_revenue
+      SUM(t.status != 'cancelled') AS tickets_sold,
+      SUM((t.price - COALESCE(t.refund_amount, 0)) / t.exchange_rate) AS total_revenue
     FROM tickets t
     WHERE t.booking_date BETWEEN ? AND ?
-    AND t.payment_status = 'completed'
+    AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
     GROUP BY booking_day
     ORDER BY booking_day
   `, [startDate, endDate]);
@@ -54,20 +64,62 @@ exports.generateRevenueReport = async (startDate, endDate) => {
   // Overall totals
   const [totals] = await pool.query(`
     SELECT 
-      COUNT(t.ticket_id) AS total_tickets_sold,
-      SUM(t.price) AS total_revenue,
-      AVG(t.price) AS average_ticket_price
+      SUM(t.status != 'cancelled') AS total_tickets_sold,
+      SUM(t.status = 'cancelled') AS total_tickets_cancelled,
+      SUM((t.price - COALESCE(t.refund_amount, 0)) / t.exchange_rate) AS total_revenue,
+      SUM(COALESCE(t.refund_amount, 0) / t.exchange_rate) AS total_refunded,
+      AVG(t.price / t.exchange_rate) AS average_ticket_price,
+      SUM(t.discount_amount / t.exchange_rate) AS total_discounts,
+      SUM(t.voucher_amount / t.exchange_rate) AS total_voucher_credit,
+      SUM(IF(t.status = 'cancelled', 0, t.base_fare / t.exchange_rate)) AS total_base_fares,
+      SUM(IF(t.status = 'cancelled', 0, t.taxes_amount / t.exchange_rate)) AS total_taxes
+    FROM tickets t
+    WHERE t.booking_date BETWEEN ? AND ?
+    AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
+  `, [startDate, endDate]);
+
+  // Discounts given by each promo code
+  const [promotionRevenue] = await pool.query(`
+    SELECT
+      p.promotion_id,
+      p.code,
+      SUM(t.status != 'cancelled') AS tickets_sold,
+      SUM(t.discount_amount / t.exchange_rate) AS total_discounts,
+      SUM((t.price - COALESCE(t.refund_amount, 0)) / t.exchange_rate) AS total_revenue
     FROM tickets t
+    JOIN promotions p ON t.promotion_id = p.promotion_id
+    WHERE t.booking_date BETWEEN ? AND ?
+    AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
+    GROUP BY p.promotion_id
+    ORDER BY total_discounts DESC
+  `, [startDate, endDate]);
+
+  // Taxes and fees collected on tickets still flown, by tax
+  const [taxRevenue] = await pool.query(`
+    SELECT
+      tt.category,
+      tt.code,
+      tt.name,
+      COUNT(*) AS tickets_charged,
+      SUM(tt.amount / t.exchange_rate) AS total_amount
+    FROM ticket_taxes tt
+    JOIN tickets t ON tt.ticket_id = t.ticket_id
     WHERE t.booking_date BETWEEN ? AND ?
-    AND t.payment_status = 'completed'
+    AND t.payment_status IN ('completed', 'partially_refunded', 'refunded')
+    AND t.status != 'cancelled'
+    GROUP BY tt.category, tt.code, tt.name
+    ORDER BY tt.category, total_amount DESC
   `, [startDate, endDate]);
 
   return {
     startDate,
     endDate,
+    currency: config.BASE_CURRENCY,
     routeRevenue,
     classRevenue,
     dailyRevenue,
+    promotionRevenue,
+    taxRevenue,
     totals: totals[0]
   };
 };
@@ -92,7 +144,7 @@ exports.generateOccupancyReport = async (startDate, endDate) => {
     FROM flights f
     JOIN routes r ON f.route_id = r.route_id
     JOIN aircraft a ON f.aircraft_id = a.aircraft_id
-    LEFT JOIN tickets t ON f.flight_id = t.flight_id
+    LEFT JOIN tickets t ON f.flight_id = t.flight_id AND t.status != 'cancelled'
     WHERE DATE(f.departure_time) BETWEEN ? AND ?
     GROUP BY f.flight_id
     ORDER BY flight_date, f.flight_number
@@ -105,7 +157,7 @@ exports.generateOccupancyReport = async (startDate, endDate) => {
  * Generate route popularity report
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {Promise<Array>} Route popularity
+ * @returns {Promise<Array>} Route popularity, revenue in the base currency
  */
 exports.generateRoutePopularityReport = async (startDate, endDate) => {
   const [rows] = await pool.query(`
@@ -115,10 +167,10 @@ exports.generateRoutePopularityReport = async (startDate, endDate) => {
       r.destination,
       COUNT(DISTINCT f.flight_id) AS flights_count,
       COUNT(t.ticket_id) AS tickets_sold,
-      SUM(t.price) AS total_revenue
+      SUM(t.price / t.exchange_rate) AS total_revenue
     FROM routes r
     LEFT JOIN flights f ON r.route_id = f.route_id AND DATE(f.departure_time) BETWEEN ? AND ?
-    LEFT JOIN tickets t ON f.flight_id = t.flight_id
+    LEFT JOIN tickets t ON f.flight_id = t.flight_id AND t.status != 'cancelled'
     GROUP BY r.route_id
     ORDER BY tickets_sold DESC
   `, [startDate, endDate]);
@@ -1,51 +1,71 @@
 const { pool } = require('../config/database');
-const { formatMySQLDateTime } = require('../utils/dateFormat');
+const {
+  formatMySQLDateTime,
+  formatInTimeZone,
+  zonedTimeToUtc,
+  toUtcDate,
+  addLocalTimes
+} = require('../utils/dateFormat');
 const logger = require('../utils/logger');
 
 /**
- * Create recurring flights based on a template
+ * Create recurring flights based on a template. The template's departure time
+ * of day is local to the origin airport, so every flight leaves at the same
+ * local time even when the airport's UTC offset changes for DST.
  * @param {Object} flightTemplate - Base flight details
- * @param {string} startDate - Start date (YYYY-MM-DD)
- * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} startDate - Start date (YYYY-MM-DD, local to the origin airport)
+ * @param {string} endDate - End date (YYYY-MM-DD, local to the origin airport)
  * @param {Array} daysOfWeek - Days to schedule (0=Sunday, 6=Saturday)
  * @returns {Promise<Array>} Created flight IDs
  */
 exports.createRecurringFlights = async (flightTemplate, startDate, endDate, daysOfWeek) => {
   const createdFlightIds = [];
-  const start = new Date(startDate);
-  const end = new Date(endDate);
   
   try {
     if (!flightTemplate.flight_number || !flightTemplate.route_id || 
         !flightTemplate.aircraft_id || !flightTemplate.departure_time) {
       throw new Error('Missing required flight template fields');
     }
-    const baseTime = new Date(flightTemplate.departure_time);
-    const hours = baseTime.getHours();
-    const minutes = baseTime.getMinutes();
+
+    const [routeRows] = await pool.query(`
+      SELECT
+        r.estimated_duration,
+        ao.timezone AS origin_timezone,
+        ad.timezone AS destination_timezone
+      FROM routes r
+      JOIN airports ao ON r.origin = ao.iata_code
+      JOIN airports ad ON r.destination = ad.iata_code
+      WHERE r.route_id = ?
+    `, [flightTemplate.route_id]);
+
+    if (routeRows.length === 0) {
+      throw new Error('Route not found');
+    }
+
+    const route = routeRows[0];
+    const baseTime = toUtcDate(flightTemplate.departure_time, route.origin_timezone);
+    // Time of day as seen on the origin airport's clock (HH:MM:SS)
+    const localDepartureTime = formatInTimeZone(baseTime, route.origin_timezone).split(' ')[1];
 
     let durationMs;
     if (flightTemplate.arrival_time) {
-      durationMs = new Date(flightTemplate.arrival_time) - baseTime;
+      durationMs = toUtcDate(flightTemplate.arrival_time, route.destination_timezone) - baseTime;
     } else {
-      // Get duration from route
-      const [routeRows] = await pool.query(
-        'SELECT estimated_duration FROM routes WHERE route_id = ?',
-        [flightTemplate.route_id]
-      );
-
-      if (routeRows.length === 0) {
-        throw new Error('Route not found');
-      }
       // Parse HH:MM:SS to milliseconds
-      const [routeHours, routeMinutes, routeSeconds] = routeRows[0].estimated_duration.split(':').map(Number);
+      const [routeHours, routeMinutes, routeSeconds] = route.estimated_duration.split(':').map(Number);
       durationMs = ((routeHours * 60 + routeMinutes) * 60 + routeSeconds) * 1000;
     }
 
-    for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
-      if (daysOfWeek.includes(day.getDay())) {
-        const departureTime = new Date(day);
-        departureTime.setHours(hours, minutes, 0, 0);
+    // Walk calendar dates rather than instants so DST changes can't shift the day
+    const dayMs = 24 * 60 * 60 * 1000;
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+
+    for (let day = Date.parse(`${startDate}T00:00:00Z`); day <= end; day += dayMs) {
+      const date = new Date(day);
+
+      if (daysOfWeek.includes(date.getUTCDay())) {
+        const localDate = date.toISOString().split('T')[0];
+        const departureTime = zonedTimeToUtc(`${localDate} ${localDepartureTime}`, route.origin_timezone);
         const arrivalTime = new Date(departureTime.getTime() + durationMs);
 
         const [result] = await pool.query(`
@@ -133,15 +153,17 @@ exports.getEmptyFlightsForCancellation = async (hoursThreshold = 24) => {
         f.departure_time,
         r.origin,
         r.destination,
-        (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) AS ticket_count
+        ao.timezone AS origin_timezone,
+        (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') AS ticket_count
       FROM flights f
       JOIN routes r ON f.route_id = r.route_id
+      JOIN airports ao ON r.origin = ao.iata_code
       WHERE f.departure_time BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? HOUR)
       AND f.status = 'scheduled'
-      AND (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id) = 0
+      AND (SELECT COUNT(*) FROM tickets t WHERE t.flight_id = f.flight_id AND t.status != 'cancelled') = 0
     `, [hoursThreshold]);
     
-    return rows;
+    return rows.map(addLocalTimes);
   } catch (error) {
     logger.error(`Error getting empty flights: ${error.message}`);
     throw error;
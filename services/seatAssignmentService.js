@@ -0,0 +1,248 @@
+const FlightSeats = require('../models/flightSeatsModel');
+
+const SEAT_PREFERENCES = ['window', 'aisle'];
+
+exports.SEAT_PREFERENCES = SEAT_PREFERENCES;
+
+/**
+ * Pick seats for a travel party on a flight. Seats side by side in one row are
+ * preferred, then seats in the same row, then seats in as few consecutive rows as possible.
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class to assign from
+ * @param {number} count - Number of seats
+ * @param {Object} options - Assignment options
+ * @param {string} options.preference - 'window' or 'aisle'; the first seat returned gets it when possible
+ * @param {number} options.userId - User whose own holds still count as available
+ * @param {Array<string>} options.exclude - Seats that must not be assigned
+ * @returns {Promise<Array<string>|null>} Seat numbers, or null when the class has too few free seats
+ */
+exports.assignSeats = async (flightId, seatClass, count, options = {}) => {
+  const { preference = null, userId = null, exclude = [] } = options;
+
+  const seats = await FlightSeats.getClassSeats(flightId, seatClass, userId);
+  const rows = buildRows(seats, exclude);
+  const freeCount = rows.reduce((sum, row) => sum + row.free.length, 0);
+
+  if (count < 1 || freeCount < count) {
+    return null;
+  }
+
+  const chosen = findAdjacentBlock(rows, count, preference) ||
+    findSameRow(rows, count, preference) ||
+    findConsecutiveRows(rows, count);
+
+  return orderByPreference(chosen, preference).map(seat => seat.seat_number);
+};
+
+/**
+ * Fill the missing entries of a party's seat list by auto-assignment
+ * @param {number} flightId - Flight ID
+ * @param {string} seatClass - Seat class
+ * @param {Array<string|null>} seatNumbers - Chosen seats, with null where a seat should be assigned
+ * @param {Object} options - Same options as assignSeats
+ * @returns {Promise<Array<string>>} Complete seat list in the same order
+ */
+exports.fillSeatNumbers = async (flightId, seatClass, seatNumbers, options = {}) => {
+  const missing = seatNumbers.filter(seat => !seat).length;
+
+  if (missing === 0) {
+    return seatNumbers;
+  }
+
+  const chosen = seatNumbers.filter(Boolean);
+  const assigned = await exports.assignSeats(flightId, seatClass, missing, {
+    ...options,
+    exclude: [...(options.exclude || []), ...chosen]
+  });
+
+  if (!assigned) {
+    throw new Error(`Not enough ${seatClass} seats available to assign ${missing} passenger(s)`);
+  }
+
+  return seatNumbers.map(seat => seat || assigned.shift());
+};
+
+/**
+ * Group a class's seats into cabin rows
+ * @param {Array} seats - Seats of the class in cabin order
+ * @param {Array<string>} exclude - Seats to treat as taken
+ * @returns {Array} Rows with all their seats and the free ones
+ */
+function buildRows(seats, exclude) {
+  const rows = [];
+
+  seats.forEach(seat => {
+    let row = rows[rows.length - 1];
+
+    if (!row || row.number !== seat.seat_row) {
+      row = { number: seat.seat_row, seats: [], free: [] };
+      rows.push(row);
+    }
+
+    const entry = { ...seat, index: row.seats.length };
+    row.seats.push(entry);
+
+    if (seat.available && !exclude.includes(seat.seat_number)) {
+      row.free.push(entry);
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Count the aisles between consecutive seats of a block
+ * @param {Array} block - Seats in letter order
+ * @returns {number} Number of aisle crossings
+ */
+function countAisleCrossings(block) {
+  let crossings = 0;
+
+  for (let i = 1; i < block.length; i++) {
+    if (block[i - 1].position === 'aisle' && block[i].position === 'aisle') {
+      crossings++;
+    }
+  }
+
+  return crossings;
+}
+
+/**
+ * Compare candidates by their scores, lowest first
+ * @param {Array<number>} a - Scores of the first candidate
+ * @param {Array<number>} b - Scores of the second candidate
+ * @returns {number} Sort order
+ */
+function compareScores(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Pick the best of several candidate seat groups
+ * @param {Array} candidates - Candidates ({ seats, scores })
+ * @returns {Array|null} Seats of the best candidate
+ */
+function pickBest(candidates) {
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  candidates.sort((a, b) => compareScores(a.scores, b.scores));
+  return candidates[0].seats;
+}
+
+/**
+ * Find free seats directly next to each other in one row
+ * @param {Array} rows - Cabin rows
+ * @param {number} count - Number of seats
+ * @param {string} preference - Preferred position
+ * @returns {Array|null} Seats, or null when no row has such a block
+ */
+function findAdjacentBlock(rows, count, preference) {
+  const candidates = [];
+
+  rows.forEach(row => {
+    for (let start = 0; start + count <= row.seats.length; start++) {
+      const block = row.seats.slice(start, start + count);
+
+      if (block.every(seat => row.free.includes(seat))) {
+        candidates.push({
+          seats: block,
+          scores: [countAisleCrossings(block), missesPreference(block, preference), row.number]
+        });
+      }
+    }
+  });
+
+  return pickBest(candidates);
+}
+
+/**
+ * Find free seats in one row, as close together as possible
+ * @param {Array} rows - Cabin rows
+ * @param {number} count - Number of seats
+ * @param {string} preference - Preferred position
+ * @returns {Array|null} Seats, or null when no row has enough free seats
+ */
+function findSameRow(rows, count, preference) {
+  const candidates = [];
+
+  rows.forEach(row => {
+    for (let start = 0; start + count <= row.free.length; start++) {
+      const group = row.free.slice(start, start + count);
+      const spread = group[group.length - 1].index - group[0].index;
+
+      candidates.push({
+        seats: group,
+        scores: [spread, missesPreference(group, preference), row.number]
+      });
+    }
+  });
+
+  return pickBest(candidates);
+}
+
+/**
+ * Find free seats spread over the fewest consecutive rows
+ * @param {Array} rows - Cabin rows
+ * @param {number} count - Number of seats
+ * @returns {Array} Seats in cabin order
+ */
+function findConsecutiveRows(rows, count) {
+  const candidates = [];
+
+  for (let start = 0; start < rows.length; start++) {
+    const group = [];
+    let end = start;
+
+    while (end < rows.length && group.length < count) {
+      group.push(...rows[end].free.slice(0, count - group.length));
+      end++;
+    }
+
+    if (group.length === count) {
+      candidates.push({
+        seats: group,
+        scores: [rows[end - 1].number - rows[start].number, rows[start].number]
+      });
+    }
+  }
+
+  return pickBest(candidates);
+}
+
+/**
+ * Score whether a group lacks a seat in the preferred position
+ * @param {Array} seats - Candidate seats
+ * @param {string} preference - Preferred position
+ * @returns {number} 0 when the preference is met (or there is none), otherwise 1
+ */
+function missesPreference(seats, preference) {
+  if (!preference) {
+    return 0;
+  }
+
+  return seats.some(seat => seat.position === preference) ? 0 : 1;
+}
+
+/**
+ * Put a seat in the preferred position first so the lead passenger gets it
+ * @param {Array} seats - Chosen seats
+ * @param {string} preference - Preferred position
+ * @returns {Array} Reordered seats
+ */
+function orderByPreference(seats, preference) {
+  const preferred = seats.findIndex(seat => seat.position === preference);
+
+  if (!preference || preferred <= 0) {
+    return seats;
+  }
+
+  return [seats[preferred], ...seats.slice(0, preferred), ...seats.slice(preferred + 1)];
+}
@@ -0,0 +1,42 @@
+const SeatHold = require('../models/seatHoldModel');
+const WaitlistService = require('./waitlistService');
+const logger = require('../utils/logger');
+
+let sweepTimer = null;
+
+/**
+ * Start periodically sweeping expired seat holds and waitlist offers
+ * @param {number} intervalSeconds - Seconds between sweeps
+ */
+exports.startHoldSweeper = (intervalSeconds) => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(async () => {
+    try {
+      await SeatHold.deleteExpiredHolds();
+    } catch (error) {
+      logger.error(`Error sweeping expired seat holds: ${error.message}`);
+    }
+
+    try {
+      await WaitlistService.expireOffers();
+    } catch (error) {
+      logger.error(`Error expiring waitlist offers: ${error.message}`);
+    }
+  }, intervalSeconds * 1000);
+
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+};
+
+/**
+ * Stop sweeping expired seat holds
+ */
+exports.stopHoldSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
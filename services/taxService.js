@@ -0,0 +1,31 @@
+const TAX_CATEGORIES = ['airport_charge', 'fuel_surcharge', 'vat', 'booking_fee'];
+const CALCULATIONS = ['percent', 'fixed'];
+
+exports.TAX_CATEGORIES = TAX_CATEGORIES;
+exports.CALCULATIONS = CALCULATIONS;
+
+/**
+ * Itemize the taxes and fees charged on a fare. Percentages are taken of the
+ * fare itself, so taxes are never charged on other taxes.
+ * @param {number} fare - Fare before taxes
+ * @param {Array} rules - Tax rules that apply to the flight
+ * @returns {Object} { items: [{ tax_rule_id, code, name, category, amount }], total }, amounts rounded to cents
+ */
+exports.calculateTaxes = (fare, rules) => {
+  const items = (rules || []).map(rule => {
+    const amount = parseFloat(rule.amount);
+
+    return {
+      tax_rule_id: rule.rule_id,
+      code: rule.code,
+      name: rule.name,
+      category: rule.category,
+      amount: Math.round((rule.calculation === 'percent' ? fare * amount / 100 : amount) * 100) / 100
+    };
+  });
+
+  return {
+    items,
+    total: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100
+  };
+};
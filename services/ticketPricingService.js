@@ -0,0 +1,47 @@
+const TaxRule = require('../models/taxRuleModel');
+const PromotionService = require('./promotionService');
+const { calculateTaxes } = require('./taxService');
+
+/**
+ * Work out what a ticket costs: the promo code's discount comes off the fare,
+ * the route's taxes and fees are charged on the discounted fare, and a voucher
+ * then pays towards the total
+ * @param {Object} sale - user_id, flight_id, route_id, class, fare_family, fare (before taxes),
+ *   and optional promo_code and voucher_code of the ticket
+ * @param {Object} transaction - Optional connection with an open transaction; locks the promotion and voucher
+ * @returns {Promise<Object>} { base_fare, promotion_id, discount_amount, taxes, taxes_amount,
+ *   voucher_id, voucher_amount, price }, price being what is left to pay
+ * @throws {Error} When the promo code or voucher can't be used
+ */
+exports.priceTicket = async (sale, transaction = null) => {
+  let promotion = null;
+  let discountAmount = 0;
+
+  if (sale.promo_code) {
+    ({ promotion, discount_amount: discountAmount } = await PromotionService.applyPromotion(
+      { ...sale, price: sale.fare },
+      transaction
+    ));
+  }
+
+  const baseFare = Math.round((sale.fare - discountAmount) * 100) / 100;
+  const taxes = calculateTaxes(baseFare, await TaxRule.getRulesForFlight(sale.flight_id, transaction));
+  const total = Math.round((baseFare + taxes.total) * 100) / 100;
+
+  let voucher = { voucher_id: null, voucher_amount: 0 };
+
+  if (sale.voucher_code) {
+    voucher = await PromotionService.applyVoucher(sale, total, promotion, transaction);
+  }
+
+  return {
+    base_fare: baseFare,
+    promotion_id: promotion ? promotion.promotion_id : null,
+    discount_amount: discountAmount,
+    taxes: taxes.items,
+    taxes_amount: taxes.total,
+    voucher_id: voucher.voucher_id,
+    voucher_amount: voucher.voucher_amount,
+    price: Math.round((total - voucher.voucher_amount) * 100) / 100
+  };
+};
@@ -0,0 +1,151 @@
+const { pool } = require('../config/database');
+const Waitlist = require('../models/waitlistModel');
+const Ticket = require('../models/ticketModel');
+const SeatHold = require('../models/seatHoldModel');
+const Fare = require('../models/fareModel');
+const logger = require('../utils/logger');
+
+/**
+ * Turn an open offer into a ticket for the offered seat at the quoted price
+ * @param {number} waitlistId - Waitlist entry ID
+ * @returns {Promise<Object>} { ticketId } or { error, status }
+ */
+exports.acceptOffer = async (waitlistId) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const entry = await Waitlist.getEntryById(waitlistId, connection);
+
+    if (entry.status !== 'offered') {
+      await connection.rollback();
+      return { error: `Waitlist entry has no open offer (status: ${entry.status})`, status: 409 };
+    }
+
+    if (new Date(entry.offer_expires_at) <= new Date()) {
+      await connection.rollback();
+      return { error: 'The offer has expired', status: 410 };
+    }
+
+    if (!['scheduled', 'delayed'].includes(entry.flight_status)) {
+      await connection.rollback();
+      return { error: `Flight is ${entry.flight_status} and no longer open for booking`, status: 400 };
+    }
+
+    const bucket = entry.offered_fare_bucket_id ? await Fare.getBucketById(entry.offered_fare_bucket_id) : null;
+
+    const ticketId = await Ticket.createTicket({
+      user_id: entry.user_id,
+      flight_id: entry.flight_id,
+      seat_number: entry.seat_number,
+      class: entry.class,
+      price: entry.offered_price,
+      fare_bucket_id: entry.offered_fare_bucket_id,
+      is_refundable: bucket ? !!bucket.is_refundable : true
+    }, connection);
+
+    await Waitlist.closeEntry(entry.waitlist_id, 'accepted', { ticket_id: ticketId }, connection);
+
+    await connection.commit();
+    return { ticketId };
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error accepting waitlist offer: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Take a user off the waitlist. A seat they were offered is passed on to the next in line.
+ * @param {number} waitlistId - Waitlist entry ID
+ * @returns {Promise<boolean>} Whether the entry was open and is now cancelled
+ */
+exports.leaveWaitlist = async (waitlistId) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const entry = await Waitlist.getEntryById(waitlistId, connection);
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      await connection.rollback();
+      return false;
+    }
+
+    await Waitlist.closeEntry(entry.waitlist_id, 'cancelled', {}, connection);
+
+    if (entry.status === 'offered') {
+      await passOn(connection, entry);
+    }
+
+    await connection.commit();
+    return true;
+  } catch (error) {
+    await connection.rollback();
+    logger.error(`Error leaving waitlist: ${error.message}`);
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Expire offers that were not accepted in time and offer their seats to the next in line
+ * @returns {Promise<number>} Number of offers expired
+ */
+exports.expireOffers = async () => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const offers = await Waitlist.getExpiredOffers(connection);
+
+    for (const offer of offers) {
+      await Waitlist.closeEntry(offer.waitlist_id, 'expired', {}, connection);
+      await passOn(connection, offer);
+    }
+
+    await connection.commit();
+
+    if (offers.length > 0) {
+      logger.info(`Expired ${offers.length} waitlist offer(s)`);
+    }
+
+    return offers.length;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Release the seat held for an offer and offer it to the next waiting user,
+ * provided it is still free
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} offer - Offer (flight_id, class, seat_number, user_id)
+ */
+async function passOn(connection, offer) {
+  await SeatHold.convertHold(connection, offer.flight_id, offer.seat_number, offer.user_id);
+
+  const [seats] = await connection.query(`
+    SELECT s.flight_seat_id
+    FROM flight_seats s
+    WHERE s.flight_id = ? AND s.seat_number = ? AND s.class = ? AND s.state = 'available'
+    AND NOT EXISTS (
+      SELECT 1 FROM seat_holds h
+      WHERE h.flight_id = s.flight_id AND h.seat_number = s.seat_number AND h.expires_at > NOW()
+    )
+    FOR UPDATE
+  `, [offer.flight_id, offer.seat_number, offer.class]);
+
+  if (seats.length > 0) {
+    await Waitlist.offerSeat(connection, offer.flight_id, offer.class, offer.seat_number);
+  }
+}
@@ -0,0 +1,718 @@
+-- Migration 1: Create seat_holds table
+CREATE TABLE seat_holds (
+    hold_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    seat_number VARCHAR(10) NOT NULL,
+    user_id INT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    UNIQUE KEY unique_flight_seat_hold (flight_id, seat_number) -- one hold per seat
+);
+
+CREATE INDEX idx_seat_holds_expiry ON seat_holds(expires_at);
+CREATE INDEX idx_seat_holds_user ON seat_holds(user_id);
+
+-- Migration 2: Create bookings table and link tickets to it
+CREATE TABLE bookings (
+    booking_id INT AUTO_INCREMENT PRIMARY KEY,
+    booking_reference CHAR(6) NOT NULL UNIQUE, -- PNR record locator
+    user_id INT NOT NULL, -- customer who made the booking
+    status ENUM('confirmed', 'cancelled') DEFAULT 'confirmed',
+    contact_email VARCHAR(100),
+    contact_phone VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+CREATE INDEX idx_bookings_user ON bookings(user_id);
+
+-- Migration 3: Keep cancelled tickets instead of deleting them
+ALTER TABLE tickets
+ADD COLUMN booking_id INT NULL AFTER flight_id,
+ADD COLUMN status ENUM('booked', 'cancelled') DEFAULT 'booked',
+ADD COLUMN active_seat VARCHAR(10) AS (IF(status = 'cancelled', NULL, seat_number)) STORED,
+ADD FOREIGN KEY (booking_id) REFERENCES bookings(booking_id);
+
+-- A seat is unique per flight only among tickets that are not cancelled
+ALTER TABLE tickets
+DROP INDEX unique_seat,
+ADD UNIQUE KEY unique_active_seat (flight_id, active_seat);
+
+CREATE INDEX idx_tickets_booking ON tickets(booking_id);
+
+-- Migration 4: Add trip type to bookings for round-trip and multi-leg itineraries
+ALTER TABLE bookings
+ADD COLUMN trip_type ENUM('one_way', 'round_trip', 'multi_city') DEFAULT 'one_way' AFTER user_id;
+
+-- Migration 5: Airport registry; routes refer to airports by IATA code
+CREATE TABLE airports (
+    airport_id INT AUTO_INCREMENT PRIMARY KEY,
+    iata_code CHAR(3) NOT NULL UNIQUE,
+    icao_code CHAR(4) UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    country VARCHAR(100) NOT NULL,
+    latitude DECIMAL(9,6),
+    longitude DECIMAL(9,6),
+    timezone VARCHAR(64) NOT NULL -- IANA time zone, e.g. Europe/Kyiv
+);
+
+INSERT INTO airports (iata_code, icao_code, name, city, country, latitude, longitude, timezone) VALUES
+('KBP', 'UKBB', 'Boryspil International Airport', 'Kyiv', 'Ukraine', 50.345000, 30.894700, 'Europe/Kyiv'),
+('LWO', 'UKLL', 'Lviv Danylo Halytskyi International Airport', 'Lviv', 'Ukraine', 49.812500, 23.956100, 'Europe/Kyiv'),
+('ODS', 'UKOO', 'Odesa International Airport', 'Odesa', 'Ukraine', 46.426700, 30.676500, 'Europe/Kyiv'),
+('HRK', 'UKHH', 'Kharkiv International Airport', 'Kharkiv', 'Ukraine', 49.924800, 36.290000, 'Europe/Kyiv'),
+('DNK', 'UKDD', 'Dnipro International Airport', 'Dnipro', 'Ukraine', 48.357200, 35.100600, 'Europe/Kyiv'),
+('WAW', 'EPWA', 'Warsaw Chopin Airport', 'Warsaw', 'Poland', 52.165700, 20.967100, 'Europe/Warsaw'),
+('KRK', 'EPKK', 'Krakow John Paul II International Airport', 'Krakow', 'Poland', 50.077700, 19.784800, 'Europe/Warsaw'),
+('VIE', 'LOWW', 'Vienna International Airport', 'Vienna', 'Austria', 48.110300, 16.569700, 'Europe/Vienna'),
+('IST', 'LTFM', 'Istanbul Airport', 'Istanbul', 'Turkey', 41.275300, 28.751900, 'Europe/Istanbul');
+
+-- Replace free-text city names (and codes typed in any case) with IATA codes
+UPDATE routes r
+JOIN airports a ON r.origin = a.city OR UPPER(r.origin) = a.iata_code
+SET r.origin = a.iata_code;
+
+UPDATE routes r
+JOIN airports a ON r.destination = a.city OR UPPER(r.destination) = a.iata_code
+SET r.destination = a.iata_code;
+
+-- Fails if any route still points at an unknown place; register its airport first and re-run the updates
+ALTER TABLE routes
+MODIFY origin CHAR(3) NOT NULL,
+MODIFY destination CHAR(3) NOT NULL,
+ADD FOREIGN KEY (origin) REFERENCES airports(iata_code),
+ADD FOREIGN KEY (destination) REFERENCES airports(iata_code);
+
+-- Migration 6: Store flight times in UTC
+-- The API now reads and writes DATETIMEs in UTC. Set @old_time_zone to the
+-- named time zone the server used so far, so each time is converted with the
+-- offset in effect on its own date (summer and winter time differ). Named zones
+-- need the MySQL time zone tables (mysql_tzinfo_to_sql); without them CONVERT_TZ
+-- returns NULL: the check below reports it and the UPDATE leaves every row as is.
+SET @old_time_zone = 'Europe/Kyiv';
+
+SELECT IF(CONVERT_TZ('2024-01-01 00:00:00', @old_time_zone, '+00:00') IS NULL,
+    'Load the MySQL time zone tables before running this migration',
+    'ok') AS time_zone_check;
+
+UPDATE flights
+SET
+    departure_time = CONVERT_TZ(departure_time, @old_time_zone, '+00:00'),
+    arrival_time = CONVERT_TZ(arrival_time, @old_time_zone, '+00:00')
+WHERE departure_time IS NOT NULL
+  AND CONVERT_TZ(departure_time, @old_time_zone, '+00:00') IS NOT NULL;
+
+-- Holds only last minutes; dropping them avoids converting their expiry
+DELETE FROM seat_holds;
+
+-- Migration 7: One row per seat in flight_seats instead of JSON arrays per class
+RENAME TABLE flight_seats TO flight_seats_json;
+
+CREATE TABLE flight_seats (
+    flight_seat_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    seat_number VARCHAR(10) NOT NULL,
+    seat_row SMALLINT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    state ENUM('available', 'booked') DEFAULT 'available',
+    ticket_id INT NULL, -- ticket occupying the seat while booked
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    UNIQUE KEY unique_flight_seat (flight_id, seat_number)
+);
+
+CREATE INDEX idx_flight_seats_class_state ON flight_seats(flight_id, class, state);
+
+INSERT INTO flight_seats (flight_id, seat_number, seat_row, class, state)
+SELECT
+    fs.flight_id,
+    jt.seat_number,
+    CAST(REGEXP_SUBSTR(jt.seat_number, '^[0-9]+') AS UNSIGNED),
+    fs.class,
+    'available'
+FROM flight_seats_json fs,
+JSON_TABLE(fs.available_seats, '$[*]' COLUMNS (seat_number VARCHAR(10) PATH '$')) jt;
+
+INSERT INTO flight_seats (flight_id, seat_number, seat_row, class, state)
+SELECT
+    fs.flight_id,
+    jt.seat_number,
+    CAST(REGEXP_SUBSTR(jt.seat_number, '^[0-9]+') AS UNSIGNED),
+    fs.class,
+    'booked'
+FROM flight_seats_json fs,
+JSON_TABLE(fs.booked_seats, '$[*]' COLUMNS (seat_number VARCHAR(10) PATH '$')) jt;
+
+-- Link booked seats to the tickets occupying them
+UPDATE flight_seats s
+JOIN tickets t ON t.flight_id = s.flight_id AND t.active_seat = s.seat_number
+SET s.ticket_id = t.ticket_id
+WHERE s.state = 'booked';
+
+DROP TABLE flight_seats_json;
+
+-- Migration 8: Cabin layout templates per aircraft model and per-seat attributes
+CREATE TABLE cabin_layouts (
+    layout_id INT AUTO_INCREMENT PRIMARY KEY,
+    aircraft_model VARCHAR(100) UNIQUE NOT NULL, -- matches aircraft.model
+    seat_letters VARCHAR(20) NOT NULL, -- letters of a row, '-' marks an aisle (e.g. 'ABC-DEF')
+    class_zones JSON NOT NULL, -- [{"class": "economy", "from_row": 11, "to_row": 30, "seat_letters": "ABC-DEF" (optional)}]
+    exit_rows JSON NOT NULL, -- row numbers
+    bassinet_seats JSON NOT NULL, -- seat numbers
+    extra_legroom_seats JSON NOT NULL, -- seat numbers
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT INTO cabin_layouts (aircraft_model, seat_letters, class_zones, exit_rows, bassinet_seats, extra_legroom_seats) VALUES
+('Boeing 737-800', 'ABC-DEF',
+ '[{"class": "first", "from_row": 1, "to_row": 2}, {"class": "business", "from_row": 3, "to_row": 7}, {"class": "woman_only", "from_row": 8, "to_row": 10}, {"class": "economy", "from_row": 11, "to_row": 30}]',
+ '[14, 15]', '["11A", "11F"]', '["11A", "11B", "11C", "11D", "11E", "11F", "15A", "15B", "15C", "15D", "15E", "15F"]'),
+('Airbus A320', 'ABC-DEF',
+ '[{"class": "first", "from_row": 1, "to_row": 2}, {"class": "business", "from_row": 3, "to_row": 7}, {"class": "woman_only", "from_row": 8, "to_row": 10}, {"class": "economy", "from_row": 11, "to_row": 30}]',
+ '[12, 13]', '["11C", "11D"]', '["11A", "11B", "11C", "11D", "11E", "11F", "12A", "12B", "12C", "12D", "12E", "12F"]'),
+('Airbus A321', 'ABC-DEF',
+ '[{"class": "first", "from_row": 1, "to_row": 2}, {"class": "business", "from_row": 3, "to_row": 8}, {"class": "woman_only", "from_row": 9, "to_row": 11}, {"class": "economy", "from_row": 12, "to_row": 36}]',
+ '[12, 26]', '["12C", "12D"]', '["12A", "12B", "12C", "12D", "12E", "12F", "26A", "26B", "26C", "26D", "26E", "26F"]'),
+('Embraer E190', 'AB-CD',
+ '[{"class": "first", "from_row": 1, "to_row": 1}, {"class": "business", "from_row": 2, "to_row": 4}, {"class": "woman_only", "from_row": 5, "to_row": 6}, {"class": "economy", "from_row": 7, "to_row": 26}]',
+ '[14]', '["7A", "7D"]', '["7A", "7B", "7C", "7D", "14A", "14B", "14C", "14D"]'),
+('Bombardier CRJ900', 'AB-CD',
+ '[{"class": "business", "from_row": 1, "to_row": 3}, {"class": "economy", "from_row": 4, "to_row": 22}]',
+ '[10, 11]', '[]', '["4A", "4B", "4C", "4D", "10A", "10B", "10C", "10D"]');
+
+ALTER TABLE flight_seats
+ADD COLUMN position ENUM('window', 'middle', 'aisle') NULL AFTER class,
+ADD COLUMN is_exit_row BOOLEAN DEFAULT FALSE AFTER position,
+ADD COLUMN has_bassinet BOOLEAN DEFAULT FALSE AFTER is_exit_row,
+ADD COLUMN extra_legroom BOOLEAN DEFAULT FALSE AFTER has_bassinet;
+
+-- Seat positions follow from the last seat letter of each flight (D: AB-CD, F: ABC-DEF, H: AB-CDEF-GH)
+CREATE TEMPORARY TABLE flight_last_letters AS
+SELECT flight_id, MAX(RIGHT(seat_number, 1)) AS last_letter
+FROM flight_seats
+GROUP BY flight_id;
+
+UPDATE flight_seats fs
+JOIN flight_last_letters l ON l.flight_id = fs.flight_id
+SET fs.position = CASE
+    WHEN RIGHT(fs.seat_number, 1) IN ('A', l.last_letter) THEN 'window'
+    WHEN l.last_letter = 'D' AND RIGHT(fs.seat_number, 1) IN ('B', 'C') THEN 'aisle'
+    WHEN l.last_letter = 'F' AND RIGHT(fs.seat_number, 1) IN ('C', 'D') THEN 'aisle'
+    WHEN l.last_letter = 'H' AND RIGHT(fs.seat_number, 1) IN ('B', 'C', 'F', 'G') THEN 'aisle'
+    ELSE 'middle'
+END;
+
+DROP TEMPORARY TABLE flight_last_letters;
+
+-- Exit rows, bassinets and extra legroom come from the cabin layout of the aircraft model
+UPDATE flight_seats fs
+JOIN flights f ON f.flight_id = fs.flight_id
+JOIN aircraft a ON a.aircraft_id = f.aircraft_id
+JOIN cabin_layouts cl ON cl.aircraft_model = a.model
+SET
+    fs.is_exit_row = JSON_CONTAINS(cl.exit_rows, CAST(fs.seat_row AS JSON)),
+    fs.has_bassinet = JSON_CONTAINS(cl.bassinet_seats, JSON_QUOTE(fs.seat_number)),
+    fs.extra_legroom = JSON_CONTAINS(cl.extra_legroom_seats, JSON_QUOTE(fs.seat_number));
+
+-- Migration 9: Flight cancellation with refunds, vouchers and rebooking
+-- Vouchers table (travel credit issued instead of a refund)
+CREATE TABLE vouchers (
+    voucher_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(16) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    status ENUM('active', 'redeemed') DEFAULT 'active',
+    source_ticket_id INT NULL, -- ticket the voucher compensates
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (source_ticket_id) REFERENCES tickets(ticket_id)
+);
+
+-- Flight Disruptions table (a flight cancellation and the policy it was settled with)
+CREATE TABLE flight_disruptions (
+    disruption_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    reason VARCHAR(255),
+    rebooking ENUM('auto', 'propose', 'none') NOT NULL,
+    compensation ENUM('refund', 'voucher') NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+-- Disruption Tickets table (what happened to each ticket of a disrupted flight)
+CREATE TABLE disruption_tickets (
+    disruption_ticket_id INT AUTO_INCREMENT PRIMARY KEY,
+    disruption_id INT NOT NULL,
+    ticket_id INT NOT NULL,
+    action ENUM('rebooked', 'refunded', 'voucher', 'cancelled') NOT NULL,
+    amount DECIMAL(10, 2) DEFAULT 0,
+    new_ticket_id INT NULL, -- ticket on the flight the passenger was moved to
+    voucher_id INT NULL,
+    proposed_flight_id INT NULL, -- alternative offered when rebooking is only proposed
+    FOREIGN KEY (disruption_id) REFERENCES flight_disruptions(disruption_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (new_ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (voucher_id) REFERENCES vouchers(voucher_id),
+    FOREIGN KEY (proposed_flight_id) REFERENCES flights(flight_id)
+);
+
+CREATE INDEX idx_vouchers_user ON vouchers(user_id);
+CREATE INDEX idx_disruptions_flight ON flight_disruptions(flight_id);
+
+-- Migration 10: Passenger ticket cancellation with refund rules
+ALTER TABLE tickets
+    MODIFY COLUMN payment_status ENUM('pending', 'completed', 'partially_refunded', 'refunded', 'transferred') DEFAULT 'pending',
+    ADD COLUMN is_refundable BOOLEAN DEFAULT TRUE AFTER price,
+    ADD COLUMN refund_amount DECIMAL(10, 2) NULL AFTER status,
+    ADD COLUMN cancelled_at DATETIME NULL AFTER refund_amount;
+
+-- Refund Rules table (share of the fare refunded by how long before departure a ticket is cancelled)
+CREATE TABLE refund_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    class ENUM('economy', 'business', 'first', 'woman_only') NULL, -- NULL applies to every class
+    min_hours_before_departure INT NOT NULL,
+    refund_percent DECIMAL(5, 2) NOT NULL,
+    cancellation_fee DECIMAL(10, 2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO refund_rules (class, min_hours_before_departure, refund_percent, cancellation_fee) VALUES
+(NULL, 168, 100.00, 0.00),
+(NULL, 24, 75.00, 10.00),
+(NULL, 2, 50.00, 20.00),
+(NULL, 0, 0.00, 0.00),
+('business', 24, 100.00, 0.00),
+('business', 2, 75.00, 0.00),
+('first', 24, 100.00, 0.00),
+('first', 2, 75.00, 0.00);
+
+-- Tickets moved to another flight by a cancellation no longer hold the payment
+UPDATE tickets t
+JOIN disruption_tickets dt ON dt.ticket_id = t.ticket_id AND dt.action = 'rebooked'
+SET t.payment_status = 'transferred'
+WHERE t.payment_status = 'completed';
+
+-- Refunds already given by flight cancellations
+UPDATE tickets t
+JOIN disruption_tickets dt ON dt.ticket_id = t.ticket_id AND dt.action = 'refunded'
+SET t.refund_amount = dt.amount;
+
+UPDATE tickets t
+JOIN disruption_tickets dt ON dt.ticket_id = t.ticket_id
+JOIN flight_disruptions d ON d.disruption_id = dt.disruption_id
+SET t.cancelled_at = d.created_at
+WHERE t.status = 'cancelled';
+
+-- Migration 11: Payment intents, refunds and provider webhooks
+-- Payment Intents table (a payment for one or more tickets through a payment provider)
+CREATE TABLE payment_intents (
+    intent_id INT AUTO_INCREMENT PRIMARY KEY,
+    reference VARCHAR(32) UNIQUE NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    provider_reference VARCHAR(64) NULL,
+    user_id INT NOT NULL,
+    booking_id INT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    status ENUM('requires_authorization', 'authorized', 'captured', 'partially_refunded', 'refunded', 'failed', 'canceled') DEFAULT 'requires_authorization',
+    amount_captured DECIMAL(10, 2) DEFAULT 0,
+    amount_refunded DECIMAL(10, 2) DEFAULT 0,
+    failure_reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+    UNIQUE KEY unique_provider_reference (provider, provider_reference)
+);
+
+ALTER TABLE tickets
+    ADD COLUMN payment_intent_id INT NULL AFTER cancelled_at,
+    ADD FOREIGN KEY (payment_intent_id) REFERENCES payment_intents(intent_id);
+
+-- Payment Refunds table (money returned from a captured payment)
+CREATE TABLE payment_refunds (
+    refund_id INT AUTO_INCREMENT PRIMARY KEY,
+    intent_id INT NOT NULL,
+    provider_refund_id VARCHAR(64) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    ticket_id INT NULL, -- ticket the refund is for, when refunded by cancelling a ticket
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (intent_id) REFERENCES payment_intents(intent_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    UNIQUE KEY unique_provider_refund (intent_id, provider_refund_id)
+);
+
+-- Payment Events table (webhook deliveries from payment providers, each handled once)
+CREATE TABLE payment_events (
+    payment_event_id INT AUTO_INCREMENT PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    provider_event_id VARCHAR(64) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    intent_id INT NULL,
+    payload JSON,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (intent_id) REFERENCES payment_intents(intent_id),
+    UNIQUE KEY unique_provider_event (provider, provider_event_id)
+);
+
+CREATE INDEX idx_payment_intents_user ON payment_intents(user_id);
+
+-- Migration 12: Online check-in and boarding passes
+ALTER TABLE flights
+    ADD COLUMN checkin_opens_minutes INT NULL AFTER woman_only_multiplier,
+    ADD COLUMN checkin_closes_minutes INT NULL AFTER checkin_opens_minutes;
+
+-- Check-ins table (online check-in of a ticket with its boarding group and sequence number)
+CREATE TABLE check_ins (
+    check_in_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL UNIQUE,
+    flight_id INT NOT NULL,
+    boarding_group TINYINT NOT NULL,
+    sequence_number INT NOT NULL,
+    checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checked_in_by INT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (checked_in_by) REFERENCES users(user_id),
+    UNIQUE KEY unique_flight_sequence (flight_id, sequence_number)
+);
+
+-- Migration 13: Gate boarding and departure control
+-- Boarding Records table (passengers boarded at the gate or recorded as no-shows)
+CREATE TABLE boarding_records (
+    boarding_record_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL UNIQUE,
+    flight_id INT NOT NULL,
+    status ENUM('boarded', 'no_show') NOT NULL,
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    recorded_by INT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (recorded_by) REFERENCES users(user_id)
+);
+
+-- Flight Manifests table (final manifest saved when a flight is closed at the gate)
+CREATE TABLE flight_manifests (
+    manifest_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    closed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by INT NULL,
+    boarded_count INT NOT NULL,
+    no_show_count INT NOT NULL,
+    manifest JSON NOT NULL, -- flight details, summary, boarded passengers and no-shows
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (closed_by) REFERENCES users(user_id)
+);
+
+CREATE INDEX idx_boarding_records_flight ON boarding_records(flight_id, status);
+
+-- Migration 14: Special service requests for passenger manifests
+-- Special Service Requests table (IATA SSR codes such as WCHR or VGML attached to a ticket)
+CREATE TABLE special_service_requests (
+    ssr_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL,
+    code CHAR(4) NOT NULL,
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by INT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    UNIQUE KEY unique_ticket_ssr (ticket_id, code)
+);
+
+-- Migration 15: Waitlist for sold-out flights and classes
+-- Waitlist Entries table (customers queued for a sold-out class; a freed seat is held for the first in line)
+CREATE TABLE waitlist_entries (
+    waitlist_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    user_id INT NOT NULL,
+    status ENUM('waiting', 'offered', 'accepted', 'expired', 'cancelled') DEFAULT 'waiting',
+    seat_number VARCHAR(10) NULL, -- seat held for the user while offered
+    offered_price DECIMAL(10, 2) NULL,
+    offered_at DATETIME NULL,
+    offer_expires_at DATETIME NULL,
+    ticket_id INT NULL, -- ticket an accepted offer became
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    open_entry TINYINT AS (IF(status IN ('waiting', 'offered'), 1, NULL)) STORED,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    UNIQUE KEY unique_open_waitlist_entry (flight_id, class, user_id, open_entry)
+);
+
+CREATE INDEX idx_waitlist_queue ON waitlist_entries(flight_id, class, status);
+CREATE INDEX idx_waitlist_offer_expiry ON waitlist_entries(status, offer_expires_at);
+
+-- Migration 16: Overbooking and denied boarding
+-- Tickets sold past capacity have no seat until one frees up
+ALTER TABLE tickets
+    MODIFY COLUMN seat_number VARCHAR(10) NULL;
+
+ALTER TABLE check_ins
+    ADD COLUMN volunteer BOOLEAN DEFAULT FALSE AFTER checked_in_by;
+
+-- Overbooking Rules table (tickets a class may sell beyond its seats, per flight or per route)
+CREATE TABLE overbooking_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NULL,
+    route_id INT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    extra_seats INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    UNIQUE KEY unique_flight_class_rule (flight_id, class),
+    UNIQUE KEY unique_route_class_rule (route_id, class),
+    CHECK ((flight_id IS NULL) <> (route_id IS NULL)),
+    CHECK (extra_seats >= 0)
+);
+
+-- Denied Boardings table (passengers offloaded from an oversold flight and their compensation)
+CREATE TABLE denied_boardings (
+    denied_boarding_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    ticket_id INT NOT NULL UNIQUE,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    type ENUM('voluntary', 'involuntary') NOT NULL,
+    seat_given_to INT NULL, -- unseated ticket that took over a volunteer's seat
+    compensation_amount DECIMAL(10, 2) NOT NULL,
+    compensation_method ENUM('voucher', 'cash') NOT NULL,
+    voucher_id INT NULL,
+    refund_amount DECIMAL(10, 2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by INT NULL,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (seat_given_to) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (voucher_id) REFERENCES vouchers(voucher_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+CREATE INDEX idx_denied_boardings_flight ON denied_boardings(flight_id);
+
+-- Migration 17: Fare families and booking-class fare buckets
+-- Fare Families table (fare products sold in every cabin, each with its own rules)
+CREATE TABLE fare_families (
+    fare_family_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    is_refundable BOOLEAN DEFAULT FALSE,
+    change_fee DECIMAL(10, 2) NULL, -- NULL when the fare allows no changes
+    checked_bags TINYINT DEFAULT 0,
+    checked_bag_kg TINYINT DEFAULT 23,
+    carry_on_kg TINYINT DEFAULT 8,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Fare Buckets table (booking classes of a cabin on a flight, each with its own price and inventory)
+CREATE TABLE fare_buckets (
+    bucket_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    booking_code CHAR(1) NOT NULL, -- RBD letter, e.g. Y, M, Q
+    fare_family_id INT NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    seat_limit INT NOT NULL, -- tickets the bucket may sell
+    is_open BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (fare_family_id) REFERENCES fare_families(fare_family_id),
+    UNIQUE KEY unique_flight_booking_code (flight_id, booking_code),
+    CHECK (price >= 0),
+    CHECK (seat_limit >= 0)
+);
+
+ALTER TABLE tickets
+    ADD COLUMN fare_bucket_id INT NULL AFTER payment_intent_id,
+    ADD FOREIGN KEY (fare_bucket_id) REFERENCES fare_buckets(bucket_id);
+
+ALTER TABLE waitlist_entries
+    ADD COLUMN offered_fare_bucket_id INT NULL AFTER offered_price,
+    ADD FOREIGN KEY (offered_fare_bucket_id) REFERENCES fare_buckets(bucket_id) ON DELETE SET NULL;
+
+-- Insert fare families
+INSERT INTO fare_families (code, name, is_refundable, change_fee, checked_bags, checked_bag_kg, carry_on_kg) VALUES
+('BASIC', 'Basic', FALSE, NULL, 0, 23, 8),
+('STANDARD', 'Standard', FALSE, 50.00, 1, 23, 8),
+('FLEX', 'Flex', TRUE, 0.00, 2, 23, 10);
+
+-- Migration 18: Dynamic pricing curves
+-- Pricing Curves table (dynamic pricing per route by cabin load factor and days to departure)
+CREATE TABLE pricing_curves (
+    curve_id INT AUTO_INCREMENT PRIMARY KEY,
+    route_id INT NOT NULL UNIQUE,
+    load_factor_steps JSON NOT NULL, -- [{"min_load_factor": 0.8, "multiplier": 1.3}, ...]
+    days_steps JSON NOT NULL, -- [{"max_days": 7, "multiplier": 1.2}, ...]
+    min_multiplier DECIMAL(4, 2) DEFAULT 0.50,
+    max_multiplier DECIMAL(4, 2) DEFAULT 3.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    CHECK (min_multiplier > 0 AND max_multiplier >= min_multiplier)
+);
+
+-- Migration 19: Route pricing rules replace 'PR' pricing pseudo-flights
+-- Pricing Rules table (route base price and class multipliers, optionally for a date range or weekdays)
+CREATE TABLE pricing_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    route_id INT NOT NULL,
+    valid_from DATE NULL, -- departure dates (local to the origin) the rule applies to; NULL for open-ended
+    valid_to DATE NULL,
+    days_of_week SET('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun') NULL, -- NULL for every day
+    -- NULL fields are left to less specific rules or the flight itself
+    base_price DECIMAL(10, 2) NULL,
+    economy_multiplier DECIMAL(4, 2) NULL,
+    business_multiplier DECIMAL(4, 2) NULL,
+    first_multiplier DECIMAL(4, 2) NULL,
+    woman_only_multiplier DECIMAL(4, 2) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    CHECK (valid_from IS NULL OR valid_to IS NULL OR valid_from <= valid_to)
+);
+
+CREATE INDEX idx_pricing_rules_route ON pricing_rules(route_id, valid_from, valid_to);
+
+-- Pricing used to be stored as flights with a generated 'PR' number and no aircraft or times
+INSERT INTO pricing_rules (
+    route_id, base_price, economy_multiplier, business_multiplier, first_multiplier, woman_only_multiplier
+)
+SELECT
+    route_id, base_price, economy_class_multiplier, business_class_multiplier, first_class_multiplier, woman_only_multiplier
+FROM flights
+WHERE flight_number LIKE 'PR%' AND aircraft_id IS NULL AND departure_time IS NULL AND route_id IS NOT NULL
+ORDER BY flight_id;
+
+DELETE FROM flights
+WHERE flight_number LIKE 'PR%' AND aircraft_id IS NULL AND departure_time IS NULL;
+
+-- Migration 20: Seasons and blackout dates
+-- Seasons table (price adjustments for departure dates, per route or network-wide)
+CREATE TABLE seasons (
+    season_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    route_id INT NULL, -- NULL for every route
+    start_date DATE NOT NULL, -- departure dates (local to the origin) the season covers
+    end_date DATE NOT NULL,
+    adjustment_type ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent',
+    adjustment_value DECIMAL(10, 2) NOT NULL DEFAULT 0, -- e.g. 20 for +20%, -15 for 15 off
+    is_blackout BOOLEAN DEFAULT FALSE, -- no discounts apply on these dates
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id) ON DELETE CASCADE,
+    CHECK (start_date <= end_date),
+    CHECK (NOT is_blackout OR adjustment_value >= 0)
+);
+
+CREATE INDEX idx_seasons_dates ON seasons(start_date, end_date);
+
+-- Migration 21: Promo codes and voucher redemption at booking time
+-- Promotions table (promo codes taken off fares at booking time)
+CREATE TABLE promotions (
+    promotion_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(32) UNIQUE NOT NULL,
+    description VARCHAR(255) NULL,
+    discount_type ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent',
+    discount_value DECIMAL(10, 2) NOT NULL,
+    valid_from DATETIME NULL, -- booking times the code is accepted; NULL for open-ended
+    valid_to DATETIME NULL,
+    max_uses INT NULL, -- tickets the code may be used on in total; NULL for no limit
+    max_uses_per_user INT NULL,
+    -- Eligibility; NULL for any route, class or fare family
+    route_id INT NULL,
+    class ENUM('economy', 'business', 'first', 'woman_only') NULL,
+    fare_family_id INT NULL,
+    is_stackable BOOLEAN DEFAULT FALSE, -- whether the code combines with a voucher
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    FOREIGN KEY (fare_family_id) REFERENCES fare_families(fare_family_id),
+    CHECK (discount_value > 0),
+    CHECK (discount_type != 'percent' OR discount_value <= 100)
+);
+
+ALTER TABLE tickets
+    ADD COLUMN promotion_id INT NULL AFTER fare_bucket_id,
+    ADD COLUMN discount_amount DECIMAL(10, 2) DEFAULT 0 AFTER promotion_id,
+    ADD COLUMN voucher_amount DECIMAL(10, 2) DEFAULT 0 AFTER discount_amount,
+    ADD FOREIGN KEY (promotion_id) REFERENCES promotions(promotion_id);
+
+ALTER TABLE vouchers
+    ADD COLUMN redeemed_ticket_id INT NULL AFTER source_ticket_id,
+    ADD FOREIGN KEY (redeemed_ticket_id) REFERENCES tickets(ticket_id);
+
+-- Migration 22: Taxes, fees and surcharges on fares
+-- Tax Rules table (taxes and fees charged on fares, by airport or country)
+CREATE TABLE tax_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(8) NOT NULL, -- e.g. UA, YQ, VAT
+    name VARCHAR(100) NOT NULL,
+    category ENUM('airport_charge', 'fuel_surcharge', 'vat', 'booking_fee') NOT NULL,
+    -- Scope; NULL for any departure airport, arrival airport or departure country
+    departure_airport CHAR(3) NULL,
+    arrival_airport CHAR(3) NULL,
+    country VARCHAR(100) NULL,
+    calculation ENUM('percent', 'fixed') NOT NULL DEFAULT 'fixed', -- percent of the fare, or an amount per ticket
+    amount DECIMAL(10, 2) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (departure_airport) REFERENCES airports(iata_code),
+    FOREIGN KEY (arrival_airport) REFERENCES airports(iata_code),
+    CHECK (amount >= 0),
+    CHECK (calculation != 'percent' OR amount <= 100)
+);
+
+-- Ticket Taxes table (taxes and fees a ticket was charged, kept when the rule changes)
+CREATE TABLE ticket_taxes (
+    ticket_tax_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL,
+    tax_rule_id INT NULL,
+    code VARCHAR(8) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    category ENUM('airport_charge', 'fuel_surcharge', 'vat', 'booking_fee') NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE,
+    FOREIGN KEY (tax_rule_id) REFERENCES tax_rules(rule_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_ticket_taxes_ticket ON ticket_taxes(ticket_id);
+
+ALTER TABLE tickets
+    ADD COLUMN base_fare DECIMAL(10, 2) NULL AFTER voucher_amount,
+    ADD COLUMN taxes_amount DECIMAL(10, 2) DEFAULT 0 AFTER base_fare;
+
+-- Tickets sold so far were charged no taxes
+UPDATE tickets SET base_fare = price + voucher_amount WHERE price IS NOT NULL;
+
+-- Migration 23: Multi-currency fares and tickets
+-- Exchange Rates table (rates from the base currency, each in effect from a date until the next one)
+CREATE TABLE exchange_rates (
+    rate_id INT AUTO_INCREMENT PRIMARY KEY,
+    currency CHAR(3) NOT NULL, -- ISO 4217 code, e.g. EUR
+    rate DECIMAL(18, 8) NOT NULL, -- units of the currency per unit of the base currency
+    effective_from DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_currency_effective_from (currency, effective_from),
+    CHECK (rate > 0)
+);
+
+ALTER TABLE fare_buckets
+    ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER price;
+
+-- Tickets sold so far were sold in the base currency
+ALTER TABLE tickets
+    ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'USD' AFTER taxes_amount,
+    ADD COLUMN exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1 AFTER currency;
+
+-- Migration 24: Single-use fare quotes
+ALTER TABLE tickets
+    ADD COLUMN quote_id VARCHAR(36) NULL UNIQUE AFTER exchange_rate;
@@ -2,13 +2,28 @@
 CREATE DATABASE IF NOT EXISTS airline_transportation;
 USE airline_transportation;
 
+-- Airports table
+CREATE TABLE IF NOT EXISTS airports (
+    airport_id INT AUTO_INCREMENT PRIMARY KEY,
+    iata_code CHAR(3) NOT NULL UNIQUE,
+    icao_code CHAR(4) UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    country VARCHAR(100) NOT NULL,
+    latitude DECIMAL(9,6),
+    longitude DECIMAL(9,6),
+    timezone VARCHAR(64) NOT NULL -- IANA time zone, e.g. Europe/Kyiv
+);
+
 -- Routes table
 CREATE TABLE IF NOT EXISTS routes (
     route_id INT AUTO_INCREMENT PRIMARY KEY,
-    origin VARCHAR(100) NOT NULL,
-    destination VARCHAR(100) NOT NULL,
+    origin CHAR(3) NOT NULL, -- airport IATA code
+    destination CHAR(3) NOT NULL, -- airport IATA code
     distance FLOAT NOT NULL,
     estimated_duration TIME NOT NULL,
+    FOREIGN KEY (origin) REFERENCES airports(iata_code),
+    FOREIGN KEY (destination) REFERENCES airports(iata_code),
     UNIQUE KEY unique_route (origin, destination)
 );
 
@@ -54,6 +69,18 @@ CREATE TABLE IF NOT EXISTS aircraft (
     FOREIGN KEY (crew_id) REFERENCES crews(crew_id)
 );
 
+-- Cabin Layouts table (seat configuration template per aircraft model)
+CREATE TABLE IF NOT EXISTS cabin_layouts (
+    layout_id INT AUTO_INCREMENT PRIMARY KEY,
+    aircraft_model VARCHAR(100) UNIQUE NOT NULL, -- matches aircraft.model
+    seat_letters VARCHAR(20) NOT NULL, -- letters of a row, '-' marks an aisle (e.g. 'ABC-DEF')
+    class_zones JSON NOT NULL, -- [{"class": "economy", "from_row": 11, "to_row": 30, "seat_letters": "ABC-DEF" (optional)}]
+    exit_rows JSON NOT NULL, -- row numbers
+    bassinet_seats JSON NOT NULL, -- seat numbers
+    extra_legroom_seats JSON NOT NULL, -- seat numbers
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Flights table (with class multipliers)
 CREATE TABLE IF NOT EXISTS flights (
     flight_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -69,6 +96,8 @@ CREATE TABLE IF NOT EXISTS flights (
     business_class_multiplier DECIMAL(4,2) DEFAULT 2.5,
     economy_class_multiplier DECIMAL(4,2) DEFAULT 1.0,
     woman_only_multiplier DECIMAL(4,2) DEFAULT 1.2,
+    checkin_opens_minutes INT NULL, -- minutes before departure; NULL uses CHECKIN_OPENS_MINUTES
+    checkin_closes_minutes INT NULL, -- minutes before departure; NULL uses CHECKIN_CLOSES_MINUTES
     FOREIGN KEY (route_id) REFERENCES routes(route_id),
     FOREIGN KEY (aircraft_id) REFERENCES aircraft(aircraft_id)
 );
@@ -88,30 +117,455 @@ CREATE TABLE IF NOT EXISTS users (
     gender VARCHAR(10)
 );
 
+-- Bookings table (PNR grouping passengers and tickets)
+CREATE TABLE IF NOT EXISTS bookings (
+    booking_id INT AUTO_INCREMENT PRIMARY KEY,
+    booking_reference CHAR(6) NOT NULL UNIQUE,
+    user_id INT NOT NULL,
+    trip_type ENUM('one_way', 'round_trip', 'multi_city') DEFAULT 'one_way',
+    status ENUM('confirmed', 'cancelled') DEFAULT 'confirmed',
+    contact_email VARCHAR(100),
+    contact_phone VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id)
+);
+
+-- Payment Intents table (a payment for one or more tickets through a payment provider)
+CREATE TABLE IF NOT EXISTS payment_intents (
+    intent_id INT AUTO_INCREMENT PRIMARY KEY,
+    reference VARCHAR(32) UNIQUE NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    provider_reference VARCHAR(64) NULL,
+    user_id INT NOT NULL,
+    booking_id INT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    status ENUM('requires_authorization', 'authorized', 'captured', 'partially_refunded', 'refunded', 'failed', 'canceled') DEFAULT 'requires_authorization',
+    amount_captured DECIMAL(10, 2) DEFAULT 0,
+    amount_refunded DECIMAL(10, 2) DEFAULT 0,
+    failure_reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+    UNIQUE KEY unique_provider_reference (provider, provider_reference)
+);
+
+-- Exchange Rates table (rates from the base currency, each in effect from a date until the next one)
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    rate_id INT AUTO_INCREMENT PRIMARY KEY,
+    currency CHAR(3) NOT NULL, -- ISO 4217 code, e.g. EUR
+    rate DECIMAL(18, 8) NOT NULL, -- units of the currency per unit of the base currency
+    effective_from DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_currency_effective_from (currency, effective_from),
+    CHECK (rate > 0)
+);
+
+-- Fare Families table (fare products sold in every cabin, each with its own rules)
+CREATE TABLE IF NOT EXISTS fare_families (
+    fare_family_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    is_refundable BOOLEAN DEFAULT FALSE,
+    change_fee DECIMAL(10, 2) NULL, -- NULL when the fare allows no changes
+    checked_bags TINYINT DEFAULT 0,
+    checked_bag_kg TINYINT DEFAULT 23,
+    carry_on_kg TINYINT DEFAULT 8,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Fare Buckets table (booking classes of a cabin on a flight, each with its own price and inventory)
+CREATE TABLE IF NOT EXISTS fare_buckets (
+    bucket_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    booking_code CHAR(1) NOT NULL, -- RBD letter, e.g. Y, M, Q
+    fare_family_id INT NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'USD', -- currency the price is filed in
+    seat_limit INT NOT NULL, -- tickets the bucket may sell
+    is_open BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (fare_family_id) REFERENCES fare_families(fare_family_id),
+    UNIQUE KEY unique_flight_booking_code (flight_id, booking_code),
+    CHECK (price >= 0),
+    CHECK (seat_limit >= 0)
+);
+
+-- Pricing Rules table (route base price and class multipliers, optionally for a date range or weekdays)
+CREATE TABLE IF NOT EXISTS pricing_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    route_id INT NOT NULL,
+    valid_from DATE NULL, -- departure dates (local to the origin) the rule applies to; NULL for open-ended
+    valid_to DATE NULL,
+    days_of_week SET('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun') NULL, -- NULL for every day
+    -- NULL fields are left to less specific rules or the flight itself
+    base_price DECIMAL(10, 2) NULL,
+    economy_multiplier DECIMAL(4, 2) NULL,
+    business_multiplier DECIMAL(4, 2) NULL,
+    first_multiplier DECIMAL(4, 2) NULL,
+    woman_only_multiplier DECIMAL(4, 2) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    CHECK (valid_from IS NULL OR valid_to IS NULL OR valid_from <= valid_to)
+);
+
+-- Pricing Curves table (dynamic pricing per route by cabin load factor and days to departure)
+CREATE TABLE IF NOT EXISTS pricing_curves (
+    curve_id INT AUTO_INCREMENT PRIMARY KEY,
+    route_id INT NOT NULL UNIQUE,
+    load_factor_steps JSON NOT NULL, -- [{"min_load_factor": 0.8, "multiplier": 1.3}, ...]
+    days_steps JSON NOT NULL, -- [{"max_days": 7, "multiplier": 1.2}, ...]
+    min_multiplier DECIMAL(4, 2) DEFAULT 0.50,
+    max_multiplier DECIMAL(4, 2) DEFAULT 3.00,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    CHECK (min_multiplier > 0 AND max_multiplier >= min_multiplier)
+);
+
+-- Seasons table (price adjustments for departure dates, per route or network-wide)
+CREATE TABLE IF NOT EXISTS seasons (
+    season_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    route_id INT NULL, -- NULL for every route
+    start_date DATE NOT NULL, -- departure dates (local to the origin) the season covers
+    end_date DATE NOT NULL,
+    adjustment_type ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent',
+    adjustment_value DECIMAL(10, 2) NOT NULL DEFAULT 0, -- e.g. 20 for +20%, -15 for 15 off
+    is_blackout BOOLEAN DEFAULT FALSE, -- no discounts apply on these dates
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id) ON DELETE CASCADE,
+    CHECK (start_date <= end_date),
+    CHECK (NOT is_blackout OR adjustment_value >= 0)
+);
+
+-- Promotions table (promo codes taken off fares at booking time)
+CREATE TABLE IF NOT EXISTS promotions (
+    promotion_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(32) UNIQUE NOT NULL,
+    description VARCHAR(255) NULL,
+    discount_type ENUM('percent', 'fixed') NOT NULL DEFAULT 'percent',
+    discount_value DECIMAL(10, 2) NOT NULL,
+    valid_from DATETIME NULL, -- booking times the code is accepted; NULL for open-ended
+    valid_to DATETIME NULL,
+    max_uses INT NULL, -- tickets the code may be used on in total; NULL for no limit
+    max_uses_per_user INT NULL,
+    -- Eligibility; NULL for any route, class or fare family
+    route_id INT NULL,
+    class ENUM('economy', 'business', 'first', 'woman_only') NULL,
+    fare_family_id INT NULL,
+    is_stackable BOOLEAN DEFAULT FALSE, -- whether the code combines with a voucher
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    FOREIGN KEY (fare_family_id) REFERENCES fare_families(fare_family_id),
+    CHECK (discount_value > 0),
+    CHECK (discount_type != 'percent' OR discount_value <= 100)
+);
+
+-- Tax Rules table (taxes and fees charged on fares, by airport or country)
+CREATE TABLE IF NOT EXISTS tax_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(8) NOT NULL, -- e.g. UA, YQ, VAT
+    name VARCHAR(100) NOT NULL,
+    category ENUM('airport_charge', 'fuel_surcharge', 'vat', 'booking_fee') NOT NULL,
+    -- Scope; NULL for any departure airport, arrival airport or departure country
+    departure_airport CHAR(3) NULL,
+    arrival_airport CHAR(3) NULL,
+    country VARCHAR(100) NULL,
+    calculation ENUM('percent', 'fixed') NOT NULL DEFAULT 'fixed', -- percent of the fare, or an amount per ticket
+    amount DECIMAL(10, 2) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (departure_airport) REFERENCES airports(iata_code),
+    FOREIGN KEY (arrival_airport) REFERENCES airports(iata_code),
+    CHECK (amount >= 0),
+    CHECK (calculation != 'percent' OR amount <= 100)
+);
+
 -- Tickets table with woman_only class
 CREATE TABLE IF NOT EXISTS tickets (
     ticket_id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
     flight_id INT NOT NULL,
-    seat_number VARCHAR(10) NOT NULL,
+    booking_id INT,
+    seat_number VARCHAR(10) NULL, -- NULL while a ticket sold past capacity (overbooking) has no seat
     class ENUM('economy', 'business', 'first', 'woman_only') DEFAULT 'economy',
-    price DECIMAL(10, 2),
+    price DECIMAL(10, 2), -- left to pay: fare after discount, plus taxes, less the voucher
+    is_refundable BOOLEAN DEFAULT TRUE,
     booking_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    payment_status ENUM('pending', 'completed', 'refunded') DEFAULT 'pending',
+    -- 'transferred' marks a paid ticket whose payment moved to a rebooked ticket
+    payment_status ENUM('pending', 'completed', 'partially_refunded', 'refunded', 'transferred') DEFAULT 'pending',
+    status ENUM('booked', 'cancelled') DEFAULT 'booked',
+    refund_amount DECIMAL(10, 2) NULL,
+    cancelled_at DATETIME NULL,
+    payment_intent_id INT NULL, -- payment that paid for the ticket
+    fare_bucket_id INT NULL, -- bucket the fare was sold from; NULL when priced by class multiplier
+    promotion_id INT NULL, -- promo code the ticket was sold with
+    discount_amount DECIMAL(10, 2) DEFAULT 0, -- taken off the fare by the promo code
+    voucher_amount DECIMAL(10, 2) DEFAULT 0, -- paid with a voucher
+    base_fare DECIMAL(10, 2) NULL, -- fare after the promo code discount, before taxes
+    taxes_amount DECIMAL(10, 2) DEFAULT 0, -- itemized in ticket_taxes
+    -- Every amount of the ticket is in its currency; reports divide by the rate it was sold at
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1, -- units of the currency per unit of the base currency
+    quote_id VARCHAR(36) NULL UNIQUE, -- fare quote token (jti) the ticket was booked with; each is used once
+    -- Cancelled tickets keep their seat_number but no longer claim the seat
+    active_seat VARCHAR(10) AS (IF(status = 'cancelled', NULL, seat_number)) STORED,
     FOREIGN KEY (user_id) REFERENCES users(user_id),
     FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
-    UNIQUE KEY unique_seat (flight_id, seat_number)
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id),
+    FOREIGN KEY (payment_intent_id) REFERENCES payment_intents(intent_id),
+    FOREIGN KEY (fare_bucket_id) REFERENCES fare_buckets(bucket_id),
+    FOREIGN KEY (promotion_id) REFERENCES promotions(promotion_id),
+    UNIQUE KEY unique_active_seat (flight_id, active_seat)
 );
 
--- Flight Seats table
+-- Ticket Taxes table (taxes and fees a ticket was charged, kept when the rule changes)
+CREATE TABLE IF NOT EXISTS ticket_taxes (
+    ticket_tax_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL,
+    tax_rule_id INT NULL,
+    code VARCHAR(8) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    category ENUM('airport_charge', 'fuel_surcharge', 'vat', 'booking_fee') NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id) ON DELETE CASCADE,
+    FOREIGN KEY (tax_rule_id) REFERENCES tax_rules(rule_id) ON DELETE SET NULL
+);
+
+-- Flight Seats table (one row per seat on a flight)
 CREATE TABLE IF NOT EXISTS flight_seats (
     flight_seat_id INT AUTO_INCREMENT PRIMARY KEY,
     flight_id INT NOT NULL,
+    seat_number VARCHAR(10) NOT NULL,
+    seat_row SMALLINT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    position ENUM('window', 'middle', 'aisle') NULL,
+    is_exit_row BOOLEAN DEFAULT FALSE,
+    has_bassinet BOOLEAN DEFAULT FALSE,
+    extra_legroom BOOLEAN DEFAULT FALSE,
+    state ENUM('available', 'booked') DEFAULT 'available',
+    ticket_id INT NULL, -- ticket occupying the seat while booked
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    UNIQUE KEY unique_flight_seat (flight_id, seat_number)
+);
+
+-- Seat Holds table (temporary holds placed during checkout)
+CREATE TABLE IF NOT EXISTS seat_holds (
+    hold_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    seat_number VARCHAR(10) NOT NULL,
+    user_id INT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    UNIQUE KEY unique_flight_seat_hold (flight_id, seat_number)
+);
+
+-- Vouchers table (travel credit issued instead of a refund)
+CREATE TABLE IF NOT EXISTS vouchers (
+    voucher_id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(16) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    status ENUM('active', 'redeemed') DEFAULT 'active',
+    source_ticket_id INT NULL, -- ticket the voucher compensates
+    redeemed_ticket_id INT NULL, -- ticket the voucher was spent on
+    expires_at DATETIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (source_ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (redeemed_ticket_id) REFERENCES tickets(ticket_id)
+);
+
+-- Overbooking Rules table (tickets a class may sell beyond its seats, per flight or per route)
+CREATE TABLE IF NOT EXISTS overbooking_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NULL,
+    route_id INT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    extra_seats INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (route_id) REFERENCES routes(route_id),
+    UNIQUE KEY unique_flight_class_rule (flight_id, class),
+    UNIQUE KEY unique_route_class_rule (route_id, class),
+    CHECK ((flight_id IS NULL) <> (route_id IS NULL)),
+    CHECK (extra_seats >= 0)
+);
+
+-- Denied Boardings table (passengers offloaded from an oversold flight and their compensation)
+CREATE TABLE IF NOT EXISTS denied_boardings (
+    denied_boarding_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    ticket_id INT NOT NULL UNIQUE,
     class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
-    available_seats JSON NOT NULL,
-    booked_seats JSON NOT NULL,
+    type ENUM('voluntary', 'involuntary') NOT NULL,
+    seat_given_to INT NULL, -- unseated ticket that took over a volunteer's seat
+    compensation_amount DECIMAL(10, 2) NOT NULL,
+    compensation_method ENUM('voucher', 'cash') NOT NULL,
+    voucher_id INT NULL,
+    refund_amount DECIMAL(10, 2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by INT NULL,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (seat_given_to) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (voucher_id) REFERENCES vouchers(voucher_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+-- Flight Disruptions table (a flight cancellation and the policy it was settled with)
+CREATE TABLE IF NOT EXISTS flight_disruptions (
+    disruption_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    reason VARCHAR(255),
+    rebooking ENUM('auto', 'propose', 'none') NOT NULL,
+    compensation ENUM('refund', 'voucher') NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id)
+);
+
+-- Disruption Tickets table (what happened to each ticket of a disrupted flight)
+CREATE TABLE IF NOT EXISTS disruption_tickets (
+    disruption_ticket_id INT AUTO_INCREMENT PRIMARY KEY,
+    disruption_id INT NOT NULL,
+    ticket_id INT NOT NULL,
+    action ENUM('rebooked', 'refunded', 'voucher', 'cancelled') NOT NULL,
+    amount DECIMAL(10, 2) DEFAULT 0,
+    new_ticket_id INT NULL, -- ticket on the flight the passenger was moved to
+    voucher_id INT NULL,
+    proposed_flight_id INT NULL, -- alternative offered when rebooking is only proposed
+    FOREIGN KEY (disruption_id) REFERENCES flight_disruptions(disruption_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (new_ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (voucher_id) REFERENCES vouchers(voucher_id),
+    FOREIGN KEY (proposed_flight_id) REFERENCES flights(flight_id)
+);
+
+-- Payment Refunds table (money returned from a captured payment)
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    refund_id INT AUTO_INCREMENT PRIMARY KEY,
+    intent_id INT NOT NULL,
+    provider_refund_id VARCHAR(64) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    ticket_id INT NULL, -- ticket the refund is for, when refunded by cancelling a ticket
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (intent_id) REFERENCES payment_intents(intent_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    UNIQUE KEY unique_provider_refund (intent_id, provider_refund_id)
+);
+
+-- Payment Events table (webhook deliveries from payment providers, each handled once)
+CREATE TABLE IF NOT EXISTS payment_events (
+    payment_event_id INT AUTO_INCREMENT PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    provider_event_id VARCHAR(64) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    intent_id INT NULL,
+    payload JSON,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (intent_id) REFERENCES payment_intents(intent_id),
+    UNIQUE KEY unique_provider_event (provider, provider_event_id)
+);
+
+-- Check-ins table (online check-in of a ticket with its boarding group and sequence number)
+CREATE TABLE IF NOT EXISTS check_ins (
+    check_in_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL UNIQUE,
+    flight_id INT NOT NULL,
+    boarding_group TINYINT NOT NULL,
+    sequence_number INT NOT NULL,
+    checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checked_in_by INT NULL,
+    volunteer BOOLEAN DEFAULT FALSE, -- would give up the seat for compensation if the flight is oversold
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
     FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
-    UNIQUE KEY unique_flight_class (flight_id, class)
+    FOREIGN KEY (checked_in_by) REFERENCES users(user_id),
+    UNIQUE KEY unique_flight_sequence (flight_id, sequence_number)
+);
+
+-- Boarding Records table (passengers boarded at the gate or recorded as no-shows)
+CREATE TABLE IF NOT EXISTS boarding_records (
+    boarding_record_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL UNIQUE,
+    flight_id INT NOT NULL,
+    status ENUM('boarded', 'no_show') NOT NULL,
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    recorded_by INT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (recorded_by) REFERENCES users(user_id)
+);
+
+-- Flight Manifests table (final manifest saved when a flight is closed at the gate)
+CREATE TABLE IF NOT EXISTS flight_manifests (
+    manifest_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    closed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by INT NULL,
+    boarded_count INT NOT NULL,
+    no_show_count INT NOT NULL,
+    manifest JSON NOT NULL, -- flight details, summary, boarded passengers and no-shows
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (closed_by) REFERENCES users(user_id)
+);
+
+-- Special Service Requests table (IATA SSR codes such as WCHR or VGML attached to a ticket)
+CREATE TABLE IF NOT EXISTS special_service_requests (
+    ssr_id INT AUTO_INCREMENT PRIMARY KEY,
+    ticket_id INT NOT NULL,
+    code CHAR(4) NOT NULL,
+    note VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by INT NULL,
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (created_by) REFERENCES users(user_id),
+    UNIQUE KEY unique_ticket_ssr (ticket_id, code)
+);
+
+-- Waitlist Entries table (customers queued for a sold-out class; a freed seat is held for the first in line)
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    waitlist_id INT AUTO_INCREMENT PRIMARY KEY,
+    flight_id INT NOT NULL,
+    class ENUM('first', 'business', 'economy', 'woman_only') NOT NULL,
+    user_id INT NOT NULL,
+    status ENUM('waiting', 'offered', 'accepted', 'expired', 'cancelled') DEFAULT 'waiting',
+    seat_number VARCHAR(10) NULL, -- seat held for the user while offered
+    offered_price DECIMAL(10, 2) NULL,
+    offered_fare_bucket_id INT NULL, -- bucket the offered price was quoted from
+    offered_at DATETIME NULL,
+    offer_expires_at DATETIME NULL,
+    ticket_id INT NULL, -- ticket an accepted offer became
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    open_entry TINYINT AS (IF(status IN ('waiting', 'offered'), 1, NULL)) STORED,
+    FOREIGN KEY (flight_id) REFERENCES flights(flight_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id),
+    FOREIGN KEY (ticket_id) REFERENCES tickets(ticket_id),
+    FOREIGN KEY (offered_fare_bucket_id) REFERENCES fare_buckets(bucket_id) ON DELETE SET NULL,
+    UNIQUE KEY unique_open_waitlist_entry (flight_id, class, user_id, open_entry)
+);
+
+-- Refund Rules table (share of the fare refunded by how long before departure a ticket is cancelled)
+CREATE TABLE IF NOT EXISTS refund_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    class ENUM('economy', 'business', 'first', 'woman_only') NULL, -- NULL applies to every class
+    min_hours_before_departure INT NOT NULL,
+    refund_percent DECIMAL(5, 2) NOT NULL,
+    cancellation_fee DECIMAL(10, 2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes for better query performance
@@ -119,34 +573,88 @@ CREATE INDEX idx_flights_departure ON flights(departure_time);
 CREATE INDEX idx_flights_route ON flights(route_id);
 CREATE INDEX idx_tickets_flight ON tickets(flight_id);
 CREATE INDEX idx_tickets_user ON tickets(user_id);
+CREATE INDEX idx_tickets_booking ON tickets(booking_id);
+CREATE INDEX idx_bookings_user ON bookings(user_id);
 CREATE INDEX idx_crew_assignments_crew ON crew_assignments(crew_id);
 CREATE INDEX idx_crew_assignments_member ON crew_assignments(crew_member_id);
+CREATE INDEX idx_flight_seats_class_state ON flight_seats(flight_id, class, state);
+CREATE INDEX idx_seat_holds_expiry ON seat_holds(expires_at);
+CREATE INDEX idx_seat_holds_user ON seat_holds(user_id);
+CREATE INDEX idx_vouchers_user ON vouchers(user_id);
+CREATE INDEX idx_disruptions_flight ON flight_disruptions(flight_id);
+CREATE INDEX idx_payment_intents_user ON payment_intents(user_id);
+CREATE INDEX idx_boarding_records_flight ON boarding_records(flight_id, status);
+CREATE INDEX idx_waitlist_queue ON waitlist_entries(flight_id, class, status);
+CREATE INDEX idx_waitlist_offer_expiry ON waitlist_entries(status, offer_expires_at);
+CREATE INDEX idx_denied_boardings_flight ON denied_boardings(flight_id);
+CREATE INDEX idx_pricing_rules_route ON pricing_rules(route_id, valid_from, valid_to);
+CREATE INDEX idx_seasons_dates ON seasons(start_date, end_date);
+CREATE INDEX idx_ticket_taxes_ticket ON ticket_taxes(ticket_id);
 
 -- Clear existing data (if any)
 SET FOREIGN_KEY_CHECKS = 0;
+TRUNCATE TABLE denied_boardings;
+TRUNCATE TABLE overbooking_rules;
+TRUNCATE TABLE waitlist_entries;
+TRUNCATE TABLE special_service_requests;
+TRUNCATE TABLE flight_manifests;
+TRUNCATE TABLE boarding_records;
+TRUNCATE TABLE check_ins;
+TRUNCATE TABLE payment_events;
+TRUNCATE TABLE payment_refunds;
+TRUNCATE TABLE payment_intents;
+TRUNCATE TABLE refund_rules;
+TRUNCATE TABLE disruption_tickets;
+TRUNCATE TABLE flight_disruptions;
+TRUNCATE TABLE vouchers;
+TRUNCATE TABLE seat_holds;
 TRUNCATE TABLE flight_seats;
+TRUNCATE TABLE ticket_taxes;
 TRUNCATE TABLE tickets;
+TRUNCATE TABLE fare_buckets;
+TRUNCATE TABLE fare_families;
+TRUNCATE TABLE pricing_curves;
+TRUNCATE TABLE pricing_rules;
+TRUNCATE TABLE seasons;
+TRUNCATE TABLE promotions;
+TRUNCATE TABLE tax_rules;
+TRUNCATE TABLE exchange_rates;
+TRUNCATE TABLE bookings;
 TRUNCATE TABLE users;
 TRUNCATE TABLE flights;
 TRUNCATE TABLE aircraft;
+TRUNCATE TABLE cabin_layouts;
 TRUNCATE TABLE crew_assignments;
 TRUNCATE TABLE crews;
 TRUNCATE TABLE crew_members;
 TRUNCATE TABLE routes;
+TRUNCATE TABLE airports;
 SET FOREIGN_KEY_CHECKS = 1;
 
+-- Insert Airports
+INSERT INTO airports (airport_id, iata_code, icao_code, name, city, country, latitude, longitude, timezone) VALUES
+(1, 'KBP', 'UKBB', 'Boryspil International Airport', 'Kyiv', 'Ukraine', 50.345000, 30.894700, 'Europe/Kyiv'),
+(2, 'LWO', 'UKLL', 'Lviv Danylo Halytskyi International Airport', 'Lviv', 'Ukraine', 49.812500, 23.956100, 'Europe/Kyiv'),
+(3, 'ODS', 'UKOO', 'Odesa International Airport', 'Odesa', 'Ukraine', 46.426700, 30.676500, 'Europe/Kyiv'),
+(4, 'HRK', 'UKHH', 'Kharkiv International Airport', 'Kharkiv', 'Ukraine', 49.924800, 36.290000, 'Europe/Kyiv'),
+(5, 'DNK', 'UKDD', 'Dnipro International Airport', 'Dnipro', 'Ukraine', 48.357200, 35.100600, 'Europe/Kyiv'),
+(6, 'WAW', 'EPWA', 'Warsaw Chopin Airport', 'Warsaw', 'Poland', 52.165700, 20.967100, 'Europe/Warsaw'),
+(7, 'KRK', 'EPKK', 'Krakow John Paul II International Airport', 'Krakow', 'Poland', 50.077700, 19.784800, 'Europe/Warsaw'),
+(8, 'VIE', 'LOWW', 'Vienna International Airport', 'Vienna', 'Austria', 48.110300, 16.569700, 'Europe/Vienna'),
+(9, 'IST', 'LTFM', 'Istanbul Airport', 'Istanbul', 'Turkey', 41.275300, 28.751900, 'Europe/Istanbul');
+
 -- Insert Routes
 INSERT INTO routes (route_id, origin, destination, distance, estimated_duration) VALUES
-(1, 'Kyiv', 'Lviv', 470, '01:10:00'),
-(2, 'Kyiv', 'Odesa', 440, '01:05:00'),
-(3, 'Kyiv', 'Kharkiv', 410, '01:00:00'),
-(4, 'Kyiv', 'Warsaw', 690, '01:40:00'),
-(5, 'Kyiv', 'Vienna', 1060, '02:10:00'),
-(6, 'Lviv', 'Krakow', 210, '00:40:00'),
-(7, 'Odesa', 'Istanbul', 670, '01:30:00'),
-(8, 'Kharkiv', 'Dnipro', 220, '00:45:00'),
-(9, 'Lviv', 'Vienna', 590, '01:20:00'),
-(10, 'Odesa', 'Warsaw', 780, '01:45:00');
+(1, 'KBP', 'LWO', 470, '01:10:00'),
+(2, 'KBP', 'ODS', 440, '01:05:00'),
+(3, 'KBP', 'HRK', 410, '01:00:00'),
+(4, 'KBP', 'WAW', 690, '01:40:00'),
+(5, 'KBP', 'VIE', 1060, '02:10:00'),
+(6, 'LWO', 'KRK', 210, '00:40:00'),
+(7, 'ODS', 'IST', 670, '01:30:00'),
+(8, 'HRK', 'DNK', 220, '00:45:00'),
+(9, 'LWO', 'VIE', 590, '01:20:00'),
+(10, 'ODS', 'WAW', 780, '01:45:00');
 
 -- Insert Crew Members
 INSERT INTO crew_members (crew_member_id, first_name, last_name, role, license_number, date_of_birth, experience_years, contact_number, email) VALUES
@@ -182,7 +690,42 @@ INSERT INTO aircraft (aircraft_id, model, registration_number, capacity, manufac
 (6, 'Airbus A319', 'UR-CNK', 156, 2014, NULL, 'maintenance'),
 (7, 'Bombardier CRJ900', 'UR-DNT', 90, 2016, 3, 'active');
 
+-- Insert Cabin Layouts
+INSERT INTO cabin_layouts (aircraft_model, seat_letters, class_zones, exit_rows, bassinet_seats, extra_legroom_seats) VALUES
+('Boeing 737-800', 'ABC-DEF',
+ '[{"class": "first", "from_row": 1, "to_row": 2}, {"class": "business", "from_row": 3, "to_row": 7}, {"class": "woman_only", "from_row": 8, "to_row": 10}, {"class": "economy", "from_row": 11, "to_row": 30}]',
+ '[14, 15]', '["11A", "11F"]', '["11A", "11B", "11C", "11D", "11E", "11F", "15A", "15B", "15C", "15D", "15E", "15F"]'),
+('Airbus A320', 'ABC-DEF',
+ '[{"class": "first", "from_row": 1, "to_row": 2}, {"class": "business", "from_row": 3, "to_row": 7}, {"class": "woman_only", "from_row": 8, "to_row": 10}, {"class": "economy", "from_row": 11, "to_row": 30}]',
+ '[12, 13]', '["11C", "11D"]', '["11A", "11B", "11C", "11D", "11E", "11F", "12A", "12B", "12C", "12D", "12E", "12F"]'),
+('Airbus A321', 'ABC-DEF',
+ '[{"class": "first", "from_row": 1, "to_row": 2}, {"class": "business", "from_row": 3, "to_row": 8}, {"class": "woman_only", "from_row": 9, "to_row": 11}, {"class": "economy", "from_row": 12, "to_row": 36}]',
+ '[12, 26]', '["12C", "12D"]', '["12A", "12B", "12C", "12D", "12E", "12F", "26A", "26B", "26C", "26D", "26E", "26F"]'),
+('Embraer E190', 'AB-CD',
+ '[{"class": "first", "from_row": 1, "to_row": 1}, {"class": "business", "from_row": 2, "to_row": 4}, {"class": "woman_only", "from_row": 5, "to_row": 6}, {"class": "economy", "from_row": 7, "to_row": 26}]',
+ '[14]', '["7A", "7D"]', '["7A", "7B", "7C", "7D", "14A", "14B", "14C", "14D"]'),
+('Bombardier CRJ900', 'AB-CD',
+ '[{"class": "business", "from_row": 1, "to_row": 3}, {"class": "economy", "from_row": 4, "to_row": 22}]',
+ '[10, 11]', '[]', '["4A", "4B", "4C", "4D", "10A", "10B", "10C", "10D"]');
+
+-- Insert fare families
+INSERT INTO fare_families (code, name, is_refundable, change_fee, checked_bags, checked_bag_kg, carry_on_kg) VALUES
+('BASIC', 'Basic', FALSE, NULL, 0, 23, 8),
+('STANDARD', 'Standard', FALSE, 50.00, 1, 23, 8),
+('FLEX', 'Flex', TRUE, 0.00, 2, 23, 10);
+
 -- Insert Users (merged with passengers) with gender
+-- Insert refund rules
+INSERT INTO refund_rules (class, min_hours_before_departure, refund_percent, cancellation_fee) VALUES
+(NULL, 168, 100.00, 0.00),
+(NULL, 24, 75.00, 10.00),
+(NULL, 2, 50.00, 20.00),
+(NULL, 0, 0.00, 0.00),
+('business', 24, 100.00, 0.00),
+('business', 2, 75.00, 0.00),
+('first', 24, 100.00, 0.00),
+('first', 2, 75.00, 0.00);
+
 INSERT INTO users (user_id, first_name, last_name, email, password, role, passport_number, nationality, date_of_birth, contact_number, gender) VALUES
 -- Admin and worker users
 (1, 'Admin', 'User', 'admin@airline.com', 'admin123', 'admin', NULL, NULL, NULL, NULL, 'male'),
@@ -200,38 +743,45 @@ INSERT INTO users (user_id, first_name, last_name, email, password, role, passpo
 (12, 'Emma', 'Wilson', 'emma.wilson@example.com', 'password123', 'user', 'FD456782', 'American', '1994-02-19', '+380509012345', 'female'),
 (13, 'Andrii', 'Savchenko', 'andrii.savchenko@example.com', 'password123', 'user', 'FD567893', 'Ukrainian', '1986-06-30', '+380500123456', 'male');
 
--- Insert Flights with base prices and class multipliers
+-- Insert Flights with base prices and class multipliers (times in UTC)
 INSERT INTO flights 
 (flight_id, flight_number, route_id, aircraft_id, departure_time, arrival_time, status, gate, base_price, first_class_multiplier, business_class_multiplier, economy_class_multiplier, woman_only_multiplier) VALUES
-(1, 'PS101', 1, 1, '2025-04-20 08:00:00', '2025-04-20 09:10:00', 'scheduled', 'A1', 200.00, 4.0, 2.5, 1.0, 1.2),
-(2, 'PS102', 2, 2, '2025-04-21 10:30:00', '2025-04-21 11:35:00', 'scheduled', 'B2', 180.00, 4.2, 2.7, 1.0, 1.2),
-(3, 'PS103', 3, 3, '2025-04-22 14:15:00', '2025-04-22 15:15:00', 'scheduled', 'C3', 160.00, 4.0, 2.5, 1.0, 1.2),
-(4, 'PS104', 4, 4, '2025-04-23 06:45:00', '2025-04-23 08:25:00', 'scheduled', 'D4', 300.00, 3.8, 2.4, 1.0, 1.1),
-(5, 'PS105', 5, 5, '2025-04-24 12:00:00', '2025-04-24 14:10:00', 'scheduled', 'E5', 350.00, 4.0, 2.6, 1.0, 1.2),
-(6, 'PS106', 6, 3, '2025-04-25 16:30:00', '2025-04-25 17:10:00', 'scheduled', 'F6', 150.00, 4.0, 2.5, 1.0, 1.2),
-(7, 'PS107', 7, 7, '2025-04-26 09:20:00', '2025-04-26 10:50:00', 'scheduled', 'G7', 220.00, 4.0, 2.5, 1.0, 1.2);
+(1, 'PS101', 1, 1, '2025-04-20 05:00:00', '2025-04-20 06:10:00', 'scheduled', 'A1', 200.00, 4.0, 2.5, 1.0, 1.2),
+(2, 'PS102', 2, 2, '2025-04-21 07:30:00', '2025-04-21 08:35:00', 'scheduled', 'B2', 180.00, 4.2, 2.7, 1.0, 1.2),
+(3, 'PS103', 3, 3, '2025-04-22 11:15:00', '2025-04-22 12:15:00', 'scheduled', 'C3', 160.00, 4.0, 2.5, 1.0, 1.2),
+(4, 'PS104', 4, 4, '2025-04-23 03:45:00', '2025-04-23 05:25:00', 'scheduled', 'D4', 300.00, 3.8, 2.4, 1.0, 1.1),
+(5, 'PS105', 5, 5, '2025-04-24 09:00:00', '2025-04-24 11:10:00', 'scheduled', 'E5', 350.00, 4.0, 2.6, 1.0, 1.2),
+(6, 'PS106', 6, 3, '2025-04-25 13:30:00', '2025-04-25 14:10:00', 'scheduled', 'F6', 150.00, 4.0, 2.5, 1.0, 1.2),
+(7, 'PS107', 7, 7, '2025-04-26 06:20:00', '2025-04-26 07:50:00', 'scheduled', 'G7', 220.00, 4.0, 2.5, 1.0, 1.2);
 
 -- Initialize flight seats for each flight
+-- Seats are listed per class here and expanded into one row per seat below
+CREATE TEMPORARY TABLE seed_flight_seats (
+    flight_id INT NOT NULL,
+    class VARCHAR(20) NOT NULL,
+    seats JSON NOT NULL
+);
+
 -- Flight 1 (Boeing 737-800)
-INSERT INTO flight_seats (flight_id, class, available_seats, booked_seats) VALUES
-(1, 'first', '["1A","1B","1C","1D","1E","1F","2A","2B","2C","2D","2E","2F"]', '[]'),
-(1, 'business', '["3A","3B","3C","3D","3E","3F","4A","4B","4C","4D","4E","4F","5A","5B","5C","5D","5E","5F","6A","6B","6C","6D","6E","6F","7A","7B","7C","7D","7E","7F"]', '[]'),
-(1, 'woman_only', '["8A","8B","8C","8D","8E","8F","9A","9B","9C","9D","9E","9F","10A","10B","10C","10D","10E","10F"]', '[]'),
-(1, 'economy', '["11A","11B","11C","11D","11E","11F","12A","12B","12C","12D","12E","12F","13A","13B","13C","13D","13E","13F","14A","14B","14C","14D","14E","14F","15A","15B","15C","15D","15E","15F","16A","16B","16C","16D","16E","16F","17A","17B","17C","17D","17E","17F","18A","18B","18C","18D","18E","18F","19A","19B","19C","19D","19E","19F","20A","20B","20C","20D","20E","20F","21A","21B","21C","21D","21E","21F","22A","22B","22C","22D","22E","22F","23A","23B","23C","23D","23E","23F","24A","24B","24C","24D","24E","24F","25A","25B","25C","25D","25E","25F","26A","26B","26C","26D","26E","26F","27A","27B","27C","27D","27E","27F","28A","28B","28C","28D","28E","28F","29A","29B","29C","29D","29E","29F","30A","30B","30C","30D","30E","30F"]', '[]');
+INSERT INTO seed_flight_seats (flight_id, class, seats) VALUES
+(1, 'first', '["1A","1B","1C","1D","1E","1F","2A","2B","2C","2D","2E","2F"]'),
+(1, 'business', '["3A","3B","3C","3D","3E","3F","4A","4B","4C","4D","4E","4F","5A","5B","5C","5D","5E","5F","6A","6B","6C","6D","6E","6F","7A","7B","7C","7D","7E","7F"]'),
+(1, 'woman_only', '["8A","8B","8C","8D","8E","8F","9A","9B","9C","9D","9E","9F","10A","10B","10C","10D","10E","10F"]'),
+(1, 'economy', '["11A","11B","11C","11D","11E","11F","12A","12B","12C","12D","12E","12F","13A","13B","13C","13D","13E","13F","14A","14B","14C","14D","14E","14F","15A","15B","15C","15D","15E","15F","16A","16B","16C","16D","16E","16F","17A","17B","17C","17D","17E","17F","18A","18B","18C","18D","18E","18F","19A","19B","19C","19D","19E","19F","20A","20B","20C","20D","20E","20F","21A","21B","21C","21D","21E","21F","22A","22B","22C","22D","22E","22F","23A","23B","23C","23D","23E","23F","24A","24B","24C","24D","24E","24F","25A","25B","25C","25D","25E","25F","26A","26B","26C","26D","26E","26F","27A","27B","27C","27D","27E","27F","28A","28B","28C","28D","28E","28F","29A","29B","29C","29D","29E","29F","30A","30B","30C","30D","30E","30F"]');
 
 -- Flight 2 (Airbus A320)
-INSERT INTO flight_seats (flight_id, class, available_seats, booked_seats) VALUES
-(2, 'first', '["1A","1B","1C","1D","1E","1F","2A","2B","2C","2D","2E","2F"]', '[]'),
-(2, 'business', '["3A","3B","3C","3D","3E","3F","4A","4B","4C","4D","4E","4F","5A","5B","5C","5D","5E","5F","6A","6B","6C","6D","6E","6F","7A","7B","7C","7D","7E","7F"]', '[]'),
-(2, 'woman_only', '["8A","8B","8C","8D","8E","8F","9A","9B","9C","9D","9E","9F","10A","10B","10C","10D","10E","10F"]', '[]'),
-(2, 'economy', '["11A","11B","11C","11D","11E","11F","12A","12B","12C","12D","12E","12F","13A","13B","13C","13D","13E","13F","14A","14B","14C","14D","14E","14F","15A","15B","15C","15D","15E","15F","16A","16B","16C","16D","16E","16F","17A","17B","17C","17D","17E","17F","18A","18B","18C","18D","18E","18F","19A","19B","19C","19D","19E","19F","20A","20B","20C","20D","20E","20F","21A","21B","21C","21D","21E","21F","22A","22B","22C","22D","22E","22F","23A","23B","23C","23D","23E","23F","24A","24B","24C","24D","24E","24F","25A","25B","25C","25D","25E","25F","26A","26B","26C","26D","26E","26F","27A","27B","27C","27D","27E","27F","28A","28B","28C","28D","28E","28F"]', '[]');
+INSERT INTO seed_flight_seats (flight_id, class, seats) VALUES
+(2, 'first', '["1A","1B","1C","1D","1E","1F","2A","2B","2C","2D","2E","2F"]'),
+(2, 'business', '["3A","3B","3C","3D","3E","3F","4A","4B","4C","4D","4E","4F","5A","5B","5C","5D","5E","5F","6A","6B","6C","6D","6E","6F","7A","7B","7C","7D","7E","7F"]'),
+(2, 'woman_only', '["8A","8B","8C","8D","8E","8F","9A","9B","9C","9D","9E","9F","10A","10B","10C","10D","10E","10F"]'),
+(2, 'economy', '["11A","11B","11C","11D","11E","11F","12A","12B","12C","12D","12E","12F","13A","13B","13C","13D","13E","13F","14A","14B","14C","14D","14E","14F","15A","15B","15C","15D","15E","15F","16A","16B","16C","16D","16E","16F","17A","17B","17C","17D","17E","17F","18A","18B","18C","18D","18E","18F","19A","19B","19C","19D","19E","19F","20A","20B","20C","20D","20E","20F","21A","21B","21C","21D","21E","21F","22A","22B","22C","22D","22E","22F","23A","23B","23C","23D","23E","23F","24A","24B","24C","24D","24E","24F","25A","25B","25C","25D","25E","25F","26A","26B","26C","26D","26E","26F","27A","27B","27C","27D","27E","27F","28A","28B","28C","28D","28E","28F"]');
 
 -- Flight 3 (Embraer E190)
-INSERT INTO flight_seats (flight_id, class, available_seats, booked_seats) VALUES
-(3, 'first', '["1A","1B","1C","1D"]', '[]'),
-(3, 'business', '["2A","2B","2C","2D","3A","3B","3C","3D","4A","4B","4C","4D"]', '[]'),
-(3, 'woman_only', '["5A","5B","5C","5D","6A","6B","6C","6D"]', '[]'),
-(3, 'economy', '["7A","7B","7C","7D","8A","8B","8C","8D","9A","9B","9C","9D","10A","10B","10C","10D","11A","11B","11C","11D","12A","12B","12C","12D","13A","13B","13C","13D","14A","14B","14C","14D","15A","15B","15C","15D","16A","16B","16C","16D","17A","17B","17C","17D","18A","18B","18C","18D","19A","19B","19C","19D","20A","20B","20C","20D","21A","21B","21C","21D","22A","22B","22C","22D","23A","23B","23C","23D","24A","24B","24C","24D","25A","25B","25C","25D","26A","26B","26C","26D"]', '[]');
+INSERT INTO seed_flight_seats (flight_id, class, seats) VALUES
+(3, 'first', '["1A","1B","1C","1D"]'),
+(3, 'business', '["2A","2B","2C","2D","3A","3B","3C","3D","4A","4B","4C","4D"]'),
+(3, 'woman_only', '["5A","5B","5C","5D","6A","6B","6C","6D"]'),
+(3, 'economy', '["7A","7B","7C","7D","8A","8B","8C","8D","9A","9B","9C","9D","10A","10B","10C","10D","11A","11B","11C","11D","12A","12B","12C","12D","13A","13B","13C","13D","14A","14B","14C","14D","15A","15B","15C","15D","16A","16B","16C","16D","17A","17B","17C","17D","18A","18B","18C","18D","19A","19B","19C","19D","20A","20B","20C","20D","21A","21B","21C","21D","22A","22B","22C","22D","23A","23B","23C","23D","24A","24B","24C","24D","25A","25B","25C","25D","26A","26B","26C","26D"]');
 
 -- Only initialize first 3 flights for simplicity
 
@@ -254,111 +804,48 @@ INSERT INTO tickets (ticket_id, user_id, flight_id, seat_number, class, price, b
 (9, 12, 3, '5B', 'woman_only', 192.00, DATE_ADD(CURRENT_DATE(), INTERVAL -3 DAY), 'completed'),
 (10, 13, 3, '2C', 'business', 400.00, DATE_ADD(CURRENT_DATE(), INTERVAL -5 DAY), 'completed');
 
--- Update flight_seats booked arrays to match the tickets
--- Flight 1
-UPDATE flight_seats SET 
-booked_seats = '["14C","15B"]' 
-WHERE flight_id = 1 AND class = 'economy';
-
-UPDATE flight_seats SET 
-booked_seats = '["1E"]' 
-WHERE flight_id = 1 AND class = 'first';
-
-UPDATE flight_seats SET 
-booked_seats = '["9D"]' 
-WHERE flight_id = 1 AND class = 'woman_only';
-
--- Update available seats to remove booked ones
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  JSON_REMOVE(
-    available_seats, 
-    JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '14C'))
-  ),
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '15B'))
-)
-WHERE flight_id = 1 AND class = 'economy';
-
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '1E'))
-)
-WHERE flight_id = 1 AND class = 'first';
-
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '9D'))
-)
-WHERE flight_id = 1 AND class = 'woman_only';
-
--- Flight 2
-UPDATE flight_seats SET 
-booked_seats = '["3F"]' 
-WHERE flight_id = 2 AND class = 'business';
-
-UPDATE flight_seats SET 
-booked_seats = '["8A"]' 
-WHERE flight_id = 2 AND class = 'woman_only';
-
-UPDATE flight_seats SET 
-booked_seats = '["12C"]' 
-WHERE flight_id = 2 AND class = 'economy';
-
--- Update available seats to remove booked ones
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '3F'))
-)
-WHERE flight_id = 2 AND class = 'business';
-
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '8A'))
-)
-WHERE flight_id = 2 AND class = 'woman_only';
-
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '12C'))
-)
-WHERE flight_id = 2 AND class = 'economy';
-
--- Flight 3
-UPDATE flight_seats SET 
-booked_seats = '["8D"]' 
-WHERE flight_id = 3 AND class = 'economy';
-
-UPDATE flight_seats SET 
-booked_seats = '["5B"]' 
-WHERE flight_id = 3 AND class = 'woman_only';
-
-UPDATE flight_seats SET 
-booked_seats = '["2C"]' 
-WHERE flight_id = 3 AND class = 'business';
-
--- Update available seats to remove booked ones
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '8D'))
-)
-WHERE flight_id = 3 AND class = 'economy';
-
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '5B'))
-)
-WHERE flight_id = 3 AND class = 'woman_only';
-
-UPDATE flight_seats SET 
-available_seats = JSON_REMOVE(
-  available_seats, 
-  JSON_UNQUOTE(JSON_SEARCH(available_seats, 'one', '2C'))
-)
-WHERE flight_id = 3 AND class = 'business';
+-- Expand the seat lists into one row per seat
+INSERT INTO flight_seats (flight_id, seat_number, seat_row, class, state)
+SELECT
+    s.flight_id,
+    jt.seat_number,
+    CAST(REGEXP_SUBSTR(jt.seat_number, '^[0-9]+') AS UNSIGNED),
+    s.class,
+    'available'
+FROM seed_flight_seats s,
+JSON_TABLE(s.seats, '$[*]' COLUMNS (seat_number VARCHAR(10) PATH '$')) jt;
+
+DROP TEMPORARY TABLE seed_flight_seats;
+
+-- Seat positions follow from the last seat letter of each flight (D: AB-CD, F: ABC-DEF, H: AB-CDEF-GH)
+CREATE TEMPORARY TABLE seed_last_letters AS
+SELECT flight_id, MAX(RIGHT(seat_number, 1)) AS last_letter
+FROM flight_seats
+GROUP BY flight_id;
+
+UPDATE flight_seats fs
+JOIN seed_last_letters l ON l.flight_id = fs.flight_id
+SET fs.position = CASE
+    WHEN RIGHT(fs.seat_number, 1) IN ('A', l.last_letter) THEN 'window'
+    WHEN l.last_letter = 'D' AND RIGHT(fs.seat_number, 1) IN ('B', 'C') THEN 'aisle'
+    WHEN l.last_letter = 'F' AND RIGHT(fs.seat_number, 1) IN ('C', 'D') THEN 'aisle'
+    WHEN l.last_letter = 'H' AND RIGHT(fs.seat_number, 1) IN ('B', 'C', 'F', 'G') THEN 'aisle'
+    ELSE 'middle'
+END;
+
+DROP TEMPORARY TABLE seed_last_letters;
+
+-- Exit rows, bassinets and extra legroom come from the cabin layout of the aircraft model
+UPDATE flight_seats fs
+JOIN flights f ON f.flight_id = fs.flight_id
+JOIN aircraft a ON a.aircraft_id = f.aircraft_id
+JOIN cabin_layouts cl ON cl.aircraft_model = a.model
+SET
+    fs.is_exit_row = JSON_CONTAINS(cl.exit_rows, CAST(fs.seat_row AS JSON)),
+    fs.has_bassinet = JSON_CONTAINS(cl.bassinet_seats, JSON_QUOTE(fs.seat_number)),
+    fs.extra_legroom = JSON_CONTAINS(cl.extra_legroom_seats, JSON_QUOTE(fs.seat_number));
+
+-- Mark the seats of the tickets above as booked
+UPDATE flight_seats fs
+JOIN tickets t ON t.flight_id = fs.flight_id AND t.active_seat = fs.seat_number
+SET fs.state = 'booked', fs.ticket_id = t.ticket_id;
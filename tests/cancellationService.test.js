@@ -0,0 +1,156 @@
+jest.mock('../config/database', () => ({ pool: { getConnection: jest.fn() } }));
+jest.mock('../models/ticketModel');
+jest.mock('../models/bookingModel');
+jest.mock('../models/voucherModel');
+jest.mock('../models/refundRuleModel');
+jest.mock('../services/paymentService');
+
+const { pool } = require('../config/database');
+const Ticket = require('../models/ticketModel');
+const Booking = require('../models/bookingModel');
+const Voucher = require('../models/voucherModel');
+const RefundRule = require('../models/refundRuleModel');
+const PaymentService = require('../services/paymentService');
+const Cancellation = require('../services/cancellationService');
+
+const connection = {
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+};
+
+const ticket = (fields = {}) => ({
+  ticket_id: 5,
+  user_id: 3,
+  booking_id: 9,
+  class: 'economy',
+  price: '200.00',
+  currency: 'USD',
+  exchange_rate: '1.000000',
+  voucher_amount: '0.00',
+  is_refundable: 1,
+  payment_status: 'completed',
+  payment_intent_id: 1,
+  status: 'booked',
+  departure_time: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
+  ...fields
+});
+
+beforeEach(() => {
+  pool.getConnection.mockResolvedValue(connection);
+  RefundRule.getRulesForClass.mockResolvedValue([
+    { rule_id: 2, class: null, min_hours_before_departure: 24, refund_percent: '50', cancellation_fee: '10' }
+  ]);
+  Voucher.reissueTicketCredit.mockResolvedValue(null);
+  PaymentService.refundTicket.mockResolvedValue({});
+});
+
+describe('Cancellation.cancelTicket', () => {
+  it('cancels the locked ticket and refunds it only after the cancellation commits', async () => {
+    Ticket.getTicketForCancellation.mockResolvedValue(ticket());
+
+    const { refund, refund_error } = await Cancellation.cancelTicket(5, 'Ticket cancelled');
+
+    expect(Ticket.getTicketForCancellation).toHaveBeenCalledWith(5, connection);
+    expect(Ticket.cancelTicket).toHaveBeenCalledWith(5, { refundAmount: 90 }, connection);
+    expect(PaymentService.refundTicket).toHaveBeenCalledWith(expect.objectContaining({ ticket_id: 5 }), 90, 'Ticket cancelled');
+    expect(connection.commit.mock.invocationCallOrder[0])
+      .toBeLessThan(PaymentService.refundTicket.mock.invocationCallOrder[0]);
+    expect(refund.refund_amount).toBe(90);
+    expect(refund_error).toBeNull();
+  });
+
+  it('refunds nothing for a ticket that is already cancelled', async () => {
+    Ticket.getTicketForCancellation.mockResolvedValue(ticket({ status: 'cancelled' }));
+
+    await expect(Cancellation.cancelTicket(5, 'Ticket cancelled')).rejects.toThrow('Ticket is already cancelled');
+
+    expect(Ticket.cancelTicket).not.toHaveBeenCalled();
+    expect(PaymentService.refundTicket).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  it('refunds nothing for a ticket that does not exist', async () => {
+    Ticket.getTicketForCancellation.mockResolvedValue(undefined);
+
+    await expect(Cancellation.cancelTicket(5, 'Ticket cancelled')).rejects.toThrow('Ticket not found');
+
+    expect(PaymentService.refundTicket).not.toHaveBeenCalled();
+  });
+
+  it('keeps the ticket cancelled when the provider rejects the refund', async () => {
+    Ticket.getTicketForCancellation.mockResolvedValue(ticket());
+    PaymentService.refundTicket.mockRejectedValue(new Error('Refund failed: card_closed'));
+
+    const { refund, refund_error } = await Cancellation.cancelTicket(5, 'Ticket cancelled');
+
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.rollback).not.toHaveBeenCalled();
+    expect(refund.refund_amount).toBe(90);
+    expect(refund_error).toBe('Refund failed: card_closed');
+  });
+
+  it('gives back the refundable share of the voucher the ticket was paid with', async () => {
+    const locked = ticket({ price: '150.00', voucher_amount: '50.00' });
+    Ticket.getTicketForCancellation.mockResolvedValue(locked);
+    Voucher.reissueTicketCredit.mockResolvedValue({ voucher_id: 7, code: 'ABCDEFGHJK' });
+
+    const { refund } = await Cancellation.cancelTicket(5, 'Ticket cancelled');
+
+    expect(Ticket.cancelTicket).toHaveBeenCalledWith(5, { refundAmount: 67.5 }, connection);
+    expect(Voucher.reissueTicketCredit).toHaveBeenCalledWith(locked, 22.5, connection);
+    expect(refund.voucher).toEqual({ voucher_id: 7, code: 'ABCDEFGHJK' });
+  });
+});
+
+describe('Cancellation.cancelBooking', () => {
+  it('cancels every ticket and the booking in one transaction, then refunds each', async () => {
+    Ticket.getBookingTicketsForCancellation.mockResolvedValue([
+      ticket({ ticket_id: 5 }),
+      ticket({ ticket_id: 6, price: '100.00' })
+    ]);
+    PaymentService.refundTicket
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Refund failed: card_closed'));
+
+    const results = await Cancellation.cancelBooking(9, 'Booking cancelled');
+
+    expect(Ticket.cancelTicket).toHaveBeenCalledWith(5, { refundAmount: 90 }, connection);
+    expect(Ticket.cancelTicket).toHaveBeenCalledWith(6, { refundAmount: 40 }, connection);
+    expect(Booking.cancelBooking).toHaveBeenCalledWith(9, connection);
+    expect(connection.commit).toHaveBeenCalledTimes(1);
+    expect(connection.commit.mock.invocationCallOrder[0])
+      .toBeLessThan(PaymentService.refundTicket.mock.invocationCallOrder[0]);
+    expect(results.map(result => [result.refund.ticket_id, result.refund_error])).toEqual([
+      [5, null],
+      [6, 'Refund failed: card_closed']
+    ]);
+  });
+
+  it('cancels nothing when a ticket fails to cancel', async () => {
+    Ticket.getBookingTicketsForCancellation.mockResolvedValue([ticket()]);
+    Ticket.cancelTicket.mockRejectedValueOnce(new Error('Deadlock found'));
+
+    await expect(Cancellation.cancelBooking(9, 'Booking cancelled')).rejects.toThrow('Deadlock found');
+
+    expect(Booking.cancelBooking).not.toHaveBeenCalled();
+    expect(PaymentService.refundTicket).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('Cancellation.resendOwedRefunds', () => {
+  it('resends only the refunds still owed', async () => {
+    const owed = ticket({ ticket_id: 5, status: 'cancelled', refund_amount: '90.00' });
+    const settled = ticket({ ticket_id: 6, status: 'cancelled', refund_amount: '40.00' });
+    PaymentService.isRefundOwed.mockImplementation(async candidate => candidate.ticket_id === 5);
+
+    const results = await Cancellation.resendOwedRefunds([owed, settled], 'Ticket cancelled');
+
+    expect(PaymentService.refundTicket).toHaveBeenCalledTimes(1);
+    expect(PaymentService.refundTicket).toHaveBeenCalledWith(owed, 90, 'Ticket cancelled');
+    expect(results).toEqual([{ ticket_id: 5, refund_amount: 90, refund_error: null }]);
+  });
+});
@@ -0,0 +1,79 @@
+const CheckInService = require('../services/checkInService');
+
+const checkIn = (fields = {}) => ({
+  ticket_id: 42,
+  first_name: 'Olena',
+  last_name: 'Kovalenko',
+  booking_reference: 'ABC123',
+  flight_number: 'PS101',
+  origin: 'KBP',
+  destination: 'LHR',
+  // 23:30 UTC is already the next day in Kyiv
+  departure_time: new Date('2025-02-01T23:30:00Z'),
+  origin_timezone: 'Europe/Kyiv',
+  class: 'business',
+  seat_number: '2A',
+  sequence_number: 7,
+  ...fields
+});
+
+describe('CheckInService.encodeBcbp', () => {
+  it('encodes the mandatory items in their fixed-width fields', () => {
+    const data = CheckInService.encodeBcbp(checkIn());
+
+    expect(data).toHaveLength(60);
+    expect(data).toBe('M1KOVALENKO/OLENA     EABC123 KBPLHRPS 0101 033J002A0007 100');
+  });
+
+  it('cuts long names and strips characters BCBP does not allow', () => {
+    const data = CheckInService.encodeBcbp(checkIn({
+      first_name: 'Zoë',
+      last_name: "O'Sullivan-Fitzgerald"
+    }));
+
+    expect(data).toHaveLength(60);
+    expect(data.substr(2, 20)).toBe('OSULLIVANFITZGERALD/');
+  });
+
+  it('falls back to the ticket ID without a booking reference', () => {
+    const data = CheckInService.encodeBcbp(checkIn({ booking_reference: null }));
+
+    expect(data.substr(23, 7)).toBe('42     ');
+  });
+});
+
+describe('CheckInService.decodeBcbp', () => {
+  it('reads back what encodeBcbp wrote', () => {
+    const decoded = CheckInService.decodeBcbp(CheckInService.encodeBcbp(checkIn()));
+
+    expect(decoded).toEqual({
+      passenger_name: 'KOVALENKO/OLENA',
+      booking_reference: 'ABC123',
+      origin: 'KBP',
+      destination: 'LHR',
+      carrier: 'PS',
+      flight_number: '0101',
+      julian_date: 33,
+      compartment: 'J',
+      seat_number: '2A',
+      sequence_number: 7
+    });
+  });
+
+  it('matches the flight fields of the flight it was issued for', () => {
+    const flight = checkIn();
+    const decoded = CheckInService.decodeBcbp(CheckInService.encodeBcbp(flight));
+
+    expect(CheckInService.getBcbpFlightFields(flight)).toEqual({
+      carrier: decoded.carrier,
+      flight_number: decoded.flight_number,
+      julian_date: decoded.julian_date
+    });
+  });
+
+  it('rejects data that is not a single-leg BCBP payload', () => {
+    expect(CheckInService.decodeBcbp(null)).toBeNull();
+    expect(CheckInService.decodeBcbp('M1TOO SHORT')).toBeNull();
+    expect(CheckInService.decodeBcbp('X'.repeat(60))).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+const Currency = require('../services/currencyService');
+
+const pricing = (fields = {}) => ({
+  base_fare: 100,
+  discount_amount: 10,
+  taxes: [
+    { code: 'UA', amount: 9.99 },
+    { code: 'YQ', amount: 5.55 }
+  ],
+  taxes_amount: 15.54,
+  voucher_amount: 0,
+  price: 115.54,
+  ...fields
+});
+
+describe('Currency.convertPricing', () => {
+  it('converts every amount and rebuilds the price from the converted parts', () => {
+    const converted = Currency.convertPricing(pricing(), 0.92);
+
+    expect(converted).toEqual({
+      base_fare: 92,
+      discount_amount: 9.2,
+      taxes: [
+        { code: 'UA', amount: 9.19 },
+        { code: 'YQ', amount: 5.11 }
+      ],
+      taxes_amount: 14.3,
+      voucher_amount: 0,
+      price: 106.3
+    });
+  });
+
+  it('keeps the voucher within the converted total', () => {
+    const converted = Currency.convertPricing(pricing({ voucher_amount: 50, price: 65.54 }), 41.5);
+
+    expect(converted.voucher_amount).toBe(2075);
+    expect(converted.price).toBe(Math.round((converted.base_fare + converted.taxes_amount - 2075) * 100) / 100);
+  });
+
+  it('keeps a voucher that covered the whole ticket covering it after rounding', () => {
+    const converted = Currency.convertPricing(pricing({ voucher_amount: 115.54, price: 0 }), 1.2345);
+
+    expect(converted.price).toBe(0);
+    expect(converted.voucher_amount).toBe(Math.round((converted.base_fare + converted.taxes_amount) * 100) / 100);
+  });
+
+  it('keeps the sale unchanged at a rate of 1', () => {
+    expect(Currency.convertPricing(pricing(), 1)).toEqual(pricing());
+  });
+});
+
+describe('Currency.toBase', () => {
+  it('converts back to the base currency', () => {
+    expect(Currency.toBase(2075, 41.5)).toBe(50);
+    expect(Currency.toBase(null, 41.5)).toBeNull();
+  });
+});
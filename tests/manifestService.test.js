@@ -0,0 +1,23 @@
+const Manifest = require('../services/manifestService');
+
+const manifest = passengers => ({
+  passengers: passengers.map(passenger => ({ special_services: [], ...passenger }))
+});
+
+describe('Manifest.toCsv', () => {
+  it('quotes cells with separators, quotes or line breaks', () => {
+    const csv = Manifest.toCsv(manifest([
+      { passenger_name: 'Doe, "Jane"', special_services: [{ code: 'WCHR', note: 'own\nchair' }] }
+    ]));
+
+    expect(csv.split('\r\n')[1]).toBe('"Doe, ""Jane""",,,,,,,,,"WCHR (own\nchair)"');
+  });
+
+  it('keeps cells from being read as spreadsheet formulas', () => {
+    const csv = Manifest.toCsv(manifest([
+      { passenger_name: '=HYPERLINK("http://example.com")', passport_number: '+380', nationality: '-1', gender: '@SUM(A1)' }
+    ]));
+
+    expect(csv.split('\r\n')[1]).toBe(`"'=HYPERLINK(""http://example.com"")",'+380,'-1,,'@SUM(A1),,,,,`);
+  });
+});
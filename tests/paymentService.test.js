@@ -0,0 +1,157 @@
+jest.mock('../config/database', () => ({ pool: { getConnection: jest.fn() } }));
+jest.mock('../models/paymentModel');
+jest.mock('../models/ticketModel');
+jest.mock('../services/payments');
+
+const { pool } = require('../config/database');
+const Payment = require('../models/paymentModel');
+const { getProvider } = require('../services/payments');
+const PaymentService = require('../services/paymentService');
+
+const connection = {
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+};
+const provider = { refund: jest.fn() };
+
+const intent = (fields = {}) => ({
+  intent_id: 1,
+  provider: 'mock',
+  provider_reference: 'pi_1',
+  status: 'captured',
+  amount_captured: '100.00',
+  amount_refunded: '0.00',
+  refunds: [],
+  ...fields
+});
+
+beforeEach(() => {
+  pool.getConnection.mockResolvedValue(connection);
+  getProvider.mockReturnValue(provider);
+  provider.refund.mockResolvedValue({ success: true, provider_refund_id: 'pi_1_re_1', failure_reason: null });
+  Payment.addRefund.mockResolvedValue(true);
+});
+
+describe('PaymentService.refund', () => {
+  it('sends the refund and records it on the locked intent', async () => {
+    Payment.getIntentById.mockResolvedValue(intent());
+
+    await PaymentService.refund(intent(), 40, { ticketId: 5, reason: 'Ticket cancelled' });
+
+    expect(Payment.getIntentById).toHaveBeenCalledWith(1, connection);
+    expect(provider.refund).toHaveBeenCalledWith('pi_1', 40, 0);
+    expect(Payment.addRefund).toHaveBeenCalledWith(1, {
+      provider_refund_id: 'pi_1_re_1',
+      amount: 40,
+      ticket_id: 5,
+      reason: 'Ticket cancelled'
+    }, connection);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  it('checks the status of the locked intent, not the one passed in', async () => {
+    Payment.getIntentById.mockResolvedValue(intent({ status: 'refunded', amount_refunded: '100.00' }));
+
+    await expect(PaymentService.refund(intent(), 40)).rejects.toThrow('Payment cannot be refunded while refunded');
+
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  it('refunds no more than is left on the locked intent', async () => {
+    Payment.getIntentById.mockResolvedValue(intent({ status: 'partially_refunded', amount_refunded: '80.00' }));
+
+    await expect(PaymentService.refund(intent(), 40)).rejects.toThrow('Refund amount must be more than 0 and at most 20');
+    await expect(PaymentService.refund(intent(), 0)).rejects.toThrow('Refund amount must be more than 0');
+
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('numbers refunds after the ones already on the locked intent', async () => {
+    Payment.getIntentById.mockResolvedValue(intent({
+      status: 'partially_refunded',
+      amount_refunded: '30.00',
+      refunds: [{ ticket_id: 4 }, { ticket_id: null }]
+    }));
+
+    await PaymentService.refund(intent(), 40, { ticketId: 5 });
+
+    expect(provider.refund).toHaveBeenCalledWith('pi_1', 40, 2);
+  });
+
+  it('refunds a ticket only once', async () => {
+    Payment.getIntentById.mockResolvedValue(intent({
+      status: 'partially_refunded',
+      amount_refunded: '40.00',
+      refunds: [{ ticket_id: 5 }]
+    }));
+
+    await PaymentService.refund(intent(), 40, { ticketId: 5, oncePerTicket: true });
+
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(Payment.addRefund).not.toHaveBeenCalled();
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  it('records nothing when the provider declines', async () => {
+    Payment.getIntentById.mockResolvedValue(intent());
+    provider.refund.mockResolvedValue({ success: false, provider_refund_id: null, failure_reason: 'card_closed' });
+
+    await expect(PaymentService.refund(intent(), 40)).rejects.toThrow('Refund failed: card_closed');
+
+    expect(Payment.addRefund).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('PaymentService.refundTicket', () => {
+  it('sends nothing for tickets paid outside the payments subsystem or refunded nothing', async () => {
+    expect(await PaymentService.refundTicket({ ticket_id: 5, payment_intent_id: null }, 40, 'Cancelled')).toBeNull();
+    expect(await PaymentService.refundTicket({ ticket_id: 5, payment_intent_id: 1 }, 0, 'Cancelled')).toBeNull();
+
+    expect(Payment.getIntentById).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing when the payment is no longer refundable', async () => {
+    Payment.getIntentById.mockResolvedValue(intent({ status: 'canceled' }));
+
+    expect(await PaymentService.refundTicket({ ticket_id: 5, payment_intent_id: 1 }, 40, 'Cancelled')).toBeNull();
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('refunds the ticket once through its payment', async () => {
+    Payment.getIntentById.mockResolvedValue(intent());
+
+    await PaymentService.refundTicket({ ticket_id: 5, payment_intent_id: 1 }, 40, 'Cancelled');
+
+    expect(provider.refund).toHaveBeenCalledTimes(1);
+    expect(Payment.addRefund).toHaveBeenCalledWith(1, expect.objectContaining({ ticket_id: 5, amount: 40 }), connection);
+  });
+});
+
+describe('PaymentService.isRefundOwed', () => {
+  const cancelled = { ticket_id: 5, status: 'cancelled', refund_amount: '40.00', payment_intent_id: 1 };
+
+  it('owes a refund that never reached the provider', async () => {
+    Payment.getIntentById.mockResolvedValue(intent());
+
+    expect(await PaymentService.isRefundOwed(cancelled)).toBe(true);
+  });
+
+  it('owes nothing once the ticket has a refund', async () => {
+    Payment.getIntentById.mockResolvedValue(intent({ status: 'partially_refunded', refunds: [{ ticket_id: 5 }] }));
+
+    expect(await PaymentService.isRefundOwed(cancelled)).toBe(false);
+  });
+
+  it('owes nothing for active, unrefunded or unpaid tickets', async () => {
+    expect(await PaymentService.isRefundOwed({ ...cancelled, status: 'booked' })).toBe(false);
+    expect(await PaymentService.isRefundOwed({ ...cancelled, refund_amount: '0.00' })).toBe(false);
+    expect(await PaymentService.isRefundOwed({ ...cancelled, payment_intent_id: null })).toBe(false);
+
+    expect(Payment.getIntentById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+const PricingEngine = require('../services/pricingEngineService');
+
+const curve = {
+  load_factor_steps: [
+    { min_load_factor: 0.5, multiplier: 1.2 },
+    { min_load_factor: 0.8, multiplier: 1.5 }
+  ],
+  days_steps: [
+    { max_days: 30, multiplier: 1.1 },
+    { max_days: 7, multiplier: 1.4 }
+  ],
+  min_multiplier: '0.8',
+  max_multiplier: '2.0'
+};
+
+describe('PricingEngine.calculateMultiplier', () => {
+  it('multiplies the highest load step reached by the closest time step', () => {
+    expect(PricingEngine.calculateMultiplier(curve, 0.6, 20)).toEqual({
+      load_factor: 0.6,
+      days_to_departure: 20,
+      load_multiplier: 1.2,
+      time_multiplier: 1.1,
+      multiplier: 1.2 * 1.1
+    });
+  });
+
+  it('uses 1 when no step is reached', () => {
+    const result = PricingEngine.calculateMultiplier(curve, 0.1, 90);
+
+    expect(result.load_multiplier).toBe(1);
+    expect(result.time_multiplier).toBe(1);
+    expect(result.multiplier).toBe(1);
+  });
+
+  it('clamps the multiplier to the curve bounds', () => {
+    // 1.5 * 1.4 is over the curve's maximum of 2
+    expect(PricingEngine.calculateMultiplier(curve, 0.9, 3).multiplier).toBe(2);
+
+    const discountCurve = { ...curve, load_factor_steps: [{ min_load_factor: 0, multiplier: 0.5 }] };
+    expect(PricingEngine.calculateMultiplier(discountCurve, 0.1, 90).multiplier).toBe(0.8);
+  });
+
+  it('falls back to the default bounds', () => {
+    const unbounded = { ...curve, min_multiplier: null, max_multiplier: undefined };
+
+    expect(PricingEngine.calculateMultiplier(unbounded, 0.9, 3).multiplier).toBeCloseTo(2.1);
+    expect(PricingEngine.calculateMultiplier(
+      { load_factor_steps: [{ min_load_factor: 0, multiplier: 0.1 }], days_steps: [] },
+      0.5,
+      90
+    ).multiplier).toBe(0.5);
+  });
+});
+
+describe('PricingEngine.applySeasons', () => {
+  const summer = { season_id: 1, adjustment_type: 'percent', adjustment_value: '20.00', is_blackout: 0 };
+  const holiday = { season_id: 2, adjustment_type: 'percent', adjustment_value: '10.00', is_blackout: 0 };
+  const surcharge = { season_id: 3, adjustment_type: 'fixed', adjustment_value: '15.00', is_blackout: 0 };
+  const sale = { season_id: 4, adjustment_type: 'percent', adjustment_value: '-30.00', is_blackout: 0 };
+  const blackout = { season_id: 5, adjustment_type: 'fixed', adjustment_value: '0.00', is_blackout: 1 };
+
+  it('compounds percentages before adding fixed amounts', () => {
+    expect(PricingEngine.applySeasons(100, [surcharge, summer, holiday])).toEqual({
+      price: 147,
+      adjustment: 47,
+      season_ids: [3, 1, 2],
+      blackout: false
+    });
+  });
+
+  it('leaves the fare alone without seasons', () => {
+    expect(PricingEngine.applySeasons(100, [])).toEqual({
+      price: 100,
+      adjustment: 0,
+      season_ids: [],
+      blackout: false
+    });
+  });
+
+  it('skips seasons that lower the fare during a blackout', () => {
+    const result = PricingEngine.applySeasons(100, [summer, sale, blackout]);
+
+    expect(result.price).toBe(120);
+    expect(result.season_ids).toEqual([1, 5]);
+    expect(result.blackout).toBe(true);
+  });
+
+  it('never goes below 0', () => {
+    const result = PricingEngine.applySeasons(10, [{ ...surcharge, adjustment_value: '-25.00' }]);
+
+    expect(result.price).toBe(0);
+    expect(result.adjustment).toBe(-10);
+  });
+});
@@ -0,0 +1,20 @@
+const { calculateDiscount } = require('../services/promotionService');
+
+describe('calculateDiscount', () => {
+  it('takes a percentage off the fare', () => {
+    expect(calculateDiscount({ discount_type: 'percent', discount_value: '15.00' }, 199.99)).toBe(30);
+  });
+
+  it('takes a fixed amount off the fare', () => {
+    expect(calculateDiscount({ discount_type: 'fixed', discount_value: '25.00' }, 199.99)).toBe(25);
+  });
+
+  it('never takes off more than the fare', () => {
+    expect(calculateDiscount({ discount_type: 'fixed', discount_value: '50.00' }, 30)).toBe(30);
+    expect(calculateDiscount({ discount_type: 'percent', discount_value: '150.00' }, 30)).toBe(30);
+  });
+
+  it('never gives a negative discount', () => {
+    expect(calculateDiscount({ discount_type: 'fixed', discount_value: '-5.00' }, 30)).toBe(0);
+  });
+});
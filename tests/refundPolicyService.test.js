@@ -0,0 +1,100 @@
+jest.mock('../models/refundRuleModel');
+
+const RefundRule = require('../models/refundRuleModel');
+const RefundPolicy = require('../services/refundPolicyService');
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const hoursAhead = hours => ({ departure_time: new Date(NOW.getTime() + hours * 60 * 60 * 1000) });
+
+// Rules come back longest notice first, class rules before rules for every class
+const RULES = [
+  { rule_id: 3, class: 'economy', min_hours_before_departure: 168, refund_percent: '100', cancellation_fee: '0' },
+  { rule_id: 2, class: null, min_hours_before_departure: 24, refund_percent: '50', cancellation_fee: '10' },
+  { rule_id: 1, class: null, min_hours_before_departure: 0, refund_percent: '0', cancellation_fee: '0' }
+];
+
+const ticket = (fields = {}) => ({
+  ticket_id: 1,
+  class: 'economy',
+  price: '200.00',
+  voucher_amount: '0.00',
+  payment_status: 'completed',
+  is_refundable: 1,
+  ...fields
+});
+
+describe('RefundPolicy.calculateRefund', () => {
+  beforeEach(() => {
+    RefundRule.getRulesForClass.mockResolvedValue(RULES);
+  });
+
+  it('applies the rule with the longest notice period the cancellation meets', async () => {
+    const quote = await RefundPolicy.calculateRefund(ticket(), hoursAhead(48), NOW);
+
+    expect(RefundRule.getRulesForClass).toHaveBeenCalledWith('economy');
+    expect(quote).toMatchObject({
+      rule_id: 2,
+      refund_percent: 50,
+      cancellation_fee: 10,
+      refund_amount: 90,
+      voucher_credit: 0,
+      hours_before_departure: 48
+    });
+  });
+
+  it('refunds the full fare with enough notice', async () => {
+    const quote = await RefundPolicy.calculateRefund(ticket(), hoursAhead(200), NOW);
+
+    expect(quote.rule_id).toBe(3);
+    expect(quote.refund_amount).toBe(200);
+  });
+
+  it('never refunds less than nothing', async () => {
+    const quote = await RefundPolicy.calculateRefund(ticket({ price: '8.00' }), hoursAhead(48), NOW);
+
+    expect(quote.refund_amount).toBe(0);
+  });
+
+  it('refunds nothing for unpaid, non-refundable or departed tickets', async () => {
+    const unpaid = await RefundPolicy.calculateRefund(ticket({ payment_status: 'pending' }), hoursAhead(48), NOW);
+    const nonRefundable = await RefundPolicy.calculateRefund(ticket({ is_refundable: 0 }), hoursAhead(48), NOW);
+    const departed = await RefundPolicy.calculateRefund(ticket(), hoursAhead(-1), NOW);
+
+    for (const quote of [unpaid, nonRefundable, departed]) {
+      expect(quote).toMatchObject({ rule_id: null, refund_amount: 0, voucher_credit: 0 });
+    }
+
+    expect(RefundRule.getRulesForClass).not.toHaveBeenCalled();
+  });
+
+  it('refunds nothing when no rule applies', async () => {
+    RefundRule.getRulesForClass.mockResolvedValue([RULES[0]]);
+
+    const quote = await RefundPolicy.calculateRefund(ticket(), hoursAhead(48), NOW);
+
+    expect(quote).toMatchObject({ rule_id: null, refund_amount: 0 });
+  });
+
+  it('gives back the voucher share of the fare as voucher credit', async () => {
+    const quote = await RefundPolicy.calculateRefund(
+      ticket({ price: '150.00', voucher_amount: '50.00' }),
+      hoursAhead(48),
+      NOW
+    );
+
+    // 50% of the 200 fare less the 10 fee, split 3:1 like the fare was paid
+    expect(quote.refund_amount).toBe(67.5);
+    expect(quote.voucher_credit).toBe(22.5);
+  });
+
+  it('gives back voucher credit of a ticket the voucher paid in full', async () => {
+    const quote = await RefundPolicy.calculateRefund(
+      ticket({ price: '0.00', voucher_amount: '200.00', payment_status: 'pending' }),
+      hoursAhead(200),
+      NOW
+    );
+
+    expect(quote.refund_amount).toBe(0);
+    expect(quote.voucher_credit).toBe(200);
+  });
+});
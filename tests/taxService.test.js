@@ -0,0 +1,35 @@
+const { calculateTaxes } = require('../services/taxService');
+
+const RULES = [
+  { rule_id: 1, code: 'UA', name: 'Airport charge', category: 'airport_charge', calculation: 'fixed', amount: '12.50' },
+  { rule_id: 2, code: 'VAT', name: 'Value added tax', category: 'vat', calculation: 'percent', amount: '20.00' },
+  { rule_id: 3, code: 'YQ', name: 'Fuel surcharge', category: 'fuel_surcharge', calculation: 'percent', amount: '3.33' }
+];
+
+describe('calculateTaxes', () => {
+  it('itemizes fixed amounts and percentages of the fare', () => {
+    expect(calculateTaxes(99.99, RULES)).toEqual({
+      items: [
+        { tax_rule_id: 1, code: 'UA', name: 'Airport charge', category: 'airport_charge', amount: 12.5 },
+        { tax_rule_id: 2, code: 'VAT', name: 'Value added tax', category: 'vat', amount: 20 },
+        { tax_rule_id: 3, code: 'YQ', name: 'Fuel surcharge', category: 'fuel_surcharge', amount: 3.33 }
+      ],
+      total: 35.83
+    });
+  });
+
+  it('takes percentages of the fare only, not of other taxes', () => {
+    const { items } = calculateTaxes(100, [RULES[0], RULES[1]]);
+
+    expect(items[1].amount).toBe(20);
+  });
+
+  it('charges nothing without rules', () => {
+    expect(calculateTaxes(100, [])).toEqual({ items: [], total: 0 });
+    expect(calculateTaxes(100, null)).toEqual({ items: [], total: 0 });
+  });
+
+  it('still charges fixed amounts on a free fare', () => {
+    expect(calculateTaxes(0, RULES).total).toBe(12.5);
+  });
+});
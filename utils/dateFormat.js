@@ -9,17 +9,18 @@ exports.formatDate = (date) => {
   };
   
   /**
-   * Format a date object to HH:MM format
+   * Format a date object to HH:MM format (UTC)
    * @param {Date} date - The date to format
    * @returns {string} Formatted time string
    */
   exports.formatTime = (date) => {
     const d = new Date(date);
-    return d.toTimeString().split(' ')[0].substring(0, 5);
+    return d.toISOString().substring(11, 16);
   };
   
   /**
-   * Format a datetime to MySQL datetime format
+   * Format a datetime to MySQL datetime format in UTC, the zone all
+   * flight times are stored in
    * @param {Date} date - The date to format
    * @returns {string} MySQL formatted datetime
    */
@@ -43,4 +44,134 @@ exports.formatDate = (date) => {
     
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
   };
-  
\ No newline at end of file
+  
+  /**
+   * Format a date as local wall-clock time in an IANA time zone
+   * @param {Date} date - The date to format
+   * @param {string} timeZone - IANA time zone (e.g. Europe/Kyiv)
+   * @returns {string} Local datetime in YYYY-MM-DD HH:MM:SS format
+   */
+  exports.formatInTimeZone = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(date));
+
+    const part = (type) => parts.find(p => p.type === type).value;
+
+    return `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}:${part('second')}`;
+  };
+
+  /**
+   * Add departure/arrival times local to the origin and destination airports
+   * @param {Object} row - Row with departure_time, arrival_time, origin_timezone and destination_timezone
+   * @returns {Object} Row with departure_time_local and arrival_time_local
+   */
+  exports.addLocalTimes = (row) => {
+    if (row.departure_time && row.origin_timezone) {
+      row.departure_time_local = exports.formatInTimeZone(row.departure_time, row.origin_timezone);
+    }
+
+    if (row.arrival_time && row.destination_timezone) {
+      row.arrival_time_local = exports.formatInTimeZone(row.arrival_time, row.destination_timezone);
+    }
+
+    return row;
+  };
+
+  /**
+   * Get a time zone's offset from UTC at a given instant
+   * @param {Date} date - The instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {number} Offset in minutes (e.g. 180 for UTC+3)
+   */
+  exports.getTimeZoneOffset = (date, timeZone) => {
+    const instant = Math.floor(new Date(date).getTime() / 1000) * 1000;
+    const wallClock = Date.parse(`${exports.formatInTimeZone(instant, timeZone).replace(' ', 'T')}Z`);
+
+    return Math.round((wallClock - instant) / (60 * 1000));
+  };
+
+  /**
+   * Convert a wall-clock time in an IANA time zone to a UTC date
+   * @param {string} localDateTime - Local datetime (YYYY-MM-DD[ HH:MM[:SS]])
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} The instant in UTC
+   */
+  exports.zonedTimeToUtc = (localDateTime, timeZone) => {
+    const value = localDateTime.length === 10 ? `${localDateTime}T00:00:00` : localDateTime.replace(' ', 'T');
+    const wallClock = Date.parse(`${value}Z`);
+
+    if (isNaN(wallClock)) {
+      return new Date(NaN);
+    }
+
+    // The offset may differ on the other side of a DST change, so correct once
+    // using the offset at the first estimate
+    const estimate = wallClock - exports.getTimeZoneOffset(wallClock, timeZone) * 60 * 1000;
+
+    return new Date(wallClock - exports.getTimeZoneOffset(estimate, timeZone) * 60 * 1000);
+  };
+
+  /**
+   * Resolve a datetime from a request to a UTC date. Values with an explicit
+   * offset (or Z) are absolute; bare values are read as local time in the zone.
+   * @param {Date|string} value - Datetime
+   * @param {string} timeZone - IANA time zone for values without an offset
+   * @returns {Date} The instant in UTC
+   */
+  exports.toUtcDate = (value, timeZone) => {
+    if (value instanceof Date) {
+      return value;
+    }
+
+    const hasOffset = /[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+
+    if (hasOffset || !timeZone) {
+      return new Date(value);
+    }
+
+    return exports.zonedTimeToUtc(value, timeZone);
+  };
+
+  /**
+   * Check that a value is a real calendar date written as YYYY-MM-DD
+   * @param {string} date - Date to check
+   * @returns {boolean} Whether the date is valid
+   */
+  exports.isValidDateString = (date) => {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return false;
+    }
+
+    const parsed = new Date(`${date}T00:00:00Z`);
+    // Rejects dates that roll over, such as 2024-02-30
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+  };
+
+  /**
+   * Get the UTC range covering a calendar day in a time zone
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object|null} { start, end } with end exclusive, or null when the date is invalid
+   */
+  exports.localDayToUtcRange = (date, timeZone) => {
+    if (!exports.isValidDateString(date)) {
+      return null;
+    }
+
+    const nextDay = new Date(Date.parse(`${date}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+      .toISOString()
+      .split('T')[0];
+
+    return {
+      start: exports.zonedTimeToUtc(date, timeZone),
+      end: exports.zonedTimeToUtc(nextDay, timeZone)
+    };
+  };
@@ -39,3 +39,35 @@ exports.isValidEmail = (email) => {
   };
   
  
+
+/**
+ * Validate IATA airport code format
+ * @param {string} code - Airport code to validate
+ * @returns {boolean} Whether code is valid
+ */
+exports.isValidIataCode = (code) => {
+  return /^[A-Z]{3}$/i.test(code);
+};
+
+/**
+ * Validate ICAO airport code format
+ * @param {string} code - Airport code to validate
+ * @returns {boolean} Whether code is valid
+ */
+exports.isValidIcaoCode = (code) => {
+  return /^[A-Z]{4}$/i.test(code);
+};
+
+/**
+ * Validate IANA time zone name (e.g. Europe/Kyiv)
+ * @param {string} timeZone - Time zone to validate
+ * @returns {boolean} Whether time zone is known
+ */
+exports.isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (error) {
+    return false;
+  }
+};